@@ -0,0 +1,4 @@
+-- Speichert die Regenmenge bei den Wetterdaten
+-- Spalten: wetter.regenmenge
+
+ALTER TABLE bachelor_bigdata2_wetter ADD regenmenge int;
\ No newline at end of file
@@ -0,0 +1,4 @@
+-- Speichert den Typ einer Auswertung
+-- Spalten: auswertung.typ
+
+ALTER TABLE bachelor_bigdata2_auswertung ADD typ varchar(50);
\ No newline at end of file
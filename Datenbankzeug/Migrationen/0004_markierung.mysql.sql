@@ -0,0 +1,15 @@
+-- Speichert die Markierungen der Zeitleiste je Ort fuer MySQL; die ID vergibt die Datenbank mit AUTO_INCREMENT
+-- Spalten: markierung.markierungid
+
+CREATE TABLE bachelor_bigdata2_markierung(
+  markierungid bigint AUTO_INCREMENT,
+  locationarea_locationid int,
+  von bigint,
+  bis bigint,
+  titel varchar(200),
+  beschreibung varchar(4000),
+  PRIMARY KEY (markierungid),
+  FOREIGN KEY (locationarea_locationid)
+  REFERENCES bachelor_bigdata2_locationarea(locationid)
+  ON DELETE CASCADE ON UPDATE CASCADE
+);
\ No newline at end of file
@@ -0,0 +1,16 @@
+-- Speichert die Markierungen der Zeitleiste je Ort: Zeitpunkte (von = bis) und Zeitraeume mit Titel und Text; die ID
+-- vergibt die Datenbank
+-- Spalten: markierung.markierungid
+
+CREATE TABLE bachelor_bigdata2_markierung(
+  markierungid bigint IDENTITY(1,1),
+  locationarea_locationid int,
+  von bigint,
+  bis bigint,
+  titel varchar(200),
+  beschreibung varchar(4000),
+  PRIMARY KEY (markierungid),
+  FOREIGN KEY (locationarea_locationid)
+  REFERENCES bachelor_bigdata2_locationarea(locationid)
+  ON DELETE CASCADE ON UPDATE CASCADE
+);
\ No newline at end of file
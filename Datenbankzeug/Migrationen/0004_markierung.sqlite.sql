@@ -0,0 +1,14 @@
+-- Speichert die Markierungen der Zeitleiste je Ort fuer SQLite; AUTOINCREMENT ist nur bei INTEGER PRIMARY KEY erlaubt
+-- Spalten: markierung.markierungid
+
+CREATE TABLE bachelor_bigdata2_markierung(
+  markierungid INTEGER PRIMARY KEY AUTOINCREMENT,
+  locationarea_locationid int,
+  von bigint,
+  bis bigint,
+  titel varchar(200),
+  beschreibung varchar(4000),
+  FOREIGN KEY (locationarea_locationid)
+  REFERENCES bachelor_bigdata2_locationarea(locationid)
+  ON DELETE CASCADE ON UPDATE CASCADE
+);
\ No newline at end of file
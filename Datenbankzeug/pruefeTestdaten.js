@@ -0,0 +1,181 @@
+"use strict";
+
+/**
+ * Prueft die Datenbankschicht der Visualisierung mit einer lokalen SQLite Datei und den Testdaten aus Testdaten.txt: die
+ * Migrationen legen die Tabellen an, die Testdaten werden eingefuegt und ueber datenbank, daten und daten_cache wieder
+ * abgefragt. Die Dateien der Anwendung werden wie in index.html geladen, NW.js und die Seite werden dabei nachgebildet
+ * 
+ * geschrieben fuer das Bachelorprojekt BigData 2016, AI IV / Universitaet Bayreuth
+ * 
+ * Author: BigData2
+ * 
+ * Nutzung (mit Node.js, sqlite3 wird hier fuer Node.js und nicht fuer NW.js installiert):
+ * cd Datenbankzeug
+ * npm install sqlite3
+ * node pruefeTestdaten.js
+ * 
+ **/
+
+var fs = require('fs'), path = require('path'), os = require('os'), vm = require('vm');
+
+// Die Ordner der Anwendung und das Datenverzeichnis, das NW.js sonst vorgibt; es wird nach der Pruefung geloescht
+var anwendung = path.join(__dirname, '..', 'Visualisierung'), javascript = path.join(anwendung, 'javascript'),
+	dataPath = fs.mkdtempSync(path.join(os.tmpdir(), 'pruefeTestdaten-')), testdaten = path.join(__dirname, 'Testdaten.txt');
+
+// Die Dateien in der Reihenfolge aus index.html, soweit sie fuer die Datenbank gebraucht werden
+var dateien = ['abfrage.js', 'datenbank_befehle.js', 'datenbank_mysql.js', 'datenbank_mssql.js', 'datenbank_sqlite.js',
+				'datenbank.js', 'migration.js', 'daten.js', 'daten_cache.js'];
+
+var fehler = [], // Die Meldungen von error.add
+	ergebnisse = []; // Die Pruefungen als [Beschreibung, bestanden]
+
+// Die Umgebung der Seite; require wird relativ zu diesem Ordner aufgeloest, damit sqlite3 aus Datenbankzeug/node_modules
+// kommt; mssql und mysql werden erst beim Verbinden geladen
+var seite = {
+	'require': function(modul) {
+		if(modul === 'nw.gui') {
+			return {'App': {'dataPath': dataPath, 'startPath': anwendung}};
+		}
+		
+		return require(modul);
+	},
+	'process': process,
+	'console': console,
+	'setTimeout': setTimeout,
+	'clearTimeout': clearTimeout,
+	'document': {'readyState': 'complete'},
+	'fenster': {'on': function() { return {'stop': function() {}}; }},
+	'error': {'add': function(e) { fehler.push(e[0] + ': ' + e[1]); }},
+	'database_settings': function() {
+		return {'name': 'Pruefung', 'typ': 'sqlite', 'datei': path.join(dataPath, 'pruefung.sqlite'), 'testdaten': testdaten};
+	}
+};
+
+seite.window = {'addEventListener': function() {}, 'setTimeout': setTimeout, 'clearTimeout': clearTimeout};
+seite.this = seite;
+
+vm.createContext(seite);
+
+dateien.forEach(function(datei) {
+	vm.runInContext(fs.readFileSync(path.join(javascript, datei), 'utf8'), seite, {'filename': datei});
+});
+
+// Auf der Festplatte wird nichts zwischengespeichert, damit jede Pruefung die Datenbank abfragt
+seite.daten_cache.festplatte = false;
+
+/**
+ * Haelt das Ergebnis einer Pruefung fest
+ * @param beschreibung Was geprueft wurde
+ * @param bestanden Ob die Pruefung bestanden wurde
+ * [@param details] Die gefundenen Werte, falls die Pruefung nicht bestanden wurde
+ **/
+var pruefe = function(beschreibung, bestanden, details) {
+	ergebnisse.push([beschreibung, bestanden]);
+	
+	console.log((bestanden ? 'OK      ' : 'FEHLER  ') + beschreibung + ((!bestanden && details !== undefined) ? ' (' + details + ')' : ''));
+};
+
+/**
+ * Gibt das Ergebnis aus, schliesst die Datenbank und loescht das Datenverzeichnis
+ **/
+var beenden = function() {
+	var i, j, nichtBestanden = ergebnisse.filter(function(ergebnis) { return !ergebnis[1]; }).length;
+	
+	for(i=0,j=fehler.length;i<j;++i) {
+		console.log('Meldung ' + fehler[i]);
+	}
+	
+	seite.datenbank.close();
+	
+	fs.readdirSync(dataPath).forEach(function(datei) {
+		fs.unlinkSync(path.join(dataPath, datei));
+	});
+	
+	fs.rmdirSync(dataPath);
+	
+	console.log((nichtBestanden === 0 && fehler.length === 0) ? 'Alle ' + ergebnisse.length + ' Pruefungen bestanden'
+					: nichtBestanden + ' von ' + ergebnisse.length + ' Pruefungen nicht bestanden, ' + fehler.length + ' Meldungen');
+	
+	process.exitCode = (nichtBestanden === 0 && fehler.length === 0) ? 0 : 1;
+};
+
+// Die erwarteten Werte aus Testdaten.txt
+var inhalt = fs.readFileSync(testdaten, 'utf8'),
+	wetterZeilen = (inhalt.match(/^INSERT INTO bachelor_bigdata2_wetter /mg) || []).length,
+	ort = Number(/INSERT INTO bachelor_bigdata2_locationarea \([^)]*\) VALUES \((\d+),/.exec(inhalt)[1]);
+
+// Der Zeitraum der Testdaten als [von, bis]; wird von der Datenbank abgefragt
+var zeitraum = null;
+
+var schritte = [function(weiter) {
+	seite.migration.aktualisieren(function(status) {
+		pruefe('Die Migrationen legen das Schema an', status.kompatibel, JSON.stringify(status));
+		
+		weiter();
+	});
+}, function(weiter) {
+	seite.daten.getOrte(function(err, orte) {
+		pruefe('Der Ort aus den Testdaten ist gespeichert', err === undefined && orte.length === 1 && orte[0].locationid === ort,
+				JSON.stringify(orte));
+		
+		weiter();
+	});
+}, function(weiter) {
+	seite.daten.getZeitraum(ort, function(err, gefunden) {
+		zeitraum = gefunden;
+		
+		pruefe('Der Zeitraum der Testdaten wird gefunden', err === undefined && zeitraum !== null && zeitraum[0] < zeitraum[1],
+				JSON.stringify(zeitraum));
+		
+		// Ohne Zeitraum koennen die Daten nicht abgefragt werden
+		if(zeitraum === null) {
+			beenden();
+			
+			return;
+		}
+		
+		weiter();
+	});
+}, function(weiter) {
+	var cache = new seite.daten_cache(ort, 'getMultipleWetterdatenAVG'), von = Math.floor(zeitraum[0] / 3600) * 3600;
+	
+	cache.getBereich(von, zeitraum[1] + 3600, 3600, function(abschnitte) {
+		var messwerte = 0, mitDaten = 0, i, j;
+		
+		for(i=0,j=abschnitte.length;i<j;++i) {
+			if('temperatur' in abschnitte[i][1]) {
+				++mitDaten;
+				
+				messwerte += Number(abschnitte[i][1].temperatur_anzahl);
+			}
+		}
+		
+		pruefe('Die stuendlichen Wetterdaten enthalten alle ' + wetterZeilen + ' Messwerte', messwerte === wetterZeilen,
+				messwerte + ' Messwerte in ' + mitDaten + ' Zeitabschnitten');
+		
+		weiter();
+	});
+}, function(weiter) {
+	seite.daten.insertMarkierung(ort, zeitraum[0], zeitraum[0] + 3600, 'Pruefung', '', function(err, id) {
+		pruefe('Eine Markierung bekommt eine ID von der Datenbank', err === undefined && id > 0, String(err || id));
+		
+		seite.daten.getMarkierungen(ort, function(err, markierungen) {
+			pruefe('Die Markierung wird wieder gelesen', err === undefined && markierungen.length === 1
+					&& Number(markierungen[0].markierungid) === id, JSON.stringify(markierungen));
+			
+			weiter();
+		});
+	});
+}];
+
+(function naechster(i) {
+	if(i === schritte.length) {
+		beenden();
+		
+		return;
+	}
+	
+	schritte[i](function() {
+		naechster(i + 1);
+	});
+})(0);
\ No newline at end of file
@@ -0,0 +1,281 @@
+"use strict";
+
+/**
+ * Baut SELECT Anfragen zusammen; alle Werte werden als Platzhalter uebergeben, die Besonderheiten der Datenbanken
+ * (TOP oder LIMIT, Abrunden, Praefix der Tabellen) kommen ueber den Dialekt des Backends hinzu
+ * 
+ * geschrieben fuer das Bachelorprojekt BigData 2016, AI IV / Universitaet Bayreuth
+ * 
+ * Author: BigData2
+ * 
+ * Nutzung:
+ * abfrageObjekt = new abfrage('wetter');
+ * abfrageObjekt.spalte('temperatur', 'AVG').zeitabschnitte('wetterzeit', von, bis, 3600).filter('locationarea_locationid', '=', ort);
+ * datenbankBackend.abfrage(abfrageObjekt, callback);
+ * 
+ **/
+
+(function(root, name) {
+	var old = root[name];
+	
+	// Die erlaubten Aggregatfunktionen und Vergleiche
+	var aggregate = ['AVG', 'COUNT', 'MIN', 'MAX', 'SUM'],
+		vergleiche = ['=', '<>', '<', '<=', '>', '>='];
+	
+	/**
+	 * Prueft, ob ein Name als Tabelle oder Spalte verwendet werden darf
+	 * @param name Der Name
+	 * @return true, falls der Name nur aus Buchstaben, Ziffern und _ besteht
+	 **/
+	var istName = function(name) {
+		return (typeof name) === 'string' && /^[a-z_][a-z0-9_]*$/i.test(name);
+	};
+	
+	/**
+	 * Erstelle das Objekt
+	 * @param tabelle Die Tabelle ohne Praefix
+	 **/
+	var _ = function(tabelle) {
+		var spalten = [], // Die Spalten als {spalte, aggregat, name}
+			filter = [], // Die Bedingungen als {spalte, vergleich, wert}
+			gruppen = [], // Die Spalten fuer GROUP BY
+			sortierung = [], // Die Spalten fuer ORDER BY
+			zeit = null, // Die Einteilung in Zeitabschnitte als {spalte, von, bis, breite, versatz}
+			abschnitte = [], // Die gesuchten Zeitabschnitte als [von, bis]
+			maxRows = 10000, // Die maximale Anzahl Ergebnisse
+			fehler = []; // Die Fehler beim Zusammenbauen, die Anfrage wird dann nicht ausgefuehrt
+		
+		if(!istName(tabelle)) {
+			fehler.push('Ungültige Tabelle: ' + tabelle);
+		}
+		
+		/**
+		 * Fuegt eine Spalte hinzu
+		 * @param spalte Die Spalte
+		 * [@param aggregat] Die Aggregatfunktion (AVG, COUNT, MIN, MAX, SUM)
+		 * [@param name] Der Name der Spalte im Ergebnis; Standardmaessig der Name der Spalte
+		 * @return Das Objekt
+		 **/
+		this.spalte = function(spalte, aggregat, name) {
+			if(name === undefined) name = spalte;
+			
+			if(!istName(spalte) || !istName(name)) {
+				fehler.push('Ungültige Spalte: ' + spalte + ' AS ' + name);
+			} else if(aggregat !== undefined && aggregate.indexOf(aggregat) === -1) {
+				fehler.push('Ungültige Aggregatfunktion: ' + aggregat);
+			} else {
+				spalten.push({'spalte': spalte, 'aggregat': aggregat, 'name': name});
+			}
+			
+			return this;
+		};
+		
+		/**
+		 * Teilt die Eintraege in Zeitabschnitte ein; die Nummer des Abschnitts steht im Ergebnis in nr, es wird nach nr
+		 * gruppiert und sortiert
+		 * @param spalte Die Spalte mit der Zeit
+		 * @param von Der Zeitpunkt, ab dem die Eintraege gesucht sind
+		 * @param bis Der Zeitpunkt, bis zu dem die Eintraege gesucht sind
+		 * @param breite Die Groesse eines Zeitabschnitts in Sekunden
+		 * [@param versatz] Die Sekunden, die von der Zeit abgezogen werden
+		 * @return Das Objekt
+		 **/
+		this.zeitabschnitte = function(spalte, von, bis, breite, versatz) {
+			if(!istName(spalte)) {
+				fehler.push('Ungültige Zeitspalte: ' + spalte);
+			} else if(!(breite > 0)) {
+				fehler.push('Ungültige Größe der Zeitabschnitte: ' + breite);
+			} else {
+				zeit = {'spalte': spalte, 'von': von, 'bis': bis, 'breite': breite, 'versatz': versatz};
+			}
+			
+			return this;
+		};
+		
+		/**
+		 * Fuegt eine Bedingung hinzu; alle Bedingungen muessen erfuellt sein
+		 * @param spalte Die Spalte
+		 * @param vergleich Der Vergleich (=, <>, <, <=, >, >=)
+		 * @param wert Der Wert; bei einem Array mit = muss die Spalte einem der Werte entsprechen
+		 * @return Das Objekt
+		 **/
+		this.filter = function(spalte, vergleich, wert) {
+			if(!istName(spalte) || vergleiche.indexOf(vergleich) === -1) {
+				fehler.push('Ungültige Bedingung: ' + spalte + ' ' + vergleich);
+			} else if(wert instanceof Array && vergleich !== '=') {
+				fehler.push('Eine Liste von Werten geht nur mit =: ' + spalte);
+			} else {
+				filter.push({'spalte': spalte, 'vergleich': vergleich, 'wert': wert});
+			}
+			
+			return this;
+		};
+		
+		/**
+		 * Schraenkt die Zeitabschnitte ein; ein Eintrag muss in einem der Bereiche liegen
+		 * @param bereiche [Array] Die Bereiche als [von, bis], jeweils einschliesslich
+		 * @return Das Objekt
+		 **/
+		this.abschnitte = function(bereiche) {
+			var i, j;
+			
+			for(i=0,j=bereiche.length;i<j;++i) {
+				if(!(bereiche[i] instanceof Array) || bereiche[i].length !== 2) {
+					fehler.push('Ungültiger Bereich von Zeitabschnitten: ' + bereiche[i]);
+				} else {
+					abschnitte.push(bereiche[i]);
+				}
+			}
+			
+			return this;
+		};
+		
+		/**
+		 * Gruppiert die Ergebnisse zusaetzlich nach einer Spalte; die Spalte steht mit im Ergebnis
+		 * @param spalte Die Spalte
+		 * @return Das Objekt
+		 **/
+		this.gruppieren = function(spalte) {
+			if(!istName(spalte)) {
+				fehler.push('Ungültige Spalte für GROUP BY: ' + spalte);
+			} else {
+				gruppen.push(spalte);
+			}
+			
+			return this;
+		};
+		
+		/**
+		 * Sortiert die Ergebnisse zusaetzlich nach einer Spalte
+		 * @param spalte Die Spalte oder der Name einer Spalte im Ergebnis
+		 * [@param absteigend] true, falls absteigend sortiert werden soll
+		 * @return Das Objekt
+		 **/
+		this.sortieren = function(spalte, absteigend) {
+			if(!istName(spalte)) {
+				fehler.push('Ungültige Spalte für ORDER BY: ' + spalte);
+			} else {
+				sortierung.push(spalte + (absteigend ? ' DESC' : ''));
+			}
+			
+			return this;
+		};
+		
+		/**
+		 * Setzt die maximale Anzahl Ergebnisse
+		 * @param anzahl Die Anzahl; Standardmaessig 10000
+		 * @return Das Objekt
+		 **/
+		this.limit = function(anzahl) {
+			if(!(anzahl >= 1)) {
+				fehler.push('Ungültige maximale Anzahl Ergebnisse: ' + anzahl);
+			} else {
+				maxRows = Math.floor(anzahl);
+			}
+			
+			return this;
+		};
+		
+		/**
+		 * Erstellt den SQL String fuer eine Datenbank
+		 * @param dialekt Die Besonderheiten der Datenbank: tabelle(name), abrunden(ausdruck),
+		 *                select(spalten, tabelle, sonstiges, maxRows)
+		 * @return Ein Objekt mit sql, werte fuer die Platzhalter und fehler, falls die Anfrage ungueltig ist
+		 **/
+		this.erstellen = function(dialekt) {
+			if(fehler.length > 0) {
+				return {'fehler': fehler.join('; ')};
+			}
+			
+			var werte = {}, anzahlWerte = 0, i, j;
+			
+			// Legt einen Platzhalter fuer einen Wert an
+			var platzhalter = function(wert) {
+				var name = 'wert_' + (anzahlWerte++);
+				
+				werte[name] = wert;
+				
+				return '@' + name;
+			};
+			
+			var bedingungen = [], ausgabe = [], quelle = dialekt.tabelle(tabelle), gruppierung = gruppen.slice(0),
+				reihenfolge = sortierung.slice(0), sonstiges = [], liste;
+			
+			for(i=0,j=filter.length;i<j;++i) {
+				if(!(filter[i].wert instanceof Array)) {
+					bedingungen.push(filter[i].spalte + ' ' + filter[i].vergleich + ' ' + platzhalter(filter[i].wert));
+				} else if(filter[i].wert.length === 0) {
+					bedingungen.push('1 = 0');
+				} else {
+					liste = filter[i].wert.map(platzhalter);
+					
+					bedingungen.push(filter[i].spalte + ' IN (' + liste.join(', ') + ')');
+				}
+			}
+			
+			for(i=0,j=spalten.length;i<j;++i) {
+				if(spalten[i].aggregat !== undefined) {
+					ausgabe.push(spalten[i].aggregat + '(' + spalten[i].spalte + ') AS ' + spalten[i].name);
+				} else if(spalten[i].spalte !== spalten[i].name) {
+					ausgabe.push(spalten[i].spalte + ' AS ' + spalten[i].name);
+				} else {
+					ausgabe.push(spalten[i].spalte);
+				}
+			}
+			
+			ausgabe = ausgabe.concat(gruppen);
+			
+			// Die Zeitabschnitte werden in einer Unterabfrage berechnet, da nicht jede Datenbank GROUP BY auf einen
+			// Alias erlaubt
+			if(zeit !== null) {
+				var innen = [], zeitpunkt = zeit.spalte, von = platzhalter(zeit.von), bereiche = [];
+				
+				if(zeit.versatz !== undefined && zeit.versatz !== 0) {
+					zeitpunkt = '(' + zeit.spalte + ' - ' + platzhalter(zeit.versatz) + ')';
+				}
+				
+				for(i=0,j=spalten.length;i<j;++i) {
+					if(innen.indexOf(spalten[i].spalte) === -1) innen.push(spalten[i].spalte);
+				}
+				
+				for(i=0,j=gruppen.length;i<j;++i) {
+					if(innen.indexOf(gruppen[i]) === -1) innen.push(gruppen[i]);
+				}
+				
+				innen.push(dialekt.abrunden('(' + zeitpunkt + ' - ' + von + ') / ' + platzhalter(zeit.breite)) + ' AS nr');
+				
+				bedingungen.unshift(zeitpunkt + ' >= ' + von, zeitpunkt + ' <= ' + platzhalter(zeit.bis));
+				
+				quelle = '(SELECT ' + innen.join(', ') + ' FROM ' + quelle + ' WHERE ' + bedingungen.join(' AND ') + ') daten';
+				
+				bedingungen = [];
+				
+				for(i=0,j=abschnitte.length;i<j;++i) {
+					bereiche.push('nr BETWEEN ' + platzhalter(abschnitte[i][0]) + ' AND ' + platzhalter(abschnitte[i][1]));
+				}
+				
+				if(bereiche.length > 0) {
+					bedingungen.push('(' + bereiche.join(' OR ') + ')');
+				}
+				
+				ausgabe.push('nr');
+				gruppierung.unshift('nr');
+				reihenfolge.unshift('nr');
+			}
+			
+			if(bedingungen.length > 0) sonstiges.push('WHERE ' + bedingungen.join(' AND '));
+			if(gruppierung.length > 0) sonstiges.push('GROUP BY ' + gruppierung.join(', '));
+			if(reihenfolge.length > 0) sonstiges.push('ORDER BY ' + reihenfolge.join(', '));
+			
+			return {'sql': dialekt.select(ausgabe, quelle, sonstiges.join(' '), maxRows), 'werte': werte};
+		};
+	};
+	
+	root[name] = _;
+	
+	_.noConflict = function() {
+		root[name] = old;
+		
+		return _;
+	};
+})(this, 'abfrage');
\ No newline at end of file
@@ -0,0 +1,309 @@
+"use strict";
+
+/**
+ * Berechnet den Zusammenhang zweier Reihen von Werten (Korrelation nach Pearson und Spearman, Regressionsgerade und
+ * Kreuzkorrelation ueber einen Versatz) und zeichnet Streudiagramm und Kreuzkorrelation als SVG
+ * 
+ * geschrieben fuer das Bachelorprojekt BigData 2016, AI IV / Universitaet Bayreuth
+ * 
+ * Author: BigData2
+ * 
+ * Nutzung:
+ * var paare = analyse.paare(werteA, werteB); // fehlende Werte sind null
+ * var r = analyse.pearson(paare[0], paare[1]);
+ * element.appendChild(analyse.streudiagramm(paare[0], paare[1], analyse.regression(paare[0], paare[1]), 400, 300));
+ * 
+ **/
+
+(function(root, name) {
+	var old = root[name];
+	
+	/**
+	 * Gibt den Mittelwert der Werte zurueck
+	 * @param werte Die Werte
+	 * @return
+	 **/
+	var mittel = function(werte) {
+		var summe = 0, i, j;
+		
+		for(i=0,j=werte.length;i<j;++i) {
+			summe += werte[i];
+		}
+		
+		return summe / werte.length;
+	};
+	
+	/**
+	 * Gibt die Raenge der Werte zurueck; gleiche Werte bekommen den mittleren Rang
+	 * @param werte Die Werte
+	 * @return Die Raenge in der Reihenfolge der Werte, beginnend bei 1
+	 **/
+	var raenge = function(werte) {
+		var reihenfolge = werte.map(function(wert, index) { return index; }), ergebnis = [], i, j, k;
+		
+		reihenfolge.sort(function(a, b) { return werte[a] - werte[b]; });
+		
+		for(i=0;i<reihenfolge.length;i=j) {
+			j = i + 1;
+			
+			while(j < reihenfolge.length && werte[reihenfolge[j]] === werte[reihenfolge[i]]) {
+				++j;
+			}
+			
+			for(k=i;k<j;++k) {
+				ergebnis[reihenfolge[k]] = (i + j + 1) / 2;
+			}
+		}
+		
+		return ergebnis;
+	};
+	
+	/**
+	 * Gibt eine Zahl fuer die Beschriftung zurueck
+	 * @param wert Die Zahl
+	 * @return
+	 **/
+	var runden = function(wert) {
+		return '' + Math.round(wert * 100) / 100;
+	};
+	
+	/**
+	 * Erstellt die Achsen eines Diagramms mit der Beschriftung an den Enden
+	 * @param breite Die Breite des Diagramms
+	 * @param hoehe Die Hoehe des Diagramms
+	 * @param rand Der Abstand der Achsen zum Rand
+	 * @param x Die Beschriftung der x-Achse als [links, rechts]
+	 * @param y Die Beschriftung der y-Achse als [unten, oben]
+	 * @return Das SVG Element
+	 **/
+	var diagramm = function(breite, hoehe, rand, x, y) {
+		var element = svg('svg', {'width': breite, 'height': hoehe, 'style': 'font-size: 11px;'});
+		
+		element.appendChild(svg('path', {'d': 'M' + rand + ',' + rand + ' V' + (hoehe - rand) + ' H' + (breite - rand),
+										'style': 'fill: none; stroke: #000; stroke-width: 1px;'}));
+		
+		element.appendChild(svg('text', {'content': x[0], 'x': rand, 'y': hoehe - rand + 14, 'text-anchor': 'start'}));
+		element.appendChild(svg('text', {'content': x[1], 'x': breite - rand, 'y': hoehe - rand + 14, 'text-anchor': 'end'}));
+		element.appendChild(svg('text', {'content': y[0], 'x': rand - 4, 'y': hoehe - rand, 'text-anchor': 'end'}));
+		element.appendChild(svg('text', {'content': y[1], 'x': rand - 4, 'y': rand + 8, 'text-anchor': 'end'}));
+		
+		return element;
+	};
+	
+	var _ = {};
+	
+	/**
+	 * Gibt die Werte zweier Reihen zurueck, die in beiden vorhanden sind
+	 * @param a Die Werte der ersten Reihe; fehlende Werte sind null
+	 * @param b Die Werte der zweiten Reihe; fehlende Werte sind null
+	 * [@param versatz] Um wie viele Zeitabschnitte die zweite Reihe spaeter verglichen wird; Standard 0
+	 * @return Die Werte als [x, y] mit den Arrays der Werte aus a und b
+	 **/
+	_.paare = function(a, b, versatz) {
+		var x = [], y = [], i, j;
+		
+		versatz = versatz || 0;
+		
+		for(i=Math.max(0, -versatz),j=Math.min(a.length, b.length - versatz);i<j;++i) {
+			if(a[i] !== null && a[i] !== undefined && b[i + versatz] !== null && b[i + versatz] !== undefined) {
+				x.push(a[i]);
+				y.push(b[i + versatz]);
+			}
+		}
+		
+		return [x, y];
+	};
+	
+	/**
+	 * Berechnet den Korrelationskoeffizienten nach Pearson
+	 * @param x Die ersten Werte
+	 * @param y Die zweiten Werte, gleich viele wie x
+	 * @return Der Koeffizient von -1 bis 1 oder null, falls es weniger als 3 Werte gibt oder eine Reihe konstant ist
+	 **/
+	_.pearson = function(x, y) {
+		var mx, my, sxy = 0, sxx = 0, syy = 0, i, j;
+		
+		if(x.length < 3) {
+			return null;
+		}
+		
+		mx = mittel(x);
+		my = mittel(y);
+		
+		for(i=0,j=x.length;i<j;++i) {
+			sxy += (x[i] - mx) * (y[i] - my);
+			sxx += (x[i] - mx) * (x[i] - mx);
+			syy += (y[i] - my) * (y[i] - my);
+		}
+		
+		if(sxx === 0 || syy === 0) {
+			return null;
+		}
+		
+		return Math.max(-1, Math.min(1, sxy / Math.sqrt(sxx * syy)));
+	};
+	
+	/**
+	 * Berechnet den Rangkorrelationskoeffizienten nach Spearman
+	 * @param x Die ersten Werte
+	 * @param y Die zweiten Werte, gleich viele wie x
+	 * @return Der Koeffizient von -1 bis 1 oder null wie bei pearson()
+	 **/
+	_.spearman = function(x, y) {
+		return _.pearson(raenge(x), raenge(y));
+	};
+	
+	/**
+	 * Berechnet die Regressionsgerade y = achsenabschnitt + steigung * x nach der Methode der kleinsten Quadrate
+	 * @param x Die ersten Werte
+	 * @param y Die zweiten Werte, gleich viele wie x
+	 * @return Ein Objekt mit steigung, achsenabschnitt und bestimmtheit (R²) oder null, falls x konstant ist
+	 **/
+	_.regression = function(x, y) {
+		var mx, my, sxy = 0, sxx = 0, r, i, j;
+		
+		if(x.length < 2) {
+			return null;
+		}
+		
+		mx = mittel(x);
+		my = mittel(y);
+		
+		for(i=0,j=x.length;i<j;++i) {
+			sxy += (x[i] - mx) * (y[i] - my);
+			sxx += (x[i] - mx) * (x[i] - mx);
+		}
+		
+		if(sxx === 0) {
+			return null;
+		}
+		
+		r = _.pearson(x, y);
+		
+		return {'steigung': sxy / sxx, 'achsenabschnitt': my - sxy / sxx * mx, 'bestimmtheit': (r === null) ? null : r * r};
+	};
+	
+	/**
+	 * Berechnet die Korrelation nach Pearson fuer jeden Versatz der zweiten Reihe
+	 * @param a Die Werte der ersten Reihe; fehlende Werte sind null
+	 * @param b Die Werte der zweiten Reihe; fehlende Werte sind null
+	 * @param maxVersatz Der groesste Versatz in Zeitabschnitten, es wird von -maxVersatz bis maxVersatz berechnet
+	 * @return Die Ergebnisse als [versatz, r, anzahl]; bei einem positiven Versatz folgt b auf a, r ist null wie bei
+	 *         pearson()
+	 **/
+	_.kreuzkorrelation = function(a, b, maxVersatz) {
+		var ergebnis = [], paare, versatz;
+		
+		for(versatz=-maxVersatz;versatz<=maxVersatz;++versatz) {
+			paare = _.paare(a, b, versatz);
+			
+			ergebnis.push([versatz, _.pearson(paare[0], paare[1]), paare[0].length]);
+		}
+		
+		return ergebnis;
+	};
+	
+	/**
+	 * Zeichnet ein Streudiagramm mit der Regressionsgeraden
+	 * @param x Die Werte auf der x-Achse
+	 * @param y Die Werte auf der y-Achse, gleich viele wie x
+	 * @param regression Das Ergebnis von regression() oder null ohne Gerade
+	 * @param breite Die Breite in Pixeln
+	 * @param hoehe Die Hoehe in Pixeln
+	 * @return Das SVG Element
+	 **/
+	_.streudiagramm = function(x, y, regression, breite, hoehe) {
+		var rand = 40, minX = Math.min.apply(null, x), maxX = Math.max.apply(null, x), minY = Math.min.apply(null, y),
+			maxY = Math.max.apply(null, y), element, punkte = '', i, j;
+		
+		if(x.length === 0) {
+			minX = minY = 0;
+			maxX = maxY = 1;
+		}
+		
+		if(maxX === minX) {
+			--minX;
+			++maxX;
+		}
+		
+		if(maxY === minY) {
+			--minY;
+			++maxY;
+		}
+		
+		var posX = function(wert) { return rand + (wert - minX) / (maxX - minX) * (breite - 2 * rand); },
+			posY = function(wert) { return hoehe - rand - (wert - minY) / (maxY - minY) * (hoehe - 2 * rand); };
+		
+		element = diagramm(breite, hoehe, rand, [runden(minX), runden(maxX)], [runden(minY), runden(maxY)]);
+		
+		// Jeder Punkt ist ein kurzer Strich mit runden Enden, so bleibt es bei einem Pfad
+		for(i=0,j=x.length;i<j;++i) {
+			punkte += 'M' + Math.round(posX(x[i])) + ',' + Math.round(posY(y[i])) + ' h0 ';
+		}
+		
+		element.appendChild(svg('path', {'d': punkte, 'style': 'fill: none; stroke: #0000FF; stroke-width: 5px; stroke-linecap: round; stroke-opacity: 0.5;'}));
+		
+		if(regression !== null) {
+			element.appendChild(svg('line', {'x1': posX(minX), 'y1': posY(regression.achsenabschnitt + regression.steigung * minX),
+											'x2': posX(maxX), 'y2': posY(regression.achsenabschnitt + regression.steigung * maxX),
+											'style': 'stroke: #C00; stroke-width: 2px;'}));
+		}
+		
+		return element;
+	};
+	
+	/**
+	 * Zeichnet die Kreuzkorrelation als Balken je Versatz; der Versatz mit dem groessten Betrag ist hervorgehoben
+	 * @param ergebnis Das Ergebnis von kreuzkorrelation()
+	 * @param breite Die Breite in Pixeln
+	 * @param hoehe Die Hoehe in Pixeln
+	 * @return Das SVG Element
+	 **/
+	_.korrelogramm = function(ergebnis, breite, hoehe) {
+		var rand = 40, bester = _.staerkste(ergebnis), element, balken, mitte, i, j, x, y;
+		
+		element = diagramm(breite, hoehe, rand, ['' + ergebnis[0][0], '' + ergebnis[ergebnis.length - 1][0]], ['-1', '1']);
+		
+		mitte = hoehe / 2;
+		balken = Math.max(1, (breite - 2 * rand) / ergebnis.length - 1);
+		
+		element.appendChild(svg('line', {'x1': rand, 'y1': mitte, 'x2': breite - rand, 'y2': mitte, 'style': 'stroke: #888; stroke-width: 1px;'}));
+		
+		for(i=0,j=ergebnis.length;i<j;++i) {
+			if(ergebnis[i][1] === null) continue;
+			
+			x = rand + i * (breite - 2 * rand) / ergebnis.length;
+			y = mitte - ergebnis[i][1] * (mitte - rand);
+			
+			element.appendChild(svg('rect', {'x': x, 'y': Math.min(y, mitte), 'width': balken, 'height': Math.abs(y - mitte),
+											'style': 'fill: ' + ((bester !== null && ergebnis[i][0] === bester[0]) ? '#C00' : '#0000FF') + ';'}));
+		}
+		
+		return element;
+	};
+	
+	/**
+	 * Gibt den Versatz mit der staerksten Korrelation zurueck
+	 * @param ergebnis Das Ergebnis von kreuzkorrelation()
+	 * @return Der Eintrag als [versatz, r, anzahl] oder null, falls keine Korrelation berechnet werden konnte
+	 **/
+	_.staerkste = function(ergebnis) {
+		var bester = null, i, j;
+		
+		for(i=0,j=ergebnis.length;i<j;++i) {
+			if(ergebnis[i][1] !== null && (bester === null || Math.abs(ergebnis[i][1]) > Math.abs(bester[1]))) {
+				bester = ergebnis[i];
+			}
+		}
+		
+		return bester;
+	};
+	
+	root[name] = _;
+	
+	_.noConflict = function() {
+		root[name] = old;
+		
+		return _;
+	};
+})(this, 'analyse');
\ No newline at end of file
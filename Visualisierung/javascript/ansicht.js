@@ -0,0 +1,107 @@
+"use strict";
+
+/**
+ * Speichert die Einstellungen der Visualisierung je Ort (angezeigte Daten, Farben, Ueberlagerungen, ...), damit ein Ort
+ * beim naechsten Oeffnen wieder so angezeigt wird
+ * 
+ * geschrieben fuer das Bachelorprojekt BigData 2016, AI IV / Universitaet Bayreuth
+ * 
+ * Author: BigData2
+ * 
+ * Nutzung:
+ * var einstellungen = ansicht.laden(ort);
+ * ansicht.speichern(ort, {'zeige': [...]});
+ * 
+ **/
+
+(function(root, name) {
+	var old = root[name];
+	
+	var fs = require('fs'), dataPath = require('nw.gui').App.dataPath;
+	
+	// Die Datei mit den Ansichten aller Orte
+	var datei = dataPath + '/ansichten.json';
+	
+	// Die Ansichten je Profil und Ort; wird beim ersten Zugriff gelesen
+	var ansichten = null;
+	
+	/**
+	 * Gibt den Schluessel eines Ortes zurueck; die IDs der Orte haengen vom aktiven Verbindungsprofil ab
+	 * @param ort Die ID des Ortes
+	 * @return Der Schluessel
+	 **/
+	var schluessel = function(ort) {
+		return datenbank.getProfil().name + '_' + ort;
+	};
+	
+	/**
+	 * Liest die Ansichten aus der Datei
+	 **/
+	var lesen = function() {
+		if(ansichten !== null) {
+			return;
+		}
+		
+		ansichten = {};
+		
+		if(!fs.existsSync(datei)) {
+			return;
+		}
+		
+		try {
+			ansichten = JSON.parse(fs.readFileSync(datei, 'utf8'));
+		} catch(e) {
+			error.add(['Ansicht', e]);
+		}
+	};
+	
+	var _ = {};
+	
+	/**
+	 * Gibt die gespeicherte Ansicht eines Ortes zurueck
+	 * @param ort Die ID des Ortes
+	 * @return Die Einstellungen als Objekt; leer, falls noch nichts gespeichert wurde
+	 **/
+	_.laden = function(ort) {
+		lesen();
+		
+		if(!(schluessel(ort) in ansichten)) {
+			return {};
+		}
+		
+		return JSON.parse(JSON.stringify(ansichten[schluessel(ort)]));
+	};
+	
+	/**
+	 * Speichert Einstellungen eines Ortes; nicht angegebene Einstellungen bleiben erhalten
+	 * @param ort Die ID des Ortes
+	 * @param werte Die Einstellungen als Objekt
+	 **/
+	_.speichern = function(ort, werte) {
+		lesen();
+		
+		var name = schluessel(ort), i;
+		
+		if(!(name in ansichten)) {
+			ansichten[name] = {};
+		}
+		
+		for(i in werte) {
+			ansichten[name][i] = werte[i];
+		}
+		
+		fs.writeFile(datei, JSON.stringify(ansichten, null, '\t'), function(err) {
+			if(err !== null) {
+				error.add(['Ansicht', err]);
+			}
+		});
+	};
+	
+	root[name] = _;
+	
+	_.noConflict = function() {
+		root[name] = old;
+		
+		return _;
+	};
+})(this, 'ansicht');
\ No newline at end of file
@@ -15,7 +15,8 @@ var visualisierung_activ = false, // ob die Visualisierung gerade aktiv ist
 	karteNeuerOrt, // die Karte, die die Position des neuen Ortes zeigt
 	karteNeuerOrtMarkers = [], // die Orte die auf der Karte fuer die neuen Orte angezeigt werden
 	lastCity = null, // die zuletzt gewaehlte Stadt bei der Suche nach einem Orte
-	karteOrtAuswaehlen; // die Karte, die alle Orte zeigt fuer die Visualisierung
+	karteOrtAuswaehlen, // die Karte, die alle Orte zeigt fuer die Visualisierung
+	profilBearbeitet; // der Name des Verbindungsprofils, das gerade bearbeitet wird
 
 /**
  * Versteckt alle Seiten bis auf eine
@@ -56,20 +57,451 @@ function addOrt(obj) {
 								));
 }
 
+/**
+ * Zeigt einen Ort auf der Karte fuer die Visualisierung an
+ * @param data Der Ort
+ **/
+function zeigeOrtAufKarte(data) {
+	geolocation.computeMidpoint(data.lat1, data.long1, data.lat2, data.long2, function(latLon) {
+		// Da in Bayreuth zu wenig Tweets, ist die Position in der Datenbank verschoben
+		if(data.name === 'Bayreuth') {
+			latLon.lat = 49.948059;
+			latLon.lon = 11.57833;
+		}
+		
+		karteOrtAuswaehlen.addMarker(data.locationid, {'latLng': [latLon.lat, latLon.lon], 'name': data.name,
+				'locationIdDB': data.locationid});
+	});
+}
+
+/**
+ * Entfernt einen Ort aus den Dropdown Listen, der Karte und den Variablen "orte" und "orteIndex"
+ * @param id Die ID des Ortes
+ **/
+function entferneOrt(id) {
+	delete orte[orteIndex[id].name];
+	delete orteIndex[id];
+	
+	$('#OrtWahl_' + id).parent().remove();
+	$('#OrtWahlImporter_' + id).parent().remove();
+	
+	karteOrtAuswaehlen.removeMarkers([id]);
+}
+
+/**
+ * Erstellt einen Knopf, der die Aktion erst nach einem zweiten Klick zur Bestaetigung ausfuehrt
+ * @param text Die Beschriftung, z.B. 'Löschen'
+ * @param action Die Funktion, die nach der Bestaetigung aufgerufen wird
+ * @return Der Knopf
+ **/
+function bestaetigenKnopf(text, action) {
+	return $('<button/>').attr('type', 'button').addClass('btn btn-default btn-xs').text(text).click(function() {
+		if(!$(this).hasClass('btn-danger')) {
+			$(this).addClass('btn-danger').text('Wirklich ' + text.toLowerCase() + '?');
+			
+			return;
+		}
+		
+		action();
+	});
+}
+
+/**
+ * Speichert den Namen und die Bounding Box eines Ortes
+ * @param ort Der Ort
+ * @param name Der neue Name
+ * @param radius Der neue Radius fuer die Boundary Box; bei NaN bleibt die Boundary Box unveraendert
+ **/
+function speichereOrt(ort, name, radius) {
+	name = name.trim();
+	
+	if(name === '' || (name !== ort.name && name in orte)) {
+		// Der Name ist eine Eingabe und wird daher nur als Text eingefuegt
+		_.id('generalErrorMessage').textContent = (name === '') ? 'Es wurde kein richtiger Name angegeben!' :
+									'Ein Ort mit dem Namen "' + name + '" existiert bereits!';
+		
+		$('#generalError').modal('show');
+		
+		return;
+	}
+	if(!Number.isNaN(radius) && (radius > 1000000 || radius <= 0)) {
+		_.id('generalErrorMessage').innerHTML = 'Der Wert der Boundary-Box ist ungültig!';
+		
+		$('#generalError').modal('show');
+		
+		return;
+	}
+	
+	var fertig = function() {
+		$('#OrtWahl_' + ort.locationid).text(ort.name);
+		$('#OrtWahlImporter_' + ort.locationid).text(ort.name);
+		
+		karteOrtAuswaehlen.removeMarkers([ort.locationid]);
+		
+		zeigeOrtAufKarte(ort);
+		
+		zeigeOrte();
+		
+		_.id('myModalLabel2').innerHTML = 'Ort gespeichert';
+		_.id('generalOkMessage').textContent = 'Der Ort "' + ort.name + '" wurde geändert!';
+		
+		$('#generalOk').modal('show');
+	};
+	
+	var umbenennen = function() {
+		if(name === ort.name) {
+			fertig();
+			
+			return;
+		}
+		
+		daten.updateOrtName(ort.locationid, name, function(err) {
+			if(err !== undefined) return;
+			
+			delete orte[ort.name];
+			
+			ort.name = name;
+			orte[name] = ort;
+			
+			fertig();
+		});
+	};
+	
+	if(Number.isNaN(radius)) {
+		umbenennen();
+		
+		return;
+	}
+	
+	// Berechne die Bounding Box wie bei einem neuen Ort um den bisherigen Mittelpunkt
+	geolocation.computeMidpoint(ort.lat1, ort.long1, ort.lat2, ort.long2, function(latLon) {
+		var lat1, lat2, lon1, lon2, loaded = 0;
+		
+		var callback = function() {
+			++loaded;
+			
+			if(loaded === 2) {
+				daten.updateOrtBoundingBox(ort.locationid, lon1, lat1, lon2, lat2, function(err) {
+					if(err !== undefined) return;
+					
+					ort.long1 = lon1;
+					ort.lat1 = lat1;
+					ort.long2 = lon2;
+					ort.lat2 = lat2;
+					
+					umbenennen();
+				});
+			}
+		};
+		
+		geolocation.computeLatLon(latLon.lat, latLon.lon, radius, 45, function(obj) {
+			lat1 = obj.lat;
+			lon1 = obj.lon;
+			
+			callback();
+		});
+		geolocation.computeLatLon(latLon.lat, latLon.lon, radius, 225, function(obj) {
+			lat2 = obj.lat;
+			lon2 = obj.lon;
+			
+			callback();
+		});
+	});
+}
+
+/**
+ * Zeigt die gespeicherten Orte in der Tabelle auf der Seite "Neuen Ort anlegen" an
+ **/
+function zeigeOrte() {
+	var tbody = $('#tabelleOrte tbody'), namen = Object.keys(orte).sort(), i, j;
+	
+	tbody.empty();
+	
+	for(i=0,j=namen.length;i<j;++i) {
+		(function(ort) {
+			var name = $('<input/>').attr('type', 'text').addClass('form-control input-sm').val(ort.name),
+				radius = $('<input/>').attr({'type': 'number', 'step': '0.01', 'min': '0.01', 'placeholder': 'unverändert'})
+								.addClass('form-control input-sm');
+			
+			tbody.append($('<tr/>')
+				.append($('<td/>').text(ort.locationid))
+				.append($('<td/>').append(name))
+				.append($('<td/>').append(radius))
+				.append($('<td/>')
+					.append($('<button/>').attr('type', 'button').addClass('btn btn-default btn-xs').text('Speichern')
+								.click(function() { speichereOrt(ort, name.val(), parseFloat(radius.val())); }))
+					.append(' ')
+					.append($('<button/>').attr('type', 'button').addClass('btn btn-default btn-xs').text('Auswertung neu berechnen')
+								.click(function() {
+									var knopf = $(this).prop('disabled', true);
+									
+									// Die Referenzzeiten und Auswertungen werden in einer Transaktion ersetzt; Fehler zeigt die Datenbank an
+									daten.berechneAuswertung(ort.locationid, function(err) {
+										knopf.prop('disabled', false);
+										
+										if(err !== undefined) return;
+										
+										_.id('myModalLabel2').innerHTML = 'Auswertung berechnet';
+										_.id('generalOkMessage').textContent = 'Die Auswertung des Ortes "' + ort.name + '" wurde neu berechnet!';
+										
+										$('#generalOk').modal('show');
+									});
+								}))
+					.append(' ')
+					.append(bestaetigenKnopf('Löschen', function() {
+						// Loescht den Ort mit allen Wetterdaten, Tweets, ... aus der Datenbank
+						daten.deleteOrt(ort.locationid, function(err) {
+							if(err !== undefined) return;
+							
+							entferneOrt(ort.locationid);
+							
+							zeigeOrte();
+							
+							_.id('myModalLabel2').innerHTML = 'Ort gelöscht';
+							_.id('generalOkMessage').textContent = 'Der Ort "' + ort.name + '" wurde mit allen Daten gelöscht!';
+							
+							$('#generalOk').modal('show');
+						});
+					}))));
+		})(orte[namen[i]]);
+	}
+}
+
+/**
+ * Laedt die Anzahl und die Liste der gespeicherten Schluessel
+ **/
+function ladeKeys() {
+	daten.getNumberOfKeys(function(err, data) {
+		if(err !== undefined) return;
+		
+		var i, j;
+		
+		_.id('key_twitter_anzahl').innerHTML = 0;
+		_.id('key_owm_anzahl').innerHTML = 0;
+		
+		for(i=0,j=data.length;i<j;++i) {
+			_.id('key_' + data[i].keytype + '_anzahl').innerHTML = data[i].anzahl;
+		}
+	});
+	daten.getKeys(function(err, data) {
+		var tbody = $('#tabelleKeys tbody'), i, j;
+		
+		tbody.empty();
+		
+		for(i=0,j=data.length;i<j;++i) {
+			(function(key) {
+				tbody.append($('<tr/>')
+					.append($('<td/>').text(key.keyname))
+					.append($('<td/>').text((key.keytype === 'owm') ? 'Openweathermap' : 'Twitter'))
+					.append($('<td/>').text('…' + key.ende))
+					.append($('<td/>').append(bestaetigenKnopf('Widerrufen', function() {
+						daten.deleteKey(key.keyname, function(err) {
+							if(err === undefined) ladeKeys();
+						});
+					}))));
+			})(data[i]);
+		}
+	});
+}
+
+/**
+ * Fuellt das Formular fuer die Verbindungsprofile; ohne Profil wird das Formular fuer ein neues Profil geleert
+ * [@param profil] Das Profil
+ **/
+function fuelleProfilFormular(profil) {
+	if(profil === undefined) {
+		profil = {'typ': 'mssql'};
+	}
+	
+	profilBearbeitet = profil.name;
+	
+	_.id('profilName').value = (profil.name !== undefined) ? profil.name : '';
+	_.id('profilTyp').value = profil.typ;
+	_.id('profilPraefix').value = (profil.praefix !== undefined) ? profil.praefix : '';
+	_.id('profilServer').value = (profil.server !== undefined) ? profil.server : '';
+	_.id('profilPort').value = (profil.port !== undefined) ? profil.port : '';
+	_.id('profilDatabase').value = (profil.database !== undefined) ? profil.database : '';
+	_.id('profilUser').value = (profil.user !== undefined) ? profil.user : '';
+	_.id('profilDatei').value = (profil.datei !== undefined) ? profil.datei : '';
+	_.id('profilTestdaten').value = (profil.testdaten !== undefined) ? profil.testdaten : '';
+	
+	// Das Passwort wird nie angezeigt; bleibt das Feld leer, wird das gespeicherte Passwort behalten
+	_.id('profilPassword').value = '';
+	_.id('profilPassword').placeholder = (profil.name === undefined) ? 'Passwort' :
+				verbindungsprofile.passwortFehlt(profil.name) ? 'Passwort erneut eingeben' : 'Passwort (leer lassen = unverändert)';
+	
+	$('#profilTyp').change();
+}
+
+/**
+ * Liest das Formular fuer die Verbindungsprofile aus
+ * @return Das Profil
+ **/
+function leseProfilFormular() {
+	var profil = {'name': _.id('profilName').value, 'typ': _.id('profilTyp').value, 'praefix': _.id('profilPraefix').value.trim()}, port;
+	
+	if(profil.typ === 'sqlite') {
+		profil.datei = _.id('profilDatei').value.trim();
+		profil.testdaten = _.id('profilTestdaten').value.trim();
+	} else {
+		profil.server = _.id('profilServer').value.trim();
+		profil.database = _.id('profilDatabase').value.trim();
+		profil.user = _.id('profilUser').value;
+		profil.password = _.id('profilPassword').value;
+		
+		port = parseInt(_.id('profilPort').value, 10);
+		
+		if(!Number.isNaN(port)) {
+			profil.port = port;
+		}
+	}
+	
+	return profil;
+}
+
+/**
+ * Zeigt die Verbindungsprofile in der Tabelle auf der Seite Datenbank an
+ **/
+function zeigeProfile() {
+	var tbody = $('#tabelleProfile tbody'), liste = verbindungsprofile.liste(), i, j;
+	
+	tbody.empty();
+	
+	for(i=0,j=liste.length;i<j;++i) {
+		(function(profil) {
+			var aktionen = $('<td/>').append($('<button/>').attr('type', 'button').addClass('btn btn-default btn-xs').text('Bearbeiten')
+								.click(function() { fuelleProfilFormular(profil); }));
+			
+			if(!profil.aktiv) {
+				aktionen.append(' ').append($('<button/>').attr('type', 'button').addClass('btn btn-default btn-xs').text('Aktivieren')
+								.click(function() {
+									verbindungsprofile.aktivieren(profil.name);
+									
+									// Die Anwendung wird mit dem neuen Profil neu geladen
+									datenbank.close();
+									
+									window.location.reload();
+								}));
+				aktionen.append(' ').append($('<button/>').attr('type', 'button').addClass('btn btn-default btn-xs').text('Löschen')
+								.click(function() {
+									verbindungsprofile.loeschen(profil.name);
+									
+									if(profilBearbeitet === profil.name) {
+										fuelleProfilFormular();
+									}
+									
+									zeigeProfile();
+								}));
+			}
+			
+			tbody.append($('<tr/>').addClass(profil.aktiv ? 'success' : '')
+				.append($('<td/>').text(profil.name + (profil.aktiv ? ' (aktiv)' : '')))
+				.append($('<td/>').text(profil.typ))
+				.append($('<td/>').text((profil.typ === 'sqlite') ? ((profil.datei !== undefined) ? profil.datei : 'Datenverzeichnis') :
+								profil.server + ((profil.port !== undefined) ? ':' + profil.port : '')))
+				.append($('<td/>').text((profil.database !== undefined) ? profil.database : ''))
+				.append($('<td/>').text((profil.praefix !== undefined) ? profil.praefix : ''))
+				.append(aktionen));
+		})(liste[i]);
+	}
+}
+
+/**
+ * Zeigt die Version des Datenbankschemas auf der Seite Datenbank an
+ * @param status Der Status der Migrationen
+ **/
+function zeigeSchemaversion(status) {
+	$(document).ready(function() {
+		var text = 'Das Datenbankschema hat die Version ' + status.version + ', benötigt wird die Version ' + status.ziel + '.';
+		
+		if(status.version === undefined) {
+			text = 'Die Version des Datenbankschemas konnte nicht abgefragt werden.';
+		} else if(status.fehlend.length > 0) {
+			text += ' Es fehlen die Spalten ' + status.fehlend.join(', ') + '.';
+		}
+		
+		$('#schemaversion').text(text).css('color', status.kompatibel ? '' : '#F55');
+	});
+}
+
+/**
+ * Fuellt die Auswahl der Orte, mit denen der angezeigte Ort verglichen werden kann; verglichen werden bis zu drei Orte
+ * @param id Die ID des Ortes
+ * @param text Der Name des Ortes
+ * @param vergleich Die Orte, mit denen bereits verglichen wird, als [{id, name}]
+ **/
+function zeigeVergleichAuswahl(id, text, vergleich) {
+	var ul = $('#OrtVergleich ul'), namen = [], ids = ['' + id], i, j;
+	
+	for(i=0,j=vergleich.length;i<j;++i) {
+		ids.push('' + vergleich[i].id);
+	}
+	
+	for(i in orte) {
+		if(ids.indexOf('' + orte[i].locationid) === -1) {
+			namen.push(i);
+		}
+	}
+	
+	namen.sort();
+	
+	ul.empty();
+	
+	if(vergleich.length < 2) {
+		for(i=0,j=namen.length;i<j;++i) {
+			ul.append($('<li/>').append($('<a/>').attr('href', '#').text(namen[i]).click((function(ort) {
+				return function() {
+					ladeVisualisierung(id, text, vergleich.concat([{'id': '' + ort.locationid, 'name': ort.name}]));
+				};
+			})(orte[namen[i]]))));
+		}
+	}
+	
+	if(vergleich.length > 0) {
+		if(vergleich.length < 2 && namen.length > 0) {
+			ul.append($('<li/>').addClass('divider'));
+		}
+		
+		ul.append($('<li/>').append($('<a/>').attr('href', '#').text('Vergleich beenden').click(function() {
+			ladeVisualisierung(id, text);
+		})));
+	}
+	
+	$('#OrtVergleich').toggle(ul.children().length > 0);
+}
+
 /**
  * Zeigt die Visualisierung fuer einen Orte
  * @param id Die ID des Ortes
  * @param text Der Name des Ortes
+ * [@param vergleich] Die Orte, mit denen verglichen wird, als [{id, name}]
  **/
-var ladeVisualisierung = function(id, text) {
+var ladeVisualisierung = function(id, text, vergleich) {
+	// Die Abfragen der Visualisierung setzen ein aktuelles Datenbankschema voraus
+	if(!migration.status().kompatibel) {
+		_.id('generalErrorMessage').innerHTML = 'Das Datenbankschema ist nicht aktuell, die Visualisierung kann nicht geöffnet werden!'
+									+ ' Die Migrationen können im Reiter Datenbank ausgeführt werden.';
+		
+		$('#generalError').modal('show');
+		
+		return;
+	}
+	
 	$("#karte").css({'position': 'absolute', 'bottom': '-5000px', 'left': '-5000px'});
 	
 	$('#OrtWahl').parent().hide();
 	
+	if(vergleich === undefined) {
+		vergleich = [];
+	}
+	
 	$("#textVisualisierungAnzeigen").hide();
-	$("#ausgewaehlterOrt").show().find("h4").text(text);
+	$("#ausgewaehlterOrt").show().find("h4").text(text + ((vergleich.length > 0) ? ' im Vergleich mit '
+								+ vergleich.map(function(eintrag) { return eintrag.name; }).join(' und ') : ''));
 	$("#visuBild").show();
 	
+	zeigeVergleichAuswahl(id, text, vergleich);
+	
 	if(visualisierung_activ) {
 		$("#visuBild").empty();
 	}
@@ -78,28 +510,25 @@ var ladeVisualisierung = function(id, text) {
 	
 	$('.VisualisierungDaten').show();
 	
-	startVisualisierung(id, 'visuBild', 'checkBoxDaten');
+	startVisualisierung(id, 'visuBild', 'checkBoxDaten', 'auswahlStatistik', text, vergleich);
 }
 
 /**
- * Laedt die Anzahl der verfuegbaren Schluessel
+ * Bringt das Datenbankschema auf den aktuellen Stand
  **/
-daten.getNumberOfKeys(function(err, data) {
-	if(err === undefined) {
-		_.addToStart(function() {
-			var i, j;
-			
-			for(i=0,j=data.length;i<j;++i) {
-				_.id('key_' + data[i].keytype + '_anzahl').innerHTML = data[i].anzahl;
-			}
-		});
-	}
+migration.aktualisieren(zeigeSchemaversion);
+
+/**
+ * Laedt die verfuegbaren Schluessel
+ **/
+migration.bereit(function() {
+	_.addToStart(ladeKeys);
 });
 
 /**
  * Laedt die Orte aus der Datenbank
  **/
-daten.getOrte(function(err, data) {
+migration.bereit(daten.getOrte.bind(daten, function(err, data) {
 	if(err === undefined) {
 		$(document).ready(function(){
 			var i, j, namen = [];
@@ -110,22 +539,13 @@ daten.getOrte(function(err, data) {
 				
 				namen.push(data[i].name);
 				
-				(function(data) {
-					geolocation.computeMidpoint(data.lat1, data.long1, data.lat2, data.long2, function(latLon) {
-						// Da in Bayreuth zu wenig Tweets, ist die Position in der Datenbank verschoben
-						if(data.name === 'Bayreuth') {
-							latLon.lat = 49.948059;
-							latLon.lon = 11.57833;
-						}
-						
-						karteOrtAuswaehlen.addMarker(data.locationid, {'latLng': [latLon.lat, latLon.lon], 'name': data.name,
-								'locationIdDB': data.locationid});
-					});
-				})(data[i]);
+				zeigeOrtAufKarte(data[i]);
 			}
 			
 			namen.sort();
 			
+			zeigeOrte();
+			
 			var ul = $('#OrtWahl ul'),
 				ulImporter = $('#OrtWahlImporter ul');
 			
@@ -175,7 +595,7 @@ daten.getOrte(function(err, data) {
 			});
 		});
 	}
-});
+}));
 
 /**
  * Die Funktionen, die beim Start ausgefuehrt werden sollen
@@ -208,6 +628,7 @@ $(document).ready(function(){
 			$('#OrtWahl').parent().show();
 			
 			$('.VisualisierungDaten').hide();
+			$('#auswahlStatistik').hide().empty();
 		}
 	});
 	
@@ -281,6 +702,13 @@ $(document).ready(function(){
 	//Click-Funktion Keymanagement-Reiter
 	$("#reiterKeymanagement").click(function () {
 		hidePages ('SeiteKeymanagement');
+		
+		ladeKeys();
+	});
+	
+	//Click-Funktion Datenbank-Reiter
+	$("#reiterDatenbank").click(function() {
+		hidePages('SeiteDatenbank');
 	});
 	
 	//Neuen Ort einspeichern
@@ -338,22 +766,31 @@ $(document).ready(function(){
 			++loaded;
 			
 			if(loaded === 2) {
-				datenbank.insertOrt(lastCity.id, lastCity.nm, lon1, lat1, lon2, lat2);
-				
-				karteOrtAuswaehlen.addMarker(lastCity.id, {'latLng': [lastCity.lat, lastCity.lon], 'name': lastCity.nm,
-								'locationIdDB': lastCity.id});
-				
-				addOrt({'name': lastCity.nm, 'locationid': lastCity.id, 'lat1': lat1, 'lat2': lat2, 'long1': lon1, 'long2': lon2});
+				var city = lastCity;
 				
-				_.id('myModalLabel2').innerHTML = 'Ort gespeichert';
-				_.id('generalOkMessage').innerHTML = 'Der neue Ort "' + lastCity.nm + '" wurde gespeichert!';
-				
-				$('#generalOk').modal('show');
-				
-				lastCity = null;
-				
-				$("#OrtName").val('');
-				$("#area").val('');
+				datenbank.insertOrt(city.id, city.nm, lon1, lat1, lon2, lat2, function(err) {
+					// Der Fehler wird von der Datenbank angezeigt
+					if(err !== undefined) return;
+					
+					karteOrtAuswaehlen.addMarker(city.id, {'latLng': [city.lat, city.lon], 'name': city.nm,
+									'locationIdDB': city.id});
+					
+					addOrt({'name': city.nm, 'locationid': city.id, 'lat1': lat1, 'lat2': lat2, 'long1': lon1, 'long2': lon2});
+					
+					zeigeOrte();
+					
+					_.id('myModalLabel2').innerHTML = 'Ort gespeichert';
+					_.id('generalOkMessage').innerHTML = 'Der neue Ort "' + city.nm + '" wurde gespeichert!';
+					
+					$('#generalOk').modal('show');
+					
+					if(lastCity === city) {
+						lastCity = null;
+						
+						$("#OrtName").val('');
+						$("#area").val('');
+					}
+				});
 			}
 		};
 		
@@ -409,10 +846,136 @@ $(document).ready(function(){
 	});
 	//Twitter-Key Speichern
 	$("#TwitterKeySpeichern").click(function() {
-		daten.insertTwitterKey(_.id('twitterAPIKey').value, _.id('twitterAPISecret').value, _.id('accessToken').value, _.id('tokenSecret').value);
+		daten.insertTwitterKey(_.id('twitterAPIKey').value, _.id('twitterAPISecret').value, _.id('accessToken').value, _.id('tokenSecret').value,
+								ladeKeys);
 	});
 	//OWM-Key Speichern
 	$("#OWMKeySpeichern").click(function() {
-		daten.insertOWMKey(_.id('OWMAPIKey').value);
+		daten.insertOWMKey(_.id('OWMAPIKey').value, ladeKeys);
 	});
-});
+
+	
+	//Verbindungsprofile anzeigen
+	zeigeProfile();
+	fuelleProfilFormular();
+	//Die Passphrase nur anzeigen, solange die gespeicherten Passwoerter nicht entsperrt sind
+	if(verbindungsprofile.gesperrt()) {
+		_.id('passphraseHinweis').textContent = verbindungsprofile.passphraseFestgelegt() ?
+			'Die gespeicherten Passwörter der Profile werden erst nach Eingabe der Passphrase entschlüsselt.' :
+			'Es wurde noch keine Passphrase festgelegt. Mit ihr werden die Passwörter der Profile verschlüsselt; sie wird nicht gespeichert und muss bei jedem Start eingegeben werden.';
+	} else {
+		$(".passphrase").hide();
+	}
+	//Ist das Passwort des aktiven Profils gespeichert, aber noch gesperrt, wird die Passphrase auf der Seite Datenbank abgefragt;
+	//fehlt es (erster Start, nicht entschluesselbar), wird das Passwort abgefragt
+	if(verbindungsprofile.gesperrt(verbindungsprofile.aktiv())) {
+		hidePages('SeiteDatenbank');
+		
+		_.id('profilPassphrase').focus();
+	} else if(verbindungsprofile.passwortFehlt(verbindungsprofile.aktiv())) {
+		hidePages('SeiteDatenbank');
+		
+		fuelleProfilFormular(verbindungsprofile.liste().filter(function(profil) { return profil.aktiv; })[0]);
+		
+		_.id('profilPassword').focus();
+	}
+	//Je nach Datenbanktyp die Felder fuer den Server oder die Datei anzeigen
+	$("#profilTyp").change(function() {
+		if(this.value === 'sqlite') {
+			$(".profilServer").hide();
+			$(".profilDatei").show();
+		} else {
+			$(".profilDatei").hide();
+			$(".profilServer").show();
+		}
+	}).change();
+	//Offene Migrationen ausfuehren, z.B. nach einem Fehler
+	$("#MigrationenAusfuehren").click(function() {
+		migration.aktualisieren(zeigeSchemaversion);
+	});
+	//Den Cache der Diagrammdaten auf der Festplatte loeschen
+	$("#CacheLeeren").click(function() {
+		daten_cache.festplatteLeeren();
+		
+		_.id('myModalLabel2').innerHTML = 'Cache geleert';
+		_.id('generalOkMessage').innerHTML = 'Der Cache der Diagrammdaten wurde gelöscht, die Daten werden beim nächsten Öffnen neu geholt.';
+		
+		$('#generalOk').modal('show');
+	});
+	//Die gespeicherten Passwoerter mit der Passphrase entsperren bzw. die Passphrase festlegen
+	$("#PassphraseEntsperren").click(function() {
+		var neuLaden = verbindungsprofile.gesperrt(verbindungsprofile.aktiv()),
+			fehler = verbindungsprofile.entsperren(_.id('profilPassphrase').value);
+		
+		_.id('profilPassphrase').value = '';
+		
+		if(fehler !== undefined) {
+			_.id('generalErrorMessage').textContent = fehler;
+			
+			$('#generalError').modal('show');
+			
+			return;
+		}
+		
+		//Neu laden, damit die Datenbank mit dem entschluesselten Passwort des aktiven Profils verbunden wird
+		if(neuLaden) {
+			datenbank.close();
+			
+			window.location.reload();
+			
+			return;
+		}
+		
+		$(".passphrase").hide();
+		
+		_.id('myModalLabel2').innerHTML = 'Passphrase';
+		_.id('generalOkMessage').innerHTML = 'Die gespeicherten Passwörter sind entsperrt, neue Passwörter können gespeichert werden.';
+		
+		$('#generalOk').modal('show');
+	});
+	$("#profilPassphrase").on('keydown', function(e) {
+		if(e.keyCode === 13) $("#PassphraseEntsperren").click();
+	});
+	//Neues Profil anlegen
+	$("#ProfilNeu").click(function() {
+		fuelleProfilFormular();
+	});
+	//Verbindung mit den Daten aus dem Formular testen; Fehler werden ueber die Fehlermeldungen der Datenbank angezeigt
+	$("#ProfilTesten").click(function() {
+		datenbank.testeVerbindung(verbindungsprofile.vervollstaendigen(leseProfilFormular()), function(err, data) {
+			if(err !== undefined) return;
+			
+			_.id('myModalLabel2').innerHTML = 'Verbindung erfolgreich';
+			_.id('generalOkMessage').innerHTML = 'Die Verbindung zur Datenbank wurde hergestellt, es sind ' + data[0].anzahl + ' Orte gespeichert.';
+			
+			$('#generalOk').modal('show');
+		});
+	});
+	//Profil speichern
+	$("#ProfilSpeichern").click(function() {
+		var profil = leseProfilFormular(), fehler = verbindungsprofile.speichern(profil, profilBearbeitet);
+		
+		if(fehler !== undefined) {
+			_.id('generalErrorMessage').textContent = fehler;
+			
+			$('#generalError').modal('show');
+			
+			return;
+		}
+		
+		profilBearbeitet = profil.name.trim();
+		
+		_.id('profilPassword').value = '';
+		_.id('profilPassword').placeholder = verbindungsprofile.passwortFehlt(profilBearbeitet) ? 'Passwort erneut eingeben' :
+					'Passwort (leer lassen = unverändert)';
+		
+		zeigeProfile();
+		
+		_.id('myModalLabel2').innerHTML = 'Profil gespeichert';
+		_.id('generalOkMessage').textContent = 'Das Verbindungsprofil "' + profilBearbeitet + '" wurde gespeichert!'
+			+ ((profilBearbeitet === verbindungsprofile.aktiv()) ?
+				' Die Änderungen werden beim nächsten Start verwendet.' : '');
+		
+		$('#generalOk').modal('show');
+	});
+});
\ No newline at end of file
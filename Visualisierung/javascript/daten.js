@@ -41,7 +41,7 @@
 	 * @param time_split Die Groesse, die ein Zeitabschnitt haben soll
 	 * @param standort Der Standort
 	 * @param callback Die Callback Funktion
-	 * @param nr Die gesuchten Zeitabschnitte
+	 * @param nr Die gesuchten Zeitabschnitte als [[von, bis], ...]
 	 **/
 	_.getMultipleWetterdatenAVG = function(date_von, date_bis, time_split, standort, callback, nr) {
 		datenbank.getMultipleWetterdatenAVG(date_von, date_bis, time_split, standort, function(err, data) {
@@ -60,7 +60,7 @@
 	 * @param time_split Die Groesse, die ein Zeitabschnitt haben soll
 	 * @param standort Der Standort
 	 * @param callback Die Callback Funktion
-	 * @param nr Die gesuchten Zeitabschnitte
+	 * @param nr Die gesuchten Zeitabschnitte als [[von, bis], ...]
 	 **/
 	_.getMultipleTwitterdatenAVG = function(date_von, date_bis, time_split, standort, callback, nr) {
 		datenbank.getMultipleTwitterdatenAVG(date_von, date_bis, time_split, standort, function(err, data) {
@@ -79,7 +79,7 @@
 	 * @param time_split Die Groesse, die ein Zeitabschnitt haben soll
 	 * @param standort Der Standort
 	 * @param callback Die Callback Funktion
-	 * @param nr Die gesuchten Zeitabschnitte
+	 * @param nr Die gesuchten Zeitabschnitte als [[von, bis], ...]
 	 **/
 	_.getMultipleBadegaeste = function(date_von, date_bis, time_split, standort, callback, nr) {
 		datenbank.getMultipleBadegaeste(date_von, date_bis, time_split, standort, function(err, data) {
@@ -94,7 +94,8 @@
 					nr = ref.nr - 1;
 					
 					for(k=1;k<=anzahl && nr > lastNr;++k,--nr) {
-							toAdd.push({'nr': nr, 'badegaeste': ref.badegaeste});
+							toAdd.push({'nr': nr, 'badegaeste': ref.badegaeste, 'badegaeste_min': ref.badegaeste_min,
+										'badegaeste_max': ref.badegaeste_max, 'badegaeste_anzahl': ref.badegaeste_anzahl});
 					}
 					
 					lastNr = ref.nr;
@@ -114,7 +115,7 @@
 	 * @param time_split Die Groesse, die ein Zeitabschnitt haben soll
 	 * @param standort Der Standort
 	 * @param callback Die Callback Funktion
-	 * @param nr Die gesuchten Zeitabschnitte
+	 * @param nr Die gesuchten Zeitabschnitte als [[von, bis], ...]
 	 **/
 	_.getMultipleAuswertungAVG = function(date_von, date_bis, time_split, standort, callback, nr) {
 		datenbank.getMultipleAuswertungAVG(date_von, date_bis, time_split, standort, callback, nr);
@@ -154,6 +155,15 @@
 		});
 	};
 	
+	/**
+	 * Frage den Zeitraum ab, in dem Daten zu einem Standort vorhanden sind
+	 * @param standort Der Standort
+	 * @param callback Die Callback Funktion; bekommt den Zeitraum als [von, bis] oder null
+	 **/
+	_.getZeitraum = function(standort, callback) {
+		datenbank.getZeitraum(standort, callback);
+	};
+	
 	/**
 	 * Fraegt die 5 meist verwendeten Twitterprogramme ab
 	 * @param standort Der Standort
@@ -192,9 +202,10 @@
 	/**
 	 * Fuegt einen Openweathermap Schluessel ein
 	 * @param weatherkey Der Schluessel fuer Openweathermap
+	 * [@param callback] Die Funktion, die nach dem Speichern aufgerufen wird
 	 **/
-	_.insertOWMKey = function(weatherkey) {
-		datenbank.insertKey('owm', weatherkey, '', '', '', '');
+	_.insertOWMKey = function(weatherkey, callback) {
+		datenbank.insertKey('owm', weatherkey, '', '', '', '', callback);
 	};
 	
 	/**
@@ -203,9 +214,166 @@
 	 * @param consumerkeysecret Der Secret Consumerkey
 	 * @param accesstoken Das Accesstoken
 	 * @param accesstokensecret Das Secret Accesstoken
+	 * [@param callback] Die Funktion, die nach dem Speichern aufgerufen wird
+	 **/
+	_.insertTwitterKey = function(consumerkey, consumerkeysecret, accesstoken, accesstokensecret, callback) {
+		datenbank.insertKey('twitter', '', consumerkey, consumerkeysecret, accesstoken, accesstokensecret, callback);
+	};
+	
+	/**
+	 * Fraegt die gespeicherten Schluessel ab; von den Schluesseln werden nur die letzten 4 Zeichen zurueckgegeben
+	 * @param callback Die Callback Funktion
+	 **/
+	_.getKeys = function(callback) {
+		datenbank.getKeys(function(err, data) {
+			if(err !== undefined) {
+				callback.call(this, err, []);
+			} else {
+				var i, j, key, ret = [];
+				
+				for(i=0,j=data.length;i<j;++i) {
+					key = (data[i].keytype === 'owm') ? data[i].weatherkey : data[i].consumerkey;
+					
+					ret.push({'keyname': data[i].keyname, 'keytype': data[i].keytype,
+								'ende': ((typeof key) === 'string') ? key.substr(-4) : ''});
+				}
+				
+				callback.call(this, err, ret);
+			}
+		});
+	};
+	
+	/**
+	 * Widerruft einen Schluessel
+	 * @param keyname Der Name des Schluessels
+	 * @param callback Die Callback Funktion
+	 **/
+	_.deleteKey = function(keyname, callback) {
+		datenbank.deleteKey(keyname, callback);
+	};
+	
+	/**
+	 * Benennt einen Ort um
+	 * @param locationid Die ID des Ortes
+	 * @param name Der neue Name
+	 * @param callback Die Callback Funktion
+	 **/
+	_.updateOrtName = function(locationid, name, callback) {
+		datenbank.updateOrtName(locationid, name, callback);
+	};
+	
+	/**
+	 * Aendert die Bounding Box eines Ortes; der Cache des Ortes auf der Festplatte wird geloescht, da die Daten danach
+	 * aus einem anderen Gebiet kommen koennen
+	 * @param locationid Die ID des Ortes
+	 * @param long1 Die Longitude 1 der Bounding Box
+	 * @param lat1 Die Latitude 1 der Bounding Box
+	 * @param long2 Die Longitude 2 der Bounding Box
+	 * @param lat2 Die Latitude 2 der Bounding Box
+	 * @param callback Die Callback Funktion
+	 **/
+	_.updateOrtBoundingBox = function(locationid, long1, lat1, long2, lat2, callback) {
+		datenbank.updateOrtBoundingBox(locationid, long1, lat1, long2, lat2, function(err, data) {
+			if(err === undefined) {
+				daten_cache.festplatteLeeren(locationid);
+			}
+			
+			callback(err, data);
+		});
+	};
+	
+	/**
+	 * Loescht einen Ort mit allen zugehoerigen Daten; die Zeitabschnitte des Ortes im Cache auf der Festplatte werden mit
+	 * geloescht
+	 * @param locationid Die ID des Ortes
+	 * @param callback Die Callback Funktion
+	 **/
+	_.deleteOrt = function(locationid, callback) {
+		datenbank.deleteOrt(locationid, function(err, data) {
+			if(err === undefined) {
+				daten_cache.festplatteLeeren(locationid);
+			}
+			
+			callback(err, data);
+		});
+	};
+	
+	/**
+	 * Berechnet die Referenzzeiten und Auswertungen eines Ortes fuer den gesamten Zeitraum mit Daten neu; die alten
+	 * Auswertungen im Cache auf der Festplatte werden geloescht
+	 * @param locationid Die ID des Ortes
+	 * @param callback Die Callback Funktion
+	 **/
+	_.berechneAuswertung = function(locationid, callback) {
+		datenbank.getZeitraum(locationid, function(err, zeitraum) {
+			if(err === undefined && zeitraum === null) {
+				err = 'Zu dem Ort sind keine Daten vorhanden!';
+				
+				error.add(['Auswertung berechnen', err]);
+			}
+			
+			if(err !== undefined) {
+				callback(err);
+				
+				return;
+			}
+			
+			datenbank.berechneAuswertung(locationid, zeitraum[0], zeitraum[1], function(err) {
+				if(err === undefined) {
+					daten_cache.festplatteLeeren(locationid);
+				}
+				
+				callback(err);
+			});
+		});
+	};
+	
+	/**
+	 * Frage die Markierungen eines Ortes ab
+	 * @param standort Der Standort
+	 * @param callback Die Callback Funktion
+	 **/
+	_.getMarkierungen = function(standort, callback) {
+		datenbank.getMarkierungen(standort, function(err, data) {
+			if(err !== undefined) {
+				callback.call(this, err, []);
+			} else {
+				callback.call(this, err, data);
+			}
+		});
+	};
+	
+	/**
+	 * Fuegt eine Markierung ein
+	 * @param standort Der Standort
+	 * @param von Der Anfang als Timestamp
+	 * @param bis Das Ende als Timestamp, bei einem Zeitpunkt gleich von
+	 * @param titel Der Titel
+	 * @param beschreibung Der Text zu der Markierung
+	 * @param callback Die Callback Funktion; bekommt die ID der neuen Markierung
+	 **/
+	_.insertMarkierung = function(standort, von, bis, titel, beschreibung, callback) {
+		datenbank.insertMarkierung(standort, von, bis, titel, beschreibung, callback);
+	};
+	
+	/**
+	 * Aendert den Titel und den Text einer Markierung
+	 * @param markierungid Die ID der Markierung
+	 * @param titel Der neue Titel
+	 * @param beschreibung Der neue Text
+	 * @param callback Die Callback Funktion
+	 **/
+	_.updateMarkierung = function(markierungid, titel, beschreibung, callback) {
+		datenbank.updateMarkierung(markierungid, titel, beschreibung, callback);
+	};
+	
+	/**
+	 * Loescht eine Markierung
+	 * @param markierungid Die ID der Markierung
+	 * @param callback Die Callback Funktion
 	 **/
-	_.insertTwitterKey = function(consumerkey, consumerkeysecret, accesstoken, accesstokensecret) {
-		datenbank.insertKey('twitter', '', consumerkey, consumerkeysecret, accesstoken, accesstokensecret);
+	_.deleteMarkierung = function(markierungid, callback) {
+		datenbank.deleteMarkierung(markierungid, callback);
 	};
 	
 	/**
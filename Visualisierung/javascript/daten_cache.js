@@ -11,14 +11,45 @@
  * daten_cacheObjekt = new daten_cache(ort);
  * daten_cacheObjekt.showData(...)
  * daten_cacheObjekt.getNearest(...)
+ * daten_cacheObjekt.getBereich(...)
  * 
  **/
 
 (function(root, name) {
 	var old = root[name];
 	
+	var fs = require('fs'), dataPath = require('nw.gui').App.dataPath;
+	
+	// Das Verzeichnis, in dem die abgeschlossenen Zeitabschnitte je Profil, Ort und Datenbankfunktion gespeichert werden
+	var verzeichnis = dataPath + '/daten_cache';
+	
+	// Die Sekunden nach dem Ende eines Zeitabschnitts, ab denen er als abgeschlossen gilt; die Importer tragen die Daten
+	// verzoegert ein und die Badegaeste sind um zwei Stunden verschoben
+	var nachlauf = 3 * 3600;
+	
+	// Die Objekte mit Zeitabschnitten im Speicher; das Budget gilt fuer alle zusammen
+	var objekte = [];
+	
+	// Der geschaetzte Speicher der Zeitabschnitte aller Objekte in Byte
+	var belegtGesamt = 0;
+	
+	// Zaehlt die Zugriffe aller Objekte, damit die am laengsten nicht benutzten Zeitabschnitte entfernt werden koennen
+	var zugriff = 0;
+	
+	// Der Typ, unter dem vorausgeladene Daten gesucht werden; es wird dabei nichts gezeichnet
+	var voraus = '_voraus';
+	
+	// Der Typ, unter dem die Daten eines Zeitraums fuer getBereich gesucht werden
+	var bereich = '_bereich';
+	
+	// Die Version der gespeicherten Eintraege; aeltere Dateien enthalten noch nicht alle Werte und werden nicht gelesen
+	var format = 3;
+	
+	// Die Anzahl Zeitabschnitte einer Zoomstufe, die gemeinsam in einer Datei liegen und bei Bedarf zusammen gelesen werden
+	var blockgroesse = 256;
+	
 	/**
-	 * Fuegt die Daten in das Diagramm ein
+	 * Fuegt die Daten in das Diagramm ein; falls vorhanden mit der Spanne von Minimum bis Maximum
 	 * @param timestampFrom Der Zeitpunkt, ab dem der Eintrag gilt
 	 * @param timestampTo Der Zeitpunkt, bis zu dem der Eintrag gilt
 	 * @param data Das Objekt mit den Daten
@@ -27,10 +58,137 @@
 	 **/
 	var insertData = function(timestampFrom, timestampTo, data, typ, createBar) {
 		if(typ in data && data[typ] !== null) {
-			createBar(timestampFrom, timestampTo, data[typ], false);
+			if(data[typ + '_min'] !== undefined && data[typ + '_min'] !== null && data[typ + '_max'] !== undefined && data[typ + '_max'] !== null) {
+				createBar(timestampFrom, timestampTo, data[typ], false, undefined, [data[typ + '_min'], data[typ + '_max']]);
+			} else {
+				createBar(timestampFrom, timestampTo, data[typ], false);
+			}
+		}
+	};
+	
+	/**
+	 * Merkt sich den groessten Wert eines Eintrags
+	 * @param cache Der Cache einer Zoomstufe
+	 * @param data Das Objekt mit den Daten
+	 **/
+	var merkeMaximum = function(cache, data) {
+		var k;
+		
+		for(k in data) {
+			if(k === 'nr') continue;
+			
+			cache.maxValue = Math.max(cache.maxValue, data[k]);
+		}
+	};
+	
+	/**
+	 * Schaetzt den Speicher, den ein Zeitabschnitt im Cache belegt
+	 * @param data Das Objekt mit den Daten
+	 * @return Die Groesse in Byte
+	 **/
+	var groesse = function(data) {
+		var bytes = 64, k;
+		
+		for(k in data) {
+			bytes += 2 * k.length + 24;
+		}
+		
+		return bytes;
+	};
+	
+	/**
+	 * Entfernt die am laengsten nicht benutzten Zeitabschnitte aller Objekte, sobald sie zusammen mehr als
+	 * daten_cache.budget Byte belegen; es wird bis auf 90% des Budgets geleert, damit nicht bei jedem neuen Abschnitt
+	 * aufgeraeumt wird. Noch gesuchte Abschnitte bleiben erhalten, auf der Festplatte werden keine Abschnitte entfernt
+	 **/
+	var aufraeumen = function() {
+		if(belegtGesamt <= _.budget) {
+			return;
+		}
+		
+		var kandidaten = [], ziel = Math.floor(_.budget * 0.9), i, j;
+		
+		for(i=0,j=objekte.length;i<j;++i) {
+			objekte[i].kandidaten(kandidaten);
+		}
+		
+		kandidaten.sort(function(a, b) { return a[0] - b[0]; });
+		
+		for(i=0,j=kandidaten.length;i<j && belegtGesamt>ziel;++i) {
+			kandidaten[i][1].entfernen(kandidaten[i][2], kandidaten[i][3]);
+		}
+		
+		// Objekte ohne Zeitabschnitte im Speicher werden erst beim naechsten Einfuegen wieder gezaehlt
+		objekte = objekte.filter(function(objekt) { return objekt.statistik().eintraege > 0; });
+	};
+	
+	/**
+	 * Addiert die Statistik eines Objekts zu einer Summe
+	 * @param summe Die Summe; wird veraendert
+	 * @param werte Die Statistik des Objekts
+	 **/
+	var addieren = function(summe, werte) {
+		var k;
+		
+		for(k in summe) {
+			if(k !== 'trefferquote' && k !== 'budget') {
+				summe[k] += werte[k];
+			}
 		}
+		
+		summe.trefferquote = (summe.treffer + summe.fehlgriffe > 0) ? summe.treffer / (summe.treffer + summe.fehlgriffe) : 0;
 	};
 	
+	/**
+	 * Gibt den Anfang der Dateinamen zurueck, unter denen der Cache gespeichert wird; die Daten haengen vom aktiven
+	 * Verbindungsprofil ab, je Zoomstufe und Block von Zeitabschnitten gibt es eine Datei <Anfang>_<Breite>_<Block>.json
+	 * @param ort Die ID des Ortes
+	 * @param datenbankFunktion Die Funktion, mit der die Daten geholt werden
+	 * @return Der Anfang des Pfads oder null, falls nichts auf der Festplatte gespeichert werden soll
+	 **/
+	var getDatei = function(ort, datenbankFunktion) {
+		if(!_.festplatte) {
+			return null;
+		}
+		
+		return verzeichnis + '/' + encodeURIComponent(datenbank.getProfil().name + '_' + ort + '_' + datenbankFunktion) + '.v' + format;
+	};
+	
+	/**
+	 * Liest einen Block des Caches von der Festplatte
+	 * @param datei Die Datei
+	 * @return Die Eintraege als {'_<Beginn>': {'daten': ..., 'geholt': <Zeitpunkt>}}
+	 **/
+	var leseDatei = function(datei) {
+		if(!fs.existsSync(datei)) {
+			return {};
+		}
+		
+		try {
+			return JSON.parse(fs.readFileSync(datei, 'utf8'));
+		} catch(e) {
+			error.add(['Cache', e]);
+			
+			return {};
+		}
+	};
+	
+	/**
+	 * Schreibt einen Block des Caches auf die Festplatte
+	 * @param datei Die Datei
+	 * @param eintraege Die Eintraege
+	 **/
+	var schreibeDatei = function(datei, eintraege) {
+		if(!fs.existsSync(verzeichnis)) {
+			fs.mkdirSync(verzeichnis);
+		}
+		
+		fs.writeFile(datei, JSON.stringify(eintraege), function(err) {
+			if(err !== null) {
+				error.add(['Cache', err]);
+			}
+		});
+	};
 	
 	/**
 	 * Erstelle das Objekt
@@ -42,7 +200,211 @@
 			lastNum = {}, // Die aktuellen Nummerierungen, welche Anfrage zuletzt kam
 			lastZoom, // Die letzte Zoomstufe
 			lastStart, // Der linke Rand der Zeit bei der letzten Anfrage
-			createBarByTyp = {}; // Die Methoden, die noch aufgerufen werden sollen
+			createBarByTyp = {}, // Die Methoden, die noch aufgerufen werden sollen
+			datei = getDatei(ort, datenbankFunktion), // Der Anfang der Dateien fuer den Cache auf der Festplatte
+			geladen = {}, // Die Bloecke, deren Zeitabschnitte von der Festplatte vollstaendig im Cache sind
+			ausstehend = {}, // Die abgeschlossenen Zeitabschnitte je Block, die noch auf die Festplatte geschrieben werden
+			speichernGeplant = false, // Ob der Cache demnaechst auf die Festplatte geschrieben wird
+			anzahl = 0, // Die Anzahl der Zeitabschnitte im Cache
+			belegt = 0, // Der geschaetzte Speicher der Zeitabschnitte im Cache in Byte
+			zaehler = {'treffer': 0, 'fehlgriffe': 0, 'entfernt': 0}, // Fuer die Statistik
+			laufend = 0, // Die Anzahl der Suchen fuer die Anzeige, deren Daten noch geholt werden
+			vorausladen = [], // Die noch nicht gestarteten Bereiche zum Vorausladen als [von, bis, sec]
+			vorausLaeuft = false, // Ob gerade Daten vorausgeladen werden
+			vorausTimer = null, // Wartet, bis sich die Anzeige nicht mehr aendert
+			intern = {'ort': ort, 'datenbankFunktion': datenbankFunktion}; // Der Eintrag in objekte fuer das gemeinsame Budget
+		
+		/**
+		 * Gibt den Cache einer Zoomstufe zurueck und legt ihn falls noetig an
+		 * @param timeTyp Die Breite eines Eintrags als '_<Sekunden>'
+		 **/
+		var getCache = function(timeTyp) {
+			if(!(timeTyp in allData)) {
+				allData[timeTyp] = {'searchedFor': {}, 'latest': '', 'maxValue': Number.MIN_VALUE, 'benutzt': {}};
+			}
+			
+			return allData[timeTyp];
+		};
+		
+		/**
+		 * Schreibt einen Zeitabschnitt in den Cache
+		 * @param timeTyp Die Breite eines Eintrags als '_<Sekunden>'
+		 * @param name Der Beginn des Zeitabschnitts als '_<Zeitpunkt>'
+		 * @param data Das Objekt mit den Daten
+		 **/
+		var einfuegen = function(timeTyp, name, data) {
+			var cache = getCache(timeTyp);
+			
+			if(name in cache.benutzt) {
+				belegt -= groesse(cache[name]);
+				belegtGesamt -= groesse(cache[name]);
+			} else {
+				if(anzahl === 0 && objekte.indexOf(intern) === -1) {
+					objekte.push(intern);
+				}
+				
+				++anzahl;
+			}
+			
+			belegt += groesse(data);
+			belegtGesamt += groesse(data);
+			
+			cache[name] = data;
+			cache.benutzt[name] = ++zugriff;
+			
+			merkeMaximum(cache, data);
+		};
+		
+		/**
+		 * Gibt die Datei des Blocks zurueck, in dem ein Zeitabschnitt auf der Festplatte liegt
+		 * @param timeTyp Die Breite eines Eintrags als '_<Sekunden>'
+		 * @param name Der Beginn des Zeitabschnitts als '_<Zeitpunkt>'
+		 * @return Der Pfad zur Datei
+		 **/
+		var blockDatei = function(timeTyp, name) {
+			var add = parseInt(timeTyp.substring(1), 10);
+			
+			return datei + timeTyp + '_' + Math.floor(parseInt(name.substring(1), 10) / (add * blockgroesse)) + '.json';
+		};
+		
+		/**
+		 * Uebernimmt die gespeicherten Zeitabschnitte des Blocks, in dem ein Zeitabschnitt liegt, in den Cache, damit sie nicht
+		 * erneut geholt werden; jeder Block wird nur gelesen, bis einer seiner Zeitabschnitte wieder entfernt wurde
+		 * @param timeTyp Die Breite eines Eintrags als '_<Sekunden>'
+		 * @param name Der Beginn des Zeitabschnitts als '_<Zeitpunkt>'
+		 **/
+		var ladeBlock = function(timeTyp, name) {
+			if(datei === null) {
+				return;
+			}
+			
+			var block = blockDatei(timeTyp, name), eintraege, cache = getCache(timeTyp);
+			
+			if(block in geladen) {
+				return;
+			}
+			
+			geladen[block] = true;
+			
+			eintraege = leseDatei(block);
+			
+			for(name in ausstehend[block]) {
+				eintraege[name] = ausstehend[block][name];
+			}
+			
+			// Zeitabschnitte, die schon im Cache sind oder gerade geholt werden, bleiben unveraendert
+			for(name in eintraege) {
+				if(!(name in cache.searchedFor)) {
+					einfuegen(timeTyp, name, eintraege[name].daten);
+					
+					cache.searchedFor[name] = 0;
+				}
+			}
+		};
+		
+		/**
+		 * Plant das Schreiben auf die Festplatte; mehrere Aenderungen kurz nacheinander werden zusammen geschrieben, dabei
+		 * werden die neuen Zeitabschnitte mit den schon gespeicherten des Blocks zusammengefuehrt
+		 **/
+		var planeSchreiben = function() {
+			if(!speichernGeplant) {
+				speichernGeplant = true;
+				
+				window.setTimeout(function() {
+					var bloecke = ausstehend, block, eintraege, name;
+					
+					speichernGeplant = false;
+					
+					ausstehend = {};
+					
+					for(block in bloecke) {
+						eintraege = leseDatei(block);
+						
+						for(name in bloecke[block]) {
+							eintraege[name] = bloecke[block][name];
+						}
+						
+						schreibeDatei(block, eintraege);
+					}
+				}, 2000);
+			}
+		};
+		
+		/**
+		 * Entfernt einen Zeitabschnitt aus dem Cache, beim naechsten Anzeigen wird er neu gesucht; auf der Festplatte bleibt
+		 * er erhalten und wird dann mit seinem Block wieder gelesen
+		 * @param timeTyp Die Breite eines Eintrags als '_<Sekunden>'
+		 * @param name Der Beginn des Zeitabschnitts als '_<Zeitpunkt>'
+		 **/
+		var entfernen = function(timeTyp, name) {
+			belegt -= groesse(allData[timeTyp][name]);
+			belegtGesamt -= groesse(allData[timeTyp][name]);
+			
+			delete allData[timeTyp][name];
+			delete allData[timeTyp].searchedFor[name];
+			delete allData[timeTyp].benutzt[name];
+			
+			--anzahl;
+			
+			if(datei !== null) {
+				delete geladen[blockDatei(timeTyp, name)];
+			}
+		};
+		
+		/**
+		 * Entfernt einen Zeitabschnitt, weil das Budget ueberschritten ist
+		 * @param timeTyp Die Breite eines Eintrags als '_<Sekunden>'
+		 * @param name Der Beginn des Zeitabschnitts als '_<Zeitpunkt>'
+		 **/
+		intern.entfernen = function(timeTyp, name) {
+			entfernen(timeTyp, name);
+			
+			++zaehler.entfernt;
+		};
+		
+		/**
+		 * Fuegt die Zeitabschnitte, die entfernt werden koennen, der Liste fuer aufraeumen hinzu; noch gesuchte Abschnitte
+		 * bleiben erhalten
+		 * @param kandidaten Die Liste der Zeitabschnitte als [Zugriff, Objekt, Breite, Beginn]
+		 **/
+		intern.kandidaten = function(kandidaten) {
+			var timeTyp, name;
+			
+			for(timeTyp in allData) {
+				for(name in allData[timeTyp].benutzt) {
+					if(allData[timeTyp].searchedFor[name] === 0) {
+						kandidaten.push([allData[timeTyp].benutzt[name], intern, timeTyp, name]);
+					}
+				}
+			}
+		};
+		
+		/**
+		 * Uebernimmt die Zeitabschnitte eines Ergebnisses in den Cache auf der Festplatte; nur Abschnitte, die beim Holen
+		 * schon abgeschlossen waren, aendern sich nicht mehr und werden gespeichert, auch wenn sie leer sind
+		 * @param timeTyp Die Breite eines Eintrags als '_<Sekunden>'
+		 * @param gesucht Die Namen der gesuchten Zeitabschnitte
+		 * @param gefunden Ein Objekt mit den gefundenen Zeitabschnitten
+		 **/
+		var speichern = function(timeTyp, gesucht, gefunden) {
+			var jetzt = new Date().getTime() / 1000, add = parseInt(timeTyp.substring(1), 10), i, j, name, block;
+			
+			for(i=0,j=gesucht.length;i<j;++i) {
+				name = gesucht[i];
+				
+				if(parseInt(name.substring(1), 10) + add + nachlauf <= jetzt) {
+					block = blockDatei(timeTyp, name);
+					
+					if(!(block in ausstehend)) {
+						ausstehend[block] = {};
+					}
+					
+					ausstehend[block][name] = {'daten': (name in gefunden) ? gefunden[name] : {}, 'geholt': jetzt};
+				}
+			}
+			
+			planeSchreiben();
+		};
 		
 		/**
 		 * Geht durch die Zeitleiste und besorgt die Daten, wenn sie nicht im Cache liegen
@@ -51,17 +413,17 @@
 		 * @param createBar Der Funktion, die einen Eintrag erstellt oder die Eintraege in dem Diagramm zeichnet
 		 * @param typ Der Typ der Daten, die gesucht sind
 		 * @param add Die Breite eines Eintrags in dem Intervall in Sekunden
+		 * [@param fertig] Wird aufgerufen, sobald die fehlenden Daten geholt wurden
 		 **/
-		var doWalkthrough = function(timestampFrom, timestampTo, createBar, typ, add) {
-			var latest = '_' + timestampFrom, timeTyp = '_' + add;
+		var doWalkthrough = function(timestampFrom, timestampTo, createBar, typ, add, fertig) {
+			var latest = '_' + timestampFrom, timeTyp = '_' + add,
+				zaehlen = (typ === voraus || typ === bereich) ? 0 : 1; // Nur die Anzeige zaehlt fuer die Statistik
 			
 			if(!(typ in lastNum)) {
 				lastNum[typ] = 0;
 			}
 			
-			if(!(timeTyp in allData)) {
-				allData[timeTyp] = {'searchedFor': {}, 'latest': '', 'maxValue': Number.MIN_VALUE};
-			}
+			getCache(timeTyp);
 			
 			var latest_num = ++lastNum[typ];
 			
@@ -75,16 +437,26 @@
 				lastVisit = 0, // Wann zuletzt bereits nach Daten gesucht wurde oder diese schon im Cache sind
 				smaller = [], // Die untere Grenze bei der Suche
 				bigger = [], // Die obere Grenze bei der Suche
-				hasAdded = false; // Ob gesuchte Werte im Cache waren
+				hasAdded = false, // Ob gesuchte Werte im Cache waren
+				gesucht = []; // Die Namen der Werte, die bei diesem Durchlauf neu gesucht werden
 			
 			// Gehe durch die einzelnen Werte
 			for(i=0;timestampFrom<timestampTo;timestampFrom+=add,++i) {
 				name = '_' + timestampFrom;
 				
+				// Der Zeitabschnitt liegt eventuell schon auf der Festplatte
+				if(!(name in allData[timeTyp].searchedFor)) {
+					ladeBlock(timeTyp, name);
+				}
+				
 				// Falls noch nicht nach den Daten gesucht wird
 				if(!(name in allData[timeTyp].searchedFor)) {
 					last = i + 1;
 					
+					zaehler.fehlgriffe += zaehlen;
+					
+					gesucht.push(name);
+					
 					allData[timeTyp].searchedFor[name] = [
 							[typ, latest_num, (function(name, i) {
 								return function() {
@@ -109,7 +481,13 @@
 						insertData(timestampOriginal + add * i, timestampOriginal + add * (i + 1), allData[timeTyp][name], typ, createBar);
 						
 						hasAdded = true;
+						
+						zaehler.treffer += zaehlen;
+						
+						allData[timeTyp].benutzt[name] = ++zugriff;
 					} else {
+						zaehler.fehlgriffe += zaehlen;
+						
 						// Wenn die Daten gefunden geholt wurden, rufe diese Funktion auf
 						allData[timeTyp].searchedFor[name].push(
 								[typ, latest_num, (function(name, i) {
@@ -128,17 +506,20 @@
 				createBar(0, 0, 0, true, allData[timeTyp].maxValue);
 			}
 			
+			// Von der Festplatte gelesene Bloecke koennen das Budget ueberschreiten
+			aufraeumen();
+			
 			// Fuege falls noetig die Nummer hinzu, nach der gesucht werden soll
 			if(last === i) {
 				smaller.push(first);
 				bigger.push(last);
 			}
 			
-			// Erstelle die Nummern, nach denen gesucht werden soll
+			// Erstelle die Bereiche der Nummern als [von, bis], nach denen gesucht werden soll
 			var loadNums = [];
 			
 			for(i=0,j=smaller.length;i<j;++i) {
-				loadNums[i] = ' BETWEEN ' + smaller[i] + ' AND ' + bigger[i] + ' ';
+				loadNums[i] = [smaller[i], bigger[i]];
 			}
 			
 			timestampFrom = timestampOriginal;
@@ -147,19 +528,15 @@
 			if(loadNums.length > 0) {
 				daten[datenbankFunktion](timestampFrom, timestampTo, add, ort, function(err, data) {
 					if(err === undefined) {
-						var i, j = data.length, name, k, l, max;
+						var i, j = data.length, name, k, l, gefunden = {};
 						
 						for(i=0;i<j;++i) {
 							name = '_' + (timestampFrom + data[i].nr * add);
 							
-							for(k in data[i]) {
-								if(k === 'nr') continue;
-								
-								allData[timeTyp].maxValue = Math.max(allData[timeTyp].maxValue, data[i][k]);
-							}
+							gefunden[name] = data[i];
 							
 							// Schreibe die Daten in den Cache
-							allData[timeTyp][name] = data[i];
+							einfuegen(timeTyp, name, data[i]);
 							
 							// Wichtig, da Datenbanken BETWEEN unterschiedlich interpretieren!
 							if(!(name in allData[timeTyp].searchedFor)) { // Falls mehr Daten geladen wurden, als gesucht waren
@@ -183,11 +560,59 @@
 						}
 						
 						createBarByTyp = {};
+						
+						// Gesuchte Zeitabschnitte ohne Daten sind leer und werden nicht weiter gesucht
+						for(i=0,j=gesucht.length;i<j;++i) {
+							if(!(gesucht[i] in gefunden) && allData[timeTyp].searchedFor[gesucht[i]] instanceof Array) {
+								einfuegen(timeTyp, gesucht[i], {});
+								
+								allData[timeTyp].searchedFor[gesucht[i]] = 0;
+							}
+						}
+						
+						if(datei !== null) {
+							speichern(timeTyp, gesucht, gefunden);
+						}
+						
+						aufraeumen();
+					} else {
+						// Die gesuchten Zeitabschnitte werden bei der naechsten Anfrage wieder geholt, statt fuer immer zu warten
+						for(i=0,j=gesucht.length;i<j;++i) {
+							if(allData[timeTyp].searchedFor[gesucht[i]] instanceof Array) {
+								delete allData[timeTyp].searchedFor[gesucht[i]];
+							}
+						}
+					}
+					
+					if(fertig !== undefined) {
+						fertig();
 					}
 				}, loadNums);
+			} else if(fertig !== undefined) {
+				fertig();
 			}
 		};
 		
+		/**
+		 * Laedt den naechsten Bereich voraus, sobald keine Daten fuer die Anzeige mehr geholt werden; es wird immer nur
+		 * ein Bereich gleichzeitig geladen
+		 **/
+		var naechstesVorausladen = function() {
+			if(vorausTimer !== null || vorausLaeuft || laufend > 0 || vorausladen.length === 0) {
+				return;
+			}
+			
+			var bereich = vorausladen.shift();
+			
+			vorausLaeuft = true;
+			
+			doWalkthrough(bereich[0], bereich[1], function() {}, voraus, bereich[2], function() {
+				vorausLaeuft = false;
+				
+				naechstesVorausladen();
+			});
+		};
+		
 		/**
 		 * Suche Werte und zeige diese an
 		 * @param timestampFrom Der Zeitpunkt, ab wann die Daten gesucht sind
@@ -199,7 +624,70 @@
 		this.showData = function(timestampFrom, timestampTo, createBar, typ, sec) {
 			lastZoom = sec, lastStart = timestampFrom;
 			
-			doWalkthrough(timestampFrom, timestampTo, createBar, typ, sec);
+			++laufend;
+			
+			doWalkthrough(timestampFrom, timestampTo, createBar, typ, sec, function() {
+				--laufend;
+				
+				naechstesVorausladen();
+			});
+		};
+		
+		/**
+		 * Laedt Daten im Hintergrund, damit sie beim Verschieben oder Zoomen schon im Cache sind; die noch nicht gestarteten
+		 * Bereiche des vorherigen Aufrufs werden verworfen, ein bereits laufender Bereich wird noch zu Ende geladen
+		 * @param bereiche [Array] Die Bereiche als [timestampFrom, timestampTo, sec]
+		 **/
+		this.prefetch = function(bereiche) {
+			vorausladen = bereiche.slice(0);
+			
+			// Beim schnellen Verschieben wird erst geladen, wenn die Anzeige eine halbe Sekunde gleich bleibt
+			if(vorausTimer !== null) {
+				window.clearTimeout(vorausTimer);
+			}
+			
+			vorausTimer = window.setTimeout(function() {
+				vorausTimer = null;
+				
+				naechstesVorausladen();
+			}, 500);
+		};
+		
+		/**
+		 * Gibt die Daten aller Zeitabschnitte eines Zeitraums zurueck; fehlende Zeitabschnitte werden vorher geholt
+		 * @param timestampFrom Der Anfang des ersten Zeitabschnitts
+		 * @param timestampTo Das Ende des Zeitraums
+		 * @param sec Die Breite eines Zeitabschnitts in Sekunden
+		 * @param callback Wird mit den Zeitabschnitten als [Timestamp, Daten] aufgerufen; Daten ist ein leeres Objekt, falls
+		 *        es in dem Zeitabschnitt keine Daten gibt oder sie nicht geholt werden konnten
+		 **/
+		this.getBereich = function(timestampFrom, timestampTo, sec, callback) {
+			var timeTyp = '_' + sec, versuche = 0;
+			
+			var sammeln = function() {
+				var eintraege = [], wartet = false, time, name;
+				
+				for(time=timestampFrom;time<timestampTo;time+=sec) {
+					name = '_' + time;
+					
+					// Der Zeitabschnitt wird noch fuer eine andere Suche geholt
+					if(allData[timeTyp].searchedFor[name] instanceof Array && !(name in allData[timeTyp])) {
+						wartet = true;
+					}
+					
+					eintraege.push([time, (name in allData[timeTyp]) ? allData[timeTyp][name] : {}]);
+				}
+				
+				if(wartet && ++versuche < 50) {
+					window.setTimeout(sammeln, 100);
+					
+					return;
+				}
+				
+				callback(eintraege);
+			};
+			
+			doWalkthrough(timestampFrom, timestampTo, function() {}, bereich, sec, sammeln);
 		};
 		
 		/**
@@ -222,6 +710,92 @@
 			
 			callback({});
 		};
+		
+		/**
+		 * Entfernt die noch nicht abgeschlossenen Zeitabschnitte am Ende aller Zoomstufen, damit sie beim naechsten Anzeigen
+		 * mit den inzwischen eingetragenen Daten neu geholt werden; noch gesuchte Zeitabschnitte bleiben erhalten
+		 * @return Die Anzahl der entfernten Zeitabschnitte
+		 **/
+		this.invalidieren = function() {
+			var jetzt = new Date().getTime() / 1000, timeTyp, name, add, anzahlEntfernt = 0;
+			
+			for(timeTyp in allData) {
+				add = parseInt(timeTyp.substring(1), 10);
+				
+				for(name in allData[timeTyp].benutzt) {
+					if(allData[timeTyp].searchedFor[name] === 0 && parseInt(name.substring(1), 10) + add + nachlauf > jetzt) {
+						entfernen(timeTyp, name);
+						
+						++anzahlEntfernt;
+					}
+				}
+			}
+			
+			return anzahlEntfernt;
+		};
+		
+		/**
+		 * Gibt die Statistik des Caches zurueck
+		 * @return Ein Objekt mit eintraege (Anzahl Zeitabschnitte), bytes (geschaetzter Speicher), budget, treffer,
+		 *         fehlgriffe, trefferquote, entfernt und zoomstufen
+		 **/
+		this.statistik = function() {
+			return {'eintraege': anzahl, 'bytes': belegt, 'budget': _.budget, 'treffer': zaehler.treffer, 'fehlgriffe': zaehler.fehlgriffe,
+					'trefferquote': (zaehler.treffer + zaehler.fehlgriffe > 0) ?
+										zaehler.treffer / (zaehler.treffer + zaehler.fehlgriffe) : 0,
+					'entfernt': zaehler.entfernt, 'zoomstufen': Object.keys(allData).length};
+		};
+		
+		intern.statistik = this.statistik;
+	};
+	
+	// Der Speicher in Byte, den die Zeitabschnitte aller Objekte (Orte und Datenbankfunktionen) zusammen hoechstens belegen;
+	// geschaetzt aus der Anzahl der Werte je Zeitabschnitt, ein Wetter-Zeitabschnitt braucht etwa 1,5 KB
+	_.budget = 16 * 1024 * 1024;
+	
+	/**
+	 * Gibt die Statistik der Caches mit Zeitabschnitten im Speicher zurueck, z.B. zum Pruefen in der Konsole
+	 * @return Ein Objekt mit der Statistik je <Ort>_<Datenbankfunktion> und der Summe in gesamt
+	 **/
+	_.statistik = function() {
+		var ergebnis = {'gesamt': {'eintraege': 0, 'bytes': 0, 'budget': _.budget, 'treffer': 0, 'fehlgriffe': 0, 'trefferquote': 0,
+									'entfernt': 0}}, schluessel, werte, i, j;
+		
+		for(i=0,j=objekte.length;i<j;++i) {
+			schluessel = objekte[i].ort + '_' + objekte[i].datenbankFunktion;
+			werte = objekte[i].statistik();
+			
+			// Wurde ein Ort mehrmals geoeffnet, werden seine Objekte zusammengezaehlt
+			if(schluessel in ergebnis) {
+				addieren(ergebnis[schluessel], werte);
+			} else {
+				ergebnis[schluessel] = werte;
+			}
+			
+			addieren(ergebnis.gesamt, werte);
+		}
+		
+		return ergebnis;
+	};
+	
+	// Ob die abgeschlossenen Zeitabschnitte auf der Festplatte gespeichert werden; gilt fuer neu erstellte Objekte
+	_.festplatte = true;
+	
+	/**
+	 * Loescht den Cache auf der Festplatte, z.B. nachdem Daten in der Datenbank nachtraeglich geaendert wurden
+	 * [@param ort] Die ID des Ortes; dann werden nur seine Dateien des aktiven Verbindungsprofils geloescht
+	 **/
+	_.festplatteLeeren = function(ort) {
+		// Die Dateien heissen <Profil>_<Ort>_<Datenbankfunktion>.v<Format>_<Breite>_<Block>.json (siehe getDatei)
+		var praefix = encodeURIComponent(datenbank.getProfil().name + '_' + ort + '_');
+		
+		if(fs.existsSync(verzeichnis)) {
+			fs.readdirSync(verzeichnis).forEach(function(datei) {
+				if(ort === undefined || (datei.indexOf(praefix) === 0 && /^[A-Za-z]+\.v\d+(_\d+_-?\d+)?\.json$/.test(datei.substring(praefix.length)))) {
+					fs.unlinkSync(verzeichnis + '/' + datei);
+				}
+			});
+		}
 	};
 	
 	root[name] = _;
@@ -12,15 +12,65 @@
 (function(root, name) {
 	var old = root[name];
 	
-	var mssql = root.mssql, mysql = root.mysql;
+	var fs = require('fs'), path = require('path');
+	
+	// Die Verzeichnisse, auf die sich relative Pfade beziehen: der Ordner der Anwendung mit package.json (nw.js wechselt beim
+	// Start dorthin), das Verzeichnis, aus dem nw.js gestartet wurde, und der Ordner von nw.exe (Start ueber GeoDeviceWeather.nw)
+	var verzeichnisse = [process.cwd(), require('nw.gui').App.startPath, path.dirname(process.execPath)];
+	
+	/**
+	 * Loest einen relativen Pfad, z.B. ../Datenbankzeug/Testdaten.txt, gegen die Verzeichnisse der Anwendung auf; gewaehlt wird
+	 * das erste Verzeichnis, in dem die Datei existiert, sonst der Ordner der Anwendung
+	 * @param pfad Der Pfad
+	 * @return Der absolute Pfad oder undefined, falls kein Pfad angegeben ist
+	 **/
+	var aufloesen = function(pfad) {
+		if(pfad === undefined || pfad === '' || path.isAbsolute(pfad)) {
+			return (pfad === '') ? undefined : pfad;
+		}
+		
+		var i, j, kandidat;
+		
+		for(i=0,j=verzeichnisse.length;i<j;++i) {
+			kandidat = path.resolve(verzeichnisse[i], pfad);
+			
+			if(fs.existsSync(kandidat)) {
+				return kandidat;
+			}
+		}
+		
+		return path.resolve(verzeichnisse[0], pfad);
+	};
+	
+	// Die verfuegbaren Datenbanken
+	var backends = {'mssql': root.mssql, 'mysql': root.mysql, 'sqlite': root.sqlite};
 	
 	root.mssql = undefined;
 	root.mysql = undefined;
+	root.sqlite = undefined;
 	
 	delete root.mssql;
 	delete root.mysql;
+	delete root.sqlite;
+	
+	var settings = root.database_settings();
+	
+	// Die Pfade des SQLite Profils sollen nicht vom Startverzeichnis abhaengen
+	settings.datei = aufloesen(settings.datei);
+	settings.testdaten = aufloesen(settings.testdaten);
+	
+	// Waehle die Datenbank anhand der Verbindungsdaten aus
+	if(!(settings.typ in backends)) {
+		window.addEventListener('load', (function(typ) {
+			return function() {
+				error.add(['Datenbank', 'Unbekannter Datenbanktyp "' + typ + '", es wird MSSQL verwendet!']);
+			};
+		})(settings.typ));
+		
+		settings.typ = 'mssql';
+	}
 	
-	mssql = mssql();
+	var db = backends[settings.typ](settings);
 	
 	var _ = function() {
 		
@@ -57,7 +107,7 @@
 	 * @param callback Die Callback Funktion
 	 **/
 	_.getMaxTwitterSoftware = function(standort, callback) {
-		mssql.select(['deviceinfo', 'COUNT(deviceinfo) AS anzahl'], 'tweet',
+		db.select(['deviceinfo', 'COUNT(deviceinfo) AS anzahl'], 'tweet',
 					'WHERE locationarea_locationid = @standort GROUP BY deviceinfo ORDER BY anzahl DESC',
 					{'standort': standort}, function(err, data) {
 						if(err === undefined) {
@@ -74,44 +124,121 @@
 					}, 5);
 	};
 	
+	// Die Datenreihen, die in Zeitabschnitte eingeteilt abgefragt werden; neue Reihen brauchen nur einen Eintrag hier
+	// tabelle: Die Tabelle, zeit: Die Spalte mit der Zeit, [versatz]: Die Sekunden, die von der Zeit abgezogen werden,
+	// werte: Die Spalten als [Aggregat, Spalte, [Name]], [gruppe]: Die Spalte, nach deren Werten die Ergebnisse als
+	// <praefix><Wert> aufgeteilt werden, [auswahl]: Gibt zu einem Standort die erlaubten Werte der Gruppe zurueck,
+	// [maxRows]: Die maximale Anzahl Ergebnisse; zu jedem Durchschnitt (AVG) werden auch die Werte aus spanne abgefragt
+	var reihen = {
+		'wetter': {'tabelle': 'wetter', 'zeit': 'wetterzeit',
+				'werte': [['AVG', 'temperatur'], ['AVG', 'luftfeuchte'], ['AVG', 'wolken'], ['AVG', 'windrichtung'],
+							['AVG', 'windgeschwindigkeit'], ['AVG', 'luftdruck']]},
+		'twitter': {'tabelle': 'tweet', 'zeit': 'tweetzeit', 'werte': [['COUNT', 'deviceinfo', 'anzahl']],
+				'gruppe': 'deviceinfo', 'praefix': 'twitter_', 'auswahl': function(standort) {
+					return maxTwitterSoftware[standort].namen;
+				}},
+		'badegaeste': {'tabelle': 'baederverwaltung', 'zeit': 'zeit', 'versatz': 7200,
+				'werte': [['AVG', 'anzahlbadegaeste', 'badegaeste']]},
+		'auswertung': {'tabelle': 'auswertung', 'zeit': 'zeit', 'werte': [['AVG', 'wert']],
+				'gruppe': 'name', 'praefix': 'auswertung_', 'maxRows': 100000}
+	};
+	
+	// Die Werte, die zu jedem Durchschnitt zusaetzlich abgefragt werden, als [Aggregat, Endung des Namens]; damit kann die
+	// Spanne der Werte in einem Zeitabschnitt und die Anzahl der Messwerte angezeigt werden
+	var spanne = [['MIN', '_min'], ['MAX', '_max'], ['COUNT', '_anzahl']];
+	
+	// Die Datenbank und der Tabellenpraefix, die in den Prozeduren aus Datenbankzeug/CreateProzedur*.txt fest stehen
+	var prozedurDatenbank = ['TestDatabase2', 'bachelor_bigdata2_'];
+	
 	/**
-	 * Fraegt die Wetterdaten in einem Zeitraum ab
+	 * Fraegt eine Datenreihe in einem Zeitraum eingeteilt in Zeitabschnitte ab
+	 * @param reihe Die Beschreibung der Datenreihe aus reihen
 	 * @param date_von Der Zeitpunkt, ab dem die Daten abgefragt werden sollen
 	 * @param date_bis Der Zeitpunkt, bis zu dem die Daten abgefragt werden sollen
 	 * @param time_split Die Groesse, die ein Zeitabschnitt haben soll
 	 * @param standort Der Standort
 	 * @param callback Die Callback Funktion
-	 * @param nr Die gesuchten Zeitabschnitte
+	 * [@param nr] Die gesuchten Zeitabschnitte als [[von, bis], ...]
 	 **/
-	_.getMultipleWetterdatenAVG = function(date_von, date_bis, time_split, standort, callback, nr) {
-		date_von = getZeit(date_von);
-		date_bis = getZeit(date_bis);
+	var getMultiple = function(reihe, date_von, date_bis, time_split, standort, callback, nr) {
+		var anfrage = new abfrage(reihe.tabelle), namen = [], name, i, j, k, l;
 		
-		var felder = ['temperatur', 'luftfeuchte', 'wolken', 'windrichtung', 'windgeschwindigkeit', 'luftdruck'], i, j,
-			felderCopy = felder.slice(0),
-			addWhere = '';
+		for(i=0,j=reihe.werte.length;i<j;++i) {
+			name = reihe.werte[i][2] || reihe.werte[i][1];
+			
+			anfrage.spalte(reihe.werte[i][1], reihe.werte[i][0], name);
+			
+			namen.push(name);
+			
+			if(reihe.werte[i][0] === 'AVG') {
+				for(k=0,l=spanne.length;k<l;++k) {
+					anfrage.spalte(reihe.werte[i][1], spanne[k][0], name + spanne[k][1]);
+					
+					namen.push(name + spanne[k][1]);
+				}
+			}
+		}
 		
-		for(i=0,j=felder.length;i<j;++i) {
-			felder[i] = 'AVG(' + felder[i] + ') AS ' + felder[i];
+		anfrage.zeitabschnitte(reihe.zeit, getZeit(date_von), getZeit(date_bis), time_split, reihe.versatz)
+				.filter('locationarea_locationid', '=', standort);
+		
+		if(nr instanceof Array) {
+			anfrage.abschnitte(nr);
 		}
 		
-		if(nr !== undefined) {
-			if(nr instanceof Array && nr.length > 0) {
-				addWhere = ' WHERE nr ' + nr.join(' AND nr ');
-			}
+		if(reihe.maxRows !== undefined) {
+			anfrage.limit(reihe.maxRows);
+		}
+		
+		if(reihe.gruppe === undefined) {
+			db.abfrage(anfrage, callback);
+			
+			return;
 		}
 		
-		felder.push('nr');
-		felderCopy.splice(felderCopy.length, 0, 'wetterzeit', 'locationarea_locationid');
+		anfrage.gruppieren(reihe.gruppe);
 		
-		mssql.select(felder, '(SELECT ' + felderCopy.join(', ') + ',\
-								FLOOR((wetterzeit - @von) / @time_split) AS nr FROM ' + mssql.getTableName('wetter') + '\
-								 WHERE wetterzeit <= @bis AND wetterzeit >= @von AND\
-								 locationarea_locationid = @standort) weatherData',
-										addWhere + ' GROUP BY nr ORDER BY nr',
-				{'standort': standort, 'von': date_von, 'bis': date_bis, 'time_split': time_split}, callback);
+		if(reihe.auswahl !== undefined) {
+			anfrage.filter(reihe.gruppe, '=', reihe.auswahl(standort));
+		}
+		
+		// Fasse die Zeilen eines Zeitabschnitts zu einem Eintrag zusammen; die Werte der Spanne bekommen dieselbe Endung
+		db.abfrage(anfrage, function(err, data) {
+			if(err === undefined) {
+				var i, j, k, l, nr, obj = [], allNr = {}, name = namen[0];
+				
+				for(i=0,j=data.length;i<j;++i) {
+					nr = data[i].nr;
+					
+					if(!(nr in allNr)) {
+						allNr[nr] = true;
+						
+						obj.push({'nr': nr});
+					}
+					
+					for(k=0,l=namen.length;k<l;++k) {
+						obj[obj.length - 1][reihe.praefix + data[i][reihe.gruppe] + namen[k].substring(name.length)] = data[i][namen[k]];
+					}
+				}
+				
+				data = obj;
+			}
+			
+			callback(err, data);
+		});
 	};
 	
+	/**
+	 * Fraegt die Wetterdaten in einem Zeitraum ab
+	 * @param date_von Der Zeitpunkt, ab dem die Daten abgefragt werden sollen
+	 * @param date_bis Der Zeitpunkt, bis zu dem die Daten abgefragt werden sollen
+	 * @param time_split Die Groesse, die ein Zeitabschnitt haben soll
+	 * @param standort Der Standort
+	 * @param callback Die Callback Funktion
+	 * @param nr Die gesuchten Zeitabschnitte als [[von, bis], ...]
+	 **/
+	_.getMultipleWetterdatenAVG = getMultiple.bind(null, reihen.wetter);
+	
 	/**
 	 * Fraegt die Twitterdaten in einem Zeitraum ab
 	 * @param date_von Der Zeitpunkt, ab dem die Daten abgefragt werden sollen
@@ -119,49 +246,31 @@
 	 * @param time_split Die Groesse, die ein Zeitabschnitt haben soll
 	 * @param standort Der Standort
 	 * @param callback Die Callback Funktion
-	 * @param nr Die gesuchten Zeitabschnitte
+	 * @param nr Die gesuchten Zeitabschnitte als [[von, bis], ...]
 	 **/
-	_.getMultipleTwitterdatenAVG = function(date_von, date_bis, time_split, standort, callback, nr) {
-		date_von = getZeit(date_von);
-		date_bis = getZeit(date_bis);
-		
-		var felder = [], i, j, felderCopy, addWhere = '';
-		
-		var inserts = {'standort': standort, 'von': date_von, 'bis': date_bis, 'time_split': time_split};
-		
-		for(i=0,j=maxTwitterSoftware[standort].namen.length;i<j;++i) {
-			inserts['device_' + i] = maxTwitterSoftware[standort].namen[i];
-			
-			felder.push('deviceinfo = @device_' + i);
-		}
-		
-		mssql.select(['deviceinfo', 'COUNT(deviceinfo) AS anzahl', 'nr'], '(SELECT deviceinfo, FLOOR((tweetzeit - @von) / @time_split)\
-								 AS nr FROM ' + mssql.getTableName('tweet') + '\
-								 WHERE tweetzeit <= @bis AND tweetzeit >= @von AND\
-								 locationarea_locationid = @standort AND (' + felder.join(' OR ') + ')) tweetData',
-										addWhere + ' GROUP BY nr, deviceinfo ORDER BY nr, anzahl DESC',
-				inserts, function(err, data) {
-					if(err === undefined) {
-						var i, j, nr, obj = [], allNr = {};
-						
-						for(i=0,j=data.length;i<j;++i) {
-							nr = data[i].nr;
-							
-							if(!(nr in allNr)) {
-								allNr[nr] = true;
-								
-								obj.push({'nr': nr});
-							}
-							
-							obj[obj.length - 1]['twitter_' + data[i].deviceinfo] = data[i].anzahl;
-						}
-						
-						data = obj;
-					}
-					
-					callback(err, data);
-				});
-	};
+	_.getMultipleTwitterdatenAVG = getMultiple.bind(null, reihen.twitter);
+	
+	/**
+	 * Fraegt die Badegaeste in einem Zeitraum ab; die Zeiten der Baederverwaltung sind um zwei Stunden verschoben
+	 * @param date_von Der Zeitpunkt, ab dem die Daten abgefragt werden sollen
+	 * @param date_bis Der Zeitpunkt, bis zu dem die Daten abgefragt werden sollen
+	 * @param time_split Die Groesse, die ein Zeitabschnitt haben soll
+	 * @param standort Der Standort
+	 * @param callback Die Callback Funktion
+	 * @param nr Die gesuchten Zeitabschnitte als [[von, bis], ...]
+	 **/
+	_.getMultipleBadegaeste = getMultiple.bind(null, reihen.badegaeste);
+	
+	/**
+	 * Fraegt die Auswertungsdaten in einem Zeitraum ab
+	 * @param date_von Der Zeitpunkt, ab dem die Daten abgefragt werden sollen
+	 * @param date_bis Der Zeitpunkt, bis zu dem die Daten abgefragt werden sollen
+	 * @param time_split Die Groesse, die ein Zeitabschnitt haben soll
+	 * @param standort Der Standort
+	 * @param callback Die Callback Funktion
+	 * @param nr Die gesuchten Zeitabschnitte als [[von, bis], ...]
+	 **/
+	_.getMultipleAuswertungAVG = getMultiple.bind(null, reihen.auswertung);
 	
 	/**
 	 * Frage die minimalen/maximalen Wetterdaten ab
@@ -180,7 +289,7 @@
 			felder[i] = type + '(' + felder[i] + ') AS ' + felder[i];
 		}
 		
-		mssql.select(felder, 'wetter', 'WHERE locationarea_locationid = @standort', {'standort': standort}, callback);
+		db.select(felder, 'wetter', 'WHERE locationarea_locationid = @standort', {'standort': standort}, callback);
 	}
 	
 	/**
@@ -201,12 +310,45 @@
 		getMinMaxWetterdaten('MAX', standort, callback);
 	};
 	
+	/**
+	 * Frage den Zeitraum ab, in dem Daten zu einem Standort vorhanden sind; beruecksichtigt alle Datenreihen
+	 * @param standort Der Standort
+	 * @param callback Die Callback Funktion; bekommt den Zeitraum als [von, bis] oder null, falls keine Daten vorhanden sind
+	 **/
+	_.getZeitraum = function(standort, callback) {
+		var von = null, bis = null, fehler, offen = 0, name;
+		
+		for(name in reihen) {
+			++offen;
+		}
+		
+		for(name in reihen) {
+			(function(reihe) {
+				db.select(['MIN(' + reihe.zeit + ') AS von', 'MAX(' + reihe.zeit + ') AS bis'], reihe.tabelle,
+							'WHERE locationarea_locationid = @standort', {'standort': standort}, function(err, data) {
+					var versatz = reihe.versatz || 0;
+					
+					if(err !== undefined) {
+						fehler = err;
+					} else if(data.length === 1 && data[0].von !== null) {
+						von = (von === null) ? Number(data[0].von) - versatz : Math.min(von, Number(data[0].von) - versatz);
+						bis = (bis === null) ? Number(data[0].bis) - versatz : Math.max(bis, Number(data[0].bis) - versatz);
+					}
+					
+					if(--offen === 0) {
+						callback(fehler, (fehler === undefined && von !== null) ? [von, bis] : null);
+					}
+				});
+			})(reihen[name]);
+		}
+	};
+	
 	/**
 	 * Frage die verfuegbaren Orte ab
 	 * @param callback Die Callback Funktion
 	 **/
 	_.getOrte = function(callback) {
-		mssql.select(['locationid', 'name', 'long1', 'lat1', 'long2', 'lat2'], 'locationarea', '', {}, callback);
+		db.select(['locationid', 'name', 'long1', 'lat1', 'long2', 'lat2'], 'locationarea', '', {}, callback);
 	};
 	
 	/**
@@ -214,24 +356,39 @@
 	 * @param callback Die Callback Funktion
 	 **/
 	_.getNumberOfKeys = function(callback) {
-		mssql.select(['keytype', 'COUNT(*) AS anzahl'], 'keymanager', 'GROUP BY keytype', {}, callback);
+		db.select(['keytype', 'COUNT(*) AS anzahl'], 'keymanager', 'GROUP BY keytype', {}, callback);
 	};
 	
 	/**
-	 * Fuegt einen Orte ein
+	 * Fuegt einen Orte ein; die Pruefung, ob der Ort schon existiert, und das Einfuegen laufen in einer Transaktion
 	 * @param cityId Die Openweathermap ID des Ortes
 	 * @param name Der Name des Ortes
 	 * @param long1 Die Longitude 1 der Bounding Box
 	 * @param long1 Die Latitude 1 der Bounding Box
 	 * @param long1 Die Longitude 2 der Bounding Box
 	 * @param long1 Die Latitude 2 der Bounding Box
+	 * [@param callback] Die Callback Funktion
 	 **/
-	_.insertOrt = function(cityId, name, long1, lat1, long2, lat2) {
-		var i; for(i=2;i<6;++i) if((typeof arguments[i]) !== 'number' || Number.isNaN(arguments[i])) return;
+	_.insertOrt = function(cityId, name, long1, lat1, long2, lat2, callback) {
+		if(callback === undefined) callback = function() {};
+		
+		var i; for(i=2;i<6;++i) if((typeof arguments[i]) !== 'number' || Number.isNaN(arguments[i])) { callback('Die Bounding Box ist ungültig!'); return; }
 		
-		mssql.insert(['locationid', 'name', 'lat1', 'long1', 'lat2', 'long2'], 'locationarea',
-					['@loc', '@name', lat1, long1, lat2, long2],
-					{'loc': cityId, 'name': name}, function() {});
+		_.transaktion([function(t, weiter) {
+			t.select(['locationid'], 'locationarea', 'WHERE locationid = @loc', {'loc': cityId}, function(err, data) {
+				if(err === undefined && data.length > 0) {
+					err = 'Der Ort "' + name + '" existiert bereits!';
+					
+					error.add(['Ort speichern', err]);
+				}
+				
+				weiter(err);
+			});
+		}, function(t, weiter) {
+			t.insert(['locationid', 'name', 'lat1', 'long1', 'lat2', 'long2'], 'locationarea',
+						['@loc', '@name', lat1, long1, lat2, long2],
+						{'loc': cityId, 'name': name}, weiter);
+		}], callback);
 	};
 	
 	/**
@@ -242,8 +399,9 @@
 	 * @param consumerkeysecret Der Secret Consumerkey fuer Twitter
 	 * @param accesstoken Das Accesstoken fuer Twitter
 	 * @param accesstokensecret Das Secret Accesstoken fuer Twitter
+	 * [@param callback] Die Funktion, die nach dem Speichern aufgerufen wird
 	 **/
-	_.insertKey = function(keytype, weatherkey, consumerkey, consumerkeysecret, accesstoken, accesstokensecret) {
+	_.insertKey = function(keytype, weatherkey, consumerkey, consumerkeysecret, accesstoken, accesstokensecret, callback) {
 		if(keytype === 'owm') {
 			if(weatherkey === '') {
 				error.add(['Schlüssel ungültig', 'Der Schlüssel für Openweathermap ist ungültig!']);
@@ -272,7 +430,7 @@
 		
 		// Versucht den Schluessel zu speichern
 		var speichern = function(keyname) {
-			mssql.insert(['keyname', 'keytype', 'weatherkey', 'consumerkey', 'consumerkeysecret', 'acesstoken', 'acesstokensecret'],
+			db.insert(['keyname', 'keytype', 'weatherkey', 'consumerkey', 'consumerkeysecret', 'acesstoken', 'acesstokensecret'],
 						'keymanager',
 						['@keyname', '@keytype', '@weatherkey', '@consumerkey', '@consumerkeysecret', '@accesstoken', '@accesstokensecret'],
 						{'keyname': keyname, 'keytype': keytype, 'weatherkey': weatherkey, 'consumerkey': consumerkey,
@@ -283,13 +441,17 @@
 								root._.id('generalOkMessage').innerHTML = 'Der Schlüssel wurde in der Datenbank gespeichert!';
 								
 								$('#generalOk').modal('show');
+								
+								if(callback !== undefined) {
+									callback();
+								}
 							}
 						});
 		};
 		
 		// Versucht den Schluessel zu speichern, falls 100-mal derselbe Name exisiterte, wird abgebrochen
 		var testen = function(keyname, anzahl) {
-			mssql.select(['keyname'], 'keymanager', 'WHERE keyname = @keyname', {'keyname': keyname}, function(err, data) {
+			db.select(['keyname'], 'keymanager', 'WHERE keyname = @keyname', {'keyname': keyname}, function(err, data) {
 				if(err === undefined && data.length === 0) {
 					speichern(keyname);
 				} else {
@@ -307,12 +469,201 @@
 		testen(neuerKey(), 0);
 	};
 	
+	/**
+	 * Benennt einen Ort um
+	 * @param locationid Die ID des Ortes
+	 * @param name Der neue Name
+	 * @param callback Die Callback Funktion
+	 **/
+	_.updateOrtName = function(locationid, name, callback) {
+		db.update(['name'], 'locationarea', ['@name'], 'WHERE locationid = @loc', {'loc': locationid, 'name': name}, callback);
+	};
+	
+	/**
+	 * Aendert die Bounding Box eines Ortes
+	 * @param locationid Die ID des Ortes
+	 * @param long1 Die Longitude 1 der Bounding Box
+	 * @param lat1 Die Latitude 1 der Bounding Box
+	 * @param long2 Die Longitude 2 der Bounding Box
+	 * @param lat2 Die Latitude 2 der Bounding Box
+	 * @param callback Die Callback Funktion
+	 **/
+	_.updateOrtBoundingBox = function(locationid, long1, lat1, long2, lat2, callback) {
+		var i;
+		
+		for(i=1;i<5;++i) {
+			if((typeof arguments[i]) !== 'number' || Number.isNaN(arguments[i])) {
+				callback('Die Bounding Box ist ungültig!');
+				
+				return;
+			}
+		}
+		
+		db.update(['long1', 'lat1', 'long2', 'lat2'], 'locationarea', [long1, lat1, long2, lat2], 'WHERE locationid = @loc',
+					{'loc': locationid}, callback);
+	};
+	
+	/**
+	 * Loescht einen Ort mit allen Wetterdaten, Tweets, Badegaesten und Auswertungen
+	 * @param locationid Die ID des Ortes
+	 * @param callback Die Callback Funktion
+	 **/
+	_.deleteOrt = function(locationid, callback) {
+		// Nicht alle Fremdschluessel haben ON DELETE CASCADE (baederverwaltung), daher werden die abhaengigen Eintraege zuerst
+		// geloescht und zuletzt der Ort selbst; schlaegt ein Schritt fehl, bleibt der Ort vollstaendig erhalten
+		var schritte = ['tweet', 'wetter', 'baederverwaltung', 'auswertung', 'reftime', 'markierung'].map(function(tabelle) {
+			return function(t, weiter) {
+				t.delete(tabelle, 'WHERE locationarea_locationid = @loc', {'loc': locationid}, weiter);
+			};
+		});
+		
+		schritte.push(function(t, weiter) {
+			t.delete('locationarea', 'WHERE locationid = @loc', {'loc': locationid}, weiter);
+		});
+		
+		_.transaktion(schritte, callback);
+	};
+	
+	/**
+	 * Berechnet die Referenzzeiten (reftime) und die Auswertungen eines Ortes in einem Zeitraum mit den Prozeduren aus
+	 * Datenbankzeug/CreateProzedur*.txt neu; die alten Eintraege werden in derselben Transaktion geloescht, schlaegt eine
+	 * Prozedur fehl, bleiben die bisherigen Werte erhalten. Die Prozeduren gibt es nur auf MSSQL und nur fuer die Datenbank
+	 * und den Praefix in prozedurDatenbank
+	 * @param standort Der Standort
+	 * @param von Der Anfang als Timestamp
+	 * @param bis Das Ende als Timestamp
+	 * @param callback Die Callback Funktion
+	 **/
+	_.berechneAuswertung = function(standort, von, bis, callback) {
+		var fehler;
+		
+		if(settings.typ !== 'mssql') {
+			fehler = 'Die Auswertungen können nur auf MSSQL neu berechnet werden!';
+		} else if(settings.database !== prozedurDatenbank[0] || db.getTableName('') !== prozedurDatenbank[1]) {
+			// Sonst wuerden die Tabellen des Profils geleert und die einer anderen Datenbank neu berechnet
+			fehler = 'Die Auswertungen können nur in der Datenbank ' + prozedurDatenbank[0] + ' mit dem Tabellenpräfix '
+					+ prozedurDatenbank[1] + ' neu berechnet werden, da die Prozeduren diese Tabellen fest verwenden!';
+		} else if(!Number.isFinite(standort) || !Number.isFinite(von) || !Number.isFinite(bis) || bis < von) {
+			fehler = 'Der Zeitraum der Auswertung ist ungültig!';
+		}
+		
+		if(fehler !== undefined) {
+			error.add(['Auswertung berechnen', fehler]);
+			
+			callback(fehler);
+			
+			return;
+		}
+		
+		// Die Prozeduren bekommen die Werte direkt im Befehl, daher nur ganze Zahlen
+		var argumente = [Math.floor(standort), Math.floor(von), Math.ceil(bis)],
+			werte = {'loc': argumente[0], 'von': argumente[1], 'bis': argumente[2]};
+		
+		var schritte = [function(t, weiter) {
+			t.delete('auswertung', 'WHERE locationarea_locationid = @loc AND zeit >= @von AND zeit <= @bis', werte, weiter);
+		}, function(t, weiter) {
+			t.delete('reftime', 'WHERE locationarea_locationid = @loc AND reftime >= @von AND reftime <= @bis', werte, weiter);
+		}];
+		
+		['calculateRefTimeTable', 'calculateindex2', 'calculatekpi'].forEach(function(prozedur) {
+			schritte.push(function(t, weiter) {
+				t.ausfuehren('EXEC ' + prozedur + ' ' + argumente.join(', '), weiter);
+			});
+		});
+		
+		_.transaktion(schritte, callback);
+	};
+	
+	/**
+	 * Fraegt alle gespeicherten Schluessel ab
+	 * @param callback Die Callback Funktion
+	 **/
+	_.getKeys = function(callback) {
+		db.select(['keyname', 'keytype', 'weatherkey', 'consumerkey'], 'keymanager', 'ORDER BY keytype, keyname', {}, callback);
+	};
+	
+	/**
+	 * Widerruft einen Schluessel, indem er geloescht wird
+	 * @param keyname Der Name des Schluessels
+	 * @param callback Die Callback Funktion
+	 **/
+	_.deleteKey = function(keyname, callback) {
+		db.delete('keymanager', 'WHERE keyname = @keyname', {'keyname': keyname}, callback);
+	};
+	
+	/**
+	 * Fraegt die Markierungen eines Ortes ab
+	 * @param standort Der Standort
+	 * @param callback Die Callback Funktion
+	 **/
+	_.getMarkierungen = function(standort, callback) {
+		db.select(['markierungid', 'von', 'bis', 'titel', 'beschreibung'], 'markierung', 'WHERE locationarea_locationid = @standort ORDER BY von',
+				{'standort': standort}, callback);
+	};
+	
+	/**
+	 * Fuegt eine Markierung ein; bei einem Zeitpunkt ist bis gleich von
+	 * @param standort Der Standort
+	 * @param von Der Anfang als Timestamp
+	 * @param bis Das Ende als Timestamp
+	 * @param titel Der Titel
+	 * @param beschreibung Der Text zu der Markierung
+	 * @param callback Die Callback Funktion; bekommt die ID der neuen Markierung
+	 **/
+	_.insertMarkierung = function(standort, von, bis, titel, beschreibung, callback) {
+		if((typeof von) !== 'number' || (typeof bis) !== 'number' || Number.isNaN(von) || Number.isNaN(bis) || bis < von) {
+			callback('Der Zeitraum der Markierung ist ungültig!');
+			
+			return;
+		}
+		
+		var id;
+		
+		// Die ID vergibt die Datenbank; sie wird ueber dieselbe Verbindung direkt nach dem Einfuegen abgefragt
+		_.transaktion([function(t, weiter) {
+			t.insert(['locationarea_locationid', 'von', 'bis', 'titel', 'beschreibung'], 'markierung',
+						['@standort', Math.floor(von), Math.floor(bis), '@titel', '@beschreibung'],
+						{'standort': standort, 'titel': titel, 'beschreibung': beschreibung}, weiter);
+		}, function(t, weiter) {
+			t.ausfuehren('SELECT ' + db.neueId() + ' AS id', function(err, data) {
+				if(err === undefined) {
+					id = Number(data[0].id);
+				}
+				
+				weiter(err);
+			});
+		}], function(err) {
+			callback(err, id);
+		});
+	};
+	
+	/**
+	 * Aendert den Titel und den Text einer Markierung
+	 * @param markierungid Die ID der Markierung
+	 * @param titel Der neue Titel
+	 * @param beschreibung Der neue Text
+	 * @param callback Die Callback Funktion
+	 **/
+	_.updateMarkierung = function(markierungid, titel, beschreibung, callback) {
+		db.update(['titel', 'beschreibung'], 'markierung', ['@titel', '@beschreibung'], 'WHERE markierungid = @id',
+					{'id': markierungid, 'titel': titel, 'beschreibung': beschreibung}, callback);
+	};
+	
+	/**
+	 * Loescht eine Markierung
+	 * @param markierungid Die ID der Markierung
+	 * @param callback Die Callback Funktion
+	 **/
+	_.deleteMarkierung = function(markierungid, callback) {
+		db.delete('markierung', 'WHERE markierungid = @id', {'id': markierungid}, callback);
+	};
+	
 	/**
 	 * Fraegt alle Tabelle ab
 	 * @param callback Die Callback Funktion
 	 **/
 	_.zeigeAlleTabellen = function(callback) {
-		mssql.zeigeAlleTabellen(callback);
+		db.zeigeAlleTabellen(callback);
 	};
 	
 	/**
@@ -320,7 +671,7 @@
 	 * @param tabelle Der Name der Tabelle
 	 **/
 	_.tabellenEigenschaften = function(tabelle) {
-		mssql.tabellenEigenschaften(tabelle);
+		db.tabellenEigenschaften(tabelle);
 	};
 	
 	/**
@@ -329,98 +680,161 @@
 	 * @param callback Die Callback Funktion
 	 **/
 	_.getMaxBadegaeste = function(standort, callback) {
-		mssql.select(['MAX(anzahlbadegaeste) AS badegaeste', 'badname'], 'baederverwaltung', 'WHERE locationarea_locationid = @standort\
+		db.select(['MAX(anzahlbadegaeste) AS badegaeste', 'badname'], 'baederverwaltung', 'WHERE locationarea_locationid = @standort\
 						GROUP BY badname ORDER BY badname',
 				{'standort': standort}, callback);
 	};
 	
 	/**
-	 * Fraegt die Badegaeste in einem Zeitraum ab
-	 * @param date_von Der Zeitpunkt, ab dem die Daten abgefragt werden sollen
-	 * @param date_bis Der Zeitpunkt, bis zu dem die Daten abgefragt werden sollen
-	 * @param time_split Die Groesse, die ein Zeitabschnitt haben soll
+	 * Fraegt die maximalen Auswertungswerte ab
 	 * @param standort Der Standort
 	 * @param callback Die Callback Funktion
-	 * @param nr Die gesuchten Zeitabschnitte
 	 **/
-	_.getMultipleBadegaeste = function(date_von, date_bis, time_split, standort, callback, nr) {
-		date_von = getZeit(date_von);
-		date_bis = getZeit(date_bis);
-		
-		var addWhere = '';
-		
-		if(nr !== undefined) {
-			if(nr instanceof Array && nr.length > 0) {
-				addWhere = ' WHERE nr ' + nr.join(' AND nr ');
-			}
-		}
-		
-		mssql.select(['AVG(anzahlbadegaeste) AS badegaeste', 'nr'], '(SELECT anzahlbadegaeste,\
-								FLOOR(((zeit - 7200) - @von) / @time_split) AS nr FROM ' + mssql.getTableName('baederverwaltung') + '\
-								WHERE (zeit - 7200) <= @bis AND (zeit - 7200) >= @von AND\
-								locationarea_locationid = @standort) guestsData',
-										addWhere + ' GROUP BY nr ORDER BY nr',
-				{'standort': standort, 'von': date_von, 'bis': date_bis, 'time_split': time_split}, callback);
+	_.getMaxAuswertung = function(standort, callback) {
+		db.select(['MAX(wert) AS wert', 'name'], 'auswertung', 'WHERE locationarea_locationid = @standort\
+						GROUP BY name ORDER BY name',
+				{'standort': standort}, callback);
 	};
 	
 	/**
-	 * Fraegt die maximalen Auswertungswerte ab
-	 * @param standort Der Standort
+	 * Gibt die Angaben zum aktiven Verbindungsprofil ohne Zugangsdaten zurueck
+	 * @return Ein Objekt mit name, typ und testdaten
+	 **/
+	_.getProfil = function() {
+		return {'name': settings.name, 'typ': settings.typ, 'testdaten': settings.testdaten};
+	};
+	
+	/**
+	 * Gibt den absoluten Pfad zu einer Datei der Anwendung zurueck; relative Pfade beziehen sich auf den Ordner mit package.json
+	 * @param pfad Der Pfad, z.B. ../Datenbankzeug/Testdaten.txt
+	 * @return Der absolute Pfad
+	 **/
+	_.pfad = function(pfad) {
+		return aufloesen(pfad);
+	};
+	
+	/**
+	 * Fuehrt einen einzelnen SQL Befehl aus, z.B. aus den Migrationen; der Standardpraefix bachelor_bigdata2_ wird durch den
+	 * Praefix des Verbindungsprofils ersetzt
+	 * @param sqlString Der SQL String
 	 * @param callback Die Callback Funktion
+	 * [@param t] Die Transaktion, in der der Befehl ausgefuehrt wird
 	 **/
-	_.getMaxAuswertung = function(standort, callback) {
-		mssql.select(['MAX(wert) AS wert', 'name'], 'auswertung', 'WHERE locationarea_locationid = @standort\
-						GROUP BY name ORDER BY name',
-				{'standort': standort}, callback);
+	_.ausfuehren = function(sqlString, callback, t) {
+		(t || db).ausfuehren(sqlString.replace(/bachelor_bigdata2_/g, db.getTableName('')), callback);
 	};
 	
 	/**
-	 * Fraegt die Auswertungsdaten in einem Zeitraum ab
-	 * @param date_von Der Zeitpunkt, ab dem die Daten abgefragt werden sollen
-	 * @param date_bis Der Zeitpunkt, bis zu dem die Daten abgefragt werden sollen
-	 * @param time_split Die Groesse, die ein Zeitabschnitt haben soll
-	 * @param standort Der Standort
+	 * Fragt die Spalten einer Tabelle ab
+	 * @param tabelle Die Tabelle ohne Praefix
+	 * @param callback Die Callback Funktion; bekommt die Namen der Spalten in Kleinbuchstaben, bei fehlender Tabelle []
+	 **/
+	_.spalten = function(tabelle, callback) {
+		db.spalten(tabelle, callback);
+	};
+	
+	/**
+	 * Erstellt die Tabelle, in der die angewendeten Migrationen gespeichert werden
 	 * @param callback Die Callback Funktion
-	 * @param nr Die gesuchten Zeitabschnitte
 	 **/
-	_.getMultipleAuswertungAVG = function(date_von, date_bis, time_split, standort, callback, nr) {
-		date_von = getZeit(date_von);
-		date_bis = getZeit(date_bis);
-		
-		var addWhere = '';
-		
-		if(nr !== undefined) {
-			if(nr instanceof Array && nr.length > 0) {
-				addWhere = ' WHERE nr ' + nr.join(' AND nr ');
+	_.createSchemaversion = function(callback) {
+		db.ausfuehren('CREATE TABLE ' + db.getTableName('schemaversion') + ' (version int, name varchar(200), zeit bigint, PRIMARY KEY (version))',
+					callback);
+	};
+	
+	/**
+	 * Fraegt die Version des Schemas ab
+	 * @param callback Die Callback Funktion; bekommt die hoechste angewendete Migration oder 0
+	 **/
+	_.getSchemaversion = function(callback) {
+		db.select(['MAX(version) AS version'], 'schemaversion', '', {}, function(err, data) {
+			callback(err, (err === undefined && data.length === 1 && data[0].version !== null) ? data[0].version : 0);
+		});
+	};
+	
+	/**
+	 * Speichert eine angewendete Migration
+	 * @param version Die Version
+	 * @param name Der Name der Migration
+	 * @param callback Die Callback Funktion
+	 * [@param t] Die Transaktion, in der der Befehl ausgefuehrt wird
+	 **/
+	_.insertSchemaversion = function(version, name, callback, t) {
+		(t || db).insert(['version', 'name', 'zeit'], 'schemaversion', ['@version', '@name', '@zeit'],
+					{'version': version, 'name': name, 'zeit': Math.floor(getZeit())}, callback);
+	};
+	
+	/**
+	 * Fuehrt mehrere Schritte in einer Transaktion aus; schlaegt ein Schritt fehl, werden alle Aenderungen zurueckgenommen
+	 * @param schritte [Array] Die Schritte als function(t, weiter); t bietet select, insert, update, delete und ausfuehren
+	 *                 wie die Datenbank, weiter(err) startet den naechsten Schritt oder bricht bei einem Fehler ab
+	 * @param callback Die Callback Funktion; bekommt den Fehler, falls die Transaktion zurueckgenommen wurde
+	 **/
+	_.transaktion = function(schritte, callback) {
+		db.beginTransaction(function(err, t) {
+			if(err !== undefined) {
+				callback(err);
+				
+				return;
 			}
+			
+			var i = 0;
+			
+			var weiter = function(err) {
+				if(err !== undefined) {
+					t.rollback(function() {
+						callback(err);
+					});
+					
+					return;
+				}
+				
+				if(i >= schritte.length) {
+					t.commit(callback);
+					
+					return;
+				}
+				
+				try {
+					schritte[i++](t, weiter);
+				} catch(e) {
+					error.add(['Transaktion', e]);
+					
+					weiter(e);
+				}
+			};
+			
+			weiter();
+		});
+	};
+	
+	/**
+	 * Testet die Verbindung mit den Verbindungsdaten eines Profils, indem die Orte gezaehlt werden
+	 * @param profil Die Verbindungsdaten
+	 * @param callback Die Callback Funktion
+	 **/
+	_.testeVerbindung = function(profil, callback) {
+		if(!(profil.typ in backends)) {
+			callback('Unbekannter Datenbanktyp "' + profil.typ + '"');
+			
+			return;
 		}
 		
-		mssql.select(['name', 'AVG(wert) AS wert', 'nr'], '(SELECT wert, name,\
-								FLOOR((zeit - @von) / @time_split) AS nr FROM ' + mssql.getTableName('auswertung') + '\
-								 WHERE zeit <= @bis AND zeit >= @von AND\
-								 locationarea_locationid = @standort) auswertungData',
-										addWhere + ' GROUP BY nr, name ORDER BY nr',
-				{'standort': standort, 'von': date_von, 'bis': date_bis, 'time_split': time_split},
-				function(err, data) {
-					if(err === undefined) {
-						var i, j, nr, obj = [], allNr = {};
-						
-						for(i=0,j=data.length;i<j;++i) {
-							nr = data[i].nr;
-							
-							if(!(nr in allNr)) {
-								allNr[nr] = true;
-								
-								obj.push({'nr': nr});
-							}
-							
-							obj[obj.length - 1]['auswertung_' + data[i].name] = data[i].wert;
-						}
-						
-						data = obj;
-					}
-					
-					callback(err, data);
-				}, 100000);
+		profil.datei = aufloesen(profil.datei);
+		
+		var test = backends[profil.typ](profil);
+		
+		test.select(['COUNT(*) AS anzahl'], 'locationarea', '', {}, function(err, data) {
+			test.close();
+			
+			callback(err, data);
+		});
+	};
+	
+	/**
+	 * Schliesst die Verbindung zur Datenbank, z.B. vor dem Wechsel des Verbindungsprofils
+	 **/
+	_.close = function() {
+		db.close();
 	};
 })(this, 'datenbank');
\ No newline at end of file
@@ -0,0 +1,265 @@
+"use strict";
+
+/**
+ * Die Befehle, die alle Datenbank Backends gleich anbieten (select, abfrage, insert, update, delete, ausfuehren) und die
+ * Transaktionen darauf; die Backends liefern nur das Ausfuehren eines Querys, Beginn, Commit und Rollback sowie ihren
+ * Dialekt
+ * 
+ * geschrieben fuer das Bachelorprojekt BigData 2016, AI IV / Universitaet Bayreuth
+ * 
+ * Author: BigData2
+ * 
+ * Nutzung:
+ * datenbank_befehle.befehle(backend, ausfuehren, dialekt);
+ * var t = datenbank_befehle.transaktion(ausfuehren, beenden, freigeben, dialekt);
+ * 
+ **/
+
+(function(root, name) {
+	var old = root[name];
+	
+	var _ = {};
+	
+	/**
+	 * Fuegt einem Objekt die Befehle select, abfrage, insert, update, delete und ausfuehren hinzu; wird fuer die Verbindung
+	 * und fuer Transaktionen verwendet
+	 * @param ziel Das Objekt
+	 * @param ausfuehren Die Funktion, die einen Query ausfuehrt (sqlString, werte, callback)
+	 * @param dialekt Die Besonderheiten der Datenbank wie bei abfrage
+	 * @return Das Objekt
+	 **/
+	_.befehle = function(ziel, ausfuehren, dialekt) {
+		/**
+		 * Funktion fuer SELECT Anfragen
+		 * @param spalten [Array] Die gewunschten Spalten
+		 * @param tabelle Die Tabelle
+		 * @param sonstiges WHERE, GROUP BY, ...
+		 * @param keyWoerter Ein Objekt mit den Werten fuer Prepared Statements
+		 * @param callback Die Callback Funktion
+		 * [@param maxRows] Die maximale Anzahl Ergebnisse; Standardmaessig 10000
+		 **/
+		ziel.select = function(spalten, tabelle, sonstiges, keyWoerter, callback, maxRows) {
+			if(tabelle.indexOf('(') === -1) tabelle = dialekt.tabelle(tabelle);
+			
+			if(maxRows === undefined) maxRows = 10000;
+			else if((typeof maxRows) === 'number')
+				if(maxRows >= 1 && maxRows < 10000) maxRows = Math.floor(maxRows);
+			
+			ausfuehren(dialekt.select(spalten, tabelle, sonstiges, maxRows), keyWoerter, callback);
+		};
+		
+		/**
+		 * Fuehrt eine mit abfrage zusammengebaute SELECT Anfrage aus; ist die Anfrage ungueltig, wird nichts ausgefuehrt
+		 * @param anfrage Das abfrage Objekt
+		 * @param callback Die Callback Funktion
+		 **/
+		ziel.abfrage = function(anfrage, callback) {
+			var erstellt = anfrage.erstellen(dialekt);
+			
+			if(erstellt.fehler !== undefined) {
+				error.add(['Abfrage', erstellt.fehler]);
+				
+				callback('Ungültige Abfrage');
+				
+				return;
+			}
+			
+			ausfuehren(erstellt.sql, erstellt.werte, callback);
+		};
+		
+		/**
+		 * Funktion fuer INSERT's
+		 * @param spalten [Array] Die Spalten, die eingetragen werden sollen
+		 * @param tabelle Die Tabelle
+		 * @param werte [Array] Die Werte fuer die Spalten
+		 * @param keyWoerter Ein Objekt mit den Werten fuer Prepared Statements
+		 * @param callback Die Callback Funktion
+		 **/
+		ziel.insert = function(spalten, tabelle, werte, keyWoerter, callback) {
+			if(tabelle.indexOf('(') === -1) tabelle = dialekt.tabelle(tabelle);
+			
+			ausfuehren('INSERT INTO ' + tabelle + ' (' + spalten.join(', ') + ') VALUES (' + werte.join(', ') + ')', keyWoerter, callback);
+		};
+		
+		/**
+		 * Funktion fuer UPDATE's; ohne WHERE Bedingung wird nichts geaendert
+		 * @param spalten [Array] Die Spalten, die geaendert werden sollen
+		 * @param tabelle Die Tabelle
+		 * @param werte [Array] Die neuen Werte fuer die Spalten
+		 * @param bedingung Die WHERE Bedingung, z.B. 'WHERE locationid = @loc'
+		 * @param keyWoerter Ein Objekt mit den Werten fuer Prepared Statements
+		 * @param callback Die Callback Funktion
+		 **/
+		ziel.update = function(spalten, tabelle, werte, bedingung, keyWoerter, callback) {
+			if(!/^\s*WHERE\s+\S/i.test(bedingung) || spalten.length === 0 || spalten.length !== werte.length) {
+				error.add(['Update', 'Ein UPDATE braucht eine WHERE Bedingung und zu jeder Spalte einen Wert!']);
+				
+				callback('Ungültiges UPDATE');
+				
+				return;
+			}
+			
+			if(tabelle.indexOf('(') === -1) tabelle = dialekt.tabelle(tabelle);
+			
+			var i, j, setzen = [];
+			
+			for(i=0,j=spalten.length;i<j;++i) {
+				setzen.push(spalten[i] + ' = ' + werte[i]);
+			}
+			
+			ausfuehren('UPDATE ' + tabelle + ' SET ' + setzen.join(', ') + ' ' + bedingung, keyWoerter, callback);
+		};
+		
+		/**
+		 * Funktion fuer DELETE's; ohne WHERE Bedingung wird nichts geloescht
+		 * @param tabelle Die Tabelle
+		 * @param bedingung Die WHERE Bedingung, z.B. 'WHERE keyname = @keyname'
+		 * @param keyWoerter Ein Objekt mit den Werten fuer Prepared Statements
+		 * @param callback Die Callback Funktion
+		 **/
+		ziel.delete = function(tabelle, bedingung, keyWoerter, callback) {
+			if(!/^\s*WHERE\s+\S/i.test(bedingung)) {
+				error.add(['Delete', 'Ein DELETE braucht eine WHERE Bedingung!']);
+				
+				callback('Ungültiges DELETE');
+				
+				return;
+			}
+			
+			if(tabelle.indexOf('(') === -1) tabelle = dialekt.tabelle(tabelle);
+			
+			ausfuehren('DELETE FROM ' + tabelle + ' ' + bedingung, keyWoerter, callback);
+		};
+		
+		/**
+		 * Fuehrt einen einzelnen SQL Befehl aus, z.B. fuer die Migrationen; der Praefix der Tabellen wird nicht ergaenzt
+		 * @param sqlString Der SQL String
+		 * @param callback Die Callback Funktion
+		 **/
+		ziel.ausfuehren = function(sqlString, callback) {
+			ausfuehren(sqlString, {}, callback);
+		};
+		
+		return ziel;
+	};
+	
+	/**
+	 * Erstellt das Objekt fuer eine Transaktion; die Befehle werden nacheinander ausgefuehrt, nach commit oder rollback
+	 * werden keine Befehle mehr angenommen
+	 * @param ausfuehren Die Funktion, die einen Query in der Transaktion ausfuehrt (sqlString, werte, callback)
+	 * @param beenden Die Funktion, die die Transaktion beendet (commit, callback)
+	 * @param freigeben Die Funktion, die nach dem Ende der Transaktion aufgerufen wird
+	 * @param dialekt Die Besonderheiten der Datenbank wie bei abfrage
+	 * @return Die Transaktion mit select, insert, update, delete, ausfuehren, commit und rollback
+	 **/
+	_.transaktion = function(ausfuehren, beenden, freigeben, dialekt) {
+		var t = {}, warteschlange = [], laeuft = false, beendet = false;
+		
+		// Fuehrt den naechsten Auftrag aus, sobald der vorherige fertig ist
+		var naechster = function() {
+			if(laeuft || warteschlange.length === 0) return;
+			
+			laeuft = true;
+			
+			warteschlange.shift()(function() {
+				laeuft = false;
+				
+				naechster();
+			});
+		};
+		
+		var query_transaktion = function(sqlString, werte, callback) {
+			warteschlange.push(function(weiter) {
+				if(beendet) {
+					callback('Die Transaktion ist bereits beendet!');
+					
+					weiter();
+					
+					return;
+				}
+				
+				ausfuehren(sqlString, werte, function(err, recordset) {
+					if(err === null) {
+						err = undefined;
+					}
+					
+					try {
+						callback(err, recordset);
+					} catch(e) { error.add(['Callback failed', e]); }
+					
+					if(err !== undefined) {
+						error.add(['Error by query', err]);
+					}
+					
+					weiter();
+				});
+			});
+			
+			naechster();
+		};
+		
+		var ende = function(commit) {
+			return function(callback) {
+				warteschlange.push(function(weiter) {
+					var abschluss = function(err) {
+						freigeben();
+						
+						if(err !== undefined) {
+							error.add([commit ? 'Commit' : 'Rollback', err]);
+						}
+						
+						if(callback !== undefined) {
+							callback(err);
+						}
+						
+						weiter();
+					};
+					
+					if(beendet) {
+						if(callback !== undefined) {
+							callback('Die Transaktion ist bereits beendet!');
+						}
+						
+						weiter();
+						
+						return;
+					}
+					
+					beendet = true;
+					
+					beenden(commit, function(err) {
+						if(err === null) {
+							err = undefined;
+						}
+						
+						// Schlaegt der Commit fehl, werden die Aenderungen verworfen
+						if(err !== undefined && commit) {
+							beenden(false, function() {
+								abschluss(err);
+							});
+						} else {
+							abschluss(err);
+						}
+					});
+				});
+				
+				naechster();
+			};
+		};
+		
+		_.befehle(t, query_transaktion, dialekt);
+		
+		t.commit = ende(true);
+		t.rollback = ende(false);
+		
+		return t;
+	};
+	
+	root[name] = _;
+	
+	_.noConflict = function() {
+		root[name] = old;
+		
+		return _;
+	};
+})(this, 'datenbank_befehle');
\ No newline at end of file
@@ -18,162 +18,236 @@ this.mssql = (function(created_from, database_settings) {
 	
 	var sql = require('mssql');
 	
-	var connection;
+	// Standardwerte fuer den Verbindungspool, falls in den Verbindungsdaten nichts angegeben ist
+	var poolStandard = {'max': 10, 'min': 0, 'idleTimeoutMillis': 30000}, i;
 	
-	var connected = false, connections = {'activ': false, 'queue': []};
+	if((typeof database_settings.pool) !== 'object' || database_settings.pool === null) {
+		database_settings.pool = {};
+	}
+	
+	for(i in poolStandard) {
+		if(database_settings.pool[i] === undefined) {
+			database_settings.pool[i] = poolStandard[i];
+		}
+	}
+	
+	// Die maximale Dauer eines einzelnen Querys in Millisekunden
+	if(database_settings.requestTimeout === undefined) {
+		database_settings.requestTimeout = 15000;
+	}
+	
+	var connection = null; // Der Verbindungspool
+	
+	var connected = false, waiting = []; // Die Funktionen, die auf den Aufbau der Verbindung warten
+	
+	// Wird bei jedem Schliessen erhoeht; ein Aufbau, der vor dem Schliessen begonnen hat, wird danach verworfen
+	var verbindungNr = 0;
 	
 	/**
-	 * Baue die Verbindung auf
-	 * @param callback Die Callbackfunktion
+	 * Baue den Verbindungspool auf
+	 * @param callback Die Callbackfunktion; bekommt den Pool
 	 **/
 	var connect = function(callback) {
-		connection = new sql.Connection(database_settings);
+		var pool = connection = new sql.Connection(database_settings);
 		
-		connection.connect(callback);
+		pool.connect(function(err) {
+			callback(err, pool);
+		});
 	};
 	
 	/**
-	 * Schliesse die Verbindung zur Datenbank
+	 * Schliesse alle Verbindungen des Pools zur Datenbank; Anfragen, die noch auf den Aufbau warten, bekommen einen Fehler
 	 **/
 	var closeDB = function() {
+		var i, j, warten = waiting;
+		
 		if(connected) {
 			connection.close();
 		}
 		
+		connection = null;
+		
 		connected = false;
+		
+		waiting = [];
+		
+		++verbindungNr;
+		
+		for(i=0,j=warten.length;i<j;++i) {
+			warten[i]('Die Verbindung zur Datenbank wurde geschlossen');
+		}
 	};
 	
 	// Schliesse die Verbindung, wenn das Fenster geschlossen wird
-	fenster.on('close', closeDB);
+	var schliessen = fenster.on('close', closeDB);
 	
 	/**
-	 * Fuehre einen Query aus
+	 * Stellt sicher, dass der Verbindungspool aufgebaut ist, und fuehrt dann die Funktion aus; waehrend des Aufbaus
+	 * warten alle Anfragen gemeinsam, danach werden die Anfragen vom Pool parallel abgearbeitet
 	 * @param action Die Callback Funktion
 	 **/
 	var query = function(action) {
-		if(!connected) {
-			connect(function(err) {
-				if(err !== undefined && err !== null) {
-					action(err);
-					
-					return;
-				}
-				
-				connected = true;
-				
-				action();
-			});
-		} else {
+		if(connected) {
 			action();
-		}
-	};
-	
-	/**
-	 * Fuehre einen Query aus
-	 * @param sqlString Der SQL String
-	 * [@param Werte fuer Prepared Statements] Ein Objekt mit den Werten fuer Prepared Statements
-	 * @param callback Die Callback Funktion
-	 **/
-	var query_action = function(sqlString, callback) {
-		var parameter = arguments;
-		
-		if(connections.activ === true) {
-			connections.queue.push(function() {
-				query_action.apply(null, parameter);
-			});
 			
 			return;
-		} else {
-			connections.activ = true;
 		}
 		
-		var function_ = parameter[parameter.length - 1];
+		waiting.push(action);
 		
-		sqlString += ';'
+		// Der Pool wird bereits aufgebaut
+		if(waiting.length > 1) {
+			return;
+		}
 		
-		parameter = (parameter.length === 3) ? [sqlString, callback] : [sqlString];
+		var nr = verbindungNr;
 		
-		parameter.push(function(err, recordset) {
-			try {
-				function_(err, recordset);
-			} catch(e) { error.add(['Callback failed', e]); }
+		connect(function(err, pool) {
+			var i, j, warten = waiting;
 			
-			if(err !== undefined) {
-				error.add(['Error by query', err]);
+			// Die Verbindung wurde waehrend des Aufbaus geschlossen
+			if(nr !== verbindungNr) {
+				if(err === undefined || err === null) {
+					pool.close();
+				}
+				
+				return;
 			}
 			
-			connections.activ = false;
+			waiting = [];
 			
-			if(connections.queue.length === 0) {
-				closeDB();
-			} else {
-				connections.queue[0]();
-				connections.queue.splice(0, 1);
+			if(err !== undefined && err !== null) {
+				connection = null;
+				
+				for(i=0,j=warten.length;i<j;++i) {
+					warten[i](err);
+				}
+				
+				return;
+			}
+			
+			connected = true;
+			
+			for(i=0,j=warten.length;i<j;++i) {
+				warten[i]();
 			}
 		});
+	};
+	
+	/**
+	 * Fuehre einen Query aus
+	 * @param sqlString Der SQL String
+	 * [@param Werte fuer Prepared Statements] Ein Objekt mit den Werten fuer Prepared Statements
+	 * @param callback Die Callback Funktion
+	 **/
+	var query_action = function(sqlString, callback) {
+		var werte = (arguments.length === 3) ? arguments[1] : {},
+			function_ = arguments[arguments.length - 1];
+		
+		sqlString += ';'
 		
 		query(function(err) {
 			if(err !== undefined) {
 				error.add(['Connection to database', err]);
 				
-				parameter[parameter.length - 1](err);
+				function_(err);
 				
 				return;
 			}
 			
-			var request = new sql.Request(connection);
+			var request = new sql.Request(connection), name;
 			
-			if(parameter.length == 2) {
-				request.query(parameter[0], parameter[1]);
-			} else {
-				var name;
-				
-				for(name in parameter[1]) {
-					request.input(name, parameter[1][name]);
+			for(name in werte) {
+				request.input(name, werte[name]);
+			}
+			
+			request.query(sqlString, function(err, recordset) {
+				if(err === null) {
+					err = undefined;
 				}
 				
-				request.query(parameter[0], parameter[2]);
-			}
+				try {
+					function_(err, recordset);
+				} catch(e) { error.add(['Callback failed', e]); }
+				
+				if(err !== undefined) {
+					error.add(['Error by query', err]);
+				}
+			});
 		});
 	};
 	
-	var praefix = 'bachelor_bigdata2_';
+	// Der Praefix der Tabellen aus dem Verbindungsprofil
+	var praefix = (database_settings.praefix !== undefined) ? database_settings.praefix : 'bachelor_bigdata2_';
+	
+	// Die Besonderheiten von MSSQL fuer die mit abfrage zusammengebauten Anfragen
+	var dialekt = {
+		'tabelle': function(name) {
+			return praefix + name;
+		},
+		'abrunden': function(ausdruck) {
+			return 'FLOOR(' + ausdruck + ')';
+		},
+		'select': function(spalten, tabelle, sonstiges, maxRows) {
+			return 'SELECT TOP ' + maxRows + ' ' + spalten.join(', ') + ' FROM ' + tabelle + ' ' + sonstiges;
+		}
+	};
 	
 	var _ = function() {
 		
 	};
 	
+	datenbank_befehle.befehle(_, query_action, dialekt);
+	
 	/**
-	 * Funktion fuer SELECT Anfragen
-	 * @param spalten [Array] Die gewunschten Spalten
-	 * @param tabelle Die Tabelle
-	 * @param sonstiges WHERE, GROUP BY, ...
-	 * @param keyWoerter Ein Objekt mit den Werten fuer Prepared Statements
-	 * @param callback Die Callback Funktion
-	 * [@param maxRows] Die maximale Anzahl Ergebnisse; Standardmaessig 10000
+	 * Beginnt eine Transaktion; die Befehle der Transaktion laufen ueber eine eigene Verbindung aus dem Pool
+	 * @param callback Die Callback Funktion; bekommt die Transaktion mit select, insert, update, delete, ausfuehren,
+	 *                 commit und rollback
 	 **/
-	_.select = function(spalten, tabelle, sonstiges, keyWoerter, callback, maxRows) {
-		if(tabelle.indexOf('(') === -1) tabelle = praefix + tabelle;
-		
-		if(maxRows === undefined) maxRows = 10000;
-		else if((typeof maxRows) === 'number')
-			if(maxRows >= 1 && maxRows < 10000) maxRows = Math.floor(maxRows);
-		
-		query_action('SELECT TOP ' + maxRows + ' ' + spalten.join(', ') + ' FROM ' + tabelle + ' ' + sonstiges, keyWoerter, callback);
+	_.beginTransaction = function(callback) {
+		query(function(err) {
+			if(err !== undefined) {
+				error.add(['Connection to database', err]);
+				
+				callback(err);
+				
+				return;
+			}
+			
+			var transaction = new sql.Transaction(connection);
+			
+			transaction.begin(function(err) {
+				if(err !== undefined && err !== null) {
+					error.add(['Begin transaction', err]);
+					
+					callback(err);
+					
+					return;
+				}
+				
+				callback(undefined, datenbank_befehle.transaktion(function(sqlString, werte, callback) {
+					var request = new sql.Request(transaction), name;
+					
+					for(name in werte) {
+						request.input(name, werte[name]);
+					}
+					
+					request.query(sqlString + ';', callback);
+				}, function(commit, callback) {
+					if(commit) transaction.commit(callback);
+					else transaction.rollback(callback);
+				}, function() {}, dialekt));
+			});
+		});
 	};
 	
 	/**
-	 * Funktion fuer INSERT's
-	 * @param spalten [Array] Die Spalten, die eingetragen werden sollen
-	 * @param tabelle Die Tabelle
-	 * @param werte [Array] Die Werte fuer die Spalten
-	 * @param keyWoerter Ein Objekt mit den Werten fuer Prepared Statements
-	 * @param callback Die Callback Funktion
+	 * Schliesst den Verbindungspool; bei der naechsten Anfrage wird er neu aufgebaut
 	 **/
-	_.insert = function(spalten, tabelle, werte, keyWoerter, callback) {
-		if(tabelle.indexOf('(') === -1) tabelle = praefix + tabelle;
+	_.close = function() {
+		schliessen.stop();
 		
-		query_action('INSERT INTO ' + tabelle + ' (' + spalten.join(', ') + ') VALUES (' + werte.join(', ') + ')', keyWoerter, callback);
+		closeDB();
 	};
 	
 	/**
@@ -184,6 +258,28 @@ this.mssql = (function(created_from, database_settings) {
 		return praefix + name;
 	};
 	
+	/**
+	 * Gibt den SQL Ausdruck fuer die ID zurueck, die die Datenbank beim letzten INSERT der Verbindung vergeben hat; daher
+	 * nur in derselben Transaktion wie das INSERT verwenden. SCOPE_IDENTITY() gilt nur innerhalb eines Befehls und waere im
+	 * naechsten Befehl der Transaktion schon NULL
+	 * @return Der Ausdruck
+	 **/
+	_.neueId = function() {
+		return '@@IDENTITY';
+	};
+	
+	/**
+	 * Fragt die Spalten einer Tabelle ab
+	 * @param tabelle Die Tabelle
+	 * @param callback Die Callback Funktion; bekommt die Namen der Spalten in Kleinbuchstaben, bei fehlender Tabelle []
+	 **/
+	_.spalten = function(tabelle, callback) {
+		query_action("SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME = @name", {'name': praefix + tabelle},
+			function(err, data) {
+				callback(err, (err === undefined) ? data.map(function(spalte) { return spalte.COLUMN_NAME.toLowerCase(); }) : []);
+			});
+	};
+	
 	/**
 	 * Fragt alle Tabellen ab
 	 * @param callback Die Callback Funktion
@@ -202,4 +298,4 @@ this.mssql = (function(created_from, database_settings) {
 	};
 	
 	return _;
-}).bind(null, this, database_settings());
\ No newline at end of file
+}).bind(null, this);
\ No newline at end of file
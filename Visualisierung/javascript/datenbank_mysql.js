@@ -1,7 +1,7 @@
 "use strict";
 
 /**
- * Behandelt die Verbindung zur einer MySQL Datenbank; Achtung: datenbank_mssql.js nicht durch diese Datei ersetzbar
+ * Behandelt die Verbindung zur einer MySQL/MariaDB Datenbank; bietet dieselben Schnittstellen wie datenbank_mssql.js
  * 
  * geschrieben fuer das Bachelorprojekt BigData 2016, AI IV / Universitaet Bayreuth
  * 
@@ -19,102 +19,255 @@ this.mysql = (function(created_from, database_settings) {
 	
 	var sql = require('mysql');
 	
-	database_settings.host = database_settings.server;
+	var pool_settings = ((typeof database_settings.pool) === 'object' && database_settings.pool !== null) ? database_settings.pool : {};
 	
-	delete database_settings.server;
+	// Die Einstellungen fuer den Verbindungspool
+	var settings = {'host': database_settings.server,
+					'user': database_settings.user,
+					'password': database_settings.password,
+					'database': database_settings.database,
+					'connectionLimit': (pool_settings.max !== undefined) ? pool_settings.max : 10,
+					// MySQL liefert AVG(...) und FLOOR(...) als DECIMAL, das als String ankommen wuerde; die Diagramme erwarten Zahlen
+					'typeCast': function(field, next) {
+						if(field.type === 'NEWDECIMAL' || field.type === 'DECIMAL') {
+							var val = field.string();
+							
+							return (val === null) ? null : Number(val);
+						}
+						
+						return next();
+					}};
 	
-	var connection = sql.createConnection(database_settings);
+	if(database_settings.port !== undefined) {
+		settings.port = database_settings.port;
+	}
+	
+	// Wie lange eine unbenutzte Verbindung offen bleibt (ms)
+	var idleTimeout = (pool_settings.idleTimeoutMillis !== undefined) ? pool_settings.idleTimeoutMillis : 30000,
+		// Wie lange ein einzelner Query maximal dauern darf (ms)
+		requestTimeout = (database_settings.requestTimeout !== undefined) ? database_settings.requestTimeout : 15000;
 	
-	var connected = false, connections = {'activ': false, 'queue': []};
+	var connection = null, // Der Verbindungspool
+		activ = 0, // Die Anzahl der laufenden Querys
+		idleTimer = null; // Der Timer, der den unbenutzten Pool schliesst
 	
-	// Verbinde zur Datenbank
-	var connect = function(callback) {
-		connection.connect(callback);
+	/**
+	 * Schliesse alle Verbindungen des Pools zur Datenbank
+	 **/
+	var closeDB = function() {
+		if(idleTimer !== null) {
+			window.clearTimeout(idleTimer);
+			
+			idleTimer = null;
+		}
+		
+		if(connection !== null) {
+			connection.end(function() {});
+		}
+		
+		connection = null;
 	};
 	
+	// Schliesse die Verbindung, wenn das Fenster geschlossen wird
+	var schliessen = fenster.on('close', closeDB);
+	
 	/**
-	 * Fuehre einen Query aus
-	 * @param action Die Callback Funktion
+	 * Gibt den Verbindungspool zurueck und baut ihn falls noetig auf
+	 * @return Der Verbindungspool
 	 **/
-	var query = function(action) {
-		if(!connected) {
-			connect(function(err) {
-				if(err !== undefined && err !== null) {
-					action(err);
-					
-					return;
-				}
-				
-				connected = true;
-				
-				action();
-			});
-		} else {
-			action();
+	var getPool = function() {
+		if(idleTimer !== null) {
+			window.clearTimeout(idleTimer);
+			
+			idleTimer = null;
 		}
+		
+		if(connection === null) {
+			connection = sql.createPool(settings);
+		}
+		
+		return connection;
+	};
+	
+	/**
+	 * Wird nach jedem Query aufgerufen; schliesst den Pool, falls er eine Weile nicht benutzt wurde
+	 **/
+	var freigeben = function() {
+		--activ;
+		
+		if(activ === 0 && connection !== null) {
+			idleTimer = window.setTimeout(closeDB, idleTimeout);
+		}
+	};
+	
+	/**
+	 * Ersetzt die benannten Platzhalter (@name) durch die maskierten Werte
+	 * @param sqlString Der SQL String
+	 * @param werte Ein Objekt mit den Werten fuer die Platzhalter
+	 * @return Der SQL String mit den eingesetzten Werten
+	 **/
+	var prepare = function(sqlString, werte) {
+		return sqlString.replace(/@(\w+)/g, function(platzhalter, name) {
+			if(!(name in werte)) {
+				return platzhalter;
+			}
+			
+			return sql.escape(werte[name]);
+		});
 	};
 	
 	/**
 	 * Fuehre einen Query aus
 	 * @param sqlString Der SQL String
+	 * [@param Werte fuer Prepared Statements] Ein Objekt mit den Werten fuer Prepared Statements
 	 * @param callback Die Callback Funktion
 	 **/
 	var query_action = function(sqlString, callback) {
-		var parameter = arguments;
-		
-		if(connections.activ === true) {
-			connections.queue.push(function() {
-				query_action.apply(null, parameter);
-			});
-			
-			return;
-		} else {
-			connections.activ = true;
-		}
-		
-		var function_ = parameter[parameter.length - 1];
+		var werte = (arguments.length === 3) ? arguments[1] : {},
+			function_ = arguments[arguments.length - 1];
 		
-		parameter = (parameter.length === 3) ? [sqlString, callback] : [sqlString];
+		++activ;
 		
-		parameter.push(function(err, recordset) {
-			function_(err, recordset);
+		getPool().query({'sql': prepare(sqlString, werte), 'timeout': requestTimeout}, function(err, recordset) {
+			if(err === null) {
+				err = undefined;
+			}
+			
+			freigeben();
 			
-			connections.activ = false;
+			try {
+				function_(err, recordset);
+			} catch(e) { error.add(['Callback failed', e]); }
 			
-			if(connections.queue.length > 0) {
-				connections.queue[0]();
-				connections.queue.splice(0, 1);
+			if(err !== undefined) {
+				error.add(['Error by query', err]);
 			}
 		});
+	};
+	
+	// Der Praefix der Tabellen aus dem Verbindungsprofil
+	var praefix = (database_settings.praefix !== undefined) ? database_settings.praefix : 'bachelor_bigdata2_';
+	
+	// Die Besonderheiten von MySQL fuer die mit abfrage zusammengebauten Anfragen
+	var dialekt = {
+		'tabelle': function(name) {
+			return praefix + name;
+		},
+		'abrunden': function(ausdruck) {
+			return 'FLOOR(' + ausdruck + ')';
+		},
+		'select': function(spalten, tabelle, sonstiges, maxRows) {
+			// Statt TOP wie bei MSSQL wird bei MySQL LIMIT am Ende verwendet
+			return 'SELECT ' + spalten.join(', ') + ' FROM ' + tabelle + ' ' + sonstiges + ' LIMIT ' + maxRows;
+		}
+	};
+	
+	var _ = function() {
 		
-		query(function(err) {
-			if(err !== undefined) {
-				parameter[parameter.length - 1](err);
+	};
+	
+	datenbank_befehle.befehle(_, query_action, dialekt);
+	
+	/**
+	 * Beginnt eine Transaktion; die Befehle der Transaktion laufen ueber eine eigene Verbindung aus dem Pool
+	 * @param callback Die Callback Funktion; bekommt die Transaktion mit select, insert, update, delete, ausfuehren,
+	 *                 commit und rollback
+	 **/
+	_.beginTransaction = function(callback) {
+		++activ;
+		
+		getPool().getConnection(function(err, verbindung) {
+			if(err) {
+				freigeben();
+				
+				error.add(['Connection to database', err]);
+				
+				callback(err);
 				
 				return;
 			}
 			
-			if(parameter.length == 2) {
-				connection.query(parameter[0], parameter[1]);
-			} else {
-				var name;
-				
-				for(name in parameter[1]) {
-					request.input(name, parameter[1][name]);
+			verbindung.beginTransaction(function(err) {
+				if(err) {
+					verbindung.release();
+					
+					freigeben();
+					
+					error.add(['Begin transaction', err]);
+					
+					callback(err);
+					
+					return;
 				}
 				
-				connection.query(parameter[0], parameter[2]);
-			}
+				callback(undefined, datenbank_befehle.transaktion(function(sqlString, werte, callback) {
+					verbindung.query({'sql': prepare(sqlString, werte), 'timeout': requestTimeout}, callback);
+				}, function(commit, callback) {
+					if(commit) verbindung.commit(callback);
+					else verbindung.rollback(callback);
+				}, function() {
+					verbindung.release();
+					
+					freigeben();
+				}, dialekt));
+			});
 		});
 	};
 	
-	var _ = function() {
+	/**
+	 * Schliesst den Verbindungspool; bei der naechsten Anfrage wird er neu aufgebaut
+	 **/
+	_.close = function() {
+		schliessen.stop();
 		
+		closeDB();
+	};
+	
+	/**
+	 * Fuegt bei einem Namen den praefix der Tabelle hinzu
+	 * @param name Der Name
+	 **/
+	_.getTableName = function(name) {
+		return praefix + name;
+	};
+	
+	/**
+	 * Gibt den SQL Ausdruck fuer die ID zurueck, die die Datenbank beim letzten INSERT der Verbindung vergeben hat; daher
+	 * nur in derselben Transaktion wie das INSERT verwenden
+	 * @return Der Ausdruck
+	 **/
+	_.neueId = function() {
+		return 'LAST_INSERT_ID()';
 	};
 	
 	/**
-	 * Hier wurden die benoetigten Schnittestellen nach aussen hinzu kommen
+	 * Fragt die Spalten einer Tabelle ab
+	 * @param tabelle Die Tabelle
+	 * @param callback Die Callback Funktion; bekommt die Namen der Spalten in Kleinbuchstaben, bei fehlender Tabelle []
 	 **/
+	_.spalten = function(tabelle, callback) {
+		query_action("SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME = @name AND TABLE_SCHEMA = DATABASE()", {'name': praefix + tabelle},
+			function(err, data) {
+				callback(err, (err === undefined) ? data.map(function(spalte) { return spalte.COLUMN_NAME.toLowerCase(); }) : []);
+			});
+	};
+	
+	/**
+	 * Fragt alle Tabellen ab
+	 * @param callback Die Callback Funktion
+	 **/
+	_.zeigeAlleTabellen = function(callback) {
+		query_action("SELECT * FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_TYPE = 'BASE TABLE' AND TABLE_SCHEMA = DATABASE()", callback);
+	};
+	
+	/**
+	 * Fragt alle Eigenschaften einer Tabelle ab und schreibt diese auf die Console
+	 * @param name Der Tabellenname
+	 **/
+	_.tabellenEigenschaften = function(tabellenname) {
+		query_action("SELECT * FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_NAME = @name AND TABLE_SCHEMA = DATABASE()", {'name': tabellenname},
+			function(err, data) { console.log("Fehler:", err, "Ergebnis:", data); });
+	};
 	
 	return _;
-}).bind(null, this, database_settings());
\ No newline at end of file
+}).bind(null, this);
\ No newline at end of file
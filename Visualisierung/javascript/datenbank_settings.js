@@ -1,7 +1,9 @@
 "use strict";
 
 /**
- * Speichert die Verbindungsdaten zur Datenbank
+ * Verwaltet die Verbindungsprofile zur Datenbank (z.B. Produktion, Staging, Lokal); die Profile liegen als JSON Datei
+ * im Datenverzeichnis von nw.js; die Passwoerter werden mit einem Schluessel verschluesselt, der aus einer Passphrase
+ * abgeleitet wird und nicht gespeichert wird (siehe entsperren)
  * 
  * geschrieben fuer das Bachelorprojekt BigData 2016, AI IV / Universitaet Bayreuth
  * 
@@ -10,22 +12,192 @@
  **/
 
 (function(created_from, can_be_accessed) {
-	var data = {server: '81.169.244.134', user: 'TeamUser', password: 'Bigdata2016', database: 'TestDatabase2'};
+	var fs = require('fs'), crypto = require('crypto'), dataPath = require('nw.gui').App.dataPath;
 	
-	var copy = function() {
-		if(accessed > can_be_accessed) {
+	var dateiProfile = dataPath + '/verbindungsprofile.json', // Die Datei mit den Profilen
+		dateiSchluessel = dataPath + '/verbindungsprofile.key'; // Der frueher gespeicherte Schluessel; wird umgestellt
+	
+	// Der Name, unter dem der abgeleitete Schluessel im sessionStorage liegt; der sessionStorage wird nicht auf die
+	// Festplatte geschrieben und bleibt beim Neuladen (z.B. beim Aktivieren eines Profils) erhalten
+	var sitzungSchluessel = 'verbindungsprofile.schluessel';
+	
+	// Der Text, mit dem beim Entsperren geprueft wird, ob die Passphrase stimmt
+	var pruefText = 'verbindungsprofile';
+	
+	// Die Felder eines Profils; typ gibt an, welche Datenbank verwendet wird ('mssql', 'mysql' oder 'sqlite'),
+	// bei 'sqlite' werden statt server, user, ... die Felder datei und testdaten (Pfade) verwendet
+	var felder = ['typ', 'server', 'port', 'user', 'password', 'database', 'praefix', 'datei', 'testdaten', 'pool', 'requestTimeout'];
+	
+	// Das Profil, das beim ersten Start angelegt wird (der MSSQL Server des Projekts); das Passwort wird dann auf
+	// der Seite Datenbank abgefragt. SQLite Profile brauchen das Node Paket sqlite3, das nicht mitgeliefert wird
+	var standardProfil = {'typ': 'mssql', 'server': '81.169.244.134', 'database': 'TestDatabase2', 'user': 'TeamUser',
+							'praefix': 'bachelor_bigdata2_'};
+	
+	var data = {'aktiv': 'Standard', 'profile': {'Standard': standardProfil}};
+	
+	var unlesbar = {}; // Die Profile, deren Passwort nicht entschluesselt werden konnte
+	
+	var schluessel = null; // Der aus der Passphrase abgeleitete Schluessel; null, solange nicht entsperrt wurde
+	
+	/**
+	 * Kopiert ein verschachteltes Objekt
+	 * @param obj Das Objekt
+	 **/
+	var copyObject = function(obj) {
+		var i, new_obj = {};
+		
+		for(i in obj) {
+			new_obj[i] = ((typeof obj[i]) === 'object' && obj[i] !== null) ? copyObject(obj[i]) : obj[i];
+		}
+		
+		return new_obj;
+	};
+	
+	/**
+	 * Leitet den Schluessel fuer die Passwoerter aus der Passphrase ab
+	 * @param passphrase Die Passphrase
+	 * @param salt Das Salt aus der Datei als Hex String
+	 * @return Der Schluessel
+	 **/
+	var ableiten = function(passphrase, salt) {
+		return crypto.pbkdf2Sync(passphrase, new Buffer(salt, 'hex'), 100000, 32, 'sha256');
+	};
+	
+	/**
+	 * Verschluesselt ein Passwort
+	 * @param text Das Passwort
+	 * @param key Der Schluessel
+	 * @return Das verschluesselte Passwort als 'iv:inhalt'
+	 **/
+	var verschluesseln = function(text, key) {
+		var iv = crypto.randomBytes(16), cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+		
+		return iv.toString('hex') + ':' + cipher.update(text, 'utf8', 'hex') + cipher.final('hex');
+	};
+	
+	/**
+	 * Entschluesselt ein Passwort
+	 * @param text Das verschluesselte Passwort als 'iv:inhalt'
+	 * @param key Der Schluessel
+	 * @return Das Passwort
+	 **/
+	var entschluesseln = function(text, key) {
+		var teile = text.split(':'), decipher = crypto.createDecipheriv('aes-256-cbc', key, new Buffer(teile[0], 'hex'));
+		
+		return decipher.update(teile[1], 'hex', 'utf8') + decipher.final('utf8');
+	};
+	
+	/**
+	 * Verschluesselt die Passwoerter, die noch mit dem frueher gespeicherten Schluessel verschluesselt sind, mit dem
+	 * Schluessel aus der Passphrase und loescht den alten Schluessel; unlesbare Passwoerter werden entfernt
+	 **/
+	var umschluesseln = function() {
+		var alt = new Buffer(fs.readFileSync(dateiSchluessel, 'utf8'), 'hex'), name;
+		
+		for(name in data.profile) {
+			if(data.profile[name].password === undefined) continue;
+			
+			try {
+				data.profile[name].password = verschluesseln(entschluesseln(data.profile[name].password, alt), schluessel);
+			} catch(e) {
+				delete data.profile[name].password;
+				
+				unlesbar[name] = true;
+			}
+		}
+		
+		fs.unlinkSync(dateiSchluessel);
+	};
+	
+	/**
+	 * Schreibt die Profile in die Datei
+	 **/
+	var speichernDatei = function() {
+		fs.writeFileSync(dateiProfile, JSON.stringify(data, null, '\t'), {'mode': 0o600});
+	};
+	
+	/**
+	 * Liest die Profile aus der Datei; existiert sie noch nicht, wird sie mit dem Standardprofil angelegt
+	 **/
+	var laden = function() {
+		if(!fs.existsSync(dateiProfile)) {
+			speichernDatei();
+			
 			return;
 		}
 		
-		var i, new_data = {};
+		try {
+			data = JSON.parse(fs.readFileSync(dateiProfile, 'utf8'));
+		} catch(e) {
+			window.addEventListener('load', function() {
+				error.add(['Verbindungsprofile', 'Die Datei ' + dateiProfile + ' ist fehlerhaft (' + e + '), es wird das Standardprofil verwendet!']);
+			});
+			
+			data = {'aktiv': 'Standard', 'profile': {'Standard': standardProfil}};
+		}
+		
+		if(!(data.aktiv in data.profile)) {
+			data.aktiv = Object.keys(data.profile)[0];
+		}
+	};
+	
+	/**
+	 * Meldet einen Fehler; vor dem Laden der Seite wird die Meldung bis zum Laden aufgeschoben
+	 * @param fehler Die Fehlermeldung
+	 **/
+	var melden = function(fehler) {
+		if(document.readyState === 'complete') {
+			error.add(['Verbindungsprofile', fehler]);
+		} else {
+			window.addEventListener('load', function() {
+				error.add(['Verbindungsprofile', fehler]);
+			});
+		}
+	};
+	
+	/**
+	 * Gibt die Verbindungsdaten eines Profils mit entschluesseltem Passwort zurueck; solange nicht entsperrt wurde oder
+	 * falls das Passwort nicht entschluesselt werden kann, fehlt es in den Verbindungsdaten; ein unlesbares Passwort muss
+	 * auf der Seite Datenbank neu eingegeben werden
+	 * @param name Der Name des Profils
+	 * @return Die Verbindungsdaten
+	 **/
+	var einstellungen = function(name) {
+		var profil = copyObject(data.profile[name]);
 		
-		for(i in data) {
-			new_data[i] = data[i];
+		if(profil.password !== undefined && schluessel === null) {
+			delete profil.password;
+		} else if(profil.password !== undefined) {
+			try {
+				profil.password = entschluesseln(profil.password, schluessel);
+			} catch(e) {
+				delete profil.password;
+				
+				if(!(name in unlesbar)) {
+					unlesbar[name] = true;
+					
+					melden('Das Passwort des Profils "' + name + '" konnte nicht entschlüsselt werden (' + e.message
+							+ '), bitte auf der Seite Datenbank neu eingeben!');
+				}
+			}
+		}
+		
+		if(profil.praefix === undefined) {
+			profil.praefix = standardProfil.praefix;
 		}
 		
-		return new_data;
+		profil.name = name;
+		
+		return profil;
 	};
 	
+	laden();
+	
+	// Wurde in dieser Sitzung schon entsperrt, gilt der Schluessel auch nach dem Neuladen
+	if(window.sessionStorage.getItem(sitzungSchluessel) !== null && data.passphrase !== undefined) {
+		schluessel = new Buffer(window.sessionStorage.getItem(sitzungSchluessel), 'hex');
+	}
+	
 	var accessed = 0;
 	
 	created_from.database_settings = function() {
@@ -38,9 +210,234 @@
 				delete created_from.database_settings;
 			}
 			
-			return copy();
+			return einstellungen(data.aktiv);
 		}
 	};
 	
 	created_from.database_settings.toString = 'function database_settings() { [native code] }';
-})(this, 2); // 2. Parameter gibt an, wie oft die Verbindungsdaten abgefragt werden koennen, danach loescht sich die Funktion
\ No newline at end of file
+	
+	var _ = function() {
+		
+	};
+	
+	created_from.verbindungsprofile = _;
+	
+	/**
+	 * Gibt alle Profile ohne Passwoerter zurueck
+	 * @return [Array] Die Profile sortiert nach dem Namen; beim aktiven Profil ist aktiv = true
+	 **/
+	_.liste = function() {
+		var namen = Object.keys(data.profile).sort(), i, j, profil, liste = [];
+		
+		for(i=0,j=namen.length;i<j;++i) {
+			profil = copyObject(data.profile[namen[i]]);
+			
+			delete profil.password;
+			
+			profil.name = namen[i];
+			profil.aktiv = (namen[i] === data.aktiv);
+			
+			liste.push(profil);
+		}
+		
+		return liste;
+	};
+	
+	/**
+	 * Gibt zurueck, ob das Passwort eines Profils eingegeben werden muss, weil es noch fehlt (z.B. beim Standardprofil) oder
+	 * nicht entschluesselt werden konnte
+	 * @param name Der Name des Profils
+	 * @return true, falls das Passwort fehlt
+	 **/
+	_.passwortFehlt = function(name) {
+		if(name in unlesbar) {
+			return true;
+		}
+		
+		return name in data.profile && data.profile[name].typ !== 'sqlite' && data.profile[name].password === undefined;
+	};
+	
+	/**
+	 * Gibt zurueck, ob die gespeicherten Passwoerter erst nach Eingabe der Passphrase gelesen werden koennen
+	 * [@param name] Der Name eines Profils; dann nur, falls fuer dieses Profil ein Passwort gespeichert ist
+	 * @return true, falls noch entsperrt werden muss
+	 **/
+	_.gesperrt = function(name) {
+		if(schluessel !== null) {
+			return false;
+		}
+		
+		return name === undefined || (name in data.profile && data.profile[name].password !== undefined);
+	};
+	
+	/**
+	 * Gibt zurueck, ob schon eine Passphrase festgelegt wurde
+	 * @return true, falls die Passphrase beim Entsperren geprueft wird
+	 **/
+	_.passphraseFestgelegt = function() {
+		return data.passphrase !== undefined;
+	};
+	
+	/**
+	 * Entsperrt die gespeicherten Passwoerter mit der Passphrase; beim ersten Aufruf wird die Passphrase festgelegt. Der
+	 * Schluessel wird mit PBKDF2 aus der Passphrase und einem zufaelligen Salt abgeleitet; in der Datei stehen nur das Salt
+	 * und ein damit verschluesselter Text zum Pruefen der Passphrase. Der Schluessel bleibt fuer die Sitzung im
+	 * sessionStorage, damit die Anwendung danach neu geladen werden kann und die Verbindungsdaten mit Passwort bekommt
+	 * @param passphrase Die Passphrase
+	 * @return Eine Fehlermeldung oder undefined, falls entsperrt wurde
+	 **/
+	_.entsperren = function(passphrase) {
+		if((typeof passphrase) !== 'string' || passphrase.length < 8) {
+			return 'Die Passphrase muss mindestens 8 Zeichen lang sein!';
+		}
+		
+		var key, salt;
+		
+		if(data.passphrase === undefined) {
+			salt = crypto.randomBytes(16).toString('hex');
+			schluessel = ableiten(passphrase, salt);
+			
+			data.passphrase = {'salt': salt, 'pruefung': verschluesseln(pruefText, schluessel)};
+			
+			if(fs.existsSync(dateiSchluessel)) {
+				umschluesseln();
+			}
+			
+			speichernDatei();
+		} else {
+			key = ableiten(passphrase, data.passphrase.salt);
+			
+			try {
+				if(entschluesseln(data.passphrase.pruefung, key) !== pruefText) {
+					throw new Error();
+				}
+			} catch(e) {
+				return 'Die Passphrase ist falsch!';
+			}
+			
+			schluessel = key;
+		}
+		
+		window.sessionStorage.setItem(sitzungSchluessel, schluessel.toString('hex'));
+	};
+	
+	/**
+	 * Gibt den Namen des aktiven Profils zurueck
+	 * @return Der Name
+	 **/
+	_.aktiv = function() {
+		return data.aktiv;
+	};
+	
+	/**
+	 * Gibt die vollstaendigen Verbindungsdaten zu einem Profil aus dem Formular zurueck, z.B. um die Verbindung zu testen;
+	 * ist das Passwort leer, wird bei einem bestehenden Profil das gespeicherte Passwort verwendet
+	 * @param profil Das Profil
+	 * @return Die Verbindungsdaten
+	 **/
+	_.vervollstaendigen = function(profil) {
+		var ergebnis = copyObject(profil);
+		
+		if((ergebnis.password === undefined || ergebnis.password === '') && ergebnis.name in data.profile) {
+			ergebnis.password = einstellungen(ergebnis.name).password;
+		}
+		
+		if(ergebnis.praefix === undefined || ergebnis.praefix === '') {
+			ergebnis.praefix = standardProfil.praefix;
+		}
+		
+		return ergebnis;
+	};
+	
+	/**
+	 * Speichert ein Profil; ist das Passwort leer, bleibt das gespeicherte Passwort erhalten
+	 * @param profil Das Profil mit name, typ, server, ...
+	 * [@param alterName] Der bisherige Name, falls ein bestehendes Profil umbenannt wird
+	 * @return Eine Fehlermeldung oder undefined, falls das Profil gespeichert wurde
+	 **/
+	_.speichern = function(profil, alterName) {
+		if((typeof profil.name) !== 'string' || profil.name.trim() === '') {
+			return 'Es wurde kein Name für das Profil angegeben!';
+		}
+		if(!(profil.typ === 'mssql' || profil.typ === 'mysql' || profil.typ === 'sqlite')) {
+			return 'Der Datenbanktyp ist ungültig!';
+		}
+		if(profil.praefix !== undefined && !/^\w*$/.test(profil.praefix)) {
+			return 'Der Tabellenpräfix darf nur Buchstaben, Ziffern und _ enthalten!';
+		}
+		if(profil.typ !== 'sqlite' && (profil.server === undefined || profil.server === '')) {
+			return 'Es wurde kein Server angegeben!';
+		}
+		
+		var name = profil.name.trim(), neu = {}, i, j;
+		
+		if(alterName === undefined || !(alterName in data.profile)) {
+			alterName = name;
+		}
+		
+		if(name !== alterName && name in data.profile) {
+			return 'Ein Profil mit dem Namen "' + name + '" existiert bereits!';
+		}
+		
+		for(i=0,j=felder.length;i<j;++i) {
+			if(profil[felder[i]] !== undefined && profil[felder[i]] !== '') {
+				neu[felder[i]] = profil[felder[i]];
+			}
+		}
+		
+		if(neu.password !== undefined && schluessel === null) {
+			return 'Bevor ein Passwort gespeichert werden kann, muss die Passphrase eingegeben werden!';
+		}
+		
+		if(neu.password !== undefined) {
+			neu.password = verschluesseln(neu.password, schluessel);
+			
+			delete unlesbar[alterName];
+		} else if(alterName in data.profile && data.profile[alterName].password !== undefined) {
+			neu.password = data.profile[alterName].password;
+		}
+		
+		if(alterName in unlesbar) {
+			delete unlesbar[alterName];
+			
+			unlesbar[name] = true;
+		}
+		
+		delete data.profile[alterName];
+		
+		if(data.aktiv === alterName) {
+			data.aktiv = name;
+		}
+		
+		data.profile[name] = neu;
+		
+		speichernDatei();
+	};
+	
+	/**
+	 * Loescht ein Profil; das aktive Profil kann nicht geloescht werden
+	 * @param name Der Name des Profils
+	 * @return Eine Fehlermeldung oder undefined, falls das Profil geloescht wurde
+	 **/
+	_.loeschen = function(name) {
+		if(name === data.aktiv) {
+			return 'Das aktive Profil kann nicht gelöscht werden!';
+		}
+		
+		delete data.profile[name];
+		
+		speichernDatei();
+	};
+	
+	/**
+	 * Setzt ein Profil als aktiv; es wird ab dem naechsten Laden der Anwendung verwendet
+	 * @param name Der Name des Profils
+	 **/
+	_.aktivieren = function(name) {
+		if(!(name in data.profile)) return;
+		
+		data.aktiv = name;
+		
+		speichernDatei();
+	};
+})(this, 1); // 2. Parameter gibt an, wie oft die Verbindungsdaten abgefragt werden koennen, danach loescht sich die Funktion
\ No newline at end of file
@@ -0,0 +1,371 @@
+"use strict";
+
+/**
+ * Behandelt die Verbindung zu einer lokalen SQLite Datei; bietet dieselben Schnittstellen wie datenbank_mssql.js und
+ * erlaubt so die Nutzung ohne Netzwerk, z.B. fuer Vorfuehrungen und Tests mit Testdaten
+ * 
+ * geschrieben fuer das Bachelorprojekt BigData 2016, AI IV / Universitaet Bayreuth
+ * 
+ * Author: BigData2
+ * 
+ **/
+
+this.sqlite = (function(created_from, database_settings) {
+	// Loesche Referenz nach erstem Aufruf, damit nur nach ein Objekt vorhanden, das zurueckgeben wird
+	if(created_from.sqlite !== undefined) {
+		created_from.sqlite = undefined;
+		
+		delete created_from.sqlite;
+	}
+	
+	// sqlite3 wird nicht mitgeliefert; fehlt es oder passt es nicht zur Version von NW.js, startet die Anwendung trotzdem,
+	// alle Anfragen schlagen dann mit dem Fehler fehl und das Profil kann im Reiter "Datenbank" gewechselt werden
+	var sql = null, modulFehler;
+	
+	try {
+		sql = require('sqlite3');
+	} catch(e) {
+		modulFehler = 'Das Node Paket sqlite3 konnte nicht geladen werden (' + e.message + ')! Es muss in Visualisierung'
+					+ ' für die Version von NW.js installiert werden, bis dahin ein anderes Verbindungsprofil aktivieren.';
+		
+		// Vor dem Laden der Seite gibt es die Anzeige der Fehler noch nicht
+		if(document.readyState === 'complete') {
+			error.add(['SQLite', modulFehler]);
+		} else {
+			window.addEventListener('load', function() {
+				error.add(['SQLite', modulFehler]);
+			});
+		}
+	}
+	
+	// Der Praefix der Tabellen aus dem Verbindungsprofil
+	var praefix = (database_settings.praefix !== undefined) ? database_settings.praefix : 'bachelor_bigdata2_';
+	
+	// Die Besonderheiten von SQLite fuer die mit abfrage zusammengebauten Anfragen
+	var dialekt = {
+		'tabelle': function(name) {
+			return praefix + name;
+		},
+		'abrunden': function(ausdruck) {
+			// SQLite kennt FLOOR nicht immer; die Werte sind bei der Einteilung in Zeitabschnitte nie negativ, daher ist
+			// das Abschneiden gleich dem Abrunden
+			return 'CAST(' + ausdruck + ' AS INTEGER)';
+		},
+		'select': function(spalten, tabelle, sonstiges, maxRows) {
+			return 'SELECT ' + spalten.join(', ') + ' FROM ' + tabelle + ' ' + sonstiges + ' LIMIT ' + maxRows;
+		}
+	};
+	
+	// Die Datei mit der Datenbank; standardmaessig im Datenverzeichnis von nw.js; die Tabellen werden beim ersten Start von
+	// migration.js erstellt
+	var datei = (database_settings.datei !== undefined) ? database_settings.datei :
+					require('nw.gui').App.dataPath + '/geodeviceweather.sqlite';
+	
+	var connection = null; // Die geoeffnete Datenbank
+	
+	var connected = false, waiting = []; // Die Funktionen, die auf das Oeffnen der Datenbank warten
+	
+	var transaktionAktiv = false, transaktionWartend = []; // Die Anfragen, die auf das Ende der Transaktion warten
+	
+	// Wird bei jedem Schliessen erhoeht; ein Oeffnen, das vor dem Schliessen begonnen hat, wird danach verworfen
+	var verbindungNr = 0;
+	
+	/**
+	 * Oeffne die Datenbank
+	 * @param callback Die Callbackfunktion; bekommt die geoeffnete Datenbank
+	 **/
+	var connect = function(callback) {
+		var geoeffnet = connection = new sql.Database(datei, function(err) {
+			if(err) {
+				callback(err, geoeffnet);
+				
+				return;
+			}
+			
+			// Damit das Loeschen eines Ortes auch die abhaengigen Eintraege loescht
+			geoeffnet.exec('PRAGMA foreign_keys = ON', function(err) {
+				callback(err, geoeffnet);
+			});
+		});
+	};
+	
+	/**
+	 * Schliesse die Datenbank; Anfragen, die noch auf das Oeffnen warten, bekommen einen Fehler
+	 **/
+	var closeDB = function() {
+		var i, j, warten = waiting;
+		
+		if(connected) {
+			connection.close();
+		}
+		
+		connection = null;
+		
+		connected = false;
+		
+		waiting = [];
+		
+		++verbindungNr;
+		
+		for(i=0,j=warten.length;i<j;++i) {
+			warten[i]('Die Verbindung zur Datenbank wurde geschlossen');
+		}
+	};
+	
+	// Schliesse die Verbindung, wenn das Fenster geschlossen wird
+	var schliessen = fenster.on('close', closeDB);
+	
+	/**
+	 * Stellt sicher, dass die Datenbank geoeffnet ist, und fuehrt dann die Funktion aus
+	 * @param action Die Callback Funktion
+	 **/
+	var query = function(action) {
+		if(sql === null) {
+			action(modulFehler);
+			
+			return;
+		}
+		
+		if(connected) {
+			action();
+			
+			return;
+		}
+		
+		waiting.push(action);
+		
+		// Die Datenbank wird bereits geoeffnet
+		if(waiting.length > 1) {
+			return;
+		}
+		
+		var nr = verbindungNr;
+		
+		connect(function(err, geoeffnet) {
+			var i, j, warten = waiting;
+			
+			// Die Datenbank wurde waehrend des Oeffnens geschlossen
+			if(nr !== verbindungNr) {
+				geoeffnet.close();
+				
+				return;
+			}
+			
+			waiting = [];
+			
+			if(err !== undefined && err !== null) {
+				geoeffnet.close();
+				
+				connection = null;
+				
+				for(i=0,j=warten.length;i<j;++i) {
+					warten[i](err);
+				}
+				
+				return;
+			}
+			
+			connected = true;
+			
+			for(i=0,j=warten.length;i<j;++i) {
+				warten[i]();
+			}
+		});
+	};
+	
+	/**
+	 * Gibt die Werte fuer die Platzhalter zurueck; SQLite kennt die Platzhalter @name, bricht aber bei Werten ab, die nicht
+	 * im Query vorkommen
+	 * @param sqlString Der SQL String
+	 * @param werte Ein Objekt mit den Werten fuer Prepared Statements
+	 * @return Die Werte fuer die Platzhalter im Query
+	 **/
+	var parameter = function(sqlString, werte) {
+		var ergebnis = {};
+		
+		sqlString.replace(/@(\w+)/g, function(platzhalter, name) {
+			if(name in werte) {
+				ergebnis[platzhalter] = werte[name];
+			}
+			
+			return platzhalter;
+		});
+		
+		return ergebnis;
+	};
+	
+	/**
+	 * Beendet die Transaktion und fuehrt die wartenden Anfragen aus, bis eine neue Transaktion beginnt
+	 **/
+	var freigeben = function() {
+		transaktionAktiv = false;
+		
+		while(!transaktionAktiv && transaktionWartend.length > 0) {
+			transaktionWartend.shift()();
+		}
+	};
+	
+	/**
+	 * Fuehre einen Query aus
+	 * @param sqlString Der SQL String
+	 * [@param Werte fuer Prepared Statements] Ein Objekt mit den Werten fuer Prepared Statements
+	 * @param callback Die Callback Funktion
+	 **/
+	var query_action = function(sqlString, callback) {
+		var werte = (arguments.length === 3) ? arguments[1] : {},
+			function_ = arguments[arguments.length - 1],
+			args = arguments;
+		
+		query(function(err) {
+			if(err !== undefined) {
+				error.add(['Connection to database', err]);
+				
+				function_(err);
+				
+				return;
+			}
+			
+			// Waehrend einer Transaktion wuerde der Query sonst in der Transaktion landen
+			if(transaktionAktiv) {
+				transaktionWartend.push(function() {
+					query_action.apply(null, args);
+				});
+				
+				return;
+			}
+			
+			connection.all(sqlString, parameter(sqlString, werte), function(err, recordset) {
+				if(err === null) {
+					err = undefined;
+				}
+				
+				try {
+					function_(err, recordset);
+				} catch(e) { error.add(['Callback failed', e]); }
+				
+				if(err !== undefined) {
+					error.add(['Error by query', err]);
+				}
+			});
+		});
+	};
+	
+	var _ = function() {
+		
+	};
+	
+	datenbank_befehle.befehle(_, query_action, dialekt);
+	
+	/**
+	 * Beginnt eine Transaktion; bis zum commit oder rollback warten alle anderen Anfragen, da SQLite nur eine Verbindung hat
+	 * @param callback Die Callback Funktion; bekommt die Transaktion mit select, insert, update, delete, ausfuehren,
+	 *                 commit und rollback
+	 **/
+	_.beginTransaction = function(callback) {
+		if(transaktionAktiv) {
+			transaktionWartend.push(function() {
+				_.beginTransaction(callback);
+			});
+			
+			return;
+		}
+		
+		transaktionAktiv = true;
+		
+		query(function(err) {
+			if(err !== undefined) {
+				freigeben();
+				
+				error.add(['Connection to database', err]);
+				
+				callback(err);
+				
+				return;
+			}
+			
+			connection.exec('BEGIN TRANSACTION', function(err) {
+				if(err) {
+					freigeben();
+					
+					error.add(['Begin transaction', err]);
+					
+					callback(err);
+					
+					return;
+				}
+				
+				callback(undefined, datenbank_befehle.transaktion(function(sqlString, werte, callback) {
+					connection.all(sqlString, parameter(sqlString, werte), callback);
+				}, function(commit, callback) {
+					connection.exec(commit ? 'COMMIT' : 'ROLLBACK', callback);
+				}, freigeben, dialekt));
+			});
+		});
+	};
+	
+	/**
+	 * Schliesst die Datenbank; bei der naechsten Anfrage wird sie neu geoeffnet
+	 **/
+	_.close = function() {
+		schliessen.stop();
+		
+		closeDB();
+	};
+	
+	/**
+	 * Fuegt bei einem Namen den praefix der Tabelle hinzu
+	 * @param name Der Name
+	 **/
+	_.getTableName = function(name) {
+		return praefix + name;
+	};
+	
+	/**
+	 * Gibt den SQL Ausdruck fuer die ID zurueck, die die Datenbank beim letzten INSERT der Verbindung vergeben hat; daher
+	 * nur in derselben Transaktion wie das INSERT verwenden
+	 * @return Der Ausdruck
+	 **/
+	_.neueId = function() {
+		return 'last_insert_rowid()';
+	};
+	
+	/**
+	 * Fragt die Spalten einer Tabelle ab
+	 * @param tabelle Die Tabelle
+	 * @param callback Die Callback Funktion; bekommt die Namen der Spalten in Kleinbuchstaben, bei fehlender Tabelle []
+	 **/
+	_.spalten = function(tabelle, callback) {
+		// PRAGMA erlaubt keine Platzhalter, daher nur gueltige Tabellennamen
+		if(!/^\w+$/.test(tabelle)) {
+			callback('Ungültiger Tabellenname "' + tabelle + '"');
+			
+			return;
+		}
+		
+		query_action("PRAGMA table_info(" + praefix + tabelle + ")", function(err, data) {
+			callback(err, (err === undefined) ? data.map(function(spalte) { return spalte.name.toLowerCase(); }) : []);
+		});
+	};
+	
+	/**
+	 * Fragt alle Tabellen ab
+	 * @param callback Die Callback Funktion
+	 **/
+	_.zeigeAlleTabellen = function(callback) {
+		query_action("SELECT name AS TABLE_NAME FROM sqlite_master WHERE type = 'table'", callback);
+	};
+	
+	/**
+	 * Fragt alle Eigenschaften einer Tabelle ab und schreibt diese auf die Console
+	 * @param name Der Tabellenname
+	 **/
+	_.tabellenEigenschaften = function(tabellenname) {
+		// PRAGMA erlaubt keine Platzhalter, daher nur gueltige Tabellennamen
+		if(!/^\w+$/.test(tabellenname)) return;
+		
+		query_action("PRAGMA table_info(" + tabellenname + ")",
+			function(err, data) { console.log("Fehler:", err, "Ergebnis:", data); });
+	};
+	
+	return _;
+}).bind(null, this);
\ No newline at end of file
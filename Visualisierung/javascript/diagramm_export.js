@@ -0,0 +1,353 @@
+"use strict";
+
+/**
+ * Wandelt ein gespeichertes Diagramm von SVG in PNG oder PDF um; das SVG wird dafuer auf ein Canvas gezeichnet, das nicht
+ * in der Seite eingefuegt wird. Die Werte eines Diagramms oder einer Auswahl werden als CSV geschrieben
+ * 
+ * geschrieben fuer das Bachelorprojekt BigData 2016, AI IV / Universitaet Bayreuth
+ * 
+ * Author: BigData2
+ * 
+ * Nutzung:
+ * diagramm_export.png(svgString, breite, hoehe, faktor, callback);
+ * diagramm_export.pdf(svgString, breite, hoehe, info, callback);
+ * var inhalt = diagramm_export.csv(daten);
+ * 
+ **/
+
+(function(root, name) {
+	var old = root[name];
+	
+	// Die Groesse einer Seite im PDF (A4 quer) und der Rand in Punkten
+	var seite = [842, 595], rand = 36;
+	
+	// Die Vergroesserung des Diagramms im PDF, damit es beim Drucken scharf bleibt
+	var pdfFaktor = 2;
+	
+	/**
+	 * Zeichnet ein SVG auf ein Canvas
+	 * @param svgString Das SVG
+	 * @param breite Die Breite des SVG in Pixeln
+	 * @param hoehe Die Hoehe des SVG in Pixeln
+	 * @param faktor Die Vergroesserung
+	 * @param callback Die Callback Funktion; bekommt das Canvas
+	 **/
+	var zeichnen = function(svgString, breite, hoehe, faktor, callback) {
+		var bild = new Image(), canvas = document.createElement('canvas');
+		
+		canvas.width = Math.round(breite * faktor);
+		canvas.height = Math.round(hoehe * faktor);
+		
+		bild.onload = function() {
+			var kontext = canvas.getContext('2d');
+			
+			// Ohne Hintergrund waere das PNG durchsichtig und das JPEG im PDF schwarz
+			kontext.fillStyle = '#FFF';
+			kontext.fillRect(0, 0, canvas.width, canvas.height);
+			
+			kontext.drawImage(bild, 0, 0, canvas.width, canvas.height);
+			
+			callback(undefined, canvas);
+		};
+		
+		bild.onerror = function() {
+			callback('Das Diagramm konnte nicht gezeichnet werden');
+		};
+		
+		bild.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svgString);
+	};
+	
+	/**
+	 * Gibt den Inhalt einer Data URL zurueck
+	 * @param url Die Data URL
+	 * @return [Buffer]
+	 **/
+	var dataUrlInhalt = function(url) {
+		return new Buffer(url.substring(url.indexOf(',') + 1), 'base64');
+	};
+	
+	/**
+	 * Gibt einen Zeitpunkt als Text zurueck
+	 * @param timestamp Der Zeitpunkt
+	 * @return Der Text als TT.MM.JJJJ hh:mm
+	 **/
+	var datumText = function(timestamp) {
+		var datum = new Date(timestamp * 1000),
+			add0 = function(val) { return (val < 10 ? '0' + val : val); };
+		
+		return add0(datum.getDate()) + '.' + add0(datum.getMonth() + 1) + '.' + datum.getFullYear() + ' '
+				+ add0(datum.getHours()) + ':' + add0(datum.getMinutes());
+	};
+	
+	/**
+	 * Gibt einen Text als String fuer das PDF zurueck; die Schriften sind WinAnsi kodiert, daher bleiben Umlaute erhalten,
+	 * andere Zeichen werden ersetzt
+	 * @param text Der Text
+	 * @return
+	 **/
+	var pdfText = function(text) {
+		return '(' + ('' + text).replace(/[\\()]/g, '\\$&').replace(/–/g, '\x96').replace(/[^\x20-\xFF]/g, '?') + ')';
+	};
+	
+	/**
+	 * Gibt eine Farbe als Operator fuer das PDF zurueck
+	 * @param farbe Die Farbe als #RGB oder #RRGGBB
+	 * @return
+	 **/
+	var pdfFarbe = function(farbe) {
+		var teile = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(farbe), wert, i, ergebnis = [];
+		
+		if(teile === null) {
+			return '0 0 0 rg';
+		}
+		
+		wert = (teile[1].length === 3) ? teile[1].replace(/(.)/g, '$1$1') : teile[1];
+		
+		for(i=0;i<3;++i) {
+			ergebnis.push(Math.round(parseInt(wert.substr(i * 2, 2), 16) / 255 * 1000) / 1000);
+		}
+		
+		return ergebnis.join(' ') + ' rg';
+	};
+	
+	/**
+	 * Setzt ein PDF aus Seiten zusammen; jede Seite hat ein JPEG Bild
+	 * @param seiten [Array] Die Seiten als Objekt mit inhalt (die Operatoren der Seite, das Bild heisst /Bild) und
+	 *        bild als [JPEG, Breite, Hoehe]
+	 * @param titel Der Titel des Dokuments
+	 * @return [Buffer] Das PDF
+	 **/
+	var pdfErstellen = function(seiten, titel) {
+		var teile = [], laenge = 0, positionen = [], kinder = [], anzahl = 4 + 3 * seiten.length + 1, xref, i, j, nr;
+		
+		var schreiben = function(daten) {
+			var puffer = ((typeof daten) === 'string') ? new Buffer(daten, 'binary') : daten;
+			
+			teile.push(puffer);
+			
+			laenge += puffer.length;
+		};
+		
+		var objekt = function(nr, kopf, stream) {
+			positionen[nr] = laenge;
+			
+			schreiben(nr + ' 0 obj\n' + kopf);
+			
+			if(stream !== undefined) {
+				schreiben('\nstream\n');
+				schreiben(stream);
+				schreiben('\nendstream');
+			}
+			
+			schreiben('\nendobj\n');
+		};
+		
+		schreiben('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n');
+		
+		for(i=0,j=seiten.length;i<j;++i) {
+			kinder.push((5 + 3 * i) + ' 0 R');
+		}
+		
+		objekt(1, '<< /Type /Catalog /Pages 2 0 R >>');
+		objekt(2, '<< /Type /Pages /Kids [' + kinder.join(' ') + '] /Count ' + seiten.length + ' >>');
+		objekt(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+		objekt(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+		
+		// Je Seite: die Seite, der Inhalt und das Bild
+		for(i=0,j=seiten.length;i<j;++i) {
+			nr = 5 + 3 * i;
+			
+			objekt(nr, '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ' + seite[0] + ' ' + seite[1] + '] /Contents ' + (nr + 1) + ' 0 R'
+						+ ' /Resources << /Font << /F1 3 0 R /F2 4 0 R >> /XObject << /Bild ' + (nr + 2) + ' 0 R >> >> >>');
+			objekt(nr + 1, '<< /Length ' + new Buffer(seiten[i].inhalt, 'binary').length + ' >>', seiten[i].inhalt);
+			objekt(nr + 2, '<< /Type /XObject /Subtype /Image /Width ' + seiten[i].bild[1] + ' /Height ' + seiten[i].bild[2]
+						+ ' /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ' + seiten[i].bild[0].length + ' >>',
+						seiten[i].bild[0]);
+		}
+		
+		objekt(anzahl, '<< /Title ' + pdfText(titel) + ' >>');
+		
+		xref = laenge;
+		
+		schreiben('xref\n0 ' + (anzahl + 1) + '\n0000000000 65535 f \n');
+		
+		for(i=1;i<=anzahl;++i) {
+			schreiben(('0000000000' + positionen[i]).slice(-10) + ' 00000 n \n');
+		}
+		
+		schreiben('trailer\n<< /Size ' + (anzahl + 1) + ' /Root 1 0 R /Info ' + anzahl + ' 0 R >>\nstartxref\n' + xref + '\n%%EOF\n');
+		
+		return Buffer.concat(teile);
+	};
+	
+	/**
+	 * Teilt das Diagramm in Abschnitte, die jeweils auf eine Seite passen; geteilt wird moeglichst zwischen zwei Diagrammen
+	 * @param hoehe Die Hoehe des Diagramms
+	 * @param platz [Array] Die Hoehe, die auf den Seiten fuer das Diagramm frei ist; die letzte gilt fuer alle weiteren Seiten
+	 * @param grenzen [Array] Die y-Positionen zwischen den einzelnen Diagrammen
+	 * @return [Array] Die Abschnitte als [von, bis]
+	 **/
+	var aufteilen = function(hoehe, platz, grenzen) {
+		var abschnitte = [], start = 0, ende, maximal, i, j;
+		
+		while(start < hoehe) {
+			maximal = start + platz[Math.min(abschnitte.length, platz.length - 1)];
+			
+			ende = Math.min(hoehe, maximal);
+			
+			if(ende < hoehe) {
+				for(i=0,j=grenzen.length;i<j;++i) {
+					if(grenzen[i] > start && grenzen[i] <= maximal) {
+						ende = grenzen[i];
+					}
+				}
+			}
+			
+			abschnitte.push([start, ende]);
+			
+			start = ende;
+		}
+		
+		return abschnitte;
+	};
+	
+	/**
+	 * Gibt die Beschriftung einer Spalte der Werte zurueck
+	 * @param spalte Die Spalte als [Beschreibung, Einheit]
+	 * @return
+	 **/
+	var spaltenName = function(spalte) {
+		return spalte[0] + ((spalte[1] !== '') ? ' (' + spalte[1] + ')' : '');
+	};
+	
+	var _ = {};
+	
+	/**
+	 * Wandelt ein SVG in ein PNG um
+	 * @param svgString Das SVG
+	 * @param breite Die Breite des SVG in Pixeln
+	 * @param hoehe Die Hoehe des SVG in Pixeln
+	 * @param faktor Die Vergroesserung, z.B. 2 fuer die doppelte Aufloesung
+	 * @param callback Die Callback Funktion; bekommt das PNG als Buffer
+	 **/
+	_.png = function(svgString, breite, hoehe, faktor, callback) {
+		zeichnen(svgString, breite, hoehe, faktor, function(err, canvas) {
+			if(err !== undefined) {
+				callback(err);
+				
+				return;
+			}
+			
+			callback(undefined, dataUrlInhalt(canvas.toDataURL('image/png')));
+		});
+	};
+	
+	/**
+	 * Wandelt ein SVG in ein PDF um; die erste Seite hat den Titel, den Zeitraum, die Legende und die Zeit des Exports, ein
+	 * hohes Diagramm wird auf mehrere Seiten verteilt
+	 * @param svgString Das SVG
+	 * @param breite Die Breite des SVG in Pixeln
+	 * @param hoehe Die Hoehe des SVG in Pixeln
+	 * @param info Ein Objekt mit titel, zeitraum als [von, bis], legende als Array von [Beschreibung, Farbe] und grenzen,
+	 *        den y-Positionen zwischen den einzelnen Diagrammen
+	 * @param callback Die Callback Funktion; bekommt das PDF als Buffer
+	 **/
+	_.pdf = function(svgString, breite, hoehe, info, callback) {
+		zeichnen(svgString, breite, hoehe, pdfFaktor, function(err, canvas) {
+			if(err !== undefined) {
+				callback(err);
+				
+				return;
+			}
+			
+			var kopf = [], legende = [], x = rand, y, oben = [], seiten = [], skala = (seite[0] - 2 * rand) / canvas.width,
+				platz, abschnitte, teil, kontext, i, j;
+			
+			// Der Kopf jeder Seite mit Titel und Zeitraum
+			kopf.push('BT /F2 16 Tf ' + rand + ' ' + (seite[1] - rand - 16) + ' Td ' + pdfText(info.titel) + ' Tj ET');
+			kopf.push('BT /F1 10 Tf ' + rand + ' ' + (seite[1] - rand - 32) + ' Td '
+						+ pdfText('Zeitraum: ' + datumText(info.zeitraum[0]) + ' – ' + datumText(info.zeitraum[1])) + ' Tj ET');
+			
+			// Die Legende mit den Farben der Datenquellen auf der ersten Seite; die Breite der Eintraege ist geschaetzt
+			y = seite[1] - rand - 62;
+			
+			legende.push('BT /F1 10 Tf ' + rand + ' ' + (seite[1] - rand - 46) + ' Td '
+						+ pdfText('Exportiert am ' + datumText(new Date().getTime() / 1000)) + ' Tj ET');
+			
+			for(i=0,j=info.legende.length;i<j;++i) {
+				if(x > rand && x + 20 + info.legende[i][0].length * 5.5 > seite[0] - rand) {
+					x = rand;
+					y -= 14;
+				}
+				
+				legende.push(pdfFarbe(info.legende[i][1]) + ' ' + x + ' ' + y + ' 8 8 re f');
+				legende.push('BT 0 g /F1 10 Tf ' + (x + 12) + ' ' + y + ' Td ' + pdfText(info.legende[i][0]) + ' Tj ET');
+				
+				x += 20 + info.legende[i][0].length * 5.5 + 12;
+			}
+			
+			// Der Platz fuer das Diagramm auf der ersten und den weiteren Seiten in Pixeln des Canvas
+			oben.push(y - 12);
+			oben.push(seite[1] - rand - 46);
+			
+			platz = oben.map(function(wert) { return Math.floor((wert - rand) / skala); });
+			
+			// Ohne Platz fuer das Diagramm, z.B. bei einer sehr langen Legende, wuerde das Aufteilen nie fertig
+			if(platz[0] < 1 || platz[1] < 1) {
+				callback('Die Legende ist zu lang, auf der Seite bleibt kein Platz für das Diagramm');
+				
+				return;
+			}
+			
+			abschnitte = aufteilen(canvas.height, platz, info.grenzen.map(function(wert) { return Math.round(wert * pdfFaktor); }));
+			
+			for(i=0,j=abschnitte.length;i<j;++i) {
+				teil = document.createElement('canvas');
+				
+				teil.width = canvas.width;
+				teil.height = abschnitte[i][1] - abschnitte[i][0];
+				
+				kontext = teil.getContext('2d');
+				
+				kontext.drawImage(canvas, 0, abschnitte[i][0], teil.width, teil.height, 0, 0, teil.width, teil.height);
+				
+				y = oben[Math.min(i, 1)] - teil.height * skala;
+				
+				seiten.push({'inhalt': kopf.concat((i === 0) ? legende : [])
+											.concat(['BT /F1 10 Tf ' + (seite[0] - rand - 60) + ' ' + (seite[1] - rand - 32) + ' Td '
+													+ pdfText('Seite ' + (i + 1) + ' von ' + j) + ' Tj ET',
+												'q ' + (teil.width * skala) + ' 0 0 ' + (teil.height * skala) + ' ' + rand + ' ' + y + ' cm /Bild Do Q'])
+											.join('\n'),
+							'bild': [dataUrlInhalt(teil.toDataURL('image/jpeg', 0.92)), teil.width, teil.height]});
+			}
+			
+			callback(undefined, pdfErstellen(seiten, info.titel));
+		});
+	};
+	
+	/**
+	 * Erstellt eine CSV Datei mit Werten; wird fuer das ganze Diagramm und fuer eine Auswahl verwendet
+	 * @param daten Die Werte als Objekt mit spalten, den Spalten als [Beschreibung, Einheit], und zeilen, den Zeilen als
+	 *        [Zeit, Wert je Spalte]; fehlende Werte sind null oder undefined
+	 * @return Der Inhalt der Datei
+	 **/
+	_.csv = function(daten) {
+		var zeilen = [['Zeit'].concat(daten.spalten.map(spaltenName))], i, j;
+		
+		for(i=0,j=daten.zeilen.length;i<j;++i) {
+			zeilen.push([new Date(daten.zeilen[i][0] * 1000).toISOString()].concat(daten.zeilen[i].slice(1).map(function(wert) {
+				return (wert === undefined || wert === null) ? '' : wert;
+			})));
+		}
+		
+		return zeilen.map(function(zeile) { return zeile.join(';'); }).join('\r\n') + '\r\n';
+	};
+	
+	root[name] = _;
+	
+	_.noConflict = function() {
+		root[name] = old;
+		
+		return _;
+	};
+})(this, 'diagramm_export');
\ No newline at end of file
@@ -0,0 +1,484 @@
+"use strict";
+
+/**
+ * Liest Formeln ueber die Daten eines Ortes (z.B. "twitter_Android / temperatur" oder "gleitend(luftfeuchte, 24)") und
+ * berechnet sie fuer die Zeitabschnitte; es wird dafuer kein eval verwendet
+ * 
+ * geschrieben fuer das Bachelorprojekt BigData 2016, AI IV / Universitaet Bayreuth
+ * 
+ * Author: BigData2
+ * 
+ * Nutzung:
+ * var f = formel.parsen('twitter_Android / temperatur', ['temperatur', 'twitter_Android']);
+ * if(typeof f === 'string') { Fehlermeldung }
+ * var wert = formel.auswerten(f, {'temperatur': [...], 'twitter_Android': [...]}, index);
+ * 
+ **/
+
+(function(root, name) {
+	var old = root[name];
+	
+	/**
+	 * Gibt das Ergebnis einer Berechnung zurueck; unendliche Werte, z.B. bei einer Division durch 0, gibt es nicht
+	 * @param wert Das Ergebnis
+	 * @return Das Ergebnis oder null
+	 **/
+	var endlich = function(wert) {
+		return (typeof wert === 'number' && isFinite(wert)) ? wert : null;
+	};
+	
+	/**
+	 * Gibt den Wertebereich einer Funktion zurueck, die mit dem Wert steigt
+	 * @param rechnen Die Funktion
+	 * @param bereich Der Wertebereich des Parameters als [min, max] oder null
+	 * @return
+	 **/
+	var steigend = function(rechnen, bereich) {
+		if(bereich === null || endlich(rechnen(bereich[0])) === null || endlich(rechnen(bereich[1])) === null) {
+			return null;
+		}
+		
+		return [rechnen(bereich[0]), rechnen(bereich[1])];
+	};
+	
+	// Die Funktionen, die in einer Formel vorkommen koennen; rechnen bekommt die Werte der Parameter, bereich ihre
+	// Wertebereiche als [min, max] oder null, falls dieser unbekannt ist. gleitend und differenz brauchen auch die
+	// vorherigen Zeitabschnitte und werden in berechnen() gesondert behandelt
+	var funktionen = {
+		'abs': {'parameter': 1, 'hilfe': 'abs(x)',
+				'rechnen': function(a) { return Math.abs(a); },
+				'bereich': function(a) {
+					return (a === null) ? null : [(a[0] <= 0 && a[1] >= 0) ? 0 : Math.min(Math.abs(a[0]), Math.abs(a[1])),
+													Math.max(Math.abs(a[0]), Math.abs(a[1]))];
+				}},
+		'min': {'parameter': 2, 'hilfe': 'min(x, y)',
+				'rechnen': function(a, b) { return Math.min(a, b); },
+				'bereich': function(a, b) { return (a === null || b === null) ? null : [Math.min(a[0], b[0]), Math.min(a[1], b[1])]; }},
+		'max': {'parameter': 2, 'hilfe': 'max(x, y)',
+				'rechnen': function(a, b) { return Math.max(a, b); },
+				'bereich': function(a, b) { return (a === null || b === null) ? null : [Math.max(a[0], b[0]), Math.max(a[1], b[1])]; }},
+		'wurzel': {'parameter': 1, 'hilfe': 'wurzel(x)',
+				'rechnen': function(a) { return (a < 0) ? null : Math.sqrt(a); },
+				'bereich': function(a) { return steigend(function(wert) { return Math.sqrt(Math.max(0, wert)); }, a); }},
+		'log': {'parameter': 1, 'hilfe': 'log(x) (Basis 10)',
+				'rechnen': function(a) { return (a <= 0) ? null : Math.log(a) / Math.LN10; },
+				'bereich': function(a) { return (a === null || a[0] <= 0) ? null : steigend(function(wert) { return Math.log(wert) / Math.LN10; }, a); }},
+		'gleitend': {'parameter': 2, 'hilfe': 'gleitend(x, n) (Mittel der letzten n Zeitabschnitte)',
+				'bereich': function(a) { return a; }},
+		'differenz': {'parameter': 1, 'hilfe': 'differenz(x) (Änderung zum vorherigen Zeitabschnitt)',
+				'bereich': function(a) { return (a === null) ? null : [a[0] - a[1], a[1] - a[0]]; }}
+	};
+	
+	/**
+	 * Zerlegt eine Formel in Zahlen, Namen und Zeichen; Namen mit Leerzeichen oder Sonderzeichen stehen in
+	 * Anfuehrungszeichen
+	 * @param ausdruck Die Formel
+	 * @return Die Teile als [typ, wert]
+	 **/
+	var zerlegen = function(ausdruck) {
+		var teile = [], i = 0, treffer, ende;
+		
+		while(i < ausdruck.length) {
+			if(/\s/.test(ausdruck.charAt(i))) {
+				++i;
+			} else if((treffer = /^\d+(\.\d+)?/.exec(ausdruck.substring(i))) !== null) {
+				teile.push(['zahl', parseFloat(treffer[0])]);
+				
+				i += treffer[0].length;
+			} else if((treffer = /^[A-Za-z_À-ſ][\wÀ-ſ]*/.exec(ausdruck.substring(i))) !== null) {
+				teile.push(['name', treffer[0]]);
+				
+				i += treffer[0].length;
+			} else if(ausdruck.charAt(i) === '"') {
+				ende = ausdruck.indexOf('"', i + 1);
+				
+				if(ende === -1) {
+					throw 'Das Anführungszeichen an Stelle ' + (i + 1) + ' wird nicht geschlossen!';
+				}
+				
+				teile.push(['name', ausdruck.substring(i + 1, ende)]);
+				
+				i = ende + 1;
+			} else if('+-*/(),'.indexOf(ausdruck.charAt(i)) !== -1) {
+				teile.push(['zeichen', ausdruck.charAt(i)]);
+				
+				++i;
+			} else {
+				throw 'Das Zeichen "' + ausdruck.charAt(i) + '" an Stelle ' + (i + 1) + ' ist nicht erlaubt!';
+			}
+		}
+		
+		return teile;
+	};
+	
+	/**
+	 * Liest die Teile einer Formel; Punkt- geht vor Strichrechnung
+	 * @param teile Die Teile aus zerlegen()
+	 * @param namen Die Namen der Daten, die vorkommen duerfen
+	 * @return Der Baum der Formel; die Knoten sind ['zahl', wert], ['name', name], ['minus', a], ['rechnen', zeichen, a, b]
+	 *         und ['funktion', name, parameter]
+	 **/
+	var lesen = function(teile, namen) {
+		var pos = 0;
+		
+		var ist = function(zeichen) {
+			return pos < teile.length && teile[pos][0] === 'zeichen' && teile[pos][1] === zeichen;
+		};
+		
+		var erwarte = function(zeichen) {
+			if(!ist(zeichen)) {
+				throw 'Es fehlt "' + zeichen + '"' + ((pos < teile.length) ? ' vor "' + teile[pos][1] + '"' : ' am Ende') + '!';
+			}
+			
+			++pos;
+		};
+		
+		var summe, produkt, faktor;
+		
+		summe = function() {
+			var knoten = produkt(), zeichen;
+			
+			while(ist('+') || ist('-')) {
+				zeichen = teile[pos++][1];
+				
+				knoten = ['rechnen', zeichen, knoten, produkt()];
+			}
+			
+			return knoten;
+		};
+		
+		produkt = function() {
+			var knoten = faktor(), zeichen;
+			
+			while(ist('*') || ist('/')) {
+				zeichen = teile[pos++][1];
+				
+				knoten = ['rechnen', zeichen, knoten, faktor()];
+			}
+			
+			return knoten;
+		};
+		
+		faktor = function() {
+			var teil, parameter, knoten;
+			
+			if(pos >= teile.length) {
+				throw 'Die Formel ist unvollständig!';
+			}
+			
+			teil = teile[pos++];
+			
+			if(teil[0] === 'zahl') {
+				return ['zahl', teil[1]];
+			}
+			
+			if(teil[0] === 'zeichen') {
+				if(teil[1] === '-') {
+					return ['minus', faktor()];
+				}
+				
+				if(teil[1] === '(') {
+					knoten = summe();
+					
+					erwarte(')');
+					
+					return knoten;
+				}
+				
+				throw 'An dieser Stelle ist "' + teil[1] + '" nicht erlaubt!';
+			}
+			
+			// Ein Name mit Klammer ist eine Funktion, sonst sind es Daten
+			if(!ist('(')) {
+				if(namen.indexOf(teil[1]) === -1) {
+					throw 'Die Daten "' + teil[1] + '" gibt es nicht!';
+				}
+				
+				return ['name', teil[1]];
+			}
+			
+			if(!funktionen.hasOwnProperty(teil[1])) {
+				throw 'Die Funktion "' + teil[1] + '" gibt es nicht!';
+			}
+			
+			++pos;
+			
+			parameter = [summe()];
+			
+			while(ist(',')) {
+				++pos;
+				
+				parameter.push(summe());
+			}
+			
+			erwarte(')');
+			
+			if(parameter.length !== funktionen[teil[1]].parameter) {
+				throw 'Die Funktion "' + teil[1] + '" braucht ' + funktionen[teil[1]].parameter + ' Parameter!';
+			}
+			
+			// Die Anzahl der Zeitabschnitte muss fest sein, damit vorher bekannt ist, welche Daten gebraucht werden
+			if(teil[1] === 'gleitend' && (parameter[1][0] !== 'zahl' || parameter[1][1] < 1 || parameter[1][1] % 1 !== 0)) {
+				throw 'Die Anzahl der Zeitabschnitte bei "gleitend" muss eine ganze Zahl ab 1 sein!';
+			}
+			
+			return ['funktion', teil[1], parameter];
+		};
+		
+		var baum = summe();
+		
+		if(pos < teile.length) {
+			throw 'Nach "' + teile[pos - 1][1] + '" ist "' + teile[pos][1] + '" nicht erlaubt!';
+		}
+		
+		return baum;
+	};
+	
+	/**
+	 * Sammelt die Namen der Daten, die in einem Baum vorkommen
+	 * @param knoten Der Baum
+	 * @param ergebnis Die bisher gefundenen Namen
+	 * @return
+	 **/
+	var sammeln = function(knoten, ergebnis) {
+		var i, j;
+		
+		if(knoten[0] === 'name') {
+			if(ergebnis.indexOf(knoten[1]) === -1) {
+				ergebnis.push(knoten[1]);
+			}
+		} else if(knoten[0] === 'minus') {
+			sammeln(knoten[1], ergebnis);
+		} else if(knoten[0] === 'rechnen') {
+			sammeln(knoten[2], ergebnis);
+			sammeln(knoten[3], ergebnis);
+		} else if(knoten[0] === 'funktion') {
+			for(i=0,j=knoten[2].length;i<j;++i) {
+				sammeln(knoten[2][i], ergebnis);
+			}
+		}
+		
+		return ergebnis;
+	};
+	
+	/**
+	 * Gibt zurueck, wie viele Zeitabschnitte vor dem berechneten gebraucht werden
+	 * @param knoten Der Baum
+	 * @return
+	 **/
+	var fenster = function(knoten) {
+		if(knoten[0] === 'minus') {
+			return fenster(knoten[1]);
+		}
+		
+		if(knoten[0] === 'rechnen') {
+			return Math.max(fenster(knoten[2]), fenster(knoten[3]));
+		}
+		
+		if(knoten[0] === 'funktion') {
+			if(knoten[1] === 'gleitend') {
+				return fenster(knoten[2][0]) + knoten[2][1][1] - 1;
+			}
+			
+			if(knoten[1] === 'differenz') {
+				return fenster(knoten[2][0]) + 1;
+			}
+			
+			return knoten[2].reduce(function(max, parameter) { return Math.max(max, fenster(parameter)); }, 0);
+		}
+		
+		return 0;
+	};
+	
+	/**
+	 * Berechnet einen Baum fuer einen Zeitabschnitt
+	 * @param knoten Der Baum
+	 * @param werte Die Werte je Name als Array ueber die Zeitabschnitte, null falls ein Wert fehlt
+	 * @param index Der Index des Zeitabschnitts
+	 * @return Der Wert oder null, falls er nicht berechnet werden kann
+	 **/
+	var berechnen = function(knoten, werte, index) {
+		var a, b, summe, anzahl, i;
+		
+		switch(knoten[0]) {
+			case 'zahl':
+				return knoten[1];
+			case 'name':
+				return (index < 0 || werte[knoten[1]][index] === undefined) ? null : werte[knoten[1]][index];
+			case 'minus':
+				a = berechnen(knoten[1], werte, index);
+				
+				return (a === null) ? null : -a;
+			case 'rechnen':
+				a = berechnen(knoten[2], werte, index);
+				b = berechnen(knoten[3], werte, index);
+				
+				if(a === null || b === null) {
+					return null;
+				}
+				
+				switch(knoten[1]) {
+					case '+': return endlich(a + b);
+					case '-': return endlich(a - b);
+					case '*': return endlich(a * b);
+					default: return (b === 0) ? null : endlich(a / b);
+				}
+		}
+		
+		// Das Mittel der vorhandenen Werte in den letzten n Zeitabschnitten
+		if(knoten[1] === 'gleitend') {
+			summe = 0;
+			anzahl = 0;
+			
+			for(i=0;i<knoten[2][1][1];++i) {
+				a = berechnen(knoten[2][0], werte, index - i);
+				
+				if(a !== null) {
+					summe += a;
+					
+					++anzahl;
+				}
+			}
+			
+			return (anzahl === 0) ? null : summe / anzahl;
+		}
+		
+		if(knoten[1] === 'differenz') {
+			a = berechnen(knoten[2][0], werte, index);
+			b = berechnen(knoten[2][0], werte, index - 1);
+			
+			return (a === null || b === null) ? null : a - b;
+		}
+		
+		a = knoten[2].map(function(parameter) { return berechnen(parameter, werte, index); });
+		
+		if(a.indexOf(null) !== -1) {
+			return null;
+		}
+		
+		return endlich(funktionen[knoten[1]].rechnen.apply(null, a));
+	};
+	
+	/**
+	 * Schaetzt den Wertebereich eines Baums aus den Wertebereichen der Daten
+	 * @param knoten Der Baum
+	 * @param min Die minimalen Werte je Name
+	 * @param max Die maximalen Werte je Name
+	 * @return Der Bereich als [min, max] oder null, falls er unbegrenzt oder unbekannt ist
+	 **/
+	var schaetzen = function(knoten, min, max) {
+		var a, b, ecken;
+		
+		switch(knoten[0]) {
+			case 'zahl':
+				return [knoten[1], knoten[1]];
+			case 'name':
+				a = Number(min[knoten[1]]);
+				b = Number(max[knoten[1]]);
+				
+				return (min[knoten[1]] === undefined || min[knoten[1]] === null || max[knoten[1]] === undefined
+						|| max[knoten[1]] === null || isNaN(a) || isNaN(b)) ? null : [Math.min(a, b), Math.max(a, b)];
+			case 'minus':
+				a = schaetzen(knoten[1], min, max);
+				
+				return (a === null) ? null : [-a[1], -a[0]];
+			case 'rechnen':
+				a = schaetzen(knoten[2], min, max);
+				b = schaetzen(knoten[3], min, max);
+				
+				if(a === null || b === null) {
+					return null;
+				}
+				
+				if(knoten[1] === '+') return [a[0] + b[0], a[1] + b[1]];
+				if(knoten[1] === '-') return [a[0] - b[1], a[1] - b[0]];
+				
+				// Bei einer Division durch einen Bereich mit 0 ist das Ergebnis unbegrenzt
+				if(knoten[1] === '/') {
+					if(b[0] <= 0 && b[1] >= 0) {
+						return null;
+					}
+					
+					b = [1 / b[1], 1 / b[0]];
+				}
+				
+				ecken = [a[0] * b[0], a[0] * b[1], a[1] * b[0], a[1] * b[1]];
+				
+				return [Math.min.apply(null, ecken), Math.max.apply(null, ecken)];
+		}
+		
+		return funktionen[knoten[1]].bereich.apply(null, knoten[2].map(function(parameter) { return schaetzen(parameter, min, max); }));
+	};
+	
+	var _ = {};
+	
+	/**
+	 * Liest eine Formel
+	 * @param ausdruck Die Formel als Text
+	 * @param namen Die Namen der Daten, die in der Formel vorkommen duerfen
+	 * @return Die Formel als Objekt mit ausdruck, baum, namen (die vorkommenden Daten) und fenster (die Anzahl der
+	 *         Zeitabschnitte, die vor dem berechneten gebraucht werden) oder eine Fehlermeldung
+	 **/
+	_.parsen = function(ausdruck, namen) {
+		var baum;
+		
+		if(ausdruck.trim() === '') {
+			return 'Es wurde keine Formel angegeben!';
+		}
+		
+		try {
+			baum = lesen(zerlegen(ausdruck), namen);
+		} catch(e) {
+			return e;
+		}
+		
+		return {'ausdruck': ausdruck, 'baum': baum, 'namen': sammeln(baum, []), 'fenster': fenster(baum)};
+	};
+	
+	/**
+	 * Berechnet eine Formel fuer einen Zeitabschnitt
+	 * @param f Die Formel aus parsen()
+	 * @param werte Die Werte je Name als Array ueber die Zeitabschnitte, null falls ein Wert fehlt; vor dem berechneten
+	 *        Zeitabschnitt muessen die Werte von f.fenster Zeitabschnitten stehen
+	 * @param index Der Index des Zeitabschnitts
+	 * @return Der Wert oder null, falls er nicht berechnet werden kann
+	 **/
+	_.auswerten = function(f, werte, index) {
+		return berechnen(f.baum, werte, index);
+	};
+	
+	/**
+	 * Schaetzt den Wertebereich einer Formel aus den Wertebereichen der Daten
+	 * @param f Die Formel aus parsen()
+	 * @param min Die minimalen Werte je Name
+	 * @param max Die maximalen Werte je Name
+	 * @return Der Bereich als [min, max] oder null, falls er unbegrenzt oder unbekannt ist
+	 **/
+	_.bereich = function(f, min, max) {
+		var bereich = schaetzen(f.baum, min, max);
+		
+		return (bereich === null || endlich(bereich[0]) === null || endlich(bereich[1]) === null) ? null : bereich;
+	};
+	
+	/**
+	 * Gibt die Funktionen zurueck, die in einer Formel vorkommen koennen
+	 * @return Die Funktionen als Text, z.B. fuer eine Hilfe
+	 **/
+	_.hilfe = function() {
+		var ergebnis = [], i;
+		
+		for(i in funktionen) {
+			ergebnis.push(funktionen[i].hilfe);
+		}
+		
+		return ergebnis.join(', ');
+	};
+	
+	root[name] = _;
+	
+	_.noConflict = function() {
+		root[name] = old;
+		
+		return _;
+	};
+})(this, 'formel');
\ No newline at end of file
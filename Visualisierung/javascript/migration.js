@@ -0,0 +1,384 @@
+"use strict";
+
+/**
+ * Bringt das Schema der Datenbank auf den Stand, den datenbank.js erwartet; die Migrationen liegen als nummerierte SQL
+ * Dateien (z.B. 0002_wetter_regenmenge.sql) in Datenbankzeug/Migrationen, die angewendeten Versionen stehen in der
+ * Tabelle schemaversion
+ * 
+ * geschrieben fuer das Bachelorprojekt BigData 2016, AI IV / Universitaet Bayreuth
+ * 
+ * Author: BigData2
+ * 
+ * Nutzung:
+ * migration.aktualisieren(callback) wendet alle offenen Migrationen an
+ * migration.bereit(callback) ruft callback auf, sobald das Schema aktuell ist
+ * 
+ **/
+
+(function(root, name) {
+	var old = root[name];
+	
+	var fs = require('fs');
+	
+	// Das Verzeichnis mit den Migrationen relativ zum Ordner der Anwendung, damit es nicht vom Startverzeichnis von nw.js
+	// abhaengt; eine Datei NNNN_name.<typ>.sql ersetzt NNNN_name.sql fuer diesen Datenbanktyp
+	var verzeichnis = datenbank.pfad('../Datenbankzeug/Migrationen');
+	
+	var skripte = [], // Die Migrationen sortiert nach der Version
+		status = {'version': undefined, 'ziel': undefined, 'kompatibel': false, 'fehlend': []},
+		laeuft = false, // ob die Migrationen gerade angewendet werden
+		fertig = [], // Die Funktionen, die auf das Ende der Migrationen warten
+		wartend = []; // Die Funktionen, die auf ein kompatibles Schema warten
+	
+	var _ = function() {
+		
+	};
+	
+	root[name] = _;
+	
+	_.noConflict = function() {
+		root[name] = old;
+		
+		return _;
+	};
+	
+	/**
+	 * Zerlegt den Inhalt einer SQL Datei in einzelne Befehle; ein Befehl endet mit ; am Ende einer Zeile
+	 * @param inhalt Der Inhalt der Datei
+	 * @return [Array] Die Befehle
+	 **/
+	var zerlegen = function(inhalt) {
+		return inhalt.split(/;[ \t]*(?:\r?\n|$)/).map(function(befehl) { return befehl.trim(); })
+					.filter(function(befehl) { return befehl !== ''; });
+	};
+	
+	/**
+	 * Liest eine Migration ein; die Kopfzeile "-- Spalten: tabelle.spalte, ..." gibt an, woran eine Migration erkannt wird,
+	 * die schon vor der Einfuehrung der Tabelle schemaversion angewendet wurde
+	 * @param datei Der Pfad zu der Datei
+	 * @return Ein Objekt mit den Befehlen und den Spalten, die die Migration anlegt
+	 **/
+	var leseSkript = function(datei) {
+		var spalten = [];
+		
+		var zeilen = fs.readFileSync(datei, 'utf8').split(/\r?\n/).filter(function(zeile) {
+			var treffer = /^--\s*Spalten:(.*)$/.exec(zeile);
+			
+			if(treffer !== null) {
+				spalten = treffer[1].split(',').map(function(spalte) { return spalte.trim().toLowerCase().split('.'); })
+								.filter(function(spalte) { return spalte.length === 2; });
+			}
+			
+			return !/^\s*--/.test(zeile);
+		});
+		
+		return {'spalten': spalten, 'befehle': zerlegen(zeilen.join('\n'))};
+	};
+	
+	/**
+	 * Laedt die Migrationen fuer den Datenbanktyp des aktiven Profils
+	 * @return [Array] Die Migrationen sortiert nach der Version
+	 **/
+	var ladeSkripte = function() {
+		var typ = datenbank.getProfil().typ, dateien = {}, liste = [], version, skript;
+		
+		fs.readdirSync(verzeichnis).forEach(function(datei) {
+			var treffer = /^(\d+)_(\w+?)(?:\.(mssql|mysql|sqlite))?\.sql$/.exec(datei), version;
+			
+			if(treffer === null || (treffer[3] !== undefined && treffer[3] !== typ)) return;
+			
+			version = parseInt(treffer[1], 10);
+			
+			// Die Datei fuer den Datenbanktyp hat Vorrang
+			if(!(version in dateien) || treffer[3] !== undefined) {
+				dateien[version] = {'version': version, 'name': treffer[2], 'datei': verzeichnis + '/' + datei};
+			}
+		});
+		
+		for(version in dateien) {
+			skript = leseSkript(dateien[version].datei);
+			
+			skript.version = dateien[version].version;
+			skript.name = dateien[version].name;
+			
+			liste.push(skript);
+		}
+		
+		return liste.sort(function(a, b) { return a.version - b.version; });
+	};
+	
+	/**
+	 * Fuehrt SQL Befehle nacheinander aus und bricht beim ersten Fehler ab
+	 * @param befehle [Array] Die Befehle
+	 * @param callback Die Callback Funktion
+	 * @param t Die Transaktion
+	 **/
+	var nacheinander = function(befehle, callback, t) {
+		var i = 0;
+		
+		var naechster = function(err) {
+			if(err !== undefined || i >= befehle.length) {
+				callback(err);
+				
+				return;
+			}
+			
+			datenbank.ausfuehren(befehle[i++], naechster, t);
+		};
+		
+		naechster();
+	};
+	
+	/**
+	 * Prueft, welche Spalten in der Datenbank fehlen
+	 * @param spalten [Array] Die Spalten als [tabelle, spalte]
+	 * @param callback Die Callback Funktion; bekommt die fehlenden Spalten als 'tabelle.spalte'
+	 **/
+	var fehlendeSpalten = function(spalten, callback) {
+		var tabellen = {}, i, j, offen;
+		
+		for(i=0,j=spalten.length;i<j;++i) {
+			tabellen[spalten[i][0]] = [];
+		}
+		
+		offen = Object.keys(tabellen).length;
+		
+		var pruefen = function() {
+			callback(spalten.filter(function(spalte) { return tabellen[spalte[0]].indexOf(spalte[1]) === -1; })
+							.map(function(spalte) { return spalte.join('.'); }));
+		};
+		
+		if(offen === 0) {
+			pruefen();
+			
+			return;
+		}
+		
+		Object.keys(tabellen).forEach(function(tabelle) {
+			datenbank.spalten(tabelle, function(err, vorhanden) {
+				tabellen[tabelle] = vorhanden;
+				
+				if(--offen === 0) {
+					pruefen();
+				}
+			});
+		});
+	};
+	
+	/**
+	 * Fragt die Version der Datenbank ab; existiert die Tabelle schemaversion noch nicht, wird sie erstellt
+	 * @param callback Die Callback Funktion; bekommt die Version und ob die Datenbank leer war
+	 **/
+	var aktuelleVersion = function(callback) {
+		datenbank.spalten('schemaversion', function(err, vorhanden) {
+			if(err !== undefined) {
+				callback(err);
+				
+				return;
+			}
+			
+			if(vorhanden.length > 0) {
+				datenbank.getSchemaversion(function(err, version) {
+					callback(err, version, false);
+				});
+				
+				return;
+			}
+			
+			// Bei einer bestehenden Datenbank ohne Tabelle schemaversion werden die Migrationen, deren Spalten schon vorhanden
+			// sind, beim Anwenden uebersprungen
+			datenbank.createSchemaversion(function(err) {
+				if(err !== undefined) {
+					callback(err);
+					
+					return;
+				}
+				
+				datenbank.spalten('locationarea', function(err, vorhanden) {
+					callback(err, 0, vorhanden.length === 0);
+				});
+			});
+		});
+	};
+	
+	/**
+	 * Wendet die offenen Migrationen der Reihe nach an
+	 * @param version Die aktuelle Version der Datenbank
+	 * @param callback Die Callback Funktion; bekommt die neue Version der Datenbank
+	 **/
+	var anwenden = function(version, callback) {
+		var offen = skripte.filter(function(skript) { return skript.version > version; }), i = 0;
+		
+		var naechste = function() {
+			if(i >= offen.length) {
+				callback(undefined, version);
+				
+				return;
+			}
+			
+			var skript = offen[i++], schritte = [];
+			
+			var speichern = function(err) {
+				if(err !== undefined) {
+					callback(err, version);
+					
+					return;
+				}
+				
+				version = skript.version;
+				
+				naechste();
+			};
+			
+			// Die Befehle einer Migration werden gemeinsam mit der neuen Version gespeichert oder gar nicht; MySQL beendet die
+			// Transaktion allerdings bei jedem CREATE/ALTER TABLE
+			var anwendenTransaktion = function(befehle) {
+				if(befehle) {
+					schritte.push(function(t, weiter) {
+						nacheinander(skript.befehle, weiter, t);
+					});
+				}
+				
+				schritte.push(function(t, weiter) {
+					datenbank.insertSchemaversion(skript.version, skript.name, weiter, t);
+				});
+				
+				datenbank.transaktion(schritte, speichern);
+			};
+			
+			if(skript.spalten.length === 0) {
+				anwendenTransaktion(true);
+				
+				return;
+			}
+			
+			// Sind alle Spalten der Migration schon vorhanden, wurde sie vor der Einfuehrung der Migrationen angewendet
+			fehlendeSpalten(skript.spalten, function(fehlend) {
+				anwendenTransaktion(fehlend.length > 0);
+			});
+		};
+		
+		naechste();
+	};
+	
+	/**
+	 * Setzt den Status nach den Migrationen und ruft die wartenden Funktionen auf
+	 * @param version Die Version der Datenbank
+	 **/
+	var abschliessen = function(version) {
+		var offen = skripte.filter(function(skript) { return skript.version > version; }), spalten = [], i, j, callbacks;
+		
+		for(i=0,j=offen.length;i<j;++i) {
+			spalten = spalten.concat(offen[i].spalten);
+		}
+		
+		fehlendeSpalten(spalten, function(fehlend) {
+			status.version = version;
+			status.kompatibel = (version !== undefined && version >= status.ziel);
+			status.fehlend = fehlend;
+			
+			laeuft = false;
+			
+			if(!status.kompatibel) {
+				error.add(['Migration', 'Das Datenbankschema hat die Version ' + version + ', benötigt wird die Version ' + status.ziel
+							+ ((fehlend.length > 0) ? '; es fehlen die Spalten ' + fehlend.join(', ') : '') + '!']);
+			}
+			
+			callbacks = fertig;
+			
+			fertig = [];
+			
+			for(i=0,j=callbacks.length;i<j;++i) {
+				callbacks[i](_.status());
+			}
+			
+			if(status.kompatibel) {
+				callbacks = wartend;
+				
+				wartend = [];
+				
+				for(i=0,j=callbacks.length;i<j;++i) {
+					callbacks[i]();
+				}
+			}
+		});
+	};
+	
+	/**
+	 * Wendet alle offenen Migrationen an; bei einer leeren Datenbank werden danach die Testdaten aus dem Verbindungsprofil eingefuegt
+	 * [@param callback] Die Callback Funktion; bekommt den Status
+	 **/
+	_.aktualisieren = function(callback) {
+		if(callback !== undefined) {
+			fertig.push(callback);
+		}
+		
+		if(laeuft) return;
+		
+		laeuft = true;
+		
+		try {
+			skripte = ladeSkripte();
+		} catch(e) {
+			error.add(['Migration', 'Die Migrationen in ' + verzeichnis + ' konnten nicht gelesen werden (' + e + ')!']);
+			
+			skripte = [];
+		}
+		
+		status.ziel = (skripte.length > 0) ? skripte[skripte.length - 1].version : 0;
+		
+		aktuelleVersion(function(err, version, leer) {
+			if(err !== undefined) {
+				abschliessen(undefined);
+				
+				return;
+			}
+			
+			anwenden(version, function(err, version) {
+				var testdaten = datenbank.getProfil().testdaten;
+				
+				if(err !== undefined || !leer || testdaten === undefined) {
+					abschliessen(version);
+					
+					return;
+				}
+				
+				fs.readFile(testdaten, 'utf8', function(err, inhalt) {
+					if(err) {
+						error.add(['Testdaten', err]);
+						
+						abschliessen(version);
+						
+						return;
+					}
+					
+					datenbank.transaktion([function(t, weiter) {
+						nacheinander(zerlegen(inhalt), weiter, t);
+					}], function() {
+						abschliessen(version);
+					});
+				});
+			});
+		});
+	};
+	
+	/**
+	 * Ruft eine Funktion auf, sobald das Schema der Datenbank aktuell ist
+	 * @param callback Die Callback Funktion
+	 **/
+	_.bereit = function(callback) {
+		if(status.kompatibel) {
+			callback();
+		} else {
+			wartend.push(callback);
+		}
+	};
+	
+	/**
+	 * Gibt den Status der Migrationen zurueck
+	 * @return Ein Objekt mit version, ziel, kompatibel und fehlend (die fehlenden Spalten)
+	 **/
+	_.status = function() {
+		return {'version': status.version, 'ziel': status.ziel, 'kompatibel': status.kompatibel, 'fehlend': status.fehlend.slice()};
+	};
+})(this, 'migration');
\ No newline at end of file
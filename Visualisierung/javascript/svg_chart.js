@@ -230,6 +230,17 @@
 				return [add + 'L ' + pos + ',' + value + ' ', pos];
 			};
 			
+			/**
+			 * Fuegt den Punkt der Liste hinzu
+			 * @param pos Die Position dieses Eintrags
+			 * @param maxWidth Die Breite des Diagramms
+			 * @param punkte Die Liste der Punkte als [x, y]
+			 * @param [computePosInScala] Die Funktion, die die Position in dem Diagramm berechnet
+			 **/
+			this.getPunkte = function(pos, maxWidth, punkte, computePosInScala) {
+				punkte.push([pos, (computePosInScala === undefined) ? val : Math.round(computePosInScala(val))]);
+			};
+			
 			/**
 			 * Gibt den maximal Wert zurueck
 			 **/
@@ -279,6 +290,11 @@
 				return ['', valData];
 			};
 			
+			/**
+			 * Fuegt keine Punkte hinzu, da hier kein Wert
+			 **/
+			this.getPunkte = function(pos, maxWidth, punkte, computePosInScala) {};
+			
 			/**
 			 * Gibt den maximal Wert zurueck
 			 **/
@@ -378,6 +394,25 @@
 				return [valString, valData[1]];
 			};
 			
+			/**
+			 * Fuegt die Punkte dieses Teilbaums der Liste hinzu
+			 * @param addPos Der Positionsabschnitt, den dieser Teilbaum besitzt
+			 * @param maxWidth Die Breite des Diagramms
+			 * @param punkte Die Liste der Punkte als [x, y]
+			 * @param [computePosInScala] Die Funktion, die die Position in dem Diagramm berechnet
+			 **/
+			this.getPunkte = function(addPos, maxWidth, punkte, computePosInScala) {
+				var i, part;
+				
+				for(i=0;i<10;++i) {
+					part = addPos + i * size / 10;
+					
+					if(part <= maxWidth) {
+						children[i].getPunkte(part, maxWidth, punkte, computePosInScala);
+					}
+				}
+			};
+			
 			/**
 			 * Gibt den maximal Wert zurueck
 			 **/
@@ -472,6 +507,26 @@
 			
 			return valString;
 		};
+		
+		/**
+		 * Gibt alle Punkte der Reihe nach zurueck
+		 * @param maxWidth Die Breite des Diagramms
+		 * @param [computePosInScala] Die Funktion, die die Position in dem Diagramm berechnet
+		 * @return Die Punkte als [x, y]
+		 **/
+		this.getPunkte = function(maxWidth, computePosInScala) {
+			var i, part, punkte = [];
+			
+			for(i=0;i<10;++i) {
+				part = i * maxSize / 10;
+				
+				if(part <= maxWidth) {
+					children[i].getPunkte(part, maxWidth, punkte, computePosInScala);
+				}
+			}
+			
+			return punkte;
+		};
 			
 		/**
 		 * Gibt den maximal Wert zurueck
@@ -496,13 +551,107 @@
 	var saveToElem = svg.createHTML('input', {'style': 'position: absolute; top: -1000px; left: -1000px;', 'type': 'file', 'nwsaveas': 'diagramm.svg'}),
 		
 		// Welches Diagramm gespeichert werden soll
-		saveDiagramm = null;
+		saveDiagramm = null,
+		
+		// Das Diagrammobjekt dazu, fuer die Angaben im PDF und die Werte
+		saveChart = null,
+		
+		// Das Format als [Typ, Vergroesserung]
+		saveFormat = ['svg', 1];
+	
+	// Der Bereich, in dem ein Screenreader bei der Steuerung per Tastatur die Datenquelle, die Zeit und den Wert an der
+	// Linie vorliest; er ist nicht sichtbar
+	var vorleser = svg.createHTML('div', {'role': 'status', 'aria-live': 'polite', 'aria-atomic': 'true',
+								'style': 'position: absolute; top: -1000px; left: -1000px; width: 1px; height: 1px; overflow: hidden;'}),
+		vorleserName = svg.createHTML('span'), vorleserZeit = svg.createHTML('span'), vorleserWert = svg.createHTML('span');
+	
+	vorleser.appendChild(vorleserName);
+	vorleser.appendChild(svg.createHTML('span', {'content': ', '}));
+	vorleser.appendChild(vorleserZeit);
+	vorleser.appendChild(svg.createHTML('span', {'content': ': '}));
+	vorleser.appendChild(vorleserWert);
+	
+	// Die Formate, in denen ein Diagramm gespeichert werden kann, als [Text, Typ, Vergroesserung]; CSV und JSON enthalten
+	// die Werte im sichtbaren Zeitraum
+	var saveFormate = [['SVG', 'svg', 1], ['PNG', 'png', 1], ['PNG (2-fach)', 'png', 2], ['PNG (4-fach)', 'png', 4], ['PDF', 'pdf', 1],
+						['CSV (Daten)', 'csv', 1], ['JSON (Daten)', 'json', 1]];
+	
+	/**
+	 * Erstellt eine JSON Datei mit den Werten eines Diagramms; jede Zeile ist ein Objekt mit der Zeit und einem Feld je
+	 * Datenquelle
+	 * @param daten Die Werte wie bei sichtbareDaten() des Diagramms
+	 * @return Der Inhalt der Datei
+	 **/
+	var datenJSON = function(daten) {
+		var werte = [], zeile, i, j, k, l;
+		
+		for(i=0,j=daten.zeilen.length;i<j;++i) {
+			zeile = {'zeit': new Date(daten.zeilen[i][0] * 1000).toISOString()};
+			
+			for(k=0,l=daten.spalten.length;k<l;++k) {
+				zeile[daten.spalten[k][0]] = daten.zeilen[i][k + 1];
+			}
+			
+			werte.push(zeile);
+		}
+		
+		return JSON.stringify({'von': new Date(daten.zeitraum[0] * 1000).toISOString(),
+								'bis': new Date(daten.zeitraum[1] * 1000).toISOString(),
+								'sekunden': daten.zeitraum[2],
+								'einheiten': daten.spalten.reduce(function(einheiten, spalte) {
+									einheiten[spalte[0]] = spalte[1];
+									
+									return einheiten;
+								}, {}),
+								'werte': werte}, null, '\t');
+	};
 	
 	// Diagramm speichern
 	root._.event(saveToElem, 'change', function() {
-		var path = this.files[0].path;
+		var path = this.files[0].path, typ = saveFormat[0], fs = require('fs'),
+			was = (typ === 'csv' || typ === 'json') ? ['Daten', 'Die Daten wurden', 'Die Daten konnten']
+													: ['Diagramm', 'Das Diagramm wurde', 'Das Diagramm konnte'];
+		
+		var fertig = function(err) {
+			if(err) {
+				root._.id('generalErrorMessage').innerHTML = was[2] + ' nicht gespeichert werden (' + err + ')!';
+				
+				$('#generalError').modal('show');
+			} else {
+				root._.id('myModalLabel2').innerHTML = was[0] + ' gespeichert';
+				root._.id('generalOkMessage').innerHTML = was[1] + ' gespeichert!';
+				
+				$('#generalOk').modal('show');
+			}
+		};
+		
+		var schreiben = function(err, inhalt) {
+			if(err === undefined) {
+				fs.writeFile(path, inhalt, fertig);
+			} else {
+				fertig(err);
+			}
+		};
 		
-		var content = saveDiagramm.parentNode.cloneNode(true), svg = content.getElementsByTagName('svg')[0];
+		this.value = null;
+		
+		// Die Werte werden ohne das SVG gespeichert
+		if(typ === 'csv' || typ === 'json') {
+			saveChart.sichtbareDaten(function(daten) {
+				schreiben(undefined, (typ === 'csv') ? root.diagramm_export.csv(daten) : datenJSON(daten));
+			});
+			
+			return;
+		}
+		
+		var content = saveDiagramm.parentNode.cloneNode(true), svg = content.getElementsByTagName('svg')[0], k;
+		
+		// Das Menue mit den Formaten gehoert nicht zum Diagramm
+		for(k=svg.childNodes.length-1;k>=0;--k) {
+			if(svg.childNodes[k].nodeType === 1 && svg.childNodes[k].getAttribute('class') === 'nichtSpeichern') {
+				svg.removeChild(svg.childNodes[k]);
+			}
+		}
 		
 		svg.removeChild(svg.getElementsByTagName('filter')[0]);
 		svg.removeChild(svg.getElementsByTagName('text')[0]);
@@ -524,22 +673,16 @@
 		
 		content = string + svg.innerHTML.replace(/<g>/g, "\n<g>\n").replace(/<\/g>/g, "\n</g>\n") + '</svg>';
 		
-		var fs = require('fs');
-		
-		fs.writeFile(path, content, function(err) {
-			if(err) {
-				root._.id('generalErrorMessage').innerHTML = 'Das Diagramm konnte nicht gespeichert werden (' + err + ')!';
-				
-				$('#generalError').modal('show');
-			} else {
-				root._.id('myModalLabel2').innerHTML = 'Diagramm gespeichert';
-				root._.id('generalOkMessage').innerHTML = 'Das Diagramm wurde gespeichert!';
-				
-				$('#generalOk').modal('show');
-			}
-		});
+		var breite = parseFloat(svg.getAttribute('width')), hoehe = parseFloat(svg.getAttribute('height'));
 		
-		this.value = null;
+		// PNG und PDF werden aus dem SVG gezeichnet
+		if(typ === 'png') {
+			root.diagramm_export.png(content, breite, hoehe, saveFormat[1], schreiben);
+		} else if(typ === 'pdf') {
+			root.diagramm_export.pdf(content, breite, hoehe, saveChart.exportInfo(), schreiben);
+		} else {
+			schreiben(undefined, content);
+		}
 	});
 	
 	/**
@@ -618,6 +761,155 @@
 		};
 	};
 	
+	/**
+	 * Rundet einen Wert auf zwei Nachkommastellen
+	 * @param val Der Wert
+	 * @return
+	 **/
+	var runden = function(val) {
+		return Math.round(val * 100) / 100;
+	};
+	
+	// Die Skalen neben der linearen; sie richten sich nach den sichtbaren Werten. Jede bekommt die Werte und gibt ein Objekt
+	// zurueck mit umrechnen(wert) fuer die Umrechnung in die Skala, min und max als Grenzen in der Skala, linie als Wert der
+	// Linie, text(t, units) fuer die Beschriftung der Achse und lesen(t) fuer den Wert an der Linie oder null
+	var skalen = {
+		// Logarithmisch, die Grenzen sind Zehnerpotenzen; Werte <= 0 liegen unten
+		'log': function(werte) {
+			var positiv = werte.filter(function(wert) { return wert > 0; }),
+				min = (positiv.length > 0) ? Math.floor(Math.log(Math.min.apply(null, positiv)) / Math.LN10) : 0,
+				max = (positiv.length > 0) ? Math.ceil(Math.log(Math.max.apply(null, positiv)) / Math.LN10) : 1;
+			
+			if(max <= min) {
+				max = min + 1;
+			}
+			
+			return {'umrechnen': function(wert) { return (wert > 0) ? Math.max(min, Math.log(wert) / Math.LN10) : min; },
+					'min': min, 'max': max, 'linie': min,
+					'text': function(t, units) { return runden(Math.pow(10, t)) + units; },
+					'lesen': null};
+		},
+		// Prozent des groessten Wertes
+		'prozent': function(werte) {
+			var max = werte.reduce(function(max, wert) { return Math.max(max, Math.abs(wert)); }, 0) || 1,
+				min = werte.reduce(function(min, wert) { return Math.min(min, wert / max * 100); }, 0);
+			
+			return {'umrechnen': function(wert) { return wert / max * 100; },
+					'min': min, 'max': 100, 'linie': 0,
+					'text': function(t) { return runden(t) + ' %'; },
+					'lesen': function(t) { return runden(t) + ' % vom Maximum'; }};
+		},
+		// Normalisiert auf den Mittelwert 0 und die Standardabweichung 1
+		'zscore': function(werte) {
+			var mittel = 0, abweichung = 0, grenze = 1, i, j;
+			
+			for(i=0,j=werte.length;i<j;++i) {
+				mittel += werte[i] / j;
+			}
+			
+			for(i=0,j=werte.length;i<j;++i) {
+				abweichung += (werte[i] - mittel) * (werte[i] - mittel) / j;
+			}
+			
+			abweichung = Math.sqrt(abweichung) || 1;
+			
+			for(i=0,j=werte.length;i<j;++i) {
+				grenze = Math.max(grenze, Math.ceil(Math.abs(werte[i] - mittel) / abweichung));
+			}
+			
+			return {'umrechnen': function(wert) { return (wert - mittel) / abweichung; },
+					'min': -grenze, 'max': grenze, 'linie': 0,
+					'text': function(t) { return runden(t) + ' σ'; },
+					'lesen': function(t) { return 'z = ' + runden(t); }};
+		},
+		// Der erste sichtbare Wert ist 100
+		'index': function(werte) {
+			var basis = 1, min = 100, max = 100, i, j;
+			
+			for(i=0,j=werte.length;i<j;++i) {
+				if(werte[i] !== 0) {
+					basis = werte[i];
+					
+					break;
+				}
+			}
+			
+			for(i=0,j=werte.length;i<j;++i) {
+				min = Math.min(min, werte[i] / basis * 100);
+				max = Math.max(max, werte[i] / basis * 100);
+			}
+			
+			if(max === min) {
+				--min;
+				++max;
+			}
+			
+			return {'umrechnen': function(wert) { return wert / basis * 100; },
+					'min': min, 'max': max, 'linie': 100,
+					'text': function(t) { return '' + runden(t); },
+					'lesen': function(t) { return 'Index ' + runden(t); }};
+		},
+		// Linear vom kleinsten bis zum groessten sichtbaren Wert, z.B. fuer Formeln ohne bekannten Wertebereich
+		'bereich': function(werte) {
+			var min = (werte.length > 0) ? Math.min.apply(null, werte) : 0,
+				max = (werte.length > 0) ? Math.max.apply(null, werte) : 1;
+			
+			if(max === min) {
+				--min;
+				++max;
+			}
+			
+			return {'umrechnen': function(wert) { return wert; },
+					'min': min, 'max': max, 'linie': Math.min(Math.max(0, min), max),
+					'text': function(t, units) { return runden(t) + units; },
+					'lesen': null};
+		}
+	};
+	
+	/**
+	 * Erstellt eine Datenquelle mit den Werten einer anderen Datenquelle, die um einen Zeitversatz spaeter gezeichnet
+	 * werden; so liegen z.B. die Werte der Vorwoche unter denen dieser Woche
+	 * @param data Die Datenquelle
+	 * @param versatz Der Zeitversatz in Sekunden
+	 * @return
+	 **/
+	var verschoben = function(data, versatz) {
+		var quelle = {}, name;
+		
+		for(name in data) {
+			quelle[name] = data[name];
+		}
+		
+		// Die Bereiche im Hintergrund gehoeren der Datenquelle selbst, die verschobenen Werte werden bei Bedarf geladen
+		delete quelle.prefetch;
+		
+		// Balken und Flaechen wuerden die Werte verdecken, sie werden als Linie gezeichnet
+		quelle.darstellung = function() {
+			var darstellung = ('darstellung' in data) ? data.darstellung() : 'bar';
+			
+			return (darstellung === 'bar' || darstellung === 'area') ? 'line' : darstellung;
+		};
+		
+		quelle.showData = function(timestampFrom, timestampTo, createBar, sec) {
+			data.showData(timestampFrom - versatz, timestampTo - versatz, function(from, to, val, draw, max, spanne) {
+				createBar(from + versatz, to + versatz, val, draw, max, spanne);
+			}, sec);
+		};
+		
+		return quelle;
+	};
+	
+	/**
+	 * Gibt einen Zeitversatz als Text zurueck
+	 * @param versatz Der Zeitversatz in Sekunden
+	 * @return z.B. "vor 7 Tagen"
+	 **/
+	var versatzText = function(versatz) {
+		var tage = runden(versatz / 86400);
+		
+		return 'vor ' + tage + ((tage === 1) ? ' Tag' : ' Tagen');
+	};
+	
 	/**
 	 * Die Beschreibung des Textes
 	 * @param height [Number] die Hoehe des Diagramms
@@ -664,8 +956,9 @@
 	 * @param minVal [Number] Der minimale Wert, der vorkommen kann
 	 * @param maxVal [Number] Der maximale Wert, der vorkommen kann
 	 * @param units [String] Die Einheit der Werte
+	 * [@param rechts] Ob die Skala rechts neben dem Diagramm steht; die Texte stehen dann rechts von der Skala
 	 **/
-	var axis = function(data, height) {
+	var axis = function(data, height, rechts) {
 		var axis = svg('g');
 		
 		// Die minimalen und maximalen Werten und die Einheiten
@@ -677,33 +970,49 @@
 		var textPadding = 5;
 		
 		var scalaPadding = data.scalaPadding(),
-			scalaHeight = height - scalaPadding;
+			scalaHeight = height - scalaPadding,
+			anchor = rechts ? 'start' : 'end';
+		
+		// Die x-Werte der Striche und der senkrechten Linie der Skala
+		var strich = rechts ? 10 : 0, linie = rechts ? 0 : 10;
+		
+		/**
+		 * Berechnet die Punkte der Skala
+		 * @return Die Punkte fuer das <polyline> Element
+		 **/
+		var scalaPoints = function() {
+			return strich + ',' + scalaHeight + ' ' + linie + ',' + scalaHeight + ' ' + linie + ',' + ((scalaHeight - scalaPadding) / 2 + scalaPadding)
+					+ ' ' + strich + ',' + ((scalaHeight - scalaPadding) / 2 + scalaPadding)
+					+ ' ' + linie + ',' + ((scalaHeight - scalaPadding) / 2 + scalaPadding)
+					+ ' ' + linie + ',' + scalaPadding + ' ' + strich + ',' + scalaPadding;
+		};
 		
 		// Die drei Texte neben der Skala
-		var textMax = svg('text', {'content': maxVal + units, 'dominant-baseline': 'middle', 'y': scalaPadding, 'text-anchor': 'end',
+		var textMax = svg('text', {'content': maxVal + units, 'dominant-baseline': 'middle', 'y': scalaPadding, 'text-anchor': anchor,
 									'font-size': '80%'});
 		var textMid = svg('text', {'content': ((maxVal + minVal) / 2) + units, 'dominant-baseline': 'middle',
-									'y': height / 2, 'text-anchor': 'end', 'font-size': '80%'});
-		var textMin = svg('text', {'content': minVal + units, 'dominant-baseline': 'middle', 'y': scalaHeight, 'text-anchor': 'end',
+									'y': height / 2, 'text-anchor': anchor, 'font-size': '80%'});
+		var textMin = svg('text', {'content': minVal + units, 'dominant-baseline': 'middle', 'y': scalaHeight, 'text-anchor': anchor,
 									'font-size': '80%'});
 		
 		// Die Skala
-		var scala = svg('polyline', {'points': '0,' + scalaHeight + ' 10,' + scalaHeight + ' 10,' + ((scalaHeight - scalaPadding) / 2 + scalaPadding)
-									+ ' 0,' + ((scalaHeight - scalaPadding) / 2 + scalaPadding)
-									+ ' 10,' + ((scalaHeight - scalaPadding) / 2 + scalaPadding)
-									+ ' 10,' + scalaPadding + ' 0,' + scalaPadding,
-									'style': 'fill: none; stroke: #000; stroke-width: 1px;'});
+		var scala = svg('polyline', {'points': scalaPoints(), 'style': 'fill: none; stroke: #000; stroke-width: 1px;'});
 		
 		// Berechnet die laengste Breite der Texte neben der Skala
 		var width = Math.max(calc_size(textMax).width, calc_size(textMid).width, calc_size(textMin).width);
 		
-		// Setzt die Texte auf die richtige Position
-		textMax.setAttribute('x', width);
-		textMid.setAttribute('x', width);
-		textMin.setAttribute('x', width);
-		
-		// Verschiebt die Skala auf die richtige x-Richtung
-		scala.setAttribute('transform', 'translate(' + (width + textPadding) + ', 0)');
+		// Setzt die Texte und die Skala auf die richtige Position
+		if(rechts) {
+			textMax.setAttribute('x', 10 + textPadding);
+			textMid.setAttribute('x', 10 + textPadding);
+			textMin.setAttribute('x', 10 + textPadding);
+		} else {
+			textMax.setAttribute('x', width);
+			textMid.setAttribute('x', width);
+			textMin.setAttribute('x', width);
+			
+			scala.setAttribute('transform', 'translate(' + (width + textPadding) + ', 0)');
+		}
 		
 		// Fuegt die Elemente dem Gruppenelement hinzu
 		axis.appendChild(textMin);
@@ -719,6 +1028,26 @@
 			return calc_size(axis).width;
 		};
 		
+		/**
+		 * Beschriftet die Skala neu, wenn die Werte in einer anderen Skala gezeichnet werden
+		 * @param unten Der Wert unten in der Skala oder null fuer die urspruengliche Beschriftung
+		 * [@param oben] Der Wert oben in der Skala
+		 * [@param text] Gibt die Beschriftung eines Wertes mit den Einheiten zurueck
+		 **/
+		this.beschriften = function(unten, oben, text) {
+			if(unten === null) {
+				svg(textMax).changeContent(maxVal + units);
+				svg(textMid).changeContent(((maxVal + minVal) / 2) + units);
+				svg(textMin).changeContent(minVal + units);
+				
+				return;
+			}
+			
+			svg(textMax).changeContent(text(oben, units));
+			svg(textMid).changeContent(text((unten + oben) / 2, units));
+			svg(textMin).changeContent(text(unten, units));
+		};
+		
 		/**
 		 * Aendert die Hoehe der Skala
 		 * @param height die neue Gesamthoehe
@@ -730,10 +1059,7 @@
 			
 			textMin.setAttribute('y', scalaHeight);
 			
-			scala.setAttribute('points', '0,' + scalaHeight + ' 10,' + scalaHeight + ' 10,' + ((scalaHeight - scalaPadding) / 2 + scalaPadding)
-									+ ' 0,' + ((scalaHeight - scalaPadding) / 2 + scalaPadding)
-									+ ' 10,' + ((scalaHeight - scalaPadding) / 2 + scalaPadding)
-									+ ' 10,' + scalaPadding + ' 0,' + scalaPadding);
+			scala.setAttribute('points', scalaPoints());
 		};
 		
 		/**
@@ -752,8 +1078,9 @@
 	 * @param zoom [Number] Die aktuelle Vergroesserung des Diagramms
 	 * @param height [Number] Die Hoehe des Diagramms
 	 * @param width [Number] Die Breite des Diagramms
+	 * [@param beschriften] [Function] Wird wie beschriften() der Achsenbeschriftung aufgerufen, wenn sich die Skala aendert
 	 **/
-	var dataAxis = function(data, timestamp, zoom, height, width) {
+	var dataAxis = function(data, timestamp, zoom, height, width, beschriften) {
 		var axis = svg('g'), elements = svg('g');
 		
 		var maxVal = data.maxVal(),
@@ -765,13 +1092,38 @@
 			maxVal = minVal + 1;
 		}
 		
+		// Die Grenzen der linearen Skala
+		var datenMin = minVal, datenMax = maxVal;
+		
+		var skala = 'linear', // Die Skala der Werte: linear oder eine aus skalen
+			umrechnen = null, // Rechnet einen Wert in die Skala um; null bei der linearen Skala
+			lesen = null, // Gibt den umgerechneten Wert an der Linie als Text zurueck oder null
+			grundlinie = null; // Der Wert der Linie in der Skala; bei der linearen Skala gilt lineVal()
+		
+		/**
+		 * Berechnet von einem Wert in der Skala die Position
+		 * @param val Der Wert in der Skala
+		 * @return die Position in der Skala
+		 **/
+		var positionInSkala = function(val) {
+			return (height - 2 * scalaPadding) * (1 - ((val - minVal) / (maxVal - minVal))) + scalaPadding;
+		};
+		
 		/**
 		 * Berechnet von einem Wert die Position in der Skala
 		 * @param val Der Wert, dessen Position berechnet werden soll
 		 * @return die Position in der Skala
 		 **/
 		var computePosInScala = function(val) {
-			return (height - 2 * scalaPadding) * (1 - ((val - minVal) / (maxVal - minVal))) + scalaPadding;
+			return positionInSkala((umrechnen === null) ? val : umrechnen(val));
+		};
+		
+		/**
+		 * Gibt an, ob die Werte unveraendert gespeichert und erst beim Zeichnen umgerechnet werden
+		 * @return
+		 **/
+		var werteRoh = function() {
+			return ('computePercentOfMax' in data) || skala !== 'linear';
 		};
 		
 		// berechnet die y-Position der Linie
@@ -784,8 +1136,12 @@
 		// Die laenge des gesamten Diagramms
 		var totalWidth = width;
 		
+		// Die Spanne von Minimum bis Maximum, hinter den Werten
+		var huelle = svg('g');
+		
 		// Fuegt die Elemente hinzu
 		axis.appendChild(line);
+		axis.appendChild(huelle);
 		axis.appendChild(elements);
 		
 		/**
@@ -816,11 +1172,154 @@
 			return width - x;
 		};
 		
+		/**
+		 * Teilt die Punkte in zusammenhaengende Abschnitte; zwischen zwei Abschnitten fehlen Werte
+		 * @param punkte Die Punkte als [x, y]
+		 * @param posDiff Der maximale Abstand, den die Werte voneinander haben falls alle Werte vorhanden sind
+		 * @return Die Abschnitte als Array von Punkten
+		 **/
+		var abschnitte = function(punkte, posDiff) {
+			var ergebnis = [], i, j;
+			
+			for(i=0,j=punkte.length;i<j;++i) {
+				if(i === 0 || (punkte[i][0] - punkte[i - 1][0]) > posDiff * 2) {
+					ergebnis.push([]);
+				}
+				
+				ergebnis[ergebnis.length - 1].push(punkte[i]);
+			}
+			
+			return ergebnis;
+		};
+		
+		/**
+		 * Verbindet die Punkte mit Linien
+		 * @param punkte Die Punkte als [x, y]
+		 * @return Ein String fuer ein SVG <path> Objekt, ohne M am Anfang
+		 **/
+		var linie = function(punkte) {
+			return punkte.map(function(punkt) { return punkt[0] + ',' + punkt[1]; }).join(' L ');
+		};
+		
+		// Die Darstellungen neben den Balken: pfad(punkte, posDiff) erstellt den Pfad, style(farbe) das Aussehen
+		var darstellungen = {
+			'line': {
+				'pfad': function(punkte, posDiff) {
+					return abschnitte(punkte, posDiff).map(function(abschnitt) {
+						return 'M ' + linie(abschnitt);
+					}).join(' ');
+				},
+				'style': function(farbe) {
+					return 'fill: none; stroke: ' + farbe + '; stroke-width: 2px;';
+				}
+			},
+			'step': {
+				'pfad': function(punkte, posDiff) {
+					var halb = Math.ceil(posDiff / 2);
+					
+					return abschnitte(punkte, posDiff).map(function(abschnitt) {
+						var pfad = 'M ' + (abschnitt[0][0] - halb) + ',' + abschnitt[0][1], i, j;
+						
+						// Die Stufe wechselt in der Mitte zwischen zwei Werten
+						for(i=0,j=abschnitt.length;i<j;++i) {
+							pfad += ' V ' + abschnitt[i][1] + ' H ' + ((i + 1 < j) ? Math.round((abschnitt[i][0] + abschnitt[i + 1][0]) / 2) : abschnitt[i][0] + halb);
+						}
+						
+						return pfad;
+					}).join(' ');
+				},
+				'style': function(farbe) {
+					return 'fill: none; stroke: ' + farbe + '; stroke-width: 2px;';
+				}
+			},
+			'area': {
+				'pfad': function(punkte, posDiff) {
+					return abschnitte(punkte, posDiff).map(function(abschnitt) {
+						return 'M ' + abschnitt[0][0] + ',' + linePos + ' L ' + linie(abschnitt) + ' L ' + abschnitt[abschnitt.length - 1][0] + ',' + linePos + ' Z';
+					}).join(' ');
+				},
+				'style': function(farbe) {
+					return 'fill: ' + farbe + '; fill-opacity: 0.4; stroke: ' + farbe + '; stroke-width: 1px;';
+				}
+			},
+			'scatter': {
+				'pfad': function(punkte, posDiff) {
+					var r = Math.max(1, Math.min(3, Math.floor(posDiff / 2)));
+					
+					// Ein Kreis aus zwei Halbkreisen je Punkt
+					return punkte.map(function(punkt) {
+						return 'M ' + (punkt[0] - r) + ',' + punkt[1] + ' a ' + r + ',' + r + ' 0 1,0 ' + (2 * r) + ',0 a ' + r + ',' + r + ' 0 1,0 ' + (-2 * r) + ',0';
+					}).join(' ');
+				},
+				'style': function(farbe) {
+					return 'fill: ' + farbe + '; stroke: none;';
+				}
+			}
+		};
+		
+		/**
+		 * Erstellt den Pfad fuer die Spanne von Minimum bis Maximum
+		 * @param minimum Die Punkte der Minima als [x, y]
+		 * @param maximum Die Punkte der Maxima als [x, y], an denselben Positionen wie die Minima
+		 * @param posDiff Der maximale Abstand, den die Werte voneinander haben falls alle Werte vorhanden sind
+		 * @return Ein String, der einen Pfad fuer ein SVG <path> Objekt beschreibt
+		 **/
+		var spannePfad = function(minimum, maximum, posDiff) {
+			var abschnitteMin = abschnitte(minimum, posDiff);
+			
+			return abschnitte(maximum, posDiff).map(function(abschnitt, i) {
+				return 'M ' + linie(abschnitt) + ' L ' + linie(abschnitteMin[i].slice(0).reverse()) + ' Z';
+			}).join(' ');
+		};
+		
 		// Erstelle Baum, um die Daten zu speichern
 		var vals = new tenTree(linePos),
+			valsMin = new tenTree(linePos), // Die Minima der Zeitabschnitte
+			valsMax = new tenTree(linePos), // Die Maxima der Zeitabschnitte
 			diagrammChangeNr = -1,
 			secInterval;
 		
+		/**
+		 * Setzt die Linie an die Position ihres Wertes in der Skala
+		 **/
+		var linieSetzen = function() {
+			linePos = Math.round(positionInSkala((umrechnen === null) ? data.lineVal() : grundlinie));
+			
+			line.setAttribute('y1', linePos);
+			line.setAttribute('y2', linePos);
+			
+			vals.setBaseval(linePos);
+		};
+		
+		/**
+		 * Uebernimmt eine Skala aus skalen oder mit null wieder die lineare Skala
+		 * @param bereich Das Ergebnis der Skala fuer die sichtbaren Werte oder null
+		 **/
+		var skalaSetzen = function(bereich) {
+			if(bereich === null) {
+				umrechnen = null;
+				lesen = null;
+				minVal = datenMin;
+				maxVal = datenMax;
+			} else {
+				umrechnen = bereich.umrechnen;
+				lesen = bereich.lesen;
+				minVal = bereich.min;
+				maxVal = bereich.max;
+				grundlinie = bereich.linie;
+			}
+			
+			linieSetzen();
+			
+			if(beschriften !== undefined) {
+				if(bereich === null) {
+					beschriften(null);
+				} else {
+					beschriften(bereich.min, bereich.max, bereich.text);
+				}
+			}
+		};
+		
 		/**
 		 * Erstellt einen Eintrag in dem Diagramm
 		 * @param diagrammCreate: Wann das Diagramm erstellt werden sollte
@@ -829,8 +1328,9 @@
 		 * @param val: Der Wert, von dem ausgehen die Hoehe berechnet wird
 		 * @param draw: Ob das Diagramm gezeichnet werden soll
 		 * @param [max]: Der maximale Wert der angenommen werden kann
+		 * @param [spanne]: Das Minimum und Maximum in dem Zeitabschnitt als [min, max]
 		 **/
-		var createBar = function(diagrammCreate, timestampFrom, timestampTo, val, draw, max) {
+		var createBar = function(diagrammCreate, timestampFrom, timestampTo, val, draw, max, spanne) {
 			if(diagrammChangeNr !== diagrammCreate) {
 				return;
 			}
@@ -842,26 +1342,51 @@
 				var mid = Math.floor(x + widthBar / 2);
 				
 				if(mid >= 0) {
-					if('computePercentOfMax' in data) {
+					if(werteRoh()) {
 						vals.add(mid, val);
 					} else {
 						vals.add(mid, Math.round(computePosInScala(val)));
 					}
+					
+					if(spanne !== undefined) {
+						if(werteRoh()) {
+							valsMin.add(mid, spanne[0]);
+							valsMax.add(mid, spanne[1]);
+						} else {
+							valsMin.add(mid, Math.round(computePosInScala(spanne[0])));
+							valsMax.add(mid, Math.round(computePosInScala(spanne[1])));
+						}
+					}
 				}
 			}
 			
 			if(draw){
-				if('computePercentOfMax' in data) {
-					if(max !== undefined) {
-						maxVal = max;
-					}
-					
-					elements.appendChild(svg('path', {'d': vals.getValString(totalWidth, Math.ceil(calcX(timestampTo + secInterval) - calcX(timestampTo)),
-																			computePosInScala),
-													'style': 'fill: ' + (('color' in data) ? data.color() : '#00F') + '; stroke: #000; stroke-width: 1px;'}));
+				if('computePercentOfMax' in data && max !== undefined && skala === 'linear') {
+					maxVal = max;
+				}
+				
+				// Die Skala richtet sich nach den sichtbaren Werten
+				if(skala !== 'linear') {
+					skalaSetzen(skalen[skala](vals.getPunkte(totalWidth).map(function(punkt) { return punkt[1]; })));
+				}
+				
+				var darstellung = ('darstellung' in data) ? data.darstellung() : 'bar',
+					farbe = ('color' in data) ? data.color() : '#00F',
+					posDiff = Math.ceil(calcX(timestampTo + secInterval) - calcX(timestampTo)),
+					scala = werteRoh() ? computePosInScala : undefined;
+				
+				// Die Spanne wird blass in der Farbe der Werte gezeichnet
+				huelle.innerHTML = '';
+				
+				huelle.appendChild(svg('path', {'d': spannePfad(valsMin.getPunkte(totalWidth, scala), valsMax.getPunkte(totalWidth, scala), posDiff),
+												'style': 'fill: ' + farbe + '; fill-opacity: 0.2; stroke: none;'}));
+				
+				if(darstellung in darstellungen) {
+					elements.appendChild(svg('path', {'d': darstellungen[darstellung].pfad(vals.getPunkte(totalWidth, scala), posDiff),
+													'style': darstellungen[darstellung].style(farbe)}));
 				} else {
-					elements.appendChild(svg('path', {'d': vals.getValString(totalWidth, Math.ceil(calcX(timestampTo + secInterval) - calcX(timestampTo))),
-													'style': 'fill: ' + (('color' in data) ? data.color() : '#00F') + '; stroke: #000; stroke-width: 1px;'}));
+					elements.appendChild(svg('path', {'d': vals.getValString(totalWidth, posDiff, scala),
+													'style': 'fill: ' + farbe + '; stroke: #000; stroke-width: 1px;'}));
 				}
 				
 				var elems = elements.getElementsByTagName('path');
@@ -880,35 +1405,19 @@
 		var calcedFrom = {};
 		
 		/**
-		 * Berechnet die Werte fuer die Anzeige und laesst diese anzeigen
+		 * Gibt an, wie viele Sekunden ein Balken bei einer Zeit pro Pixel repraesentiert
+		 * @param timePerPixel Die Zeit, die ein Pixel repraesentiert
+		 * @return Die Anzahl an Sekunden
 		 **/
-		var calcValues = function() {
-			// Loescht die aktuellen Daten
-			vals.reset();
-			
-			// Leert die Anzeige
-			elements.innerHTML = '';
-			
-			// Merke, dass das Diagramm veraendert wurde
-			diagrammChangeNr = (diagrammChangeNr + 1) % 100000;
-			
-			// Die Zeit, die ein Pixel repraesentiert
-			var timePerPixel = 1 / 500 * 30 / zoom * 3600 * 24;
-			
-			var leftBorder = timestamp - width / 500 * 30 / zoom * 3600 * 24, // Der linke Rand des Diagramms
-				date = new Date(leftBorder * 1000), // Das Referenzdatum des linken Balkens
-				referenceDate, // Das Referenzdatum
-				sec, // Die Anzahl an Sekunden, die ein Balken repraesentiert
-				repeat;
+		var calcSec = function(timePerPixel) {
+			var repeat;
 			
 			if(timePerPixel <= 3600) {
 				repeat = Math.ceil(timePerPixel / 600) * 10;
 				
 				if(repeat > 30) repeat = 60;
 				
-				referenceDate = new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), Math.floor(date.getMinutes() / repeat) * repeat, 0);
-				
-				sec = 60 * repeat;
+				return 60 * repeat;
 			} else if(timePerPixel <= 86400) {
 				repeat = Math.ceil(timePerPixel / 3600);
 				
@@ -916,34 +1425,102 @@
 				else if(repeat > 6) repeat = 12;
 				else if(repeat > 3) repeat = 6;
 				
-				referenceDate = new Date(date.getFullYear(), date.getMonth(), date.getDate(), Math.floor(date.getHours() / repeat) * repeat, 0, 0);
-				
-				sec = 3600 * repeat;
-			} else {
-				referenceDate = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, 0, 0);
-				
-				sec = 172800;
+				return 3600 * repeat;
 			}
 			
-			var name = '_' + sec;
-			
-			// Berechne den Startpunkt von den ersten Referenz auf (im Verhaeltnis davon), damit nur einmal Daten pro Zoomstufe gecached werden
-			if(name in calcedFrom) {
-				var factor = Math.round((calcedFrom[name] - referenceDate.getTime() / 1000) / sec);
-				
-				referenceDate = calcedFrom[name] - factor * sec;
+			return 172800;
+		};
+		
+		// Die moeglichen Werte fuer die Sekunden eines Balkens, der Reihe nach
+		var allSec = [600, 1200, 1800, 3600, 7200, 10800, 21600, 43200, 86400, 172800];
+		
+		/**
+		 * Berechnet das Referenzdatum des linken Balkens
+		 * @param leftBorder Der linke Rand des Diagramms
+		 * @param sec Die Anzahl an Sekunden, die ein Balken repraesentiert
+		 * @return Das Referenzdatum als Timestamp
+		 **/
+		var calcReferenceDate = function(leftBorder, sec) {
+			var date = new Date(leftBorder * 1000), // Das Referenzdatum des linken Balkens
+				referenceDate;
+			
+			if(sec <= 3600) {
+				referenceDate = new Date(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), Math.floor(date.getMinutes() / (sec / 60)) * (sec / 60), 0);
+			} else if(sec <= 86400) {
+				referenceDate = new Date(date.getFullYear(), date.getMonth(), date.getDate(), Math.floor(date.getHours() / (sec / 3600)) * (sec / 3600), 0, 0);
 			} else {
-				referenceDate = Math.floor(referenceDate.getTime() / 1000)
-				calcedFrom[name] = referenceDate;
+				referenceDate = new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, 0, 0);
+			}
+			
+			var name = '_' + sec;
+			
+			// Berechne den Startpunkt von den ersten Referenz auf (im Verhaeltnis davon), damit nur einmal Daten pro Zoomstufe gecached werden
+			if(name in calcedFrom) {
+				var factor = Math.round((calcedFrom[name] - referenceDate.getTime() / 1000) / sec);
+				
+				return calcedFrom[name] - factor * sec;
+			}
+			
+			referenceDate = Math.floor(referenceDate.getTime() / 1000);
+			calcedFrom[name] = referenceDate;
+			
+			return referenceDate;
+		};
+		
+		/**
+		 * Berechnet die Werte fuer die Anzeige und laesst diese anzeigen
+		 **/
+		var calcValues = function() {
+			// Loescht die aktuellen Daten
+			vals.reset();
+			valsMin.reset();
+			valsMax.reset();
+			
+			// Leert die Anzeige
+			elements.innerHTML = '';
+			huelle.innerHTML = '';
+			
+			// Merke, dass das Diagramm veraendert wurde
+			diagrammChangeNr = (diagrammChangeNr + 1) % 100000;
+			
+			// Die Skala kann sich geaendert haben; die Werte werden dann anders gespeichert
+			skala = ('skala' in data && data.skala() in skalen) ? data.skala() : 'linear';
+			
+			if(skala === 'linear' && umrechnen !== null) {
+				skalaSetzen(null);
 			}
 			
+			// Die Zeit, die ein Pixel repraesentiert
+			var timePerPixel = 1 / 500 * 30 / zoom * 3600 * 24;
+			
+			var leftBorder = timestamp - width / 500 * 30 / zoom * 3600 * 24, // Der linke Rand des Diagramms
+				sec = calcSec(timePerPixel), // Die Anzahl an Sekunden, die ein Balken repraesentiert
+				referenceDate = calcReferenceDate(leftBorder, sec); // Das Referenzdatum
+			
 			secInterval = sec;
 			
 			// Gibt die berechneten Werte weiter
 			data.showData(referenceDate, Math.floor(timestamp),
 						(function(nr) {
-							return function(time1, time2, val, draw, max) { createBar(nr, time1, time2, val, draw, max); };
+							return function(time1, time2, val, draw, max, spanne) { createBar(nr, time1, time2, val, draw, max, spanne); };
 						})(diagrammChangeNr), sec);
+			
+			// Lade im Hintergrund die Bereiche links und rechts daneben sowie die naechst feinere und groebere Zoomstufe
+			if('prefetch' in data) {
+				var breite = Math.ceil((Math.floor(timestamp) - referenceDate) / sec) * sec,
+					index = allSec.indexOf(sec),
+					bereiche = [[referenceDate - breite, referenceDate, sec], [referenceDate + breite, referenceDate + 2 * breite, sec]];
+				
+				if(index > 0) {
+					bereiche.push([calcReferenceDate(leftBorder, allSec[index - 1]), Math.floor(timestamp), allSec[index - 1]]);
+				}
+				
+				if(index < allSec.length - 1) {
+					bereiche.push([calcReferenceDate(leftBorder, allSec[index + 1]), Math.floor(timestamp), allSec[index + 1]]);
+				}
+				
+				data.prefetch(bereiche);
+			}
 		};
 		
 		/**
@@ -976,12 +1553,7 @@
 		this.resizeY = function(newHeight) {
 			height = newHeight;
 			
-			linePos = Math.round(computePosInScala(data.lineVal()));
-			
-			line.setAttribute('y1', linePos);
-			line.setAttribute('y2', linePos);
-			
-			vals.setBaseval(linePos);
+			linieSetzen();
 			
 			calcValues();
 		};
@@ -1002,9 +1574,33 @@
 		 * Berechnet den Wert an der Stelle x im Diagramm
 		 * @param x Die Position im Diagramm
 		 * @param elem Das Element, zu dem das Ergebnis hinzugefuegt werden soll
+		 * [@param zusatz] Gibt zu dem Wert einen Text zurueck, der davor steht, z.B. die Differenz zum Vergleich
 		 */
-		this.val = function(x, elem) {
-			data.getValAt(timestamp - (totalWidth - x) / 500 * 30 / zoom * 3600 * 24, elem);
+		this.val = function(x, elem, zusatz) {
+			var umrechnenJetzt = umrechnen, lesenJetzt = lesen, text;
+			
+			// Ausser bei der linearen und logarithmischen Skala wird auch der umgerechnete Wert angezeigt
+			if(lesenJetzt !== null || zusatz !== undefined) {
+				text = function(wert) {
+					return ((zusatz === undefined) ? '' : zusatz(wert)) + ((zusatz !== undefined && lesenJetzt !== null) ? ', ' : '')
+							+ ((lesenJetzt === null) ? '' : lesenJetzt(umrechnenJetzt(wert)));
+				};
+			}
+			
+			data.getValAt(timestamp - (totalWidth - x) / 500 * 30 / zoom * 3600 * 24, elem, text);
+		};
+		
+		/**
+		 * Gibt den Zeitabschnitt der aktuellen Zoomstufe zurueck, in dem ein Zeitpunkt liegt
+		 * @param time Der Zeitpunkt
+		 * @return Der Zeitabschnitt als [von, bis]
+		 **/
+		this.zeitabschnitt = function(time) {
+			var referenceDate = calcReferenceDate(time, secInterval);
+			
+			referenceDate += Math.floor((time - referenceDate) / secInterval) * secInterval;
+			
+			return [referenceDate, referenceDate + secInterval];
 		};
 	};
 	
@@ -1015,15 +1611,27 @@
 	 * @param zoom [Number] Die aktuelle Vergroesserung des Diagramms
 	 * @param height [Number] Die Hoehe des Diagramms
 	 * @param width [Number] Die Breite des Diagramms
+	 * [@param trennen] [Function] Wird mit dem ueberlagerten Diagramm aufgerufen, dessen Eintrag in der Legende angeklickt wurde
 	 **/
-	var chartSingle = function(data, timestamp, zoom, height, width) {
+	var chartSingle = function(data, timestamp, zoom, height, width, trennen) {
 		var group = svg('g');
 		
 		var descriptionE = new description(height, data.description());
 		
 		var axisE = new axis(data, height);
 		
-		var dataAxisE = new dataAxis(data, timestamp, zoom, height, 10);
+		// Die letzte Beschriftung der Skala, damit auch eine spaeter erstellte Skala rechts sie bekommt
+		var beschriftung = [null];
+		
+		var dataAxisE = new dataAxis(data, timestamp, zoom, height, 10, function() {
+			beschriftung = arguments;
+			
+			axisE.beschriften.apply(axisE, beschriftung);
+			
+			if(axisRechts !== null) {
+				axisRechts.beschriften.apply(axisRechts, beschriftung);
+			}
+		});
 		
 		var descriptionPadding = 5;
 		
@@ -1042,6 +1650,136 @@
 		// Die breitestes Beschreibung, die in dem ganzen Diagramm vorkommt
 		var widestDescription;
 		
+		// Die aktuelle Breite und Hoehe des Diagramms
+		var chartWidth = width, chartHeight = height;
+		
+		var geist = null, // Die um den Zeitversatz verschobenen Werte zum Vergleich oder null
+			geistE = svg('g', {'style': 'opacity: 0.5; stroke-dasharray: 4, 3;'}),
+			versatz = 0, // Der Zeitversatz des Vergleichs in Sekunden
+			aktuell = [zoom, timestamp], // Der aktuelle Zoom und rechte Rand
+			abfrage = 0; // Die Nummer der letzten Abfrage des Wertes zum Vergleich
+		
+		// Die verschobenen Werte liegen hinter den Werten und werden mit ihnen verschoben
+		dataAxisE.element().insertBefore(geistE, dataAxisE.element().firstChild);
+		
+		/**
+		 * Erstellt oder entfernt die verschobenen Werte, falls sich der Zeitversatz der Datenquelle geaendert hat
+		 * @return Ob die verschobenen Werte neu erstellt wurden
+		 **/
+		var geistSetzen = function() {
+			var neuerVersatz = ('zeitversatz' in data) ? data.zeitversatz() : 0;
+			
+			if(neuerVersatz === versatz) {
+				return false;
+			}
+			
+			versatz = neuerVersatz;
+			
+			geistE.innerHTML = '';
+			
+			geist = null;
+			
+			if(versatz === 0) {
+				return false;
+			}
+			
+			// Die verschobenen Werte haben eine eigene Skala, beschriften aber nicht die Achse
+			geist = new dataAxis(verschoben(data, versatz), aktuell[1], aktuell[0], chartHeight, 10);
+			
+			geistE.appendChild(geist.element());
+			
+			if(widestDescription !== undefined) {
+				geist.resize(widestDescription, chartWidth);
+			}
+			
+			return true;
+		};
+		
+		geistSetzen();
+		
+		var ziel = null, // Das Diagramm, in dem diese Datenquelle gezeichnet wird, falls sie ueberlagert ist
+			gaeste = [], // Die Diagramme, deren Datenquellen in diesem Diagramm gezeichnet werden
+			axisRechts = null, // Die Skala, falls die Datenquelle rechts neben einem anderen Diagramm steht
+			legende = svg('g'); // Die Legende, falls Datenquellen ueberlagert sind
+		
+		// Der Abstand zwischen zwei Skalen
+		var skalaPadding = 5;
+		
+		group.appendChild(legende);
+		
+		/**
+		 * Setzt die Skalen und Daten der ueberlagerten Datenquellen an ihre Position und erstellt die Legende; die erste
+		 * ueberlagerte Datenquelle bekommt eine Skala rechts, die zweite links, die dritte wieder rechts, ...
+		 **/
+		var anordnen = function() {
+			var links = widestDescription - axisE.width(), rechts = chartWidth + skalaPadding,
+				i, j, seiteRechts, skala, quelle, eintrag, hintergrund, groesse;
+			
+			legende.innerHTML = '';
+			
+			for(i=0,j=gaeste.length;i<j;++i) {
+				seiteRechts = (i % 2 === 0);
+				
+				gaeste[i].skalenEntfernen();
+				
+				skala = gaeste[i].skala(seiteRechts);
+				
+				if(seiteRechts) {
+					skala.element().setAttribute('transform', 'translate(' + rechts + ', 0)');
+					
+					rechts += skala.width() + skalaPadding;
+				} else {
+					links -= skala.width() + skalaPadding;
+					
+					skala.element().setAttribute('transform', 'translate(' + links + ', 0)');
+				}
+				
+				group.insertBefore(skala.element(), dataAxisEParent.element());
+				
+				dataAxisEParent.append(gaeste[i].datenElement());
+			}
+			
+			if(gaeste.length === 0) {
+				return;
+			}
+			
+			// Die Legende mit allen Datenquellen in diesem Diagramm
+			hintergrund = svg('rect', {'style': 'fill: #FFF; fill-opacity: 0.8;'});
+			
+			legende.appendChild(hintergrund);
+			
+			for(i=-1,j=gaeste.length;i<j;++i) {
+				quelle = (i === -1) ? data : gaeste[i].data();
+				
+				eintrag = svg('g', {'transform': 'translate(0, ' + ((i + 1) * 14) + ')'});
+				
+				eintrag.appendChild(svg('rect', {'width': 10, 'height': 10,
+												'style': 'fill: ' + (('color' in quelle) ? quelle.color() : '#00F') + '; stroke: #000; stroke-width: 1px;'}));
+				eintrag.appendChild(svg('text', {'content': quelle.description() + ((i === -1 || i % 2 === 1) ? ' (links)' : ' (rechts)'),
+												'x': 14, 'y': 5, 'dominant-baseline': 'middle', 'font-size': '80%'}));
+				
+				// Ein Klick auf eine ueberlagerte Datenquelle zeigt sie wieder in einem eigenen Diagramm
+				if(i !== -1 && trennen !== undefined) {
+					eintrag.setAttribute('style', 'cursor: pointer;');
+					
+					root._(eintrag).on('click', (function(gast) {
+						return function() { trennen(gast); };
+					})(gaeste[i]));
+				}
+				
+				legende.appendChild(eintrag);
+			}
+			
+			groesse = calc_size(legende);
+			
+			hintergrund.setAttribute('width', groesse.width + 4);
+			hintergrund.setAttribute('height', groesse.height + 4);
+			hintergrund.setAttribute('x', -2);
+			hintergrund.setAttribute('y', -2);
+			
+			legende.setAttribute('transform', 'translate(' + (widestDescription + 5) + ', 5)');
+		};
+		
 		/**
 		 * Gibt das Element zurueck
 		 * @return
@@ -1050,12 +1788,135 @@
 			return group;
 		};
 		
+		/**
+		 * Gibt die Datenquelle zurueck
+		 * @return
+		 **/
+		this.data = function() {
+			return data;
+		};
+		
+		/**
+		 * Gibt das Element mit den gezeichneten Werten zurueck
+		 * @return
+		 **/
+		this.datenElement = function() {
+			return dataAxisE.element();
+		};
+		
+		/**
+		 * Gibt die Skala fuer eine Seite zurueck, wird von dem Diagramm verwendet, in dem diese Datenquelle gezeichnet wird
+		 * @param seiteRechts Ob die Skala rechts neben dem Diagramm stehen soll
+		 * @return Die Skala
+		 **/
+		this.skala = function(seiteRechts) {
+			if(!seiteRechts) {
+				return axisE;
+			}
+			
+			if(axisRechts === null) {
+				axisRechts = new axis(data, chartHeight, true);
+				
+				axisRechts.beschriften.apply(axisRechts, beschriftung);
+			}
+			
+			return axisRechts;
+		};
+		
+		/**
+		 * Nimmt die Skalen aus dem Diagramm, in dem diese Datenquelle gezeichnet wird
+		 **/
+		this.skalenEntfernen = function() {
+			if(axisE.element().parentNode !== group && axisE.element().parentNode !== null) {
+				axisE.element().parentNode.removeChild(axisE.element());
+			}
+			
+			if(axisRechts !== null && axisRechts.element().parentNode !== null) {
+				axisRechts.element().parentNode.removeChild(axisRechts.element());
+			}
+		};
+		
+		/**
+		 * Gibt das Diagramm zurueck, in dem diese Datenquelle gezeichnet wird
+		 * @return Das Diagramm oder null, falls die Datenquelle in ihrem eigenen Diagramm gezeichnet wird
+		 **/
+		this.ziel = function() {
+			return ziel;
+		};
+		
+		/**
+		 * Gibt die Diagramme zurueck, deren Datenquellen in diesem Diagramm gezeichnet werden
+		 * @return
+		 **/
+		this.gaeste = function() {
+			return gaeste;
+		};
+		
+		/**
+		 * Zeichnet die Datenquelle eines anderen Diagramms mit in diesem Diagramm
+		 * @param gast Das andere Diagramm
+		 **/
+		this.aufnehmen = function(gast) {
+			gaeste.push(gast);
+			
+			if(widestDescription !== undefined) anordnen();
+		};
+		
+		/**
+		 * Zeichnet die Datenquelle eines anderen Diagramms nicht mehr in diesem Diagramm
+		 * @param gast Das andere Diagramm
+		 **/
+		this.abgeben = function(gast) {
+			var index = gaeste.indexOf(gast);
+			
+			if(index === -1) {
+				return;
+			}
+			
+			gaeste.splice(index, 1);
+			
+			gast.skalenEntfernen();
+			
+			if(widestDescription !== undefined) anordnen();
+		};
+		
+		/**
+		 * Zeichnet die Datenquelle in einem anderen Diagramm; dieses Diagramm wird dann ausgeblendet
+		 * @param neuesZiel Das andere Diagramm oder null, falls die Datenquelle wieder in ihrem eigenen Diagramm gezeichnet werden soll
+		 **/
+		this.ueberlagern = function(neuesZiel) {
+			if(ziel !== null) {
+				ziel.abgeben(this);
+			}
+			
+			ziel = neuesZiel;
+			
+			if(ziel !== null) {
+				group.style.display = 'none';
+				
+				ziel.aufnehmen(this);
+			} else {
+				group.style.display = '';
+				
+				group.insertBefore(axisE.element(), dataAxisEParent.element());
+				
+				dataAxisEParent.append(dataAxisE.element());
+			}
+		};
+		
 		/**
 		 * Gibt die Breite zurueck, die die Achsenbeschriftung benoetigt
 		 * @return
 		 **/
 		this.widthDescription = function() {
-			return (descriptionE.width() + descriptionPadding + axisE.width());
+			var breite = descriptionE.width() + descriptionPadding + axisE.width(), i, j;
+			
+			// Die Skalen links von ueberlagerten Datenquellen
+			for(i=1,j=gaeste.length;i<j;i+=2) {
+				breite += gaeste[i].skala(false).width() + skalaPadding;
+			}
+			
+			return breite;
 		};
 		
 		/**
@@ -1066,12 +1927,27 @@
 		this.resize = function(new_widestDescription, width) {
 			widestDescription = new_widestDescription;
 			
+			chartWidth = width;
+			
+			if(geist !== null) {
+				geist.resize(widestDescription, width);
+			}
+			
+			// Die Skala steht bei dem anderen Diagramm, das sie auch anordnet
+			if(ziel !== null) {
+				dataAxisE.resize(widestDescription, width);
+				
+				return;
+			}
+			
 			svg(axisE.element()).attr('transform', 'translate(' + (widestDescription - axisE.width()) + ', 0)');
 			
 			dataAxisEParent.resize(width - widestDescription);
 			dataAxisEParent.moveTo(widestDescription);
 			
 			dataAxisE.resize(widestDescription, width);
+			
+			anordnen();
 		};
 		
 		/**
@@ -1079,10 +1955,20 @@
 		 * @param height die neue Gesamthoehe
 		 **/
 		this.resizeY = function(height) {
+			chartHeight = height;
+			
 			dataAxisEParent.resizeY(height);
 			descriptionE.resizeY(height);
 			axisE.resizeY(height);
 			dataAxisE.resizeY(height);
+			
+			if(geist !== null) {
+				geist.resizeY(height);
+			}
+			
+			if(axisRechts !== null) {
+				axisRechts.resizeY(height);
+			}
 		};
 		
 		/**
@@ -1090,6 +1976,14 @@
 		 **/
 		this.drawAgain = function() {
 			dataAxisE.drawAgain();
+			
+			if(geist !== null) {
+				geist.drawAgain();
+			}
+			
+			if(gaeste.length > 0 && widestDescription !== undefined) {
+				anordnen();
+			}
 		};
 		
 		/**
@@ -1101,15 +1995,57 @@
 		this.zoom = function(zoom, timestamp, reset) {
 			if(reset) svg(dataAxisE.element()).attr('transform', 'translate(0, 0)');
 			
+			aktuell = [zoom, timestamp];
+			
 			dataAxisE.zoom(zoom, timestamp);
+			
+			// Der Zeitversatz kann sich geaendert haben, neue verschobene Werte sind bereits gezeichnet
+			if(!geistSetzen() && geist !== null) {
+				geist.zoom(zoom, timestamp);
+			}
 		};
 		
 		/**
-		 * Gibt den Wert an der Stelle x zurueck
+		 * Gibt den Wert an der Stelle x zurueck; bei einem Vergleich mit der Differenz zum verschobenen Wert, falls die
+		 * Datenquelle getBereich hat
 		 * @return
 		 **/
 		this.val = function(x, elem) {
-			return dataAxisE.val(x, elem);
+			if(geist === null || !('getBereich' in data)) {
+				return dataAxisE.val(x, elem);
+			}
+			
+			var abschnitt = dataAxisE.zeitabschnitt(aktuell[1] - (chartWidth - x) / 500 * 30 / aktuell[0] * 3600 * 24),
+				nr = ++abfrage, versatzJetzt = versatz;
+			
+			data.getBereich(abschnitt[0] - versatz, abschnitt[1] - versatz, abschnitt[1] - abschnitt[0], function(werte) {
+				// Die Maus ist inzwischen weiter
+				if(nr !== abfrage) {
+					return;
+				}
+				
+				if(werte.length === 0 || werte[0] === null || werte[0] === undefined) {
+					dataAxisE.val(x, elem);
+					
+					return;
+				}
+				
+				dataAxisE.val(x, elem, function(wert) {
+					var einheit = data.units('valAtLine');
+					
+					return 'Δ ' + ((wert - werte[0] >= 0) ? '+' : '') + runden(wert - werte[0]) + einheit + ' ggü. '
+							+ versatzText(versatzJetzt) + ' (' + runden(werte[0]) + einheit + ')';
+				});
+			});
+		};
+		
+		/**
+		 * Gibt den Zeitabschnitt der aktuellen Zoomstufe zurueck, in dem ein Zeitpunkt liegt
+		 * @param time Der Zeitpunkt
+		 * @return Der Zeitabschnitt als [von, bis]
+		 **/
+		this.zeitabschnitt = function(time) {
+			return dataAxisE.zeitabschnitt(time);
 		};
 		
 		/**
@@ -1437,6 +2373,22 @@
 		this.getTimeBy = function(x) {
 			return timestamp - x / 500 * 30 / zoom * 3600 * 24;
 		};
+		
+		/**
+		 * Berechnet den Timestamp an der Stelle x
+		 * @param x Die Position
+		 **/
+		this.getTimeAt = function(x) {
+			return timestamp - (totalWidth - x) / 500 * 30 / zoom * 3600 * 24;
+		};
+		
+		/**
+		 * Berechnet die Stelle x eines Timestamps
+		 * @param time Der Timestamp
+		 **/
+		this.getXOf = function(time) {
+			return totalWidth - (timestamp - time) * 500 / 3600 / 24 / 30 * zoom;
+		};
 	};
 	
 	/**
@@ -1452,21 +2404,34 @@
 		
 		// Ergaenze die Optionen um die fehlenden Werte
 		complete(options, {'margin': [10, 140, 10, 10], 'height': 100, 'width': 800, 'padding': 10,
-							'heightTimeChart': 30,
+							'heightTimeChart': 30, 'titel': '',
 							'zoom': 1, 'timestamp': (new Date().getTime()) / 1000});
 		
-		// Das Elternelemnt
-		var group = svg('svg', {'height': options.height + 'px', 'width': options.width + 'px', 'viewBox': '0 0 ' + options.width + ' ' + options.height});
+		// Das Elternelemnt; es kann den Fokus bekommen und wird dann per Tastatur gesteuert
+		var group = svg('svg', {'height': options.height + 'px', 'width': options.width + 'px', 'viewBox': '0 0 ' + options.width + ' ' + options.height,
+								'tabindex': 0, 'role': 'application',
+								'aria-label': 'Diagramm' + ((options.titel !== '') ? ' ' + options.titel : '') + '. Pfeiltasten links und rechts '
+											+ 'verschieben, Plus und Minus zoomen, Pos1 und Ende springen an den Anfang und das Ende der '
+											+ 'Daten, Tab wechselt die Datenquelle.'});
 		
 		// Der Speichernbutton
 		var save = svg('text', {'y': options.margin[0], 'x': options.width - options.margin[3],
 				'text-anchor': 'end', 'dominant-baseline': 'hanging',
 				'style': 'font-family: \'Glyphicons Halflings\'; cursor: pointer; font-size: 30px;'});
 		
+		// Das Menue mit den Formaten unter dem Speichernbutton
+		var formatMenue = svg('g', {'display': 'none', 'class': 'nichtSpeichern',
+									'transform': 'translate(' + (options.width - options.margin[3]) + ', ' + (options.margin[0] + 36) + ')'});
+		
 		root._(save).on('click', function() {
-			saveDiagramm = group;
-			
-			saveToElem.dispatchEvent(new Event('click'));
+			// Das Menue kommt ans Ende, damit es ueber den Diagrammen liegt
+			if(formatMenue.getAttribute('display') === 'none') {
+				group.appendChild(formatMenue);
+				
+				formatMenue.setAttribute('display', 'inline');
+			} else {
+				formatMenue.setAttribute('display', 'none');
+			}
 		}).on('mouseover', function() {
 			save.setAttribute('fill', '#00A');
 		}).on('mouseout', function() {
@@ -1477,6 +2442,34 @@
 		
 		group.appendChild(save);
 		
+		for(i=0,j=saveFormate.length;i<j;++i) {
+			var eintrag = svg('g', {'transform': 'translate(0, ' + (i * 20) + ')', 'style': 'cursor: pointer;'}),
+				hintergrund = svg('rect', {'x': -110, 'width': 110, 'height': 20, 'style': 'fill: #FFF; stroke: #CCC; stroke-width: 1px;'});
+			
+			eintrag.appendChild(hintergrund);
+			eintrag.appendChild(svg('text', {'content': saveFormate[i][0], 'x': -104, 'y': 10, 'dominant-baseline': 'middle',
+											'font-size': '80%'}));
+			
+			root._(eintrag).on('click', (function(format) {
+				return function() {
+					formatMenue.setAttribute('display', 'none');
+					
+					saveDiagramm = group;
+					saveChart = obj;
+					saveFormat = [format[1], format[2]];
+					
+					saveToElem.setAttribute('nwsaveas', 'diagramm.' + format[1]);
+					saveToElem.dispatchEvent(new Event('click'));
+				};
+			})(saveFormate[i])).on('mouseover', (function(hintergrund) {
+				return function() { hintergrund.style.fill = '#EEE'; };
+			})(hintergrund)).on('mouseout', (function(hintergrund) {
+				return function() { hintergrund.style.fill = '#FFF'; };
+			})(hintergrund));
+			
+			formatMenue.appendChild(eintrag);
+		}
+		
 		// Erstellt einen Filter und fuegt ihn hinzu
 		{
 			var filter = svg('filter', {'id': 'dropshadow', 'height': '130%'});
@@ -1509,19 +2502,75 @@
 			practicalWidth = options.width - options.margin[1] - options.margin[3],
 			
 			// Die Summe der ganzen Hoehen
-			heightSum = 0;
+			heightSum = 0,
+			
+			// Die Position und Hoehe der einzelnen Diagramme als [y, hoehe]
+			positionen = [];
+		
+		// Das Objekt selbst, fuer die Rueckrufe der Teildiagramme
+		var obj = this;
 		
 		/**
-		 * Berechnet die Summe der height Angaben bei den Datenquellen
+		 * Gibt die height Angabe eines Diagramms zurueck; ueberlagerte Datenquellen benoetigen keinen eigenen Platz
+		 * @param i Die Position des Diagramms
+		 * @return
 		 **/
-		var computeHeightSum = function() {
-			var i, j;
-			
-			heightSum = 0;
+		var heightOf = function(i) {
+			if(!(i in data)) {
+				return 1;
+			}
 			
-			for(i=0,j=data.length;i<j;++i) {
-				heightSum += ('height' in data[i]) ? data[i].height : 1;
+			if(i in charts && charts[i].ziel() !== null) {
+				return 0;
 			}
+			
+			return ('height' in data[i]) ? data[i].height : 1;
+		};
+		
+		/**
+		 * Berechnet die Summe der height Angaben bei den Datenquellen
+		 **/
+		var computeHeightSum = function() {
+			var i, j;
+			
+			heightSum = 0;
+			
+			for(i=0,j=data.length;i<j;++i) {
+				heightSum += heightOf(i);
+			}
+		};
+		
+		/**
+		 * Gibt die Anzahl der Diagramme zurueck, die einen eigenen Platz benoetigen
+		 * @return
+		 **/
+		var countPanels = function() {
+			var i, j, anzahl = 0;
+			
+			for(i=0,j=data.length;i<j;++i) {
+				if(heightOf(i) !== 0) ++anzahl;
+			}
+			
+			return anzahl;
+		};
+		
+		/**
+		 * Wird aufgerufen, wenn die Ueberlagerungen per Maus geaendert wurden
+		 **/
+		var ueberlagerungGeaendert = function() {
+			if('ueberlagerungGeaendert' in options) {
+				options.ueberlagerungGeaendert(obj.ueberlagerungen());
+			}
+		};
+		
+		/**
+		 * Zeigt eine ueberlagerte Datenquelle wieder in einem eigenen Diagramm, nach einem Klick in der Legende
+		 * @param chartGast Das Diagramm der Datenquelle
+		 **/
+		var trennenPerMaus = function(chartGast) {
+			obj.trennen(charts.indexOf(chartGast));
+			
+			ueberlagerungGeaendert();
 		};
 		
 		computeHeightSum();
@@ -1542,7 +2591,7 @@
 		for(i=0,j=data.length;i<j;++i) {
 			heightData = ('height' in data[i]) ? data[i].height : 1;
 			
-			charts[i] = new chartSingle(data[i], options.timestamp, options.zoom, heightChart * heightData, practicalWidth);
+			charts[i] = new chartSingle(data[i], options.timestamp, options.zoom, heightChart * heightData, practicalWidth, trennenPerMaus);
 			
 			maxDescriptionWidth = Math.max(charts[i].widthDescription(), maxDescriptionWidth);
 			
@@ -1550,6 +2599,8 @@
 			charts[i].element().setAttribute('transform', 'translate(' + options.margin[3] + ', ' +
 											(heightNow * heightChart + (i + 1) * options.padding) + ')');
 			
+			positionen[i] = [heightNow * heightChart + (i + 1) * options.padding, heightChart * heightData];
+			
 			heightNow += heightData;
 			
 			group.appendChild(charts[i].element());
@@ -1571,8 +2622,8 @@
 		// Ob die Linie mit den einzelnen Daten aktiv ist oder nicht
 		var lineActive = false;
 		
-		// Das Element, das die Linie mit den Daten beinhaltet
-		var lineDisplay = svg('g', {'display': 'none'}), lineDisplayText = [];
+		// Das Element, das die Linie mit den Daten beinhaltet; es liegt unter der Maus und darf keine Klicks abfangen
+		var lineDisplay = svg('g', {'display': 'none', 'style': 'pointer-events: none;'}), lineDisplayText = [];
 		
 		// Die Linie dazu
 		var line = svg('line', {'y1': options.margin[0], 'y2': options.height - options.margin[2], 'x1': 0, 'x2': 0,
@@ -1582,6 +2633,20 @@
 		
 		group.appendChild(lineDisplay);
 		
+		// Die Zeitraeume ueber allen Diagrammen: die markierten Bereiche und die Auswahl mit der Maus; sie liegen vor der
+		// Linie, die beim Speichern als letzte Gruppe entfernt wird
+		var bereicheE = svg('g', {'style': 'pointer-events: none;'}), markierungenE = svg('g'),
+			auswahlE = svg('rect', {'display': 'none', 'style': 'fill: #00A; fill-opacity: 0.15; stroke: #00A; stroke-width: 1px;'});
+		
+		bereicheE.appendChild(markierungenE);
+		bereicheE.appendChild(auswahlE);
+		
+		group.insertBefore(bereicheE, lineDisplay);
+		
+		var auswahl = null, // Die Auswahl als [von, bis, sec] oder null
+			auswahlStart = null, // Die x-Position, an der die Auswahl mit der Maus begonnen wurde, oder null
+			markierungen = []; // Die Markierungen als [von, bis, titel, text]; bei einem Zeitpunkt ist bis gleich von
+		
 		// Fuegt das Textfeld hinzu mit dem aktuellen Wert
 		for(i=0,j=charts.length,heightNow=0;i<j;++i) {
 			lineDisplayText[i] = svg('text', {'x': 10, 'y': (heightNow * heightChart + (i + 1) * options.padding)});
@@ -1597,6 +2662,105 @@
 		// Der aktuelle Zoom
 		var actuelZoom = options.zoom;
 		
+		/**
+		 * Begrenzt eine x-Position auf den Bereich mit den Werten
+		 * @param x Die x-Position im Diagramm
+		 * @return
+		 **/
+		var begrenzen = function(x) {
+			return Math.min(options.width - options.margin[1], Math.max(options.margin[3] + maxDescriptionWidth, x));
+		};
+		
+		/**
+		 * Berechnet die x-Position eines Zeitpunkts im Diagramm
+		 * @param time Der Zeitpunkt
+		 * @return
+		 **/
+		var posOf = function(time) {
+			return options.margin[3] + charts[charts.length - 1].getXOf(time);
+		};
+		
+		/**
+		 * Setzt die Markierungen und die Auswahl an ihre Position; die Markierungen reichen ueber alle Diagramme und die
+		 * Zeitleiste, ein Zeitpunkt ist eine Linie und ein Zeitraum ein Band
+		 * [@param verschiebung] Um wie viele Pixel das Diagramm gerade mit der Maus verschoben wird
+		 **/
+		var bereicheZeichnen = function(verschiebung) {
+			var oben = options.margin[0], hoehe = options.height - options.margin[0] - options.margin[2] - options.heightTimeChart,
+				i, j, links, rechts, beschriftung;
+			
+			if(verschiebung === undefined) {
+				verschiebung = 0;
+			}
+			
+			markierungenE.innerHTML = '';
+			
+			for(i=0,j=markierungen.length;i<j;++i) {
+				links = posOf(markierungen[i][0]) + verschiebung;
+				rechts = posOf(markierungen[i][1]) + verschiebung;
+				
+				if(markierungen[i][0] === markierungen[i][1]) {
+					// Der Zeitpunkt liegt ausserhalb der Anzeige
+					if(begrenzen(links) !== links) {
+						continue;
+					}
+					
+					markierungenE.appendChild(svg('line', {'x1': links, 'x2': links, 'y1': oben, 'y2': options.height - options.margin[2],
+															'style': 'stroke: #C90; stroke-width: 2px;'}));
+				} else {
+					links = begrenzen(links);
+					rechts = begrenzen(rechts);
+					
+					// Der Zeitraum liegt ausserhalb der Anzeige
+					if(rechts - links < 1) {
+						continue;
+					}
+					
+					markierungenE.appendChild(svg('rect', {'x': links, 'y': oben, 'width': rechts - links,
+															'height': options.height - options.margin[0] - options.margin[2],
+															'style': 'fill: #FC0; fill-opacity: 0.2; stroke: #C90; stroke-width: 1px;'}));
+				}
+				
+				// Der Titel zeigt den Text beim Darueberfahren und oeffnet die Markierung per Klick
+				beschriftung = svg('text', {'content': markierungen[i][2], 'x': links + 3, 'y': oben + 2,
+											'dominant-baseline': 'hanging', 'font-size': '80%',
+											'style': 'pointer-events: auto; cursor: pointer;'});
+				
+				if(markierungen[i][3]) {
+					beschriftung.appendChild(svg('title', {'content': markierungen[i][3]}));
+				}
+				
+				if('markierungGeklickt' in options) {
+					root._(beschriftung).on('click', (function(i) {
+						return function() { options.markierungGeklickt(i); };
+					})(i));
+				}
+				
+				markierungenE.appendChild(beschriftung);
+			}
+			
+			if(auswahl === null) {
+				auswahlE.setAttribute('display', 'none');
+				
+				return;
+			}
+			
+			links = begrenzen(posOf(auswahl[0]) + verschiebung);
+			rechts = begrenzen(posOf(auswahl[1]) + verschiebung);
+			
+			svg(auswahlE).attr({'display': (rechts - links < 1) ? 'none' : 'inline', 'x': links, 'y': oben,
+								'width': Math.max(0, rechts - links), 'height': hoehe});
+		};
+		
+		/**
+		 * Wird aufgerufen, wenn die Auswahl per Maus geaendert wurde
+		 **/
+		var auswahlGeaendert = function() {
+			if('auswahlGeaendert' in options) {
+				options.auswahlGeaendert(obj.auswahl());
+			}
+		};
+		
 		/**
 		 * Gibt das Element zurueck
 		 * @return
@@ -1621,7 +2785,11 @@
 				charts[i].resize(maxDescriptionWidth, practicalWidth);
 			}
 			
-			save.setAttribute('width', options.width - options.margin[3]);
+			save.setAttribute('x', options.width - options.margin[3]);
+			
+			formatMenue.setAttribute('transform', 'translate(' + (options.width - options.margin[3]) + ', ' + (options.margin[0] + 36) + ')');
+			
+			bereicheZeichnen();
 		};
 		
 		/**
@@ -1638,21 +2806,64 @@
 			
 			practicalHeight = height - options.margin[0] - options.margin[2] - options.heightTimeChart - options.padding
 			
-			heightChart = height = Math.floor((practicalHeight - (data.length - 1) * options.padding) / heightSum);
+			heightChart = height = Math.floor((practicalHeight - (countPanels() - 1) * options.padding) / heightSum);
 			
-			var i, j, heightNow = 0, heightData;
+			var i, j, heightNow = 0, heightData, panels = 0, host;
 			
 			for(i=0,j=charts.length;i<j;++i) {
-				heightData = (i in data) ? (('height' in data[i]) ? data[i].height : 1) : 1;
+				heightData = heightOf(i);
+				
+				// Ueberlagerte Datenquellen werden danach an ihr Diagramm angepasst
+				if(heightData === 0) {
+					continue;
+				}
 				
 				charts[i].element().setAttribute('transform', 'translate(' + options.margin[3] + ', '
-											+ (heightNow * height + (i + 1) * options.padding) + ')');
+											+ (heightNow * height + (panels + 1) * options.padding) + ')');
 				
 				charts[i].resizeY(height * heightData);
 				
-				lineDisplayText[i].setAttribute('y', heightNow * height + (i + 1) * options.padding);
+				lineDisplayText[i].setAttribute('y', heightNow * height + (panels + 1) * options.padding);
+				
+				positionen[i] = [heightNow * height + (panels + 1) * options.padding, height * heightData];
 				
 				heightNow += heightData;
+				
+				++panels;
+			}
+			
+			// Die Werte der ueberlagerten Datenquellen stehen unter dem Wert ihres Diagramms
+			for(i=0,j=data.length;i<j;++i) {
+				if(heightOf(i) !== 0) {
+					continue;
+				}
+				
+				host = charts.indexOf(charts[i].ziel());
+				
+				charts[i].resizeY(positionen[host][1]);
+				
+				lineDisplayText[i].setAttribute('y', positionen[host][0] + 15 * (charts[host].gaeste().indexOf(charts[i]) + 1));
+				
+				positionen[i] = positionen[host];
+			}
+			
+			colorTexts();
+			
+			bereicheZeichnen();
+		};
+		
+		/**
+		 * Faerbt die Texte mit den aktuellen Werten in der Farbe der Datenquelle, falls Datenquellen ueberlagert sind
+		 **/
+		var colorTexts = function() {
+			var i, j;
+			
+			for(i=0,j=data.length;i<j;++i) {
+				if('color' in data[i] && (charts[i].ziel() !== null || charts[i].gaeste().length > 0)) {
+					lineDisplayText[i].setAttribute('fill', data[i].color());
+				} else {
+					lineDisplayText[i].removeAttribute('fill');
+				}
 			}
 		};
 		
@@ -1663,7 +2874,9 @@
 			maxDescriptionWidth = 0;
 			
 			for(i=0,j=data.length;i<j;++i) {
-				maxDescriptionWidth = Math.max(charts[i].widthDescription(), maxDescriptionWidth);
+				if(charts[i].ziel() === null) {
+					maxDescriptionWidth = Math.max(charts[i].widthDescription(), maxDescriptionWidth);
+				}
 			}
 			
 			this.resize(options.width);
@@ -1680,6 +2893,8 @@
 			for(i=0,j=charts.length;i<j;++i) {
 				charts[i].drawAgain();
 			}
+			
+			colorTexts();
 		};
 		
 		/**
@@ -1694,7 +2909,9 @@
 			
 			data.splice(position, 0, dataNew);
 			
-			charts.splice(position, 0, new chartSingle(dataNew, options.timestamp, options.zoom, heightChart, practicalWidth));
+			charts.splice(position, 0, new chartSingle(dataNew, options.timestamp, options.zoom, heightChart, practicalWidth, trennenPerMaus));
+			
+			positionen.splice(position, 0, [0, heightChart]);
 			
 			group.insertBefore(charts[position].element(), charts[charts.length - 1].element());
 			
@@ -1712,6 +2929,15 @@
 		this.removeData = function(position) {
 			if((typeof position) !== 'number') return;
 			
+			// Die ueberlagerten Datenquellen bekommen wieder ein eigenes Diagramm
+			var gaeste = charts[position].gaeste().slice(0), k, l;
+			
+			for(k=0,l=gaeste.length;k<l;++k) {
+				gaeste[k].ueberlagern(null);
+			}
+			
+			charts[position].ueberlagern(null);
+			
 			if(position < data.length) {
 				data.splice(position, 1);
 			}
@@ -1720,6 +2946,8 @@
 			
 			charts.splice(position, 1);
 			
+			positionen.splice(position, 1);
+			
 			lineDisplayText[position].parentNode.removeChild(lineDisplayText[position]);
 			
 			lineDisplayText.splice(position, 1);
@@ -1727,6 +2955,59 @@
 			adjustPosition.call(this);
 		};
 		
+		/**
+		 * Zeichnet eine Datenquelle mit einer eigenen Skala in dem Diagramm einer anderen Datenquelle; die Datenquellen, die
+		 * bereits in ihrem Diagramm gezeichnet werden, kommen mit
+		 * @param position Die Position der Datenquelle, die ueberlagert werden soll
+		 * @param ziel Die Position der Datenquelle, in deren Diagramm sie gezeichnet werden soll
+		 **/
+		this.ueberlagern = function(position, ziel) {
+			if((typeof position) !== 'number' || (typeof ziel) !== 'number') return;
+			
+			if(position < 0 || position >= data.length || ziel < 0 || ziel >= data.length) return;
+			
+			var zielChart = (charts[ziel].ziel() === null) ? charts[ziel] : charts[ziel].ziel(),
+				gaeste = charts[position].gaeste().slice(0), k, l;
+			
+			if(zielChart === charts[position] || zielChart === charts[position].ziel()) return;
+			
+			for(k=0,l=gaeste.length;k<l;++k) {
+				gaeste[k].ueberlagern(zielChart);
+			}
+			
+			charts[position].ueberlagern(zielChart);
+			
+			adjustPosition.call(this);
+		};
+		
+		/**
+		 * Zeichnet eine ueberlagerte Datenquelle wieder in einem eigenen Diagramm
+		 * @param position Die Position der Datenquelle
+		 **/
+		this.trennen = function(position) {
+			if((typeof position) !== 'number') return;
+			
+			if(position < 0 || position >= data.length || charts[position].ziel() === null) return;
+			
+			charts[position].ueberlagern(null);
+			
+			adjustPosition.call(this);
+		};
+		
+		/**
+		 * Gibt zurueck, welche Datenquellen in dem Diagramm einer anderen Datenquelle gezeichnet werden
+		 * @return Ein Array mit der Position der anderen Datenquelle je Datenquelle oder -1
+		 **/
+		this.ueberlagerungen = function() {
+			var ergebnis = [], i, j;
+			
+			for(i=0,j=data.length;i<j;++i) {
+				ergebnis.push((charts[i].ziel() === null) ? -1 : charts.indexOf(charts[i].ziel()));
+			}
+			
+			return ergebnis;
+		};
+		
 		/**
 		 * Aendere die Anzeigegroesse und gegebenenfalls die Anzeigedetails
 		 * @param zoom [Number] Der neue Vergroesserungswert
@@ -1742,6 +3023,211 @@
 			for(i=0,j=charts.length;i<j;++i) {
 				charts[i].zoom(zoom, timestamp, !mousePressed);
 			}
+			
+			bereicheZeichnen();
+		};
+		
+		/**
+		 * Gibt den aktuellen Zoom zurueck
+		 * @return
+		 **/
+		this.getZoom = function() {
+			return actuelZoom;
+		};
+		
+		/**
+		 * Gibt den sichtbaren Zeitraum zurueck
+		 * @return [von, bis] als Timestamps
+		 **/
+		this.sichtbarerBereich = function() {
+			return [charts[charts.length - 1].getTimeAt(maxDescriptionWidth), options.timestamp];
+		};
+		
+		/**
+		 * Gibt die Angaben fuer den Export als PDF zurueck
+		 * @return Objekt mit titel, zeitraum als [von, bis], legende als Array von [Beschreibung, Farbe] und grenzen, den
+		 *         y-Positionen zwischen den einzelnen Diagrammen
+		 **/
+		this.exportInfo = function() {
+			var legende = [], grenzen = [], i, j;
+			
+			for(i=0,j=data.length;i<j;++i) {
+				legende.push([data[i].description(), ('color' in data[i]) ? data[i].color() : '#00F']);
+				
+				if(heightOf(i) !== 0) {
+					grenzen.push(positionen[i][0] + positionen[i][1] + options.padding / 2);
+				}
+			}
+			
+			return {'titel': options.titel, 'zeitraum': this.sichtbarerBereich(), 'legende': legende, 'grenzen': grenzen};
+		};
+		
+		/**
+		 * Gibt den sichtbaren Zeitraum erweitert auf die Zeitabschnitte der aktuellen Zoomstufe zurueck
+		 * @return Der Zeitraum als [von, bis, sec] mit der Breite sec der Zeitabschnitte oder null, falls keine Daten
+		 *         angezeigt werden
+		 **/
+		this.sichtbareZeitabschnitte = function() {
+			var bereich = this.sichtbarerBereich(), anfang, ende;
+			
+			if(data.length === 0) {
+				return null;
+			}
+			
+			// Der Zeitraum wird wie bei der Auswahl auf die Zeitabschnitte erweitert
+			anfang = charts[0].zeitabschnitt(bereich[0]);
+			ende = charts[0].zeitabschnitt(bereich[1]);
+			
+			return [anfang[0], (ende[0] === bereich[1]) ? bereich[1] : ende[1], anfang[1] - anfang[0]];
+		};
+		
+		/**
+		 * Holt die Werte aller Datenquellen im sichtbaren Zeitraum in der aktuellen Groesse der Zeitabschnitte; die Spalte
+		 * einer Datenquelle ohne getBereich bleibt leer
+		 * @param callback Wird mit einem Objekt aufgerufen mit zeitraum als [von, bis, sec], spalten als Array von
+		 *        [Beschreibung, Einheit] und zeilen als Array von [Timestamp, Wert, ...]; fehlende Werte sind null
+		 **/
+		this.sichtbareDaten = function(callback) {
+			var zeitraum = this.sichtbareZeitabschnitte(), bereich, spalten = [], werte = [], holen = [], i, j;
+			
+			if(zeitraum === null) {
+				bereich = this.sichtbarerBereich();
+				
+				callback({'zeitraum': [bereich[0], bereich[1], 0], 'spalten': [], 'zeilen': []});
+				
+				return;
+			}
+			
+			var fertig = function() {
+				var zeilen = [], k, l, m, n;
+				
+				for(m=0,n=Math.round((zeitraum[1] - zeitraum[0]) / zeitraum[2]);m<n;++m) {
+					zeilen.push([zeitraum[0] + m * zeitraum[2]]);
+					
+					for(k=0,l=spalten.length;k<l;++k) {
+						zeilen[m].push((m < werte[k].length && werte[k][m] !== undefined) ? werte[k][m] : null);
+					}
+				}
+				
+				callback({'zeitraum': zeitraum, 'spalten': spalten, 'zeilen': zeilen});
+			};
+			
+			for(i=0,j=data.length;i<j;++i) {
+				spalten.push([data[i].description(), data[i].units('valAtLine').trim()]);
+				
+				werte.push([]);
+				
+				if('getBereich' in data[i]) {
+					holen.push(i);
+				}
+			}
+			
+			var offen = holen.length;
+			
+			if(offen === 0) {
+				fertig();
+				
+				return;
+			}
+			
+			for(i=0,j=holen.length;i<j;++i) {
+				data[holen[i]].getBereich(zeitraum[0], zeitraum[1], zeitraum[2], (function(index) {
+					return function(liste) {
+						werte[index] = liste;
+						
+						if(--offen === 0) {
+							fertig();
+						}
+					};
+				})(holen[i]));
+			}
+		};
+		
+		/**
+		 * Zeigt einen Zeitraum; der Zoom ist danach die groesste Stufe des Mausrads, bei der der ganze Zeitraum sichtbar ist
+		 * @param von Der Anfang als Timestamp
+		 * @param bis Das Ende als Timestamp
+		 **/
+		this.zeigeBereich = function(von, bis) {
+			var breite = practicalWidth - maxDescriptionWidth, neuerZoom = 64, sichtbar;
+			
+			while(neuerZoom > 0.03125 && (bis - von) * 500 / 3600 / 24 / 30 * neuerZoom > breite) {
+				neuerZoom /= 2;
+			}
+			
+			// Der Zeitraum steht in der Mitte
+			sichtbar = breite / 500 * 30 / neuerZoom * 3600 * 24;
+			
+			this.zoom(neuerZoom, bis + (sichtbar - (bis - von)) / 2);
+		};
+		
+		/**
+		 * Waehlt einen Zeitraum aus; er wird auf die Zeitabschnitte der aktuellen Zoomstufe erweitert
+		 * @param von Der Anfang als Timestamp
+		 * @param bis Das Ende als Timestamp
+		 **/
+		this.auswaehlen = function(von, bis) {
+			if(data.length === 0 || bis <= von) {
+				return;
+			}
+			
+			var anfang = charts[0].zeitabschnitt(von), ende = charts[0].zeitabschnitt(bis);
+			
+			// Das Ende liegt genau auf einer Grenze und gehoert nicht mehr zu dem Zeitabschnitt
+			if(ende[0] === bis) {
+				ende[1] = bis;
+			}
+			
+			auswahl = [anfang[0], ende[1], anfang[1] - anfang[0]];
+			
+			bereicheZeichnen();
+		};
+		
+		/**
+		 * Gibt die Auswahl zurueck
+		 * @return Die Auswahl als [von, bis, sec] mit der Breite sec der Zeitabschnitte oder null
+		 **/
+		this.auswahl = function() {
+			return (auswahl === null) ? null : auswahl.slice(0);
+		};
+		
+		/**
+		 * Hebt die Auswahl auf
+		 **/
+		this.auswahlEntfernen = function() {
+			auswahl = null;
+			
+			bereicheZeichnen();
+		};
+		
+		/**
+		 * Zeigt Markierungen ueber allen Diagrammen
+		 * @param liste Die Markierungen als [von, bis, titel, text]; bei einem Zeitpunkt ist bis gleich von
+		 **/
+		this.markierungen = function(liste) {
+			markierungen = liste.slice(0);
+			
+			bereicheZeichnen();
+		};
+		
+		/**
+		 * Zeichnet die Diagramme mit den aktuellen Daten neu; waehrend die Maus gedrueckt ist, wird nichts geaendert
+		 * [@param jetzt] Falls true, zeigt der rechte Rand danach die aktuelle Zeit
+		 **/
+		this.refresh = function(jetzt) {
+			if(mousePressed || auswahlStart !== null) {
+				return;
+			}
+			
+			if(jetzt) {
+				options.timestamp = new Date().getTime() / 1000;
+			}
+			
+			for(i=0,j=charts.length;i<j;++i) {
+				charts[i].zoom(actuelZoom, options.timestamp, true);
+			}
+			
+			bereicheZeichnen();
 		};
 		
 		/**
@@ -1773,6 +3259,26 @@
 		// Speichert, ob die Maus ueber einem Diagramm ist
 		var active = false;
 		
+		var overDescription = -1, // Das Diagramm, ueber dessen Beschreibung die Maus ist, oder -1
+			dragged = -1; // Das Diagramm, dessen Datenquelle gerade auf ein anderes Diagramm gezogen wird, oder -1
+		
+		/**
+		 * Gibt das Diagramm an einer y-Position zurueck
+		 * @param y Die y-Position
+		 * @return Die Position des Diagramms oder -1
+		 **/
+		var chartAt = function(y) {
+			var i, j;
+			
+			for(i=0,j=data.length;i<j;++i) {
+				if(heightOf(i) !== 0 && y >= positionen[i][0] && y <= positionen[i][0] + positionen[i][1]) {
+					return i;
+				}
+			}
+			
+			return -1;
+		};
+		
 		/**
 		 * Gibt an, ob die Maus ueber dem Diagramm ist
 		 * @return
@@ -1781,6 +3287,15 @@
 			return active;
 		};
 		
+		/**
+		 * Gibt an, ob die Maus ueber der Beschreibung eines Diagramms ist; von dort kann die Datenquelle auf ein anderes
+		 * Diagramm gezogen werden
+		 * @return
+		 **/
+		this.mouseOverDescription = function() {
+			return overDescription !== -1;
+		};
+		
 		/**
 		 * Gibt an, dass die Maus ueber dem Diagramm ist
 		 * @param x Die x-Position im Diagramm
@@ -1791,8 +3306,33 @@
 			active = (x > options.margin[3] + maxDescriptionWidth && x < options.width - options.margin[1]
 						&& y > options.margin[0] && y < options.height - options.margin[2]);
 			
+			overDescription = (x > options.margin[3] && x <= options.margin[3] + maxDescriptionWidth) ? chartAt(y) : -1;
+			
 			var i, j;
 			
+			// Falls eine Datenquelle gezogen wird, zeige an, ob sie hier abgelegt werden kann
+			if(dragged !== -1) {
+				hideLine();
+				
+				group.style.cursor = (chartAt(y) !== -1 && chartAt(y) !== dragged) ? 'copy' : 'no-drop';
+				
+				return;
+			}
+			
+			// Falls ein Zeitraum ausgewaehlt wird, zeige ihn
+			if(auswahlStart !== null) {
+				hideLine();
+				
+				group.style.cursor = 'col-resize';
+				
+				svg(auswahlE).attr({'display': 'inline', 'x': begrenzen(Math.min(auswahlStart, x)),
+									'width': begrenzen(Math.max(auswahlStart, x)) - begrenzen(Math.min(auswahlStart, x)),
+									'y': options.margin[0],
+									'height': options.height - options.margin[0] - options.margin[2] - options.heightTimeChart});
+				
+				return;
+			}
+			
 			// Falls die Maus gedrueckt ist, verschiebe das Diagramm
 			if(mousePressed) {
 				hideLine();
@@ -1809,6 +3349,8 @@
 					charts[i].moveBy(x - mousePosByDown[0]);
 				}
 				
+				bereicheZeichnen(x - mousePosByDown[0]);
+				
 				return;
 			}
 			
@@ -1816,6 +3358,8 @@
 			if(!active) {
 				hideLine();
 				
+				group.style.cursor = (overDescription !== -1) ? 'grab' : 'default';
+				
 				return;
 			}
 			
@@ -1835,14 +3379,21 @@
 		
 		/**
 		 * Gibt an, dass die Maus gedrueckt wuerde
+		 * [@param auswaehlen] Ob ein Zeitraum ausgewaehlt statt das Diagramm verschoben werden soll
 		 **/
-		this.mouseDown = function(x, y) {
-			if(active) {
+		this.mouseDown = function(x, y, auswaehlen) {
+			if(active && auswaehlen) {
+				mousePressed = false;
+				
+				auswahlStart = x;
+			} else if(active) {
 				mousePressed = true;
 				
 				mousePosByDown = [x, y];
 			} else {
 				mousePressed = false;
+				
+				dragged = overDescription;
 			}
 		};
 		
@@ -1850,6 +3401,43 @@
 		 * Gibt an, dass die Maus losgelassen wurde
 		 **/
 		this.mouseUp = function(x, y) {
+			// Falls eine Datenquelle auf ein anderes Diagramm gezogen wurde, zeichne sie dort
+			if(dragged !== -1) {
+				var quelle = dragged, ziel = chartAt(y);
+				
+				dragged = -1;
+				
+				group.style.cursor = 'default';
+				
+				if(ziel !== -1 && ziel !== quelle) {
+					this.ueberlagern(quelle, ziel);
+					
+					ueberlagerungGeaendert();
+				}
+				
+				return;
+			}
+			
+			// Falls ein Zeitraum ausgewaehlt wurde, merke ihn; ein Klick ohne Ziehen hebt die Auswahl auf
+			if(auswahlStart !== null) {
+				var start = auswahlStart;
+				
+				auswahlStart = null;
+				
+				group.style.cursor = 'default';
+				
+				if(Math.abs(x - start) < 3) {
+					this.auswahlEntfernen();
+				} else {
+					this.auswaehlen(charts[charts.length - 1].getTimeAt(begrenzen(Math.min(start, x)) - options.margin[3]),
+									charts[charts.length - 1].getTimeAt(begrenzen(Math.max(start, x)) - options.margin[3]));
+				}
+				
+				auswahlGeaendert();
+				
+				return;
+			}
+			
 			if(!mousePressed) {
 				return;
 			}
@@ -1868,11 +3456,36 @@
 				for(i=0,j=charts.length;i<j;++i) {
 					charts[i].zoom(actuelZoom, newTime, true);
 				}
+				
+				bereicheZeichnen();
 			}
 			
 			group.style.cursor = 'default';
 		};
 		
+		/**
+		 * Gibt an, dass mit der rechten Maustaste geklickt wurde; ueber den Werten wird eine Markierung angelegt, innerhalb
+		 * der Auswahl fuer den ausgewaehlten Zeitraum und sonst fuer den Zeitpunkt unter der Maus
+		 * @param x Die x-Position im Diagramm
+		 * @param y Die y-Position im Diagramm
+		 * @return Ob eine Markierung angelegt werden soll
+		 **/
+		this.kontextmenue = function(x, y) {
+			if(!active || !('markierungAnlegen' in options)) {
+				return false;
+			}
+			
+			var zeit = Math.round(charts[charts.length - 1].getTimeAt(x - options.margin[3]));
+			
+			if(auswahl !== null && zeit >= auswahl[0] && zeit <= auswahl[1]) {
+				options.markierungAnlegen(auswahl[0], auswahl[1]);
+			} else {
+				options.markierungAnlegen(zeit, zeit);
+			}
+			
+			return true;
+		};
+		
 		/**
 		 * Gibt an, dass die Maus nicht mehr ueber dem Diagramm ist
 		 **/
@@ -1880,6 +3493,135 @@
 			hideLine();
 		};
 		
+		var tastaturX = null, // Die x-Position der Linie mit den Werten bei der Steuerung per Tastatur
+			tastaturQuelle = 0, // Die Datenquelle, deren Wert vorgelesen wird
+			datenZeitraum = null; // Der Zeitraum, in dem Daten vorhanden sind, als [von, bis] oder null
+		
+		/**
+		 * Zeigt die Linie mit den Werten an der Position der Tastatur und liest den Wert der aktuellen Datenquelle vor
+		 **/
+		var tastaturZeigen = function() {
+			if(data.length === 0) {
+				return;
+			}
+			
+			if(tastaturX === null) {
+				tastaturX = Math.round((begrenzen(0) + begrenzen(options.width)) / 2);
+			}
+			
+			tastaturQuelle = Math.min(tastaturQuelle, data.length - 1);
+			
+			// Die Linie wird wie mit der Maus gezeigt, die Maus ist dadurch aber nicht ueber dem Diagramm
+			var maus = active;
+			
+			obj.mouseMove(tastaturX, options.margin[0] + 1);
+			
+			active = maus;
+			
+			// Die Werte werden wie an der Linie von getValAt geschrieben
+			svg(vorleserName).changeContent(data[tastaturQuelle].description());
+			
+			charts[charts.length - 1].val(tastaturX - options.margin[3], vorleserZeit);
+			charts[tastaturQuelle].val(tastaturX - options.margin[3], vorleserWert);
+		};
+		
+		/**
+		 * Setzt den Zeitraum, in dem Daten vorhanden sind; Pos1 und Ende springen an dessen Anfang und Ende
+		 * @param von Der Anfang als Timestamp
+		 * @param bis Das Ende als Timestamp
+		 **/
+		this.datenZeitraum = function(von, bis) {
+			datenZeitraum = [von, bis];
+		};
+		
+		/**
+		 * Gibt an, dass das Diagramm den Fokus bekommen oder verloren hat; die Linie mit den Werten wird nur gezeigt, wenn
+		 * die Maus nicht ueber den Werten ist
+		 * @param fokus Ob das Diagramm den Fokus hat
+		 **/
+		this.fokus = function(fokus) {
+			if(active) {
+				return;
+			}
+			
+			if(fokus) {
+				tastaturZeigen();
+			} else {
+				hideLine();
+			}
+		};
+		
+		/**
+		 * Verarbeitet einen Tastendruck
+		 * @param code Der keyCode der Taste
+		 * @param umschalt Ob die Umschalttaste gedrueckt ist
+		 * @return Ob die Taste verarbeitet wurde
+		 **/
+		this.taste = function(code, umschalt) {
+			var bereich = this.sichtbarerBereich(), abstand, neuerZoom;
+			
+			if(data.length === 0 || mousePressed || auswahlStart !== null || dragged !== -1) {
+				return false;
+			}
+			
+			if(tastaturX === null) {
+				tastaturZeigen();
+			}
+			
+			// Der Abstand von der Linie bis zum rechten Rand in Sekunden
+			abstand = options.timestamp - charts[charts.length - 1].getTimeAt(tastaturX - options.margin[3]);
+			
+			switch(code) {
+				// Pfeiltasten links und rechts: verschiebt um ein Zehntel des sichtbaren Zeitraums
+				case 37:
+				case 39:
+					this.zoom(actuelZoom, options.timestamp + ((code === 37) ? -1 : 1) * (bereich[1] - bereich[0]) / 10);
+					break;
+				
+				// Plus und Minus, auch auf dem Ziffernblock: zoomt wie das Mausrad an der Linie
+				case 187:
+				case 107:
+				case 171:
+				case 189:
+				case 109:
+				case 173:
+					neuerZoom = (code === 187 || code === 107 || code === 171) ? actuelZoom * 2 : actuelZoom / 2;
+					
+					if(neuerZoom > 64 || neuerZoom < 0.03125) {
+						return true;
+					}
+					
+					this.zoom(neuerZoom, this.getTimestampByZoom(neuerZoom, tastaturX));
+					break;
+				
+				// Pos1 und Ende: der Anfang oder das Ende der Daten liegt an der Linie
+				case 36:
+				case 35:
+					if(datenZeitraum === null) {
+						return false;
+					}
+					
+					this.zoom(actuelZoom, datenZeitraum[(code === 36) ? 0 : 1] + abstand);
+					break;
+				
+				// Tab: die naechste oder mit Umschalttaste die vorherige Datenquelle; am Ende verlaesst der Fokus das Diagramm
+				case 9:
+					if(umschalt ? (tastaturQuelle === 0) : (tastaturQuelle === data.length - 1)) {
+						return false;
+					}
+					
+					tastaturQuelle += umschalt ? -1 : 1;
+					break;
+				
+				default:
+					return false;
+			}
+			
+			tastaturZeigen();
+			
+			return true;
+		};
+		
 		/**
 		 * Gibt den Timestamp zurueck, den die rechte Seite hätte bei einem bestimmtem Zoom
 		 * @return
@@ -1914,9 +3656,11 @@
 	 * 		String units(String bereich): Gibt die Einheiten zurueck
 	 *			bereich: Wo di Einheiten gefragt sind: getAtVal oder axisY
 	 * 		Number scalaPadding(): Der Abstand ueber und unter dem Diagramm
-	 * 		undefined getValAt(Number timestamp, SVGText elem):
+	 * 		undefined getValAt(Number timestamp, SVGText elem, [Function skala]):
 	 *			timestamp: Der Timestamp, bei dem Wert gesucht ist
 	 *			elem: Das SVG Text Element, bei dem der Wert eingefuegt werden soll
+	 *			skala: Gibt zu einem Wert einen Text zurueck, der davor steht: den Wert in der Skala, z.B. "85 % vom
+	 *				Maximum", und die Differenz beim Vergleich mit dem Zeitversatz; fehlt ohne beides
 	 * 		undefined showData(Number timestampFrom, Number timestampTo,
 									function(Number timestampFrom, Number timestampTo, Number val) createBar, Number sec):
 	 *			timestampFrom: Der Zeitpunkt, ab dem die Daten angezeigt werden sollen
@@ -1925,7 +3669,23 @@
 	 *				timestampFrom: Der Zeitpunkt, an dem der Balken anfaengt
 	 *				timestampTo: Der Zeitpunkt, an dem der Balken aufhoert
 	 *				val: Der Wert des Balken
+	 *				[draw, max]: Mit draw = true wird gezeichnet, max ist dabei der groesste Wert fuer computePercentOfMax
+	 *				[spanne]: Das Minimum und Maximum des Balkens als [min, max], wird blass hinter den Werten gezeichnet
 	 *			sec: Die Anzahl an Sekunden, in denen das Zeitinterval aufgeteilt sein soll
+	 * 		[String darstellung()]: Wie die Werte gezeichnet werden: bar (Standard), line, step, area oder scatter
+	 * 		[String skala()]: Die Skala der Werte: linear (Standard), log, prozent (des groessten sichtbaren Wertes), zscore
+	 *			(normalisiert), index (der erste sichtbare Wert ist 100) oder bereich (linear von dem kleinsten bis zum groessten
+	 *			sichtbaren Wert); nach einer Aenderung muss refresh() aufgerufen werden
+	 * 		[Number zeitversatz()]: Der Zeitversatz in Sekunden, um den die Werte zum Vergleich verschoben blass mitgezeichnet
+	 *			werden, z.B. 604800 fuer die Vorwoche; 0 ohne Vergleich. Die verschobenen Werte werden mit showData ueber den
+	 *			um den Zeitversatz frueheren Zeitraum geholt, die Differenz an der Linie mit getBereich; nach einer Aenderung
+	 *			muss refresh() aufgerufen werden
+	 * 		[undefined prefetch(Array bereiche)]:
+	 *			bereiche: Die Bereiche als [timestampFrom, timestampTo, sec], deren Daten im Hintergrund geladen werden sollen;
+	 *				ersetzt die Bereiche des vorherigen Aufrufs
+	 * 		[undefined getBereich(Number timestampFrom, Number timestampTo, Number sec, Function callback(Array werte))]:
+	 *			Holt die Werte fuer den Export als CSV oder JSON; werte hat je Zeitabschnitt der Laenge sec ab timestampFrom
+	 *			einen Wert oder null, falls keine Daten vorhanden sind
 	 * 
 	 * Aufbau der Optionen:
 	 * 	Objekt mit moeglichen Felder:
@@ -1936,6 +3696,15 @@
 	 * 		Number heightTimeChart: Die Hoehe des Zeitbalkens unten
 	 * 		Number zoom: Der Zoom beim Start
 	 * 		Number timestamp: Der Timestamp, der den rechten Rand beim Start repraesentiert
+	 * 		String titel: Der Titel ueber dem Diagramm im PDF, z.B. der Name des Ortes
+	 * 		Function ueberlagerungGeaendert(Array ueberlagerungen): Wird aufgerufen, wenn eine Datenquelle per Maus auf ein
+	 *			anderes Diagramm gezogen oder in der Legende wieder getrennt wurde; ueberlagerungen wie bei ueberlagerungen()
+	 * 		Function auswahlGeaendert(Array auswahl): Wird aufgerufen, wenn mit gedrueckter Umschalttaste ein Zeitraum per Maus
+	 *			ausgewaehlt oder die Auswahl per Klick aufgehoben wurde; auswahl wie bei auswahl()
+	 * 		Function markierungAnlegen(Number von, Number bis): Wird bei einem Rechtsklick auf die Werte aufgerufen, mit dem
+	 *			Zeitpunkt unter der Maus (von = bis) oder der Auswahl, falls darin geklickt wurde
+	 * 		Function markierungGeklickt(Number index): Wird aufgerufen, wenn der Titel einer Markierung angeklickt wurde; index
+	 *			ist die Position in der Liste von markierungen()
 	 * 		
 	 * @param data [Array] Die Datenquellen des Diagramms
 	 * @param options [Objekt] Die Einstellungen fuer das Diagramm
@@ -1956,15 +3725,30 @@
 		}).on('mousedown', function(e) {
 			e.stopPropagation();
 			
-			if(!created_chart.mouseOver()) {
+			if(!created_chart.mouseOver() && !created_chart.mouseOverDescription()) {
 				return;
 			}
 			
 			var offset = offsetVal(created_chart.element());
 			
-			created_chart.mouseDown(e.pageX - offset.left, e.pageY - offset.top);
+			created_chart.mouseDown(e.pageX - offset.left, e.pageY - offset.top, e.shiftKey);
 			
 			return false;
+		}).on('contextmenu', function(e) {
+			var offset = offsetVal(created_chart.element());
+			
+			if(created_chart.kontextmenue(e.pageX - offset.left, e.pageY - offset.top)) {
+				e.preventDefault();
+			}
+		}).on('keydown', function(e) {
+			if(created_chart.taste(e.keyCode, e.shiftKey)) {
+				e.preventDefault();
+				e.stopPropagation();
+			}
+		}).on('focus', function() {
+			created_chart.fokus(true);
+		}).on('blur', function() {
+			created_chart.fokus(false);
 		}).on('wheel', function(e) {
 			e.stopPropagation();
 			
@@ -1974,6 +3758,9 @@
 			
 			var offset = offsetVal(created_chart.element());
 			
+			// Der Zoom kann auch ueber das Diagramm geaendert worden sein
+			zoom = created_chart.getZoom();
+			
 			// Schraenke den Zoom ein auf einen minimalen und maximalen Wert
 			if(e.wheelDelta > 0) {
 				if(zoom >= 64) {
@@ -2026,5 +3813,6 @@
 	root._.addToStart(function() {
 		document.getElementsByTagName('body')[0].appendChild(calc_elem);
 		document.getElementsByTagName('body')[0].appendChild(saveToElem);
+		document.getElementsByTagName('body')[0].appendChild(vorleser);
 	});
 })(this, 'time_chart');
\ No newline at end of file
@@ -13,86 +13,985 @@
  * Startet die Visualisierung
  * @param ort Der ID des Ortes
  * @param id Die ID des HTML Objektes, bei dem das Diagramm eingefuegt werden soll
+ * @param idCheckbox Die ID des HTML Objektes, bei dem die Auswahl der Daten eingefuegt werden soll
+ * @param idAuswahl Die ID des HTML Objektes, in dem die Statistik eines ausgewaehlten Zeitraums angezeigt werden soll
+ * @param ortName Der Name des Ortes, z.B. fuer den Titel beim Export als PDF
+ * [@param vergleich] Die Orte, mit denen verglichen wird, als [{id, name}]; ihre Daten werden unter denen des Ortes angezeigt
  **/
-function startVisualisierung(ort, id, idCheckbox) {
+function startVisualisierung(ort, id, idCheckbox, idAuswahl, ortName, vergleich) {
+	// Die Farben der Orte im Vergleich, der Ort selbst zuerst
+	var vergleichFarben = ['#0000FF', '#E6550D', '#31A354'];
+	
 	/**
 	 * Erstellt das Diagramm und fuegt es in der Seite ein
 	 * @param maxVals ein Objekt mit dem maximalen Daten
 	 * @param minVals ein Objekt mit dem minimalen Daten
 	 * @param anzeigen Die Daten, die angezeigt werden koennen
 	 * @param zeige Die Wetterdaten, die angezeigt werden sollen
+	 * @param vergleich Die Orte im Vergleich als [{id, name, max, min, anzeigen}], ohne Vergleich leer
 	 **/
-	function create(maxVals, minVals, anzeigen, zeige) {
-		var data = [], i, j, k, l, chart,
-			daten_cacheObjekts = {'objekts': {}}, zeigeAn = [];
+	function create(maxVals, minVals, anzeigen, zeige, vergleich) {
+		var data = [], reihen = [], i, j, k, l, m, n, chart, zeigeAn = [];
+		
+		// Die gespeicherte Ansicht des Ortes
+		var gespeichert = ansicht.laden(ort);
+		
+		/**
+		 * Erstellt die Objekte von daten_cache fuer einen Ort, eines je Datenbankfunktion
+		 * @param ort Die ID des Ortes
+		 * @return
+		 **/
+		var cacheObjekte = function(ort) {
+			var cache = {'ort': ort, 'objekts': {}};
+			
+			cache.get = function(name) {
+				if(!(name in cache.objekts)) {
+					cache.objekts[name] = new daten_cache(ort, name);
+				}
+				
+				return cache.objekts[name];
+			};
+			
+			return cache;
+		};
+		
+		var daten_cacheObjekts = cacheObjekte(ort);
+		
+		// Der Ort selbst und die Orte, mit denen er verglichen wird
+		var orteImVergleich = [{'id': ort, 'name': ortName, 'max': maxVals, 'min': minVals, 'anzeigen': anzeigen, 'cache': daten_cacheObjekts}];
+		
+		for(i=0,j=vergleich.length;i<j;++i) {
+			vergleich[i].cache = cacheObjekte(vergleich[i].id);
+			
+			orteImVergleich.push(vergleich[i]);
+		}
+		
+		/**
+		 * Gibt den Schluessel einer Anzeige zurueck, unter dem ihre Einstellungen gespeichert werden
+		 * @param i Der Index der Anzeige
+		 * @return
+		 **/
+		var schluessel = function(i) {
+			return anzeigen[i].name + '/' + anzeigen[i].beschreibung;
+		};
 		
-		daten_cacheObjekts.get = function(name) {
-			if(!(name in daten_cacheObjekts.objekts)) {
-				daten_cacheObjekts.objekts[name] = new daten_cache(ort, name);
+		/**
+		 * Speichert die angezeigten Daten, die Farben, die Darstellungen, die Skalen, die Zeitversaetze, die Ueberlagerungen
+		 * und die Formeln fuer diesen Ort; im Vergleich bleiben die angezeigten Daten und die Ueberlagerungen der Ansicht
+		 * des einzelnen Ortes erhalten
+		 **/
+		var speichereAnsicht = function() {
+			var ueberlagerungen = chart.ueberlagerungen(), k, l, ziel,
+				werte = {'farben': {}, 'darstellungen': {}, 'skalen': {}, 'zeitversaetze': {}, 'formeln': []};
+			
+			if(orteImVergleich.length === 1) {
+				werte.zeige = [];
+				werte.ueberlagerungen = {};
+				
+				for(k=0,l=zeige.length;k<l;++k) {
+					werte.zeige.push(schluessel(zeige[k]));
+					
+					ziel = (ueberlagerungen[position(k)] === -1) ? -1 : anzeigeAn(ueberlagerungen[position(k)]);
+					
+					if(ziel !== -1) {
+						werte.ueberlagerungen[schluessel(zeige[k])] = schluessel(zeige[ziel]);
+					}
+				}
 			}
 			
-			return daten_cacheObjekts.objekts[name];
+			for(k=0,l=data.length;k<l;++k) {
+				if(anzeigen[k].entfernt) continue;
+				
+				if('formel' in anzeigen[k]) {
+					werte.formeln.push([anzeigen[k].beschreibung, anzeigen[k].formel.ausdruck]);
+				}
+				
+				werte.farben[schluessel(k)] = data[k].color();
+				werte.darstellungen[schluessel(k)] = data[k].darstellung();
+				werte.skalen[schluessel(k)] = data[k].skala();
+				werte.zeitversaetze[schluessel(k)] = data[k].zeitversatz();
+			}
+			
+			ansicht.speichern(ort, werte);
 		};
 		
-		// Erstellt die Parameter fuer das Diagramm
-		for(i=0,j=anzeigen.length;i<j;++i) {
-			(function(i) {
-				data[i] = {'description': function() { return anzeigen[i].beschreibung; },
-							'minVal': function() { return Math.min(anzeigen[i].line, minVals[anzeigen[i].name]); },
-							'maxVal': function() { return Math.max(anzeigen[i].line, maxVals[anzeigen[i].name]); },
-							'lineVal': function() { return anzeigen[i].line; },
-							'units': anzeigen[i].units,
+		/**
+		 * Gibt die Position im Diagramm zurueck, an der die k-te angezeigte Anzeige beginnt; im Vergleich hat jede
+		 * Anzeige einen Eintrag je Ort
+		 * @param k Der Index in zeige
+		 * @return
+		 **/
+		var position = function(k) {
+			var ergebnis = 0, m;
+			
+			for(m=0;m<k;++m) {
+				ergebnis += reihen[zeige[m]].length;
+			}
+			
+			return ergebnis;
+		};
+		
+		/**
+		 * Gibt die angezeigte Anzeige zurueck, die an einer Position im Diagramm beginnt
+		 * @param p Die Position im Diagramm
+		 * @return Der Index in zeige oder -1, falls dort keine Anzeige beginnt
+		 **/
+		var anzeigeAn = function(p) {
+			var m, n;
+			
+			for(m=0,n=zeige.length;m<n;++m) {
+				if(position(m) === p) {
+					return m;
+				}
+			}
+			
+			return -1;
+		};
+		
+		/**
+		 * Gibt alle Eintraege im Diagramm in ihrer Reihenfolge zurueck
+		 * @return
+		 **/
+		var imDiagramm = function() {
+			var ergebnis = [], m, n;
+			
+			for(m=0,n=zeige.length;m<n;++m) {
+				ergebnis = ergebnis.concat(reihen[zeige[m]]);
+			}
+			
+			return ergebnis;
+		};
+		
+		// Die Markierungen des Ortes aus der Datenbank
+		var markierungen = [];
+		
+		/**
+		 * Gibt einen Zeitpunkt als Text zurueck
+		 * @param timestamp Der Zeitpunkt
+		 * @return Der Text als TT.MM.JJJJ hh:mm
+		 **/
+		var datumText = function(timestamp) {
+			var datum = new Date(timestamp * 1000),
+				add0 = function(val) { return (val < 10 ? '0' + val : val); };
+			
+			return add0(datum.getDate()) + '.' + add0(datum.getMonth() + 1) + '.' + datum.getFullYear() + ' '
+					+ add0(datum.getHours()) + ':' + add0(datum.getMinutes());
+		};
+		
+		/**
+		 * Formatiert einen Wert einer Anzeige fuer die Ausgabe
+		 * @param anzeige Die Anzeige
+		 * @param val Der Wert
+		 * @return
+		 **/
+		var formatieren = function(anzeige, val) {
+			if('changeGetValAt' in anzeige) {
+				return anzeige.changeGetValAt(val);
+			}
+			
+			return '' + Math.round(val * 100) / 100;
+		};
+		
+		/**
+		 * Laedt die Markierungen des Ortes und zeigt sie im Diagramm
+		 **/
+		var ladeMarkierungen = function() {
+			daten.getMarkierungen(ort, function(err, data) {
+				if(err !== undefined) {
+					return;
+				}
+				
+				markierungen = data;
+				
+				chart.markierungen(markierungen.map(function(markierung) {
+					return [Number(markierung.von), Number(markierung.bis), markierung.titel, markierung.beschreibung];
+				}));
+			});
+		};
+		
+		/**
+		 * Zeigt den Dialog zum Anlegen oder Bearbeiten einer Markierung
+		 * @param von Der Anfang als Timestamp
+		 * @param bis Das Ende als Timestamp, bei einem Zeitpunkt gleich von
+		 * @param markierung Die Markierung aus der Datenbank oder null fuer eine neue Markierung
+		 **/
+		var markierungDialog = function(von, bis, markierung) {
+			var fertig = function(err) {
+				if(err !== undefined) {
+					error.add(['Markierung', err]);
+					
+					return;
+				}
+				
+				$('#markierungDialog').modal('hide');
+				
+				ladeMarkierungen();
+			};
+			
+			$('#markierungZeitraum').text((von === bis) ? datumText(von) : datumText(von) + ' – ' + datumText(bis));
+			$('#markierungTitel').val((markierung === null) ? '' : markierung.titel);
+			$('#markierungText').val((markierung === null || markierung.beschreibung === null) ? '' : markierung.beschreibung);
+			
+			$('#markierungSpeichern').off('click').on('click', function() {
+				var titel = $.trim($('#markierungTitel').val()) || 'Markierung', text = $.trim($('#markierungText').val());
+				
+				if(markierung === null) {
+					daten.insertMarkierung(ort, von, bis, titel, text, fertig);
+				} else {
+					daten.updateMarkierung(markierung.markierungid, titel, text, fertig);
+				}
+			});
+			
+			$('#markierungLoeschen').toggle(markierung !== null).off('click').on('click', function() {
+				daten.deleteMarkierung(markierung.markierungid, fertig);
+			});
+			
+			$('#markierungDialog').modal('show');
+		};
+		
+		/**
+		 * Gibt eine Dauer als Text zurueck
+		 * @param sec Die Dauer in Sekunden
+		 * @return z.B. "30 min", "6 h" oder "2 Tage"
+		 **/
+		var dauerText = function(sec) {
+			if(sec < 3600) return Math.round(sec / 60) + ' min';
+			if(sec < 86400) return Math.round(sec / 360) / 10 + ' h';
+			
+			return Math.round(sec / 8640) / 10 + ((sec === 86400) ? ' Tag' : ' Tage');
+		};
+		
+		// Die Nummer der letzten Analyse; nur ihr Ergebnis wird angezeigt
+		var analyseNr = 0;
+		
+		/**
+		 * Berechnet den Zusammenhang zweier Daten und zeigt ihn im Dialog der Analyse
+		 * @param zeitraum Der Zeitraum als [von, bis, sec]
+		 * @param a Der Eintrag der ersten Daten
+		 * @param b Der Eintrag der zweiten Daten
+		 * @param maxVersatz Der groesste Versatz der Kreuzkorrelation in Zeitabschnitten
+		 **/
+		var analyseBerechnen = function(zeitraum, a, b, maxVersatz) {
+			var ergebnis = $('#analyseErgebnis'), werte = [], offen = 2, nr = ++analyseNr;
+			
+			ergebnis.empty().text('Die Daten werden geholt …');
+			
+			var fertig = function() {
+				var paare = analyse.paare(werte[0], werte[1]), regression = analyse.regression(paare[0], paare[1]),
+					kreuz = analyse.kreuzkorrelation(werte[0], werte[1], maxVersatz), staerkste = analyse.staerkste(kreuz), versatz;
+				
+				var zahl = function(wert) {
+					return (wert === null) ? 'N/A' : '' + Math.round(wert * 1000) / 1000;
+				};
+				
+				var zeile = function(name, wert) {
+					return $('<tr/>').append($('<th/>').text(name)).append($('<td/>').text(wert));
+				};
+				
+				// Bei einem positiven Versatz folgen die zweiten Daten auf die ersten
+				if(staerkste === null) {
+					versatz = 'N/A';
+				} else if(staerkste[0] === 0) {
+					versatz = 'r = ' + zahl(staerkste[1]) + ' ohne Versatz';
+				} else {
+					versatz = 'r = ' + zahl(staerkste[1]) + ', ' + ((staerkste[0] > 0) ? b : a).description() + ' folgt um '
+								+ Math.abs(staerkste[0]) + ' Zeitabschnitte (' + dauerText(Math.abs(staerkste[0]) * zeitraum[2]) + ')';
+				}
+				
+				ergebnis.empty();
+				
+				ergebnis.append($('<table/>').addClass('table table-condensed')
+								.append(zeile('Wertepaare', paare[0].length))
+								.append(zeile('Korrelation nach Pearson (r)', zahl(analyse.pearson(paare[0], paare[1]))))
+								.append(zeile('Rangkorrelation nach Spearman (ρ)', zahl(analyse.spearman(paare[0], paare[1]))))
+								.append(zeile('Regressionsgerade', (regression === null) ? 'N/A' : 'y = ' + zahl(regression.achsenabschnitt)
+												+ ' + ' + zahl(regression.steigung) + ' · x, R² = ' + zahl(regression.bestimmtheit)))
+								.append(zeile('Stärkste Kreuzkorrelation', versatz)));
+				
+				ergebnis.append($('<h5/>').text('Streudiagramm: x = ' + a.description() + ', y = ' + b.description()))
+						.append(analyse.streudiagramm(paare[0], paare[1], regression, 820, 300));
+				
+				ergebnis.append($('<h5/>').text('Kreuzkorrelation mit dem Versatz von ' + (-maxVersatz) + ' bis ' + maxVersatz
+												+ ' Zeitabschnitten; bei positivem Versatz folgt ' + b.description() + ' auf ' + a.description()))
+						.append(analyse.korrelogramm(kreuz, 820, 200));
+			};
+			
+			[a, b].forEach(function(eintrag, index) {
+				eintrag.getBereich(zeitraum[0], zeitraum[1], zeitraum[2], function(liste) {
+					werte[index] = liste;
+					
+					// Inzwischen wurde eine neue Analyse gestartet
+					if(--offen === 0 && nr === analyseNr) {
+						fertig();
+					}
+				});
+			});
+		};
+		
+		/**
+		 * Zeigt den Dialog zur Analyse des Zusammenhangs zweier Daten im sichtbaren Zeitraum in der aktuellen Groesse der
+		 * Zeitabschnitte; es koennen auch Daten gewaehlt werden, die nicht angezeigt werden
+		 **/
+		var analyseDialog = function() {
+			var zeitraum = chart.sichtbareZeitabschnitte(), eintraege = [], angezeigt = imDiagramm(), k, l, m;
+			
+			if(zeitraum === null) {
+				_.id('generalErrorMessage').innerHTML = 'Für die Analyse müssen Daten angezeigt werden!';
+				
+				$('#generalError').modal('show');
+				
+				return;
+			}
+			
+			// Im Vergleich hat jede Anzeige einen Eintrag je Ort
+			for(k=0,l=reihen.length;k<l;++k) {
+				if(anzeigen[k].entfernt) continue;
+				
+				for(m=0;m<reihen[k].length;++m) {
+					eintraege.push(reihen[k][m]);
+				}
+			}
+			
+			$('#analyseZeitraum').text(datumText(zeitraum[0]) + ' – ' + datumText(zeitraum[1]) + ', je ' + dauerText(zeitraum[2]));
+			
+			$('#analyseA, #analyseB').empty();
+			
+			for(k=0,l=eintraege.length;k<l;++k) {
+				$('#analyseA').append($('<option/>').val(k).text(eintraege[k].description()));
+				$('#analyseB').append($('<option/>').val(k).text(eintraege[k].description()));
+			}
+			
+			// Vorausgewaehlt sind die ersten beiden angezeigten Daten
+			$('#analyseA').val(eintraege.indexOf(angezeigt[0]));
+			$('#analyseB').val(eintraege.indexOf(angezeigt[Math.min(1, angezeigt.length - 1)]));
+			
+			$('#analyseErgebnis').empty();
+			
+			$('#analyseBerechnen').off('click').on('click', function() {
+				analyseBerechnen(zeitraum, eintraege[$('#analyseA').val()], eintraege[$('#analyseB').val()],
+									Math.max(0, Math.min(500, parseInt($('#analyseVersatz').val(), 10) || 0)));
+			});
+			
+			$('#analyseDialog').modal('show');
+		};
+		
+		/**
+		 * Gibt den Schluessel der Datenbankfunktion eines Eintrags im Diagramm zurueck, im Vergleich mit dem Ort
+		 * @param eintrag Der Eintrag im Diagramm
+		 * @return
+		 **/
+		var quelle = function(eintrag) {
+			return eintrag.cache.ort + '/' + eintrag.funktion;
+		};
+		
+		/**
+		 * Berechnet die Werte einer Formel in den Zeitabschnitten eines Zeitraums aus den Daten im Cache; fehlende
+		 * Zeitabschnitte werden vorher geholt
+		 * @param anzeige Die Anzeige der Formel
+		 * @param cache Die Objekte von daten_cache des Ortes
+		 * @param timestampFrom Der Anfang des ersten Zeitabschnitts
+		 * @param timestampTo Das Ende des Zeitraums
+		 * @param sec Die Breite eines Zeitabschnitts in Sekunden
+		 * @param callback Wird mit den Zeitabschnitten als [Timestamp, Wert] aufgerufen; der Wert ist null, falls er nicht
+		 *        berechnet werden kann
+		 **/
+		var formelWerte = function(anzeige, cache, timestampFrom, timestampTo, sec, callback) {
+			var f = anzeige.formel, funktionen = {}, werte = {}, offen = 0, funktion, k, l;
+			
+			// Die Daten einer Datenbankfunktion werden zusammen geholt, mit den Zeitabschnitten davor fuer gleitend und differenz
+			for(k=0,l=f.namen.length;k<l;++k) {
+				funktion = anzeige.quellen[f.namen[k]];
+				
+				if(!(funktion in funktionen)) {
+					funktionen[funktion] = [];
+					
+					++offen;
+				}
+				
+				funktionen[funktion].push(f.namen[k]);
+			}
+			
+			var berechnen = function() {
+				var ergebnis = [], time, index;
+				
+				for(time=timestampFrom,index=f.fenster;time<timestampTo;time+=sec,++index) {
+					ergebnis.push([time, formel.auswerten(f, werte, index)]);
+				}
+				
+				callback(ergebnis);
+			};
+			
+			if(offen === 0) {
+				berechnen();
+				
+				return;
+			}
+			
+			for(funktion in funktionen) {
+				cache.get(funktion).getBereich(timestampFrom - f.fenster * sec, timestampTo, sec, (function(namen) {
+					return function(eintraege) {
+						var m, n;
+						
+						for(m=0,n=namen.length;m<n;++m) {
+							werte[namen[m]] = eintraege.map(function(eintrag) {
+								return (eintrag[1][namen[m]] === undefined) ? null : eintrag[1][namen[m]];
+							});
+						}
+						
+						if(--offen === 0) {
+							berechnen();
+						}
+					};
+				})(funktionen[funktion]));
+			}
+		};
+		
+		/**
+		 * Gibt zu dem Eintrag einer Formel ein Objekt zurueck, das wie daten_cache mit getBereich die Zeitabschnitte
+		 * liefert; die Werte stehen in den Daten unter dem Namen der Formel
+		 * @param eintrag Der Eintrag im Diagramm
+		 * @return
+		 **/
+		var formelBereich = function(eintrag) {
+			return {'getBereich': function(timestampFrom, timestampTo, sec, callback) {
+				formelWerte(eintrag.anzeige, eintrag.cache, timestampFrom, timestampTo, sec, function(werte) {
+					callback(werte.map(function(wert) {
+						var daten = {};
+						
+						if(wert[1] !== null) {
+							daten[eintrag.anzeige.name] = wert[1];
+						}
+						
+						return [wert[0], daten];
+					}));
+				});
+			}};
+		};
+		
+		/**
+		 * Holt die Zeitabschnitte eines Zeitraums fuer alle angezeigten Daten
+		 * @param auswahl Der Zeitraum als [von, bis, sec]
+		 * @param callback Wird mit einem Objekt aufgerufen, das je Quelle die Zeitabschnitte als [Timestamp, Daten] hat
+		 **/
+		var auswahlDaten = function(auswahl, callback) {
+			var funktionen = {}, caches = {}, eintraege = imDiagramm(), offen = 0, name, k, l;
+			
+			for(k=0,l=eintraege.length;k<l;++k) {
+				if(!(quelle(eintraege[k]) in funktionen)) {
+					funktionen[quelle(eintraege[k])] = null;
+					caches[quelle(eintraege[k])] = ('formel' in eintraege[k].anzeige) ? formelBereich(eintraege[k])
+													: eintraege[k].cache.get(eintraege[k].funktion);
+					
+					++offen;
+				}
+			}
+			
+			if(offen === 0) {
+				callback(funktionen);
+				
+				return;
+			}
+			
+			for(name in funktionen) {
+				caches[name].getBereich(auswahl[0], auswahl[1], auswahl[2], (function(name) {
+					return function(eintraege) {
+						funktionen[name] = eintraege;
+						
+						if(--offen === 0) {
+							callback(funktionen);
+						}
+					};
+				})(name));
+			}
+		};
+		
+		/**
+		 * Berechnet die Statistik einer Anzeige ueber die Zeitabschnitte; Mittelwert und Standardabweichung beziehen sich
+		 * auf die Werte der Zeitabschnitte, Minimum und Maximum falls vorhanden auf die einzelnen Messwerte
+		 * @param eintraege Die Zeitabschnitte als [Timestamp, Daten]
+		 * @param name Der Name der Anzeige in den Daten
+		 * @return Ein Objekt mit mittel, min, max, abweichung, anzahl, messwerte und fehlend
+		 **/
+		var statistik = function(eintraege, name) {
+			var ergebnis = {'mittel': null, 'min': null, 'max': null, 'abweichung': null, 'anzahl': 0, 'messwerte': 0, 'fehlend': 0},
+				summe = 0, quadrate = 0, werte, wert, k, l;
+			
+			for(k=0,l=eintraege.length;k<l;++k) {
+				werte = eintraege[k][1];
+				wert = werte[name];
+				
+				if(wert === undefined || wert === null) {
+					++ergebnis.fehlend;
+					
+					continue;
+				}
+				
+				++ergebnis.anzahl;
+				
+				summe += wert;
+				quadrate += wert * wert;
+				
+				wert = (werte[name + '_min'] !== undefined && werte[name + '_min'] !== null) ? werte[name + '_min'] : werte[name];
+				
+				if(ergebnis.min === null || wert < ergebnis.min) ergebnis.min = wert;
+				
+				wert = (werte[name + '_max'] !== undefined && werte[name + '_max'] !== null) ? werte[name + '_max'] : werte[name];
+				
+				if(ergebnis.max === null || wert > ergebnis.max) ergebnis.max = wert;
+				
+				// Ohne die Anzahl der Messwerte zaehlt der Zeitabschnitt als ein Messwert
+				ergebnis.messwerte += (werte[name + '_anzahl'] !== undefined) ? werte[name + '_anzahl'] : 1;
+			}
+			
+			if(ergebnis.anzahl > 0) {
+				ergebnis.mittel = summe / ergebnis.anzahl;
+				ergebnis.abweichung = Math.sqrt(Math.max(0, quadrate / ergebnis.anzahl - ergebnis.mittel * ergebnis.mittel));
+			}
+			
+			return ergebnis;
+		};
+		
+		/**
+		 * Erstellt eine CSV Datei mit den Werten der angezeigten Daten in einem Zeitraum
+		 * @param auswahl Der Zeitraum als [von, bis, sec]
+		 * @param funktionen Die Zeitabschnitte je Datenbankfunktion wie bei auswahlDaten
+		 * @return Der Inhalt der Datei
+		 **/
+		var auswahlCSV = function(auswahl, funktionen) {
+			var daten = {'spalten': [], 'zeilen': []}, spalten = imDiagramm(), eintraege, k, l, m, n;
+			
+			for(k=0,l=spalten.length;k<l;++k) {
+				daten.spalten.push([spalten[k].description(), spalten[k].anzeige.units('valAtLine').trim()]);
+			}
+			
+			for(m=0,n=Math.round((auswahl[1] - auswahl[0]) / auswahl[2]);m<n;++m) {
+				daten.zeilen.push([auswahl[0] + m * auswahl[2]]);
+				
+				for(k=0,l=spalten.length;k<l;++k) {
+					eintraege = funktionen[quelle(spalten[k])];
+					
+					daten.zeilen[m].push((m < eintraege.length) ? eintraege[m][1][spalten[k].anzeige.name] : undefined);
+				}
+			}
+			
+			return diagramm_export.csv(daten);
+		};
+		
+		/**
+		 * Zeigt die Statistik der angezeigten Daten fuer den ausgewaehlten Zeitraum und die Aktionen dazu
+		 * @param auswahl Die Auswahl als [von, bis, sec] oder null
+		 **/
+		var zeigeAuswahl = function(auswahl) {
+			var panel = $('#' + idAuswahl), tabelle;
+			
+			panel.empty();
+			
+			if(auswahl === null) {
+				panel.hide();
+				
+				return;
+			}
+			
+			panel.append($('<h5/>').text('Auswahl ' + datumText(auswahl[0]) + ' – ' + datumText(auswahl[1])));
+			
+			tabelle = $('<table/>').addClass('table table-condensed').append($('<tr/>')
+						.append($('<th/>').text('Daten')).append($('<th/>').text('Mittel')).append($('<th/>').text('Min.'))
+						.append($('<th/>').text('Max.')).append($('<th/>').text('Std.-Abw.')).append($('<th/>').text('Anzahl'))
+						.append($('<th/>').text('Fehlend')));
+			
+			panel.append(tabelle);
+			
+			panel.append($('<div/>').addClass('btn-group btn-group-sm')
+							.append($('<button/>').attr('type', 'button').addClass('btn btn-default').text('Zoomen').on('click', function() {
+								chart.zeigeBereich(auswahl[0], auswahl[1]);
+							}))
+							.append($('<button/>').attr('type', 'button').addClass('btn btn-default').text('Exportieren').on('click', function() {
+								exportInput.click();
+							}))
+							.append($('<button/>').attr('type', 'button').addClass('btn btn-default').text('Markieren').on('click', function() {
+								markierungDialog(auswahl[0], auswahl[1], null);
+							}))
+							.append($('<button/>').attr('type', 'button').addClass('btn btn-default').text('Aufheben').on('click', function() {
+								chart.auswahlEntfernen();
+								
+								zeigeAuswahl(null);
+							})));
+			
+			panel.show();
+			
+			auswahlDaten(auswahl, function(funktionen) {
+				var eintraege = imDiagramm(), anzeige, werte, einheit, k, l;
+				
+				for(k=0,l=eintraege.length;k<l;++k) {
+					anzeige = eintraege[k].anzeige;
+					werte = statistik(funktionen[quelle(eintraege[k])], anzeige.name);
+					einheit = anzeige.units('valAtLine');
+					
+					tabelle.append($('<tr/>')
+						.append($('<td/>').text(eintraege[k].description() + ($.trim(einheit) !== '' ? ' (' + $.trim(einheit) + ')' : '')))
+						.append($('<td/>').text((werte.mittel === null) ? 'N/A' : formatieren(anzeige, werte.mittel)))
+						.append($('<td/>').text((werte.min === null) ? 'N/A' : formatieren(anzeige, werte.min)))
+						.append($('<td/>').text((werte.max === null) ? 'N/A' : formatieren(anzeige, werte.max)))
+						.append($('<td/>').text((werte.abweichung === null) ? 'N/A' : formatieren(anzeige, werte.abweichung)))
+						.append($('<td/>').text(werte.anzahl).attr('title', werte.messwerte + ' Messwerte'))
+						.append($('<td/>').text(werte.fehlend)));
+				}
+			});
+		};
+		
+		/**
+		 * Erstellt die Parameter fuer das Diagramm zu einer Anzeige
+		 * @param anzeige Die Anzeige
+		 * @param minWert Der minimale Wert der Daten
+		 * @param maxWert Der maximale Wert der Daten
+		 * @param cache Die Objekte von daten_cache des Ortes
+		 * @return
+		 **/
+		var erstelleEintrag = function(anzeige, minWert, maxWert, cache) {
+			var eintrag = {'description': function() { return anzeige.beschreibung; },
+							'minVal': function() { return Math.min(anzeige.line, minWert); },
+							'maxVal': function() { return Math.max(anzeige.line, maxWert); },
+							'lineVal': function() { return anzeige.line; },
+							'units': anzeige.units,
 							'scalaPadding': function() { return 10; },
-							'funktion': anzeigen[i].funktion,
-							'height': ('height' in anzeigen[i]) ? anzeigen[i].height : 1,
+							'funktion': anzeige.funktion,
+							'anzeige': anzeige,
+							'cache': cache,
+							'height': ('height' in anzeige) ? anzeige.height : 1,
 							'color': function() { return '#0000FF'; },
+							'darstellung': function() { return ('darstellung' in anzeige) ? anzeige.darstellung : 'bar'; },
+							'skala': function() { return 'linear'; },
+							'zeitversatz': function() { return 0; },
 							'showData': function(timestampFrom, timestampTo, createBar, sec) {
-								daten_cacheObjekts.get(this.funktion).showData(timestampFrom, timestampTo, createBar, anzeigen[i].name, sec);
+								cache.get(this.funktion).showData(timestampFrom, timestampTo, createBar, anzeige.name, sec);
+							},
+							'prefetch': function(bereiche) {
+								cache.get(this.funktion).prefetch(bereiche);
+							},
+							'getBereich': function(timestampFrom, timestampTo, sec, callback) {
+								cache.get(this.funktion).getBereich(timestampFrom, timestampTo, sec, function(eintraege) {
+									callback(eintraege.map(function(eintrag) {
+										return (eintrag[1][anzeige.name] === undefined) ? null : eintrag[1][anzeige.name];
+									}));
+								});
 							}
 						};
-				
-				if('computePercentOfMax' in anzeigen[i]) {
-					data[i].computePercentOfMax = anzeigen[i].computePercentOfMax;
-				}
-				if('changeGetValAt' in anzeigen[i]) {
-					data[i].getValAt = function(timestamp, elem) {
-								var obj = this;
+			
+			if('computePercentOfMax' in anzeige) {
+				eintrag.computePercentOfMax = anzeige.computePercentOfMax;
+			}
+			// Zeigt den Wert und, falls abgefragt, Minimum, Maximum und Anzahl der Messwerte des Zeitabschnitts
+			eintrag.getValAt = function(timestamp, elem, skala) {
+						var obj = this, name = anzeige.name,
+							format = ('changeGetValAt' in anzeige) ? anzeige.changeGetValAt : function(val) { return val; };
+						
+						cache.get(this.funktion).getNearest(timestamp, function(data) {
+							if(data[name] !== undefined) {
+								var text = format(data[name]) + obj.units('valAtLine');
 								
-								daten_cacheObjekts.get(this.funktion).getNearest(timestamp, function(data) {
-									if(data[anzeigen[i].name] !== undefined) {
-										svg(elem).changeContent(anzeigen[i].changeGetValAt(data[anzeigen[i].name]) + obj.units('valAtLine'));
-										
-										return;
-									}
-									
-									svg(elem).changeContent('N/A');
-								});
-							};
-				} else {
-					data[i].getValAt = function(timestamp, elem) {
-								var obj = this;
+								if(data[name + '_min'] !== undefined && data[name + '_max'] !== undefined) {
+									text += ' (Min. ' + format(data[name + '_min']) + ', Max. ' + format(data[name + '_max'])
+											+ ((data[name + '_anzahl'] !== undefined) ? ', ' + data[name + '_anzahl'] + ' Messwerte' : '') + ')';
+								}
 								
-								daten_cacheObjekts.get(this.funktion).getNearest(timestamp, function(data) {
-									if(data[anzeigen[i].name] !== undefined) {
-										svg(elem).changeContent(data[anzeigen[i].name] + obj.units('valAtLine'));
-										
-										return;
-									}
-									
-									svg(elem).changeContent('N/A');
-								});
-							};
+								// Der Wert in der gewaehlten Skala, z.B. in Prozent des Maximums
+								if(skala !== undefined) {
+									text = skala(data[name]) + ', ' + text;
+								}
+								
+								svg(elem).changeContent(text);
+								
+								return;
+							}
+							
+							svg(elem).changeContent('N/A');
+						});
+					};
+			
+			return eintrag;
+		};
+		
+		/**
+		 * Erstellt die Parameter fuer das Diagramm zu der Anzeige einer Formel; die Werte werden aus den Daten im Cache
+		 * berechnet
+		 * @param anzeige Die Anzeige der Formel
+		 * @param minWert Der geschaetzte minimale Wert
+		 * @param maxWert Der geschaetzte maximale Wert
+		 * @param cache Die Objekte von daten_cache des Ortes
+		 * @return
+		 **/
+		var erstelleFormelEintrag = function(anzeige, minWert, maxWert, cache) {
+			var eintrag = erstelleEintrag(anzeige, minWert, maxWert, cache),
+				zeitabschnitte = null; // Der Anfang und die Breite der Zeitabschnitte beim letzten Zeichnen
+			
+			eintrag.showData = function(timestampFrom, timestampTo, createBar, sec) {
+				zeitabschnitte = [timestampFrom, sec];
+				
+				formelWerte(anzeige, cache, timestampFrom, timestampTo, sec, function(werte) {
+					var k, l;
+					
+					for(k=0,l=werte.length;k<l;++k) {
+						if(werte[k][1] !== null) {
+							createBar(werte[k][0], werte[k][0] + sec, werte[k][1], false);
+						}
+					}
+					
+					createBar(0, 0, 0, true);
+				});
+			};
+			
+			eintrag.prefetch = function(bereiche) {
+				var funktionen = {}, funktion, k, l;
+				
+				for(k=0,l=anzeige.formel.namen.length;k<l;++k) {
+					funktionen[anzeige.quellen[anzeige.formel.namen[k]]] = true;
+				}
+				
+				bereiche = bereiche.map(function(bereich) {
+					return [bereich[0] - anzeige.formel.fenster * bereich[2], bereich[1], bereich[2]];
+				});
+				
+				for(funktion in funktionen) {
+					cache.get(funktion).prefetch(bereiche);
+				}
+			};
+			
+			eintrag.getBereich = function(timestampFrom, timestampTo, sec, callback) {
+				formelWerte(anzeige, cache, timestampFrom, timestampTo, sec, function(werte) {
+					callback(werte.map(function(wert) { return wert[1]; }));
+				});
+			};
+			
+			// Zeigt den Wert des Zeitabschnitts, wie er zuletzt gezeichnet wurde
+			eintrag.getValAt = function(timestamp, elem, skala) {
+				var obj = this, von;
+				
+				if(zeitabschnitte === null) {
+					svg(elem).changeContent('N/A');
+					
+					return;
+				}
+				
+				von = Math.floor((timestamp - zeitabschnitte[0]) / zeitabschnitte[1]) * zeitabschnitte[1] + zeitabschnitte[0];
+				
+				formelWerte(anzeige, cache, von, von + zeitabschnitte[1], zeitabschnitte[1], function(werte) {
+					if(werte.length === 0 || werte[0][1] === null) {
+						svg(elem).changeContent('N/A');
+						
+						return;
+					}
+					
+					svg(elem).changeContent(((skala !== undefined) ? skala(werte[0][1]) + ', ' : '')
+											+ formatieren(anzeige, werte[0][1]) + obj.units('valAtLine'));
+				});
+			};
+			
+			return eintrag;
+		};
+		
+		/**
+		 * Passt einen Eintrag fuer den Vergleich an: er wird nach dem Ort gefaerbt, Darstellung, Skala und Zeitversatz
+		 * kommen von der Anzeige des Ortes selbst
+		 * @param eintrag Der Eintrag
+		 * @param i Der Index der Anzeige
+		 * @param k Der Index des Ortes in orteImVergleich
+		 * @return
+		 **/
+		var imVergleich = function(eintrag, i, k) {
+			eintrag.description = function() { return eintrag.anzeige.beschreibung + ' – ' + orteImVergleich[k].name; };
+			eintrag.color = function() { return vergleichFarben[k]; };
+			eintrag.darstellung = function() { return data[i].darstellung(); };
+			eintrag.skala = function() { return data[i].skala(); };
+			eintrag.zeitversatz = function() { return data[i].zeitversatz(); };
+			
+			return eintrag;
+		};
+		
+		// Erstellt die Parameter fuer das Diagramm
+		for(i=0,j=anzeigen.length;i<j;++i) {
+			data[i] = erstelleEintrag(anzeigen[i], minVals[anzeigen[i].name], maxVals[anzeigen[i].name], daten_cacheObjekts);
+			
+			reihen[i] = [data[i]];
+		}
+		
+		// Im Vergleich bekommt jede Anzeige einen Eintrag je Ort, der die Daten hat; die Eintraege sind nach dem Ort gefaerbt
+		// und haben den gemeinsamen Wertebereich, Darstellung und Skala kommen von der Anzeige des Ortes selbst
+		if(vergleich.length > 0) {
+			var gefunden, minWert, maxWert, anzeige;
+			
+			for(i=0,j=anzeigen.length;i<j;++i) {
+				gefunden = [];
+				minWert = null;
+				maxWert = null;
+				
+				for(k=0,l=orteImVergleich.length;k<l;++k) {
+					for(m=0,n=orteImVergleich[k].anzeigen.length;m<n;++m) {
+						anzeige = orteImVergleich[k].anzeigen[m];
+						
+						if(anzeige.name === anzeigen[i].name && anzeige.beschreibung === anzeigen[i].beschreibung) {
+							gefunden.push([k, anzeige]);
+							
+							minWert = (minWert === null) ? orteImVergleich[k].min[anzeige.name] : Math.min(minWert, orteImVergleich[k].min[anzeige.name]);
+							maxWert = (maxWert === null) ? orteImVergleich[k].max[anzeige.name] : Math.max(maxWert, orteImVergleich[k].max[anzeige.name]);
+							
+							m = n;
+						}
+					}
+				}
+				
+				reihen[i] = gefunden.map((function(i) { return function(ortAnzeige) {
+					return imVergleich(erstelleEintrag(ortAnzeige[1], minWert, maxWert, orteImVergleich[ortAnzeige[0]].cache), i, ortAnzeige[0]);
+				};})(i));
+			}
+		}
+		
+		// Die Daten, die in Formeln vorkommen koennen, mit ihrer Datenbankfunktion
+		var formelQuellen = {};
+		
+		for(i=0,j=anzeigen.length;i<j;++i) {
+			formelQuellen[anzeigen[i].name] = anzeigen[i].funktion;
+		}
+		
+		/**
+		 * Fuegt eine Formel als neue Anzeige hinzu; im Vergleich bekommt jeder Ort einen Eintrag, der alle Daten der
+		 * Formel hat
+		 * @param beschreibung Der Name der Formel
+		 * @param ausdruck Die Formel, z.B. "twitter_Android / temperatur"
+		 * @return Der Index der neuen Anzeige oder eine Fehlermeldung
+		 **/
+		var formelHinzufuegen = function(beschreibung, ausdruck) {
+			var f = formel.parsen(ausdruck, Object.keys(formelQuellen)), orte = [], bereich, anzeige, neu, k, l;
+			
+			if(typeof f === 'string') {
+				return f;
+			}
+			
+			if(beschreibung === '') {
+				return 'Es wurde kein Name für die Formel angegeben!';
+			}
+			
+			for(k=0,l=anzeigen.length;k<l;++k) {
+				if(anzeigen[k].beschreibung === beschreibung && !anzeigen[k].entfernt) {
+					return 'Es gibt bereits Daten mit dem Namen "' + beschreibung + '"!';
 				}
+			}
+			
+			// Der Wertebereich wird aus dem der Daten geschaetzt, im Vergleich ueber alle Orte
+			for(k=0,l=orteImVergleich.length;k<l;++k) {
+				if(f.namen.every(function(name) { return orteImVergleich[k].anzeigen.some(function(anzeige) { return anzeige.name === name; }); })) {
+					orte.push(k);
+					
+					neu = formel.bereich(f, orteImVergleich[k].min, orteImVergleich[k].max);
+					
+					bereich = (neu === null || bereich === null) ? null
+								: (bereich === undefined) ? neu : [Math.min(bereich[0], neu[0]), Math.max(bereich[1], neu[1])];
+				}
+			}
+			
+			anzeige = {'beschreibung': beschreibung, 'name': 'formel_' + beschreibung, 'line': 0, 'units': function() { return ''; },
+						'funktion': 'formel_' + beschreibung, 'groupBy': 'Formeln', 'darstellung': 'line', 'formel': f, 'quellen': formelQuellen};
+			
+			anzeigen.push(anzeige);
+			
+			k = anzeigen.length - 1;
+			
+			data[k] = erstelleFormelEintrag(anzeige, (bereich === null) ? 0 : bereich[0], (bereich === null) ? 1 : bereich[1], daten_cacheObjekts);
+			
+			// Ohne bekannten Wertebereich richtet sich die Skala nach den sichtbaren Werten
+			if(bereich === null) {
+				data[k].skala = function() { return 'bereich'; };
+			}
+			
+			reihen[k] = (vergleich.length === 0) ? [data[k]] : orte.map(function(m) {
+				return imVergleich(erstelleFormelEintrag(anzeige, (bereich === null) ? 0 : bereich[0], (bereich === null) ? 1 : bereich[1],
+																orteImVergleich[m].cache), k, m);
+			});
+			
+			return k;
+		};
+		
+		// Die gespeicherten Formeln des Ortes
+		if('formeln' in gespeichert) {
+			for(i=0,j=gespeichert.formeln.length;i<j;++i) {
+				k = formelHinzufuegen(gespeichert.formeln[i][0], gespeichert.formeln[i][1]);
 				
-			})(i);
+				if(typeof k === 'string') {
+					error.add(['Formel ' + gespeichert.formeln[i][0], k]);
+				}
+			}
+		}
+		
+		// Uebernehme die gespeicherte Ansicht
+		for(i=0,j=data.length;i<j;++i) {
+			if('farben' in gespeichert && schluessel(i) in gespeichert.farben) {
+				data[i].color = (function(val) { return function() { return val; }; })(gespeichert.farben[schluessel(i)]);
+			}
+			if('darstellungen' in gespeichert && schluessel(i) in gespeichert.darstellungen) {
+				data[i].darstellung = (function(val) { return function() { return val; }; })(gespeichert.darstellungen[schluessel(i)]);
+			}
+			if('skalen' in gespeichert && schluessel(i) in gespeichert.skalen) {
+				data[i].skala = (function(val) { return function() { return val; }; })(gespeichert.skalen[schluessel(i)]);
+			}
+			if('zeitversaetze' in gespeichert && schluessel(i) in gespeichert.zeitversaetze) {
+				data[i].zeitversatz = (function(val) { return function() { return val; }; })(gespeichert.zeitversaetze[schluessel(i)]);
+			}
 		}
 		
-		for(i=0,j=zeige.length;i<j;++i) {
-			zeigeAn.push(data[zeige[i]]);
+		if('zeige' in gespeichert) {
+			var gespeichertZeige = [];
+			
+			for(i=0,j=data.length;i<j;++i) {
+				if(gespeichert.zeige.indexOf(schluessel(i)) !== -1) {
+					gespeichertZeige.push(i);
+				}
+			}
+			
+			if(gespeichertZeige.length > 0) {
+				zeige = gespeichertZeige;
+			}
 		}
 		
+		zeigeAn = imDiagramm();
+		
 		// Erstelle das Diagramm
-		chart = new time_chart(zeigeAn, {'width': fenster.getWidth() - 60, 'height': fenster.getHeight() - 126, 'zoom': 1, 'padding': 20});
+		chart = new time_chart(zeigeAn, {'width': fenster.getWidth() - 60, 'height': fenster.getHeight() - 126, 'zoom': 1, 'padding': 20,
+										'titel': orteImVergleich.map(function(eintrag) { return eintrag.name; }).join(' / '),
+										'ueberlagerungGeaendert': speichereAnsicht, 'auswahlGeaendert': zeigeAuswahl,
+										'markierungAnlegen': function(von, bis) { markierungDialog(von, bis, null); },
+										'markierungGeklickt': function(index) {
+											markierungDialog(Number(markierungen[index].von), Number(markierungen[index].bis), markierungen[index]);
+										}});
+		
+		zeigeAuswahl(null);
+		
+		ladeMarkierungen();
+		
+		// Pos1 und Ende springen im Diagramm an den Anfang und das Ende der Daten des Ortes, im Vergleich aller Orte
+		var datenZeitraum = null;
+		
+		for(i=0,j=orteImVergleich.length;i<j;++i) {
+			daten.getZeitraum(orteImVergleich[i].id, function(err, zeitraum) {
+				if(err === undefined && zeitraum !== null) {
+					datenZeitraum = (datenZeitraum === null) ? zeitraum
+									: [Math.min(datenZeitraum[0], zeitraum[0]), Math.max(datenZeitraum[1], zeitraum[1])];
+					
+					chart.datenZeitraum(datenZeitraum[0], datenZeitraum[1]);
+				}
+			});
+		}
+		
+		// Ueberlagere die Daten wie zuletzt
+		if('ueberlagerungen' in gespeichert) {
+			for(i=0,j=zeige.length;i<j;++i) {
+				if(schluessel(zeige[i]) in gespeichert.ueberlagerungen) {
+					for(k=0,l=zeige.length;k<l;++k) {
+						if(schluessel(zeige[k]) === gespeichert.ueberlagerungen[schluessel(zeige[i])]) {
+							chart.ueberlagern(position(i), position(k));
+						}
+					}
+				}
+			}
+		}
 		
 		// Fuege es ein
 		_.id(id).appendChild(chart.element());
@@ -102,7 +1001,7 @@ function startVisualisierung(ort, id, idCheckbox) {
 			chart.resize(fenster.getWidth() - 60);
 		});
 		
-		var checkBoxDiv = $('#' + idCheckbox), div, label, input, inputGroup, inputGroupDiv, inputGroupInput, colorpick, lastClicked = null;
+		var checkBoxDiv = $('#' + idCheckbox), div, colorpick, lastClicked = null;
 		
 		checkBoxDiv.empty();
 		
@@ -118,10 +1017,119 @@ function startVisualisierung(ort, id, idCheckbox) {
 		
 		checkBoxDiv.append(colorpick);
 		
-		// Erstelle die Auswahl der moeglichen Eintraege
-		for(i=0,j=data.length;i<j;++i) {
+		// Speichert die Werte des ausgewaehlten Zeitraums in einer CSV Datei
+		var exportInput = $('<input/>').attr({'type': 'file', 'nwsaveas': 'auswahl.csv'}).css({'position': 'absolute', 'left': '-5000px', 'top': '-5000px'});
+		
+		exportInput.on('change', function() {
+			var path = this.files[0].path, auswahl = chart.auswahl();
+			
+			this.value = null;
+			
+			if(auswahl === null) {
+				return;
+			}
+			
+			auswahlDaten(auswahl, function(funktionen) {
+				require('fs').writeFile(path, auswahlCSV(auswahl, funktionen), function(err) {
+					if(err) {
+						_.id('generalErrorMessage').innerHTML = 'Die Auswahl konnte nicht gespeichert werden (' + err + ')!';
+						
+						$('#generalError').modal('show');
+					} else {
+						_.id('myModalLabel2').innerHTML = 'Auswahl gespeichert';
+						_.id('generalOkMessage').innerHTML = 'Die Werte der Auswahl wurden gespeichert!';
+						
+						$('#generalOk').modal('show');
+					}
+				});
+			});
+		});
+		
+		checkBoxDiv.append(exportInput);
+		
+		// Die Live-Aktualisierung: holt in einem Intervall die neuen Daten am Ende und zeichnet das Diagramm neu
+		var liveTimer = null,
+			liveInput = $('<input/>').attr({'type': 'checkbox', 'title': 'Live-Aktualisierung'}),
+			liveSekunden = $('<input/>').attr({'type': 'number', 'class': 'form-control', 'min': 10, 'value': 60, 'title': 'Intervall in Sekunden'}),
+			liveJetzt = $('<input/>').attr({'type': 'checkbox', 'checked': '', 'title': 'Rechten Rand an die aktuelle Zeit anheften'});
+		
+		var liveStarten = function() {
+			var sekunden = Math.max(10, parseInt(liveSekunden.val(), 10) || 60);
+			
+			if(liveTimer !== null) {
+				window.clearInterval(liveTimer);
+			}
+			
+			liveTimer = window.setInterval(function() {
+				var name, k, l;
+				
+				// Die Visualisierung wurde geschlossen oder ein anderer Ort geoeffnet
+				if(!document.body.contains(chart.element())) {
+					window.clearInterval(liveTimer);
+					
+					liveTimer = null;
+					
+					return;
+				}
+				
+				for(k=0,l=orteImVergleich.length;k<l;++k) {
+					for(name in orteImVergleich[k].cache.objekts) {
+						orteImVergleich[k].cache.objekts[name].invalidieren();
+					}
+				}
+				
+				chart.refresh(liveJetzt.prop('checked'));
+			}, sekunden * 1000);
+		};
+		
+		var liveStoppen = function() {
+			if(liveTimer !== null) {
+				window.clearInterval(liveTimer);
+				
+				liveTimer = null;
+			}
+		};
+		
+		liveInput.on('change', function() {
+			if(this.checked) liveStarten();
+			else liveStoppen();
+		});
+		
+		liveSekunden.on('change', function() {
+			if(liveInput.prop('checked')) liveStarten();
+		});
+		
+		checkBoxDiv.append($('<div/>').addClass('checkbox').append($('<div/>').addClass('input-group')
+							.append($('<div/>').addClass('input-group-addon').append(liveInput))
+							.append($('<div/>').addClass('input-group-addon').text('Live alle'))
+							.append(liveSekunden)
+							.append($('<div/>').addClass('input-group-addon').text('s, jetzt anheften').append(' ').append(liveJetzt))));
+		
+		// Der Zusammenhang zweier Daten im sichtbaren Zeitraum, z.B. zwischen Temperatur und Tweets
+		checkBoxDiv.append($('<div/>').addClass('checkbox').append($('<button/>').attr('type', 'button').addClass('btn btn-default btn-sm')
+							.text('Zusammenhang analysieren').on('click', analyseDialog)));
+		
+		// Im Vergleich sind die Daten nach dem Ort gefaerbt, die Legende zeigt die Farben der Orte
+		if(vergleich.length > 0) {
 			div = $('<div/>').addClass('checkbox');
 			
+			for(i=0,j=orteImVergleich.length;i<j;++i) {
+				div.append($('<span/>').css({'background-color': vergleichFarben[i], 'color': vergleichFarben[i]}).html('&nbsp;&nbsp;'))
+					.append(' ' + orteImVergleich[i].name + ' ');
+			}
+			
+			checkBoxDiv.append(div);
+		}
+		
+		/**
+		 * Erstellt die Zeile einer Anzeige in der Auswahl der Daten
+		 * @param i Der Index der Anzeige
+		 * @return Das Element der Zeile
+		 **/
+		var auswahlZeile = function(i) {
+			var div = $('<div/>').addClass('checkbox'), inputGroup, inputGroupDiv, inputGroupInput, input, versatzAuswahl, versatzTage,
+				versatzSetzen, k, l;
+			
 			inputGroup = $('<div/>').addClass('input-group').append(
 							$('<div/>').addClass('input-group-addon')
 								.html('<span style="background-color: ' + (function(a) { return (a + '; color: ' + a); })(data[i].color()) + ';">&nbsp;</span>')
@@ -131,6 +1139,8 @@ function startVisualisierung(ort, id, idCheckbox) {
 			
 			inputGroup.find('span').click((function(input) {
 				return function() {
+					if(input.disabled) return;
+					
 					lastClicked = input;
 					
 					colorpick.val(input.__last_valid_color__);
@@ -157,11 +1167,77 @@ function startVisualisierung(ort, id, idCheckbox) {
 				data[i].color = (function(val) { return function() { return val; }; })(this.value);
 				
 				chart.drawAgain();
+				
+				speichereAnsicht();
 			};})(i, inputGroup));
 			
-			inputGroupInput.__last_valid_color__ = '#0000FF';
+			inputGroupInput.__last_valid_color__ = data[i].color();
+			
+			inputGroup.append($(inputGroupInput).attr({'type': 'text', 'class': 'form-control', 'placeholder': '#0000FF'})
+								.prop('disabled', vergleich.length > 0));
+			
+			// Die Auswahl, wie die Werte gezeichnet werden
+			inputGroup.append($('<select/>').attr({'class': 'form-control', 'title': 'Darstellung'})
+								.append($('<option/>').val('bar').text('Balken'))
+								.append($('<option/>').val('line').text('Linie'))
+								.append($('<option/>').val('step').text('Stufen'))
+								.append($('<option/>').val('area').text('Fläche'))
+								.append($('<option/>').val('scatter').text('Punkte'))
+								.val(data[i].darstellung())
+								.on('change', (function(i) { return function() {
+									data[i].darstellung = (function(val) { return function() { return val; }; })(this.value);
+									
+									chart.drawAgain();
+									
+									speichereAnsicht();
+								};})(i)));
+			
+			// Die Auswahl der Skala; die Werte werden dafuer neu berechnet
+			inputGroup.append($('<select/>').attr({'class': 'form-control', 'title': 'Skala'})
+								.append($('<option/>').val('linear').text('Linear'))
+								.append($('<option/>').val('log').text('Logarithmisch'))
+								.append($('<option/>').val('prozent').text('% vom Maximum'))
+								.append($('<option/>').val('zscore').text('Normalisiert (z)'))
+								.append($('<option/>').val('index').text('Index (Anfang = 100)'))
+								.append($('<option/>').val('bereich').text('Sichtbarer Bereich'))
+								.val(data[i].skala())
+								.on('change', (function(i) { return function() {
+									data[i].skala = (function(val) { return function() { return val; }; })(this.value);
+									
+									chart.refresh(false);
+									
+									speichereAnsicht();
+								};})(i)));
+			
+			// Der Vergleich mit einem frueheren Zeitraum; Monat und Jahr sind 4 und 52 Wochen, damit die Wochentage gleich bleiben
+			versatzAuswahl = $('<select/>').attr({'class': 'form-control', 'title': 'Vergleich mit früherem Zeitraum'})
+								.append($('<option/>').val('0').text('Kein Vergleich'))
+								.append($('<option/>').val('86400').text('Vortag'))
+								.append($('<option/>').val('604800').text('Vorwoche'))
+								.append($('<option/>').val('2419200').text('Vormonat (4 Wochen)'))
+								.append($('<option/>').val('31449600').text('Vorjahr (52 Wochen)'))
+								.append($('<option/>').val('eigen').text('Eigener Versatz')),
+				versatzTage = $('<input/>').attr({'type': 'number', 'class': 'form-control', 'min': 1, 'title': 'Versatz in Tagen'})
+								.val(Math.round(data[i].zeitversatz() / 86400) || 1);
+			
+			versatzAuswahl.val((versatzAuswahl.find('option[value="' + data[i].zeitversatz() + '"]').length > 0) ? '' + data[i].zeitversatz() : 'eigen');
+			versatzTage.toggle(versatzAuswahl.val() === 'eigen');
 			
-			inputGroup.append($(inputGroupInput).attr({'type': 'text', 'class': 'form-control', 'placeholder': '#0000FF'}));
+			// Uebernimmt den gewaehlten Zeitversatz der Anzeige
+			versatzSetzen = (function(i, versatzAuswahl, versatzTage) { return function() {
+				var versatz = (versatzAuswahl.val() === 'eigen') ? Math.max(1, parseInt(versatzTage.val(), 10) || 1) * 86400
+								: parseInt(versatzAuswahl.val(), 10);
+				
+				versatzTage.toggle(versatzAuswahl.val() === 'eigen');
+				
+				data[i].zeitversatz = (function(val) { return function() { return val; }; })(versatz);
+				
+				chart.refresh(false);
+				
+				speichereAnsicht();
+			};})(i, versatzAuswahl, versatzTage);
+			
+			inputGroup.append(versatzAuswahl.on('change', versatzSetzen)).append(versatzTage.on('change', versatzSetzen));
 			
 			inputGroupDiv = $('<div/>').addClass('input-group-addon');
 			
@@ -180,9 +1256,13 @@ function startVisualisierung(ort, id, idCheckbox) {
 			}
 			
 			input.on('change', (function(i) { return function() {
+				var m;
+				
 				for(k=0,l=zeige.length;k<l;++k) {
 					if(zeige[k] === i) {
-						chart.removeData(k);
+						for(m=0;m<reihen[i].length;++m) {
+							chart.removeData(position(k));
+						}
 						
 						zeige.splice(k, 1);
 						
@@ -190,7 +1270,9 @@ function startVisualisierung(ort, id, idCheckbox) {
 						
 						l = k;
 					} else if(zeige[k] > i) {
-						chart.addData(data[i], k);
+						for(m=0;m<reihen[i].length;++m) {
+							chart.addData(reihen[i][m], position(k) + m);
+						}
 						
 						zeige.splice(k, 0, i);
 						
@@ -201,12 +1283,18 @@ function startVisualisierung(ort, id, idCheckbox) {
 				}
 				
 				if(k === l) {
-					chart.addData(data[i], k);
+					for(m=0;m<reihen[i].length;++m) {
+						chart.addData(reihen[i][m], position(k) + m);
+					}
 					
 					zeige.splice(k, 0, i);
 					
 					this.setAttribute('checked', '');
 				}
+				
+				speichereAnsicht();
+				
+				zeigeAuswahl(chart.auswahl());
 			};})(i));
 			
 			inputGroupDiv.append(input).css('border-left', 'none');
@@ -215,150 +1303,244 @@ function startVisualisierung(ort, id, idCheckbox) {
 			
 			inputGroup.append(inputGroupDiv);
 			
-			checkBoxDiv.append(div);
+			// Eine Formel kann wieder entfernt werden; ihre Anzeige bleibt bis zum naechsten Oeffnen erhalten, damit sich die
+			// Indizes der anderen Anzeigen nicht aendern
+			if('formel' in anzeigen[i]) {
+				inputGroupDiv.text('Formel: ' + data[i].description()).attr('title', anzeigen[i].formel.ausdruck);
+				
+				inputGroup.append($('<div/>').addClass('input-group-btn')
+								.append($('<button/>').attr({'type': 'button', 'title': 'Formel entfernen'}).addClass('btn btn-default').html('&times;')
+									.on('click', function() {
+										if(zeige.indexOf(i) !== -1) {
+											input.trigger('change');
+										}
+										
+										anzeigen[i].entfernt = true;
+										
+										div.remove();
+										
+										speichereAnsicht();
+									})));
+			}
+			
+			return div;
+		};
+		
+		// Erstelle die Auswahl der moeglichen Eintraege
+		for(i=0,j=data.length;i<j;++i) {
+			checkBoxDiv.append(auswahlZeile(i));
 		}
-	}
-	
-	// Das Array mit allen moeglichen Anzeigen
-	var moeglicheAnzeigen =
-		[{'beschreibung': 'Temperatur', 'name': 'temperatur', 'line': 0, 'units': function() { return ' °C'; }, 'funktion': 'getMultipleWetterdatenAVG'},
-		{'beschreibung': 'Luftdruck', 'name': 'luftdruck', 'line': 1013, 'units': function() { return ' hP'; }, 'funktion': 'getMultipleWetterdatenAVG'},
-		{'beschreibung': 'Bewölkung', 'name': 'wolken', 'line': 0, 'units': function() { return ' %'; }, 'funktion': 'getMultipleWetterdatenAVG'},
-		{'beschreibung': 'Windrichtung', 'name': 'windrichtung', 'line': 0, 'units': function() { return ' °'; }, 'funktion': 'getMultipleWetterdatenAVG'},
-		{'beschreibung': 'Windgeschwindigkeit', 'name': 'windgeschwindigkeit', 'line': 0, 'units': function() { return ' m/s'; }, 'funktion': 'getMultipleWetterdatenAVG'},
-		{'beschreibung': 'Luftfeuchtigkeit', 'name': 'luftfeuchte', 'line': 0, 'units': function() { return ' %'; }, 'funktion': 'getMultipleWetterdatenAVG'}];
-	
-	var i = 0, j = moeglicheAnzeigen.length;
-	
-	for(i=0;i<j;++i) {
-		moeglicheAnzeigen.groupBy = 'Wetterdaten';
-	}
-	
-	var min = null, max = null, additional = {},
 		
-		// Falls alle Daten vorhanden sind, erstelle das Diagramm
-		start = function() {
-			if(min === null || max === null) return;
-			
-			var i, j, k, obj;
+		// Neue Daten aus einer Formel ueber die Daten des Ortes; sie werden unter den anderen Daten eingefuegt und angezeigt
+		var formelName = $('<input/>').attr({'type': 'text', 'class': 'form-control', 'placeholder': 'Name'}),
+			formelAusdruck = $('<input/>').attr({'type': 'text', 'class': 'form-control', 'placeholder': 'Formel, z.B. twitter_Android / temperatur',
+												'title': 'Daten: ' + Object.keys(formelQuellen).join(', ') + '\nFunktionen: ' + formel.hilfe()
+														+ '\nNamen mit Leerzeichen stehen in Anführungszeichen'}),
+			formelZeile = $('<div/>').addClass('checkbox');
+		
+		var formelAnlegen = function() {
+			var ergebnis = formelHinzufuegen($.trim(formelName.val()), formelAusdruck.val()), zeile;
 			
-			for(i in additional) {
-				if(additional[i].data === null) {
-					return;
-				}
+			if(typeof ergebnis === 'string') {
+				_.id('generalErrorMessage').textContent = ergebnis;
+				
+				$('#generalError').modal('show');
+				
+				return;
 			}
 			
-			for(i in additional) {
-				for(j=0,k=additional[i].data.length;j<k;++j) {
-					obj = {'beschreibung': additional[i].beschreibung(additional[i].data[j]),
-											'name': additional[i].name(j, additional[i].data[j]),
-											'line': additional[i].line,
-											'units': additional[i].units,
-											'groupBy': additional[i].groupBy,
-											'funktion': additional[i].funktion};
-					
-					if('computePercentOfMax' in additional[i]) {
-						obj.computePercentOfMax = true;
-					}
-					if('changeGetValAt' in additional[i]) {
-						obj.changeGetValAt = additional[i].changeGetValAt;
-					}
-					
-					moeglicheAnzeigen.push(obj);
-					
-					max[additional[i].name(j, additional[i].data[j])] = additional[i].max(additional[i].data[j]);
-					min[additional[i].name(j, additional[i].data[j])] = additional[i].min(additional[i].data[j]);
-				}
-			}
+			zeile = auswahlZeile(ergebnis);
+			
+			formelZeile.before(zeile);
 			
-			create(max, min, moeglicheAnzeigen, [0, 1, 2]);
+			formelName.val('');
+			formelAusdruck.val('');
+			
+			zeile.find('input.checkbox_data').trigger('change');
 		};
-	
-	// Fuege falls vorhanden Twitterdaten hinzu
-	additional['twitter'] = {'data': null, 'maxFunktion': daten.getMaxTwitterSoftware, 'groupBy': 'Twitter', 'max': function(obj) { return 100; },
-							'min': function(obj) { return 0; }, 'name': function(index, obj) { return 'twitter_' + obj.deviceinfo; },
-							'line': 0, 'units': function(where) { return (where === 'valAtLine' ? ' Tweets' : ' %'); },
-							'funktion': 'getMultipleTwitterdatenAVG', 'computePercentOfMax': true,
-							'beschreibung': function(obj) { return obj.deviceinfo; }};
-	
-	// Fuege falls vorhanden Badegaestedaten hinzu
-	additional['badegaeste'] = {'data': null, 'maxFunktion': daten.getMaxBadegaeste, 'groupBy': 'Schwimmbäder',
-							'max': function(obj) { return obj.badegaeste; },
-							'min': function(obj) { return 0; }, 'name': function(index, obj) { return 'badegaeste'; },
-							'line': 0, 'units': function(where) { return ''; },
-							'funktion': 'getMultipleBadegaeste',
-							'beschreibung': function(obj) { return 'Badegäste ' + obj.badname; }};
-	
-	// Fuege falls vorhanden Auswertungsdaten hinzu
-	additional['auswertung'] = {'data': null, 'maxFunktion': daten.getMaxAuswertung, 'groupBy': 'Auswertung',
-							'max': function(obj) { return obj.wert; },
-							'min': function(obj) { return 0; }, 'name': function(index, obj) { return 'auswertung_' + obj.name; },
-							'line': 0, 'units': function(where) { return ''; },
-							'funktion': 'getMultipleAuswertungAVG',
-							'beschreibung': function(obj) { return 'Auswertung ' + obj.name; },
-							'changeGetValAt': function(val) { return ('' + val).replace(/^(\d+)((\.\d{1,5})\d*)?$/g, '$1$3'); }};
-	
-	// Prueft, ob die Daten ok sind
-	function testData(data) {
-		var i, j = 0;
 		
-		for(i in data) {
-			++j;
-			
-			if(data[i] === undefined || data[i] === null) {
-				return false;
-			}
-		}
+		formelAusdruck.on('keydown', function(e) {
+			if(e.keyCode === 13) formelAnlegen();
+		});
 		
-		return (j !== 0);
+		checkBoxDiv.append(formelZeile.append($('<div/>').addClass('input-group')
+								.append($('<div/>').addClass('input-group-addon').text('Formel'))
+								.append(formelName)
+								.append(formelAusdruck)
+								.append($('<div/>').addClass('input-group-btn')
+									.append($('<button/>').attr('type', 'button').addClass('btn btn-default').text('Hinzufügen').on('click', formelAnlegen)))));
 	}
 	
-	function dataOk(data) {
-		var result = testData(data);
+	/**
+	 * Laedt die moeglichen Anzeigen eines Ortes mit den minimalen und maximalen Werten ihrer Daten
+	 * @param ort Die ID des Ortes
+	 * @param callback Wird mit den maximalen Werten, den minimalen Werten und den Anzeigen aufgerufen
+	 **/
+	function ladeAnzeigen(ort, callback) {
+		// Das Array mit allen moeglichen Anzeigen
+		var moeglicheAnzeigen =
+			[{'beschreibung': 'Temperatur', 'name': 'temperatur', 'line': 0, 'units': function() { return ' °C'; }, 'funktion': 'getMultipleWetterdatenAVG', 'darstellung': 'line'},
+			{'beschreibung': 'Luftdruck', 'name': 'luftdruck', 'line': 1013, 'units': function() { return ' hP'; }, 'funktion': 'getMultipleWetterdatenAVG', 'darstellung': 'line'},
+			{'beschreibung': 'Bewölkung', 'name': 'wolken', 'line': 0, 'units': function() { return ' %'; }, 'funktion': 'getMultipleWetterdatenAVG'},
+			{'beschreibung': 'Windrichtung', 'name': 'windrichtung', 'line': 0, 'units': function() { return ' °'; }, 'funktion': 'getMultipleWetterdatenAVG'},
+			{'beschreibung': 'Windgeschwindigkeit', 'name': 'windgeschwindigkeit', 'line': 0, 'units': function() { return ' m/s'; }, 'funktion': 'getMultipleWetterdatenAVG'},
+			{'beschreibung': 'Luftfeuchtigkeit', 'name': 'luftfeuchte', 'line': 0, 'units': function() { return ' %'; }, 'funktion': 'getMultipleWetterdatenAVG', 'darstellung': 'area'}];
 		
-		if(!result) {
-			_.id('generalErrorMessage').innerHTML = 'Zu diesem Ort existieren keine gueltigen Daten!';
-			
-			$('#generalError').modal('show');
-			
-			$('#reiterOrtAuswahl').click();
+		var i, j = moeglicheAnzeigen.length;
+		
+		for(i=0;i<j;++i) {
+			moeglicheAnzeigen.groupBy = 'Wetterdaten';
 		}
 		
-		return result;
-	}
-	
-	// Lade die maximalen Werte der Daten
-	daten.getMaxWetterdaten(ort, function(err, data) {
-		if(err === undefined) {
-			if(!dataOk(data)) return;
+		var min = null, max = null, additional = {},
 			
-			max = data;
+			// Falls alle Daten vorhanden sind, gib die Anzeigen zurueck
+			start = function() {
+				if(min === null || max === null) return;
+				
+				var i, j, k, obj;
+				
+				for(i in additional) {
+					if(additional[i].data === null) {
+						return;
+					}
+				}
+				
+				for(i in additional) {
+					for(j=0,k=additional[i].data.length;j<k;++j) {
+						obj = {'beschreibung': additional[i].beschreibung(additional[i].data[j]),
+												'name': additional[i].name(j, additional[i].data[j]),
+												'line': additional[i].line,
+												'units': additional[i].units,
+												'groupBy': additional[i].groupBy,
+												'funktion': additional[i].funktion};
+						
+						if('computePercentOfMax' in additional[i]) {
+							obj.computePercentOfMax = true;
+						}
+						if('changeGetValAt' in additional[i]) {
+							obj.changeGetValAt = additional[i].changeGetValAt;
+						}
+						if('darstellung' in additional[i]) {
+							obj.darstellung = additional[i].darstellung;
+						}
+						
+						moeglicheAnzeigen.push(obj);
+						
+						max[additional[i].name(j, additional[i].data[j])] = additional[i].max(additional[i].data[j]);
+						min[additional[i].name(j, additional[i].data[j])] = additional[i].min(additional[i].data[j]);
+					}
+				}
+				
+				callback(max, min, moeglicheAnzeigen);
+			};
+		
+		// Fuege falls vorhanden Twitterdaten hinzu
+		additional['twitter'] = {'data': null, 'maxFunktion': daten.getMaxTwitterSoftware, 'groupBy': 'Twitter', 'max': function(obj) { return 100; },
+								'min': function(obj) { return 0; }, 'name': function(index, obj) { return 'twitter_' + obj.deviceinfo; },
+								'line': 0, 'units': function(where) { return (where === 'valAtLine' ? ' Tweets' : ' %'); },
+								'funktion': 'getMultipleTwitterdatenAVG', 'computePercentOfMax': true,
+								'beschreibung': function(obj) { return obj.deviceinfo; }};
+		
+		// Fuege falls vorhanden Badegaestedaten hinzu
+		additional['badegaeste'] = {'data': null, 'maxFunktion': daten.getMaxBadegaeste, 'groupBy': 'Schwimmbäder',
+								'max': function(obj) { return obj.badegaeste; },
+								'min': function(obj) { return 0; }, 'name': function(index, obj) { return 'badegaeste'; },
+								'line': 0, 'units': function(where) { return ''; },
+								'funktion': 'getMultipleBadegaeste', 'darstellung': 'step',
+								'beschreibung': function(obj) { return 'Badegäste ' + obj.badname; }};
+		
+		// Fuege falls vorhanden Auswertungsdaten hinzu
+		additional['auswertung'] = {'data': null, 'maxFunktion': daten.getMaxAuswertung, 'groupBy': 'Auswertung',
+								'max': function(obj) { return obj.wert; },
+								'min': function(obj) { return 0; }, 'name': function(index, obj) { return 'auswertung_' + obj.name; },
+								'line': 0, 'units': function(where) { return ''; },
+								'funktion': 'getMultipleAuswertungAVG', 'darstellung': 'scatter',
+								'beschreibung': function(obj) { return 'Auswertung ' + obj.name; },
+								'changeGetValAt': function(val) { return ('' + val).replace(/^(\d+)((\.\d{1,5})\d*)?$/g, '$1$3'); }};
+		
+		// Prueft, ob die Daten ok sind
+		function testData(data) {
+			var i, j = 0;
+			
+			for(i in data) {
+				++j;
+				
+				if(data[i] === undefined || data[i] === null) {
+					return false;
+				}
+			}
 			
-			start();
+			return (j !== 0);
 		}
-	});
-	
-	// Lade die minimalen Werte der Daten
-	daten.getMinWetterdaten(ort, function(err, data) {
-		if(err === undefined) {
-			if(!dataOk(data)) return;
+		
+		function dataOk(data) {
+			var result = testData(data);
 			
-			min = data;
+			if(!result) {
+				_.id('generalErrorMessage').innerHTML = 'Zu diesem Ort existieren keine gueltigen Daten!';
+				
+				$('#generalError').modal('show');
+				
+				$('#reiterOrtAuswahl').click();
+			}
 			
-			start();
+			return result;
 		}
-	});
+		
+		// Lade die maximalen Werte der Daten
+		daten.getMaxWetterdaten(ort, function(err, data) {
+			if(err === undefined) {
+				if(!dataOk(data)) return;
+				
+				max = data;
+				
+				start();
+			}
+		});
+		
+		// Lade die minimalen Werte der Daten
+		daten.getMinWetterdaten(ort, function(err, data) {
+			if(err === undefined) {
+				if(!dataOk(data)) return;
+				
+				min = data;
+				
+				start();
+			}
+		});
+		
+		// Lade die zusaetzlichen Daten
+		for(i in additional) {
+			additional[i].maxFunktion(ort, (function(additional) {
+				return function(err, data) {
+					if(err === undefined) {
+						additional.data = data;
+						
+						start();
+					}
+				};
+			})(additional[i]));
+		}
+	}
 	
-	// Lade die zusaetzlichen Daten
-	for(i in additional) {
-		additional[i].maxFunktion(ort, (function(additional) {
-			return function(err, data) {
-				if(err === undefined) {
-					additional.data = data;
-					
-					start();
+	// Lade die Anzeigen des Ortes und der Orte im Vergleich, danach erstelle das Diagramm
+	var orteLaden = [{'id': ort, 'name': ortName}].concat((vergleich === undefined) ? [] : vergleich.map(function(eintrag) {
+						return {'id': eintrag.id, 'name': eintrag.name};
+					})),
+		offen = orteLaden.length, i;
+	
+	for(i=0;i<orteLaden.length;++i) {
+		ladeAnzeigen(orteLaden[i].id, (function(eintrag) {
+			return function(max, min, anzeigen) {
+				eintrag.max = max;
+				eintrag.min = min;
+				eintrag.anzeigen = anzeigen;
+				
+				if(--offen === 0) {
+					create(orteLaden[0].max, orteLaden[0].min, orteLaden[0].anzeigen, [0, 1, 2], orteLaden.slice(1));
 				}
 			};
-		})(additional[i]));
+		})(orteLaden[i]));
 	}
 }
\ No newline at end of file